@@ -11,7 +11,7 @@ class FleetGraphWizard {
         this.minimapSize = 200;
 
         // State
-        this.mapImage = null;
+        this.mapImage = null;         // Map of the current level (see switchLevel)
         this.mapYaml = null;
         this.nodes = [];
         this.paths = [];
@@ -21,6 +21,73 @@ class FleetGraphWizard {
         this.pathStart = null;
         this.tempPathEnd = null;
 
+        // Map image formats accepted by ROS map_server that the browser can decode
+        this.mapImageExtensions = ['.pgm', '.png', '.jpg', '.jpeg', '.bmp', '.gif'];
+
+        // Map rendering ('image' = map as loaded, 'occupancy' = free/occupied/unknown per the YAML)
+        this.mapRenderMode = 'image';
+        this.occupancyColors = { free: '#ffffff', occupied: '#000000', unknown: '#808080' };
+        this.occupancyGrid = null;
+        this.occupancyImage = null;
+
+        // Levels (floors). Every node belongs to one level; each level has its own map.
+        // The current level's map is held in mapImage, mapYaml, occupancyGrid, ...
+        this.levels = [this.createLevel('L1')];
+        this.currentLevel = 'L1';
+        this.removedLevels = new Map(); // Level id → level taken out by an edit or undo, with its map
+
+        // Nodes by id while a frame is drawn or paths are searched (see withNodeIndex)
+        this.nodeIndex = null;
+
+        // Connector types of paths through lifts, doors and other transfers
+        this.connectorTypes = {
+            lift: { label: 'Lift', icon: '⇅' },
+            door: { label: 'Door', icon: '🚪' },
+            transfer: { label: 'Transfer', icon: '⇄' }
+        };
+        this.levelTransferTime = 30; // Seconds to ride a connector between levels
+
+        // Zones: named polygons with traffic rules (see ZoneGeometry)
+        this.zones = [];
+        this.selectedZone = null;
+        this.zoneDraft = null;        // Points of the zone being drawn (zone tool)
+        this.zoneDraftEnd = null;     // Mouse position while drawing
+        this.zoneTypes = {
+            speedLimit: { label: 'Speed limit', icon: '⏱', color: '255, 193, 7' },
+            noEntry: { label: 'No entry', icon: '⛔', color: '220, 53, 69' },
+            oneRobot: { label: 'One robot at a time', icon: '①', color: '0, 188, 212' },
+            charging: { label: 'Charging area', icon: '⚡', color: '40, 167, 69' }
+        };
+
+        // Robot fleet: classes with footprint, speed and node-type limits (see RobotFleet)
+        this.robotClasses = [];
+        this.fleetDraft = null;       // Classes being edited in the fleet modal
+
+        // Obstacle hits found by the last validation (canvas coordinates)
+        this.validationHighlights = null;
+
+        // Strongly connected components found by the last validation
+        this.connectivity = null;
+
+        // Auto-routing of new paths around obstacles
+        this.autoRoute = false;
+        this.robotRadius = 0.3; // Robot footprint radius in meters
+        this.autoRouter = null; // AutoRouter for the current occupancy grid
+
+        // Route tool (shortest route between two nodes)
+        this.routeStart = null;       // Start node of the current query
+        this.route = null;            // Last route found (see findRoute)
+        this.routeWeight = 'distance'; // 'distance' or 'time'
+        this.routeClass = null;       // Robot class ID routes are planned for (null = any robot)
+        this.defaultSpeed = 1.0;      // m/s for paths without a speed limit
+
+        // Multi-robot simulation
+        this.simulation = null;        // TrafficSimulator of the current run
+        this.simulationRunning = false;
+        this.simulationSpeed = 5;      // Simulated seconds per real second
+        this.lastSimulationFrame = null;
+        this.lastSimulationPanelUpdate = 0;
+
         // View transform
         this.offset = { x: 0, y: 0 };
         this.scale = 1;
@@ -30,6 +97,10 @@ class FleetGraphWizard {
         // Node dragging
         this.isDraggingNode = false;
         this.draggedNode = null;
+        this.nodeDragMoved = false;
+
+        // Path geometry handle dragging (select tool)
+        this.draggedHandle = null; // { path, handle }
 
         // Double-click detection
         this.lastClickTime = 0;
@@ -57,10 +128,10 @@ class FleetGraphWizard {
         this.tooltipVisible = false;
         this.hoverTimeout = null;
 
-        // Undo/Redo
-        this.history = [];
-        this.historyIndex = -1;
-        this.maxHistory = 50;
+        // Undo/Redo (see CommandHistory)
+        this.maxHistory = 500;
+        this.history = new CommandHistory(this.maxHistory);
+        this.pendingEdit = null;              // Edit spanning several events (drags), see beginEdit()
 
         // Animation
         this.animationTime = 0;
@@ -85,8 +156,30 @@ class FleetGraphWizard {
         // Search
         this.searchResults = [];
 
-        // Recent files
+        // Unsaved changes since the last save or export
+        this.dirty = false;
+        this.appTitle = document.title;
+        this.unsavedChoice = null;            // Resolves the open Save / Discard / Cancel dialog
+
+        // File the graph was imported from or last saved to (Save writes back to it)
+        this.fileHandle = null;               // FileSystemFileHandle, null without the File System Access API
+        this.fileName = null;
+        this.fileExporter = null;             // Exporter for the file's format, null if it cannot be written
+
+        // Recent files (their content is kept in the session store)
         this.recentFiles = this.loadRecentFiles();
+        this.recentMapFile = null;            // YAML file name of the last loaded map
+
+        // Auto-save and named snapshots in IndexedDB (see SessionStore)
+        this.sessionStore = SessionStore.isSupported() ? new SessionStore() : null;
+        this.autoSaveDelay = 1000;            // ms after the last change
+        this.autoSaveTimer = null;
+        this.autoSavePaused = true;           // Until the last session was restored or dismissed
+        this.autoSavedImages = null;          // Map image IDs of the last auto-save
+        this.sessionTasks = Promise.resolve(); // Session store writes, one at a time
+        this.mapImageIds = new WeakMap();     // Map image → image ID in the session store and in undo steps
+        this.mapImages = new Map();           // Image ID → map image that undo steps refer to
+        this.storedImageIds = new Set();      // Image IDs already in the session store
 
         // Quick shortcuts visibility
         this.quickShortcutsVisible = false;
@@ -95,6 +188,10 @@ class FleetGraphWizard {
         this.availableParsers = [];
         this.currentParser = null;
 
+        // Exporter system
+        this.availableExporters = [];
+        this.currentExporter = null;
+
         this.init();
     }
 
@@ -102,69 +199,227 @@ class FleetGraphWizard {
         this.setupCanvas();
         this.setupEventListeners();
         this.initializeParsers();
+        this.initializeExporters();
         this.disableTools();
+        this.updateLevelUI();
         this.setTool('node'); // Initialize tool indicator in status bar
+        this.updateDocumentTitle();
+        this.history.reset();
+        this.updateHistoryPanel();
         this.startAnimationLoop();
         this.render();
+        this.checkSavedSession();
     }
 
     startAnimationLoop() {
         const animate = (timestamp) => {
             this.animationTime = timestamp;
             this.selectedNodePulse = (Math.sin(timestamp / 300) + 1) / 2; // 0 to 1
+            if (this.simulation) {
+                this.updateSimulation(timestamp);
+            }
             this.render();
             requestAnimationFrame(animate);
         };
         requestAnimationFrame(animate);
     }
 
-    saveState() {
-        // Remove any states after current index
-        this.history = this.history.slice(0, this.historyIndex + 1);
+    /**
+     * Record an edit as one undo step; call after changing the graph
+     * @param {string} label - Name of the edit in the history panel
+     * @param {Array<Object|null>} commands - Commands for the changes, in the
+     *     order they were made (see CommandHistory); null entries are skipped
+     */
+    recordEdit(label, commands) {
+        // A drag still in progress is a step of its own
+        this.endEdit();
+        this.discardGraphResults();
+
+        if (this.history.push(label, commands)) {
+            // Removed levels and replaced maps only matter while a step can put them back
+            const { levelIds, imageIds } = this.history.getLevelReferences();
+            this.removedLevels.forEach((level, id) => {
+                if (!levelIds.has(id)) this.removedLevels.delete(id);
+            });
+            this.mapImages.forEach((image, id) => {
+                if (!imageIds.has(id)) this.mapImages.delete(id);
+            });
+            this.updateHistoryPanel();
+            this.setDirty(true);
+            this.scheduleAutoSave();
+        }
+    }
 
-        // Add new state
-        const state = {
-            nodes: JSON.parse(JSON.stringify(this.nodes)),
-            paths: JSON.parse(JSON.stringify(this.paths)),
-            nodeCounter: this.nodeCounter
+    /**
+     * Change fields of some items as one undo step
+     * @param {string} label - Name of the edit in the history panel
+     * @param {string} collection - 'nodes', 'paths', 'zones' or 'robotClasses'
+     * @param {Object[]} items - Items to change
+     * @param {string[]} fields - Fields the change may touch
+     * @param {Function} change - Changes the items
+     */
+    editItems(label, collection, items, fields, change) {
+        this.endEdit();
+        const before = items.map(item => CommandHistory.capture(item, fields));
+        change();
+        this.recordEdit(label, items.map((item, i) => CommandHistory.update(this, collection, item, before[i])));
+    }
+
+    /**
+     * Start changing fields over several events (drags); endEdit() records the step
+     * @param {string} label - Name of the edit in the history panel
+     * @param {string} collection - 'nodes', 'paths', 'zones' or 'robotClasses'
+     * @param {Object[]} items - Items to change
+     * @param {string[]} fields - Fields the edit may touch
+     */
+    beginEdit(label, collection, items, fields) {
+        this.endEdit();
+        this.discardGraphResults();
+        this.pendingEdit = {
+            label: label,
+            collection: collection,
+            items: items,
+            before: items.map(item => CommandHistory.capture(item, fields))
         };
+    }
 
-        this.history.push(state);
+    /**
+     * Record the edit started by beginEdit(), if any
+     */
+    endEdit() {
+        const edit = this.pendingEdit;
+        if (!edit) return;
 
-        // Limit history size
-        if (this.history.length > this.maxHistory) {
-            this.history.shift();
-        } else {
-            this.historyIndex++;
+        this.pendingEdit = null;
+        this.recordEdit(edit.label, edit.items.map((item, i) => CommandHistory.update(this, edit.collection, item, edit.before[i])));
+    }
+
+    /**
+     * Append items to a collection
+     * @param {string} collection - 'nodes', 'paths', 'zones' or 'robotClasses'
+     * @param {Object[]} items - New items
+     * @returns {Object[]} Commands for recordEdit()
+     */
+    addItems(collection, items) {
+        return items.map(item => {
+            this[collection].push(item);
+            return CommandHistory.add(this, collection, item, this[collection].length - 1);
+        });
+    }
+
+    /**
+     * Remove items from a collection
+     * @param {string} collection - 'nodes', 'paths', 'zones' or 'robotClasses'
+     * @param {Object[]} items - Items to remove
+     * @returns {Object[]} Commands for recordEdit(), last index first
+     */
+    removeItems(collection, items) {
+        const removed = new Set(items);
+        const commands = [];
+        this[collection].forEach((item, index) => {
+            if (removed.has(item)) {
+                commands.unshift(CommandHistory.remove(this, collection, item, index));
+            }
+        });
+
+        this[collection] = this[collection].filter(item => !removed.has(item));
+        return commands;
+    }
+
+    /**
+     * Drop what was computed for the graph before an edit
+     */
+    discardGraphResults() {
+        // Validation highlights and routes refer to the old geometry
+        this.validationHighlights = null;
+        this.connectivity = null;
+        this.clearRoute();
+
+        // So does a running simulation
+        if (this.simulation) {
+            this.stopSimulation();
+            this.showToast('Simulation stopped: graph changed');
         }
     }
 
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.restoreState(this.history[this.historyIndex]);
-            this.showToast('Undo');
+        this.endEdit();
+        const step = this.history.undo(this);
+        if (step) {
+            this.afterHistoryChange();
+            this.showToast(`Undo: ${step.label}`);
         }
     }
 
     redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.restoreState(this.history[this.historyIndex]);
-            this.showToast('Redo');
+        this.endEdit();
+        const step = this.history.redo(this);
+        if (step) {
+            this.afterHistoryChange();
+            this.showToast(`Redo: ${step.label}`);
+        }
+    }
+
+    /**
+     * Undo or redo up to a step of the history panel
+     * @param {number} index - Number of applied steps (0 = start)
+     */
+    jumpToHistory(index) {
+        this.endEdit();
+        const count = this.history.jumpTo(this, index);
+        if (count !== 0) {
+            this.afterHistoryChange();
+            this.showToast(count < 0 ? `Undid ${-count} step(s)` : `Redid ${count} step(s)`);
         }
     }
 
-    restoreState(state) {
-        this.nodes = JSON.parse(JSON.stringify(state.nodes));
-        this.paths = JSON.parse(JSON.stringify(state.paths));
-        this.nodeCounter = state.nodeCounter;
+    /**
+     * Refresh everything derived from the graph after undo/redo
+     */
+    afterHistoryChange() {
+        this.validationHighlights = null;
+        this.connectivity = null;
+        this.clearRoute();
+        if (this.simulation) {
+            this.stopSimulation();
+        }
+
+        this.updateRouteClassSelect();
+        // Level commands restore the levels; this only covers histories saved without them
+        this.ensureLevels([...this.nodes, ...this.zones].map(item => item.level));
+        this.convertWorldCoordinates();
         this.selectedNodes = [];
         this.selectedNode = null;
         this.selectedPath = null;
+        this.selectedZone = null;
+        this.updateSelectionCount();
+        this.updateHistoryPanel();
+        this.setDirty(!this.history.isSaved());
+        this.scheduleAutoSave();
         this.render();
     }
 
+    /**
+     * List the undo steps, newest first; click a step to go back (or forward) to it
+     */
+    updateHistoryPanel() {
+        const list = document.getElementById('historyList');
+        if (!list) return;
+
+        const current = this.history.index;
+        const item = (index, label, summary) => `
+            <div class="history-item${index === current ? ' current' : ''}${index > current ? ' undone' : ''}"
+                 onclick="app.jumpToHistory(${index})" title="${summary}">
+                ${label}
+            </div>
+        `;
+
+        list.innerHTML = this.history.getSteps()
+            .map((step, index) => item(index + 1, step.label, step.summary))
+            .reverse()
+            .join('') + item(0, 'Start', this.history.steps.length >= this.maxHistory ? 'Older steps were dropped' : 'Before the first edit');
+    }
+
     showToast(message, duration = 2000) {
         const toast = document.createElement('div');
         toast.className = 'toast';
@@ -199,11 +454,13 @@ class FleetGraphWizard {
             btn.style.cursor = 'not-allowed';
         });
 
-        // Disable export button
-        document.getElementById('exportJsonBtn').disabled = true;
-        document.getElementById('exportJsonBtn').style.opacity = '0.5';
+        // Disable save and export buttons
+        ['saveGraphBtn', 'exportJsonBtn'].forEach(id => {
+            document.getElementById(id).disabled = true;
+            document.getElementById(id).style.opacity = '0.5';
+        });
 
-        this.updateStatus('Please load a map first (YAML + PGM files)');
+        this.updateStatus('Please load a map first (YAML + image files)');
     }
 
     enableTools() {
@@ -214,39 +471,79 @@ class FleetGraphWizard {
             btn.style.cursor = 'pointer';
         });
 
-        // Enable export button
-        document.getElementById('exportJsonBtn').disabled = false;
-        document.getElementById('exportJsonBtn').style.opacity = '1';
+        // Enable save and export buttons
+        ['saveGraphBtn', 'exportJsonBtn'].forEach(id => {
+            document.getElementById(id).disabled = false;
+            document.getElementById(id).style.opacity = '1';
+        });
     }
 
     setupEventListeners() {
         // File loading
-        document.getElementById('loadMapBtn').addEventListener('click', () => {
-            document.getElementById('mapFilesInput').click();
+        document.getElementById('loadMapBtn').addEventListener('click', async () => {
+            if (await this.confirmUnsavedChanges('loading a new map', 'Load Map')) {
+                document.getElementById('mapFilesInput').click();
+            }
         });
 
         document.getElementById('mapFilesInput').addEventListener('change', (e) => {
             this.loadMapFiles(e.target.files);
         });
 
-        document.getElementById('importJsonBtn').addEventListener('click', () => {
-            document.getElementById('graphInput').click();
+        document.getElementById('importJsonBtn').addEventListener('click', async () => {
+            if (await this.confirmUnsavedChanges('importing a graph', 'Import')) {
+                this.openGraphFile();
+            }
         });
 
         document.getElementById('graphInput').addEventListener('change', (e) => {
             this.importGraph(e.target.files[0]);
         });
 
+        document.getElementById('saveGraphBtn').addEventListener('click', () => {
+            this.saveGraph();
+        });
+
         document.getElementById('exportJsonBtn').addEventListener('click', () => {
-            this.exportJson();
+            this.exportGraph();
         });
 
+        document.getElementById('exporterSelect').addEventListener('change', (e) => {
+            this.onExporterChange(e.target.value);
+        });
+
+        // Levels
+        document.getElementById('levelSelect').addEventListener('change', (e) => this.switchLevel(e.target.value));
+        document.getElementById('addLevelBtn').addEventListener('click', () => this.addLevel());
+        document.getElementById('renameLevelBtn').addEventListener('click', () => this.renameLevel());
+        document.getElementById('removeLevelBtn').addEventListener('click', () => this.removeLevel());
+
         // Edit controls
         document.getElementById('alignHorizontalBtn').addEventListener('click', () => this.alignNodesHorizontal());
         document.getElementById('alignVerticalBtn').addEventListener('click', () => this.alignNodesVertical());
         document.getElementById('alignGridBtn').addEventListener('click', () => this.alignNodesToGrid());
         document.getElementById('bulkEditBtn').addEventListener('click', () => this.showBulkEditModal());
         document.getElementById('validateGraphBtn').addEventListener('click', () => this.validateGraph());
+        document.getElementById('simulateBtn').addEventListener('click', () => this.showSimulationModal());
+        document.getElementById('fleetBtn').addEventListener('click', () => this.showFleetModal());
+
+        // Sessions
+        document.getElementById('sessionsBtn').addEventListener('click', () => this.showSessionsModal());
+
+        // Write pending changes (and the view) when the page is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.autoSave();
+            }
+        });
+
+        // Warn before closing the page with changes that were not exported
+        window.addEventListener('beforeunload', (e) => {
+            if (this.dirty) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
 
         // Search
         document.getElementById('searchInput').addEventListener('input', (e) => this.handleSearch(e.target.value));
@@ -320,6 +617,39 @@ class FleetGraphWizard {
             this.render();
         });
 
+        // Map rendering mode and occupancy colors
+        document.getElementById('mapRenderModeSelect').addEventListener('change', (e) => {
+            this.setMapRenderMode(e.target.value);
+        });
+
+        ['free', 'occupied', 'unknown'].forEach(state => {
+            document.getElementById(`${state}ColorInput`).addEventListener('input', (e) => {
+                this.setOccupancyColor(state, e.target.value);
+            });
+        });
+
+        // Auto-routing
+        document.getElementById('autoRouteToggle').addEventListener('change', (e) => {
+            if (e.target.checked !== this.autoRoute) {
+                this.toggleAutoRoute();
+            }
+        });
+
+        document.getElementById('robotRadiusInput').addEventListener('input', (e) => {
+            const radius = parseFloat(e.target.value);
+            if (radius >= 0) {
+                this.robotRadius = radius;
+            }
+        });
+
+        document.getElementById('routeWeightSelect').addEventListener('change', (e) => {
+            this.setRouteWeight(e.target.value);
+        });
+
+        document.getElementById('routeClassSelect').addEventListener('change', (e) => {
+            this.setRouteClass(e.target.value);
+        });
+
         // Grid size input
         document.getElementById('gridSizeInput').addEventListener('input', (e) => {
             const newSize = parseFloat(e.target.value);
@@ -406,6 +736,58 @@ class FleetGraphWizard {
             this.render();
         });
 
+        // Simulation modal
+        const simulationModal = document.getElementById('simulationModal');
+        const closeSimulationModal = () => {
+            simulationModal.style.display = 'none';
+        };
+
+        simulationModal.querySelector('.close').addEventListener('click', closeSimulationModal);
+        document.getElementById('cancelSimulationBtn').addEventListener('click', closeSimulationModal);
+
+        document.getElementById('simTaskMode').addEventListener('change', (e) => {
+            document.getElementById('simTaskScriptSection').style.display =
+                e.target.value === 'scripted' ? 'block' : 'none';
+        });
+
+        document.getElementById('simulationForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.startSimulation()) {
+                closeSimulationModal();
+            }
+        });
+
+        // Fleet modal
+        const fleetModal = document.getElementById('fleetModal');
+        const closeFleetModal = () => {
+            fleetModal.style.display = 'none';
+            this.fleetDraft = null;
+        };
+
+        fleetModal.querySelector('.close').addEventListener('click', closeFleetModal);
+        document.getElementById('cancelFleetBtn').addEventListener('click', closeFleetModal);
+        document.getElementById('addRobotClassBtn').addEventListener('click', () => this.addFleetDraftClass());
+
+        document.getElementById('fleetForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.applyFleet()) {
+                closeFleetModal();
+            }
+        });
+
+        // Sessions modal
+        const sessionsModal = document.getElementById('sessionsModal');
+        sessionsModal.querySelector('.close').addEventListener('click', () => this.closeSessionsModal());
+        document.getElementById('closeSessionsBtn').addEventListener('click', () => this.closeSessionsModal());
+        document.getElementById('saveSnapshotBtn').addEventListener('click', () => this.saveSnapshot());
+
+        // Unsaved changes modal
+        const unsavedModal = document.getElementById('unsavedModal');
+        unsavedModal.querySelector('.close').addEventListener('click', () => this.resolveUnsavedChanges('cancel'));
+        document.getElementById('saveUnsavedBtn').addEventListener('click', () => this.resolveUnsavedChanges('save'));
+        document.getElementById('discardUnsavedBtn').addEventListener('click', () => this.resolveUnsavedChanges('discard'));
+        document.getElementById('cancelUnsavedBtn').addEventListener('click', () => this.resolveUnsavedChanges('cancel'));
+
         // Validation modal
         const validationModal = document.getElementById('validationModal');
         const closeValidationModal = () => {
@@ -452,6 +834,11 @@ class FleetGraphWizard {
         console.log('Loading map files:', Array.from(files).map(f => f.name));
         this.updateStatus('Processing map files...');
 
+        // The new map, and the items it converts from world coordinates, are one undo step
+        const level = this.getLevel(this.currentLevel);
+        const map = this.captureLevelMap(level);
+        const worldItems = this.captureWorldItems();
+
         try {
             // Separate YAML and image files
             let yamlFile = null;
@@ -461,7 +848,7 @@ class FleetGraphWizard {
                 const fileName = file.name.toLowerCase();
                 if (fileName.endsWith('.yaml') || fileName.endsWith('.yml')) {
                     yamlFile = file;
-                } else if (fileName.endsWith('.pgm')) {
+                } else if (this.mapImageExtensions.some(ext => fileName.endsWith(ext))) {
                     imageFiles.push(file);
                 } else {
                     console.warn('Ignoring unsupported file:', file.name);
@@ -472,27 +859,29 @@ class FleetGraphWizard {
                 throw new Error('No YAML file found. Please select a .yaml or .yml file');
             }
 
-            // Load and parse YAML
+            // Load and parse YAML; the map is only replaced once its image is chosen
             const text = await yamlFile.text();
             console.log('YAML file content:', text);
-            this.mapYaml = jsyaml.load(text);
-            console.log('Parsed YAML:', this.mapYaml);
-            this.updateMapInfo();
+            const mapYaml = jsyaml.load(text);
+            console.log('Parsed YAML:', mapYaml);
+            if (!mapYaml || typeof mapYaml !== 'object') {
+                throw new Error('The YAML file does not describe a map');
+            }
 
             // Find the image file that matches the YAML reference
-            if (this.mapYaml.image) {
-                const expectedImageName = this.mapYaml.image;
+            let imageFile = null;
+            if (mapYaml.image) {
+                // The YAML may reference the image by a relative or absolute path
+                const expectedImageName = String(mapYaml.image).split(/[\\/]/).pop();
                 console.log('Looking for image file:', expectedImageName);
 
                 // Try to find matching image file in selected files
-                let matchedImage = imageFiles.find(f => f.name === expectedImageName);
+                let matchedImage = imageFiles.find(f => f.name === expectedImageName) ||
+                    imageFiles.find(f => f.name.toLowerCase() === expectedImageName.toLowerCase());
 
                 if (matchedImage) {
                     console.log('Found matching image:', matchedImage.name);
-                    await this.loadMapImage(matchedImage);
-                    this.enableTools();
-                    this.saveToRecentFiles(yamlFile.name, this.mapYaml);
-                    this.updateStatus('Map and YAML loaded successfully!');
+                    imageFile = matchedImage;
                 } else if (imageFiles.length > 0) {
                     // Use the first image file found
                     console.log(`Image "${expectedImageName}" not found, using: ${imageFiles[0].name}`);
@@ -500,39 +889,52 @@ class FleetGraphWizard {
                         `YAML references image "${expectedImageName}" but you selected "${imageFiles[0].name}".\n\n` +
                         `Do you want to load "${imageFiles[0].name}" anyway?`
                     );
-                    if (proceed) {
-                        await this.loadMapImage(imageFiles[0]);
-                        this.enableTools();
-                        this.saveToRecentFiles(yamlFile.name, this.mapYaml);
-                        this.updateStatus('Map and YAML loaded successfully!');
-                    } else {
-                        this.updateStatus(`YAML loaded. Please select the correct image: ${expectedImageName}`);
+                    if (!proceed) {
+                        this.updateStatus(`Map not loaded. Please select the YAML with its image: ${expectedImageName}`);
+                        return;
                     }
+                    imageFile = imageFiles[0];
                 } else {
                     // No image file selected - prompt user
-                    this.updateStatus(`YAML loaded. Now select the image file: ${expectedImageName}`);
+                    this.updateStatus(`Map not loaded. Select the YAML together with its image: ${expectedImageName}`);
                     console.log('No image file selected, prompting user...');
 
                     // Note: Browser security prevents automatically reading files from the same directory
                     // User must manually select the image file
-                    alert(`YAML file loaded successfully!\n\nThe YAML references: ${expectedImageName}\n\nPlease select this image file from the same directory.\n\nNote: Due to browser security, you must select both files (hold Ctrl/Cmd to select multiple files).`);
+                    alert(`The YAML references: ${expectedImageName}\n\nPlease select this image file from the same directory together with the YAML.\n\nNote: Due to browser security, you must select both files (hold Ctrl/Cmd to select multiple files).`);
+                    return;
                 }
             } else {
                 // No image specified in YAML
-                if (imageFiles.length > 0) {
-                    await this.loadMapImage(imageFiles[0]);
-                    this.enableTools();
-                    this.saveToRecentFiles(yamlFile.name, this.mapYaml);
-                    this.updateStatus('Map and YAML loaded successfully!');
-                } else {
-                    this.updateStatus('YAML loaded (no image specified)');
-                }
+                imageFile = imageFiles[0] || null;
+            }
+
+            this.mapYaml = mapYaml;
+            this.updateMapInfo();
+            if (imageFile) {
+                await this.loadMapImage(imageFile);
+                this.enableTools();
+                this.saveToRecentFiles(yamlFile, imageFile);
+                this.updateStatus('Map and YAML loaded successfully!');
+            } else {
+                this.updateStatus('YAML loaded (no image specified)');
             }
         } catch (error) {
             console.error('Error loading map files:', error);
+
+            // Put back the map and the item coordinates from before the load
+            this.worldItemCommands(worldItems).forEach(command => {
+                if (command) CommandHistory.apply(this, command, false);
+            });
+            this.setLevelMap(level, map);
+            this.render();
+
             this.updateStatus('Error loading map files');
             alert('Error loading map files: ' + error.message);
+            return;
         }
+
+        this.recordEdit('Load map', [...this.worldItemCommands(worldItems), this.createMapCommand(level, map)]);
     }
 
     async loadMapImage(file) {
@@ -557,9 +959,13 @@ class FleetGraphWizard {
                 img.onload = () => {
                     console.log('Image loaded:', img.width, 'x', img.height);
                     this.mapImage = img;
+                    this.updateOccupancyGrid();
+                    this.convertWorldCoordinates();
+                    this.updateLevelUI();
                     this.updateGridSize(true);
                     this.resetView();
                     this.render();
+                    this.scheduleAutoSave();
                     resolve();
                 };
                 img.onerror = (err) => {
@@ -608,9 +1014,13 @@ class FleetGraphWizard {
                     img.onload = () => {
                         console.log('PGM image loaded:', img.width, 'x', img.height);
                         this.mapImage = img;
+                        this.updateOccupancyGrid();
+                        this.convertWorldCoordinates();
+                        this.updateLevelUI();
                         this.updateGridSize(true);
                         this.resetView();
                         this.render();
+                        this.scheduleAutoSave();
                         resolve();
                     };
                     img.onerror = reject;
@@ -628,63 +1038,117 @@ class FleetGraphWizard {
         });
     }
 
+    /**
+     * Parse a PGM (portable graymap) image
+     * Supports ASCII (P2) and binary (P5) files with 8- or 16-bit samples
+     * (maxval up to 65535, big-endian) and comments anywhere in the header.
+     * @param {ArrayBuffer} arrayBuffer - Raw file content
+     * @returns {Object} { width, height, maxval, data } with data scaled to 0-255
+     */
     parsePGM(arrayBuffer) {
         const bytes = new Uint8Array(arrayBuffer);
         let offset = 0;
 
-        // Read header as text
-        let header = '';
-        while (offset < bytes.length && header.indexOf('\n') === -1) {
-            header += String.fromCharCode(bytes[offset++]);
-        }
-
-        // Check magic number (P5 for binary PGM)
-        if (!header.startsWith('P5')) {
-            throw new Error('Not a valid binary PGM file (expected P5)');
-        }
-
-        // Read the rest of the header
-        let headerText = header;
-        let headerComplete = false;
-        let lines = [];
+        const isWhitespace = (b) => b === 32 || (b >= 9 && b <= 13); // space, \t, \n, \v, \f, \r
 
-        while (!headerComplete && offset < bytes.length) {
-            let line = '';
-            while (offset < bytes.length && bytes[offset] !== 10) { // 10 = newline
-                line += String.fromCharCode(bytes[offset++]);
+        // Skip whitespace and '#' comments (which run to the end of the line)
+        const skipWhitespaceAndComments = () => {
+            while (offset < bytes.length) {
+                if (bytes[offset] === 35) { // '#'
+                    while (offset < bytes.length && bytes[offset] !== 10 && bytes[offset] !== 13) {
+                        offset++;
+                    }
+                } else if (isWhitespace(bytes[offset])) {
+                    offset++;
+                } else {
+                    break;
+                }
             }
-            offset++; // skip newline
+        };
 
-            // Skip comments
-            if (line.trim().startsWith('#')) {
-                continue;
+        const readToken = (name) => {
+            skipWhitespaceAndComments();
+            let token = '';
+            while (offset < bytes.length && !isWhitespace(bytes[offset]) && bytes[offset] !== 35) {
+                token += String.fromCharCode(bytes[offset++]);
             }
-
-            lines.push(line.trim());
-
-            // We need: magic number (already read), width height, maxval
-            if (lines.length >= 2) {
-                headerComplete = true;
+            if (!token) {
+                throw new Error(`PGM header is truncated (missing ${name})`);
             }
-        }
+            return token;
+        };
 
-        // Parse dimensions
-        const dimensions = lines[0].split(/\s+/);
-        const width = parseInt(dimensions[0]);
-        const height = parseInt(dimensions[1]);
+        const readHeaderNumber = (name, min, max) => {
+            const token = readToken(name);
+            const value = /^\d+$/.test(token) ? parseInt(token, 10) : NaN;
+            if (isNaN(value) || value < min || value > max) {
+                throw new Error(`Invalid PGM ${name} "${token}" (expected ${min}-${max})`);
+            }
+            return value;
+        };
 
-        // Parse max value
-        const maxval = parseInt(lines[1]);
+        // Header: magic number, width, height, maxval
+        const magic = readToken('magic number');
+        if (magic !== 'P2' && magic !== 'P5') {
+            throw new Error(`Not a PGM file (expected P2 or P5, found "${magic.slice(0, 2)}")`);
+        }
 
-        console.log('PGM info:', { width, height, maxval });
+        const width = readHeaderNumber('width', 1, Number.MAX_SAFE_INTEGER);
+        const height = readHeaderNumber('height', 1, Number.MAX_SAFE_INTEGER);
+        const maxval = readHeaderNumber('maxval', 1, 65535);
 
-        // Read pixel data
         const pixelCount = width * height;
         const data = new Uint8Array(pixelCount);
 
-        for (let i = 0; i < pixelCount && offset < bytes.length; i++) {
-            // Normalize to 0-255 if maxval is different
-            data[i] = Math.round((bytes[offset++] / maxval) * 255);
+        // Normalize to 0-255 if maxval is different
+        const scale = (value) => (maxval === 255 ? value : Math.round((value / maxval) * 255));
+
+        if (magic === 'P5') {
+            // Exactly one whitespace character separates maxval from the raster
+            if (offset >= bytes.length || !isWhitespace(bytes[offset])) {
+                throw new Error('PGM pixel data is missing');
+            }
+            offset++;
+
+            const bytesPerSample = maxval > 255 ? 2 : 1;
+            const expected = pixelCount * bytesPerSample;
+            const available = bytes.length - offset;
+            if (available < expected) {
+                throw new Error(`PGM pixel data is truncated (expected ${expected} bytes, found ${available})`);
+            }
+
+            for (let i = 0; i < pixelCount; i++) {
+                let value;
+                if (bytesPerSample === 2) {
+                    value = (bytes[offset] << 8) | bytes[offset + 1]; // Big-endian
+                    offset += 2;
+                } else {
+                    value = bytes[offset++];
+                }
+                data[i] = scale(Math.min(value, maxval));
+            }
+        } else {
+            // P2: decimal samples separated by whitespace
+            for (let i = 0; i < pixelCount; i++) {
+                skipWhitespaceAndComments();
+                if (offset >= bytes.length) {
+                    throw new Error(`PGM pixel data is truncated (expected ${pixelCount} values, found ${i})`);
+                }
+
+                let value = 0;
+                const start = offset;
+                while (offset < bytes.length && bytes[offset] >= 48 && bytes[offset] <= 57) { // '0'-'9'
+                    value = value * 10 + (bytes[offset++] - 48);
+                }
+                if (offset === start) {
+                    throw new Error(`Invalid character in PGM pixel data at byte ${offset}`);
+                }
+                if (value > maxval) {
+                    throw new Error(`PGM pixel value ${value} exceeds maxval ${maxval}`);
+                }
+
+                data[i] = scale(value);
+            }
         }
 
         return { width, height, maxval, data };
@@ -695,1619 +1159,4450 @@ class FleetGraphWizard {
             const origin = this.mapYaml.origin || [0, 0, 0];
             const info = `Resolution: ${this.mapYaml.resolution}m/px | Origin: [${origin[0]}, ${origin[1]}, ${origin[2]}] | ` +
                         `Negate: ${this.mapYaml.negate || 0} | Free: ${this.mapYaml.free_thresh || 'N/A'} | ` +
-                        `Occupied: ${this.mapYaml.occupied_thresh || 'N/A'}`;
+                        `Occupied: ${this.mapYaml.occupied_thresh || 'N/A'} | ` +
+                        `Mode: ${this.mapYaml.mode || OccupancyGrid.DEFAULTS.mode}`;
             document.getElementById('mapInfoText').textContent = info;
+        } else {
+            document.getElementById('mapInfoText').textContent = 'No map loaded';
         }
     }
 
-    getCanvasPoint(clientX, clientY) {
-        const rect = this.canvas.getBoundingClientRect();
+    // === LEVELS ===
+
+    /**
+     * Create a level without a map
+     * @param {string} name - Level name
+     * @param {string} id - Level id (default: a new one); undo steps refer to levels by id
+     * @returns {Object} Level with its (stored) map state
+     */
+    createLevel(name, id = `level_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`) {
         return {
-            x: (clientX - rect.left - this.offset.x) / this.scale,
-            y: (clientY - rect.top - this.offset.y) / this.scale
+            id: id,
+            name: name,
+            mapImage: null,
+            mapYaml: null,
+            occupancyGrid: null,
+            occupancyImage: null,
+            autoRouter: null
         };
     }
 
-    getWorldCoordinates(canvasX, canvasY) {
-        if (!this.mapYaml) return { x: canvasX, y: canvasY };
-
-        const resolution = this.mapYaml.resolution;
-        const origin = this.mapYaml.origin || [0, 0, 0];
+    getLevel(name) {
+        return this.levels.find(level => level.name === name) || null;
+    }
 
+    /**
+     * Get the map of a level
+     * The current level's map is held in this.mapImage, this.mapYaml, ...;
+     * other levels keep theirs in the level object until they are shown.
+     * @param {string} name - Level name (default: current level)
+     * @returns {Object} { mapImage, mapYaml, occupancyGrid } (null when not loaded)
+     */
+    getLevelMap(name = this.currentLevel) {
+        const source = name === this.currentLevel ? this : this.getLevel(name);
         return {
-            x: canvasX * resolution + origin[0],
-            y: (this.mapImage.height - canvasY) * resolution + origin[1]
+            mapImage: source?.mapImage || null,
+            mapYaml: source?.mapYaml || null,
+            occupancyGrid: source?.occupancyGrid || null
         };
     }
 
-    handleMouseDown(e) {
-        const point = this.getCanvasPoint(e.clientX, e.clientY);
-
-        // Ignore right-click - it's handled by handleContextMenu
-        if (e.button === 2) {
-            return;
-        }
+    isOnCurrentLevel(node) {
+        return node.level === this.currentLevel;
+    }
 
-        // Allow panning even if tools are disabled (if map is loaded)
-        if (e.button === 1 || (e.button === 0 && e.ctrlKey)) {
-            if (this.mapImage) {
-                this.isDragging = true;
-                this.dragStart = { x: e.clientX - this.offset.x, y: e.clientY - this.offset.y };
-                this.canvas.style.cursor = 'grabbing';
-            }
-            return;
-        }
+    /**
+     * Find a node by id; a map lookup while withNodeIndex runs, a search otherwise
+     * @param {string} id - Node id
+     * @returns {Object|undefined} Node
+     */
+    getNode(id) {
+        return this.nodeIndex ? this.nodeIndex.get(id) : this.nodes.find(n => n.id === id);
+    }
 
-        // Check if tools are disabled
-        if (!this.mapImage) {
-            this.updateStatus('Please load a map first (YAML + PGM files)');
-            return;
+    /**
+     * Run a function with an id → node index, so that looking up the end nodes
+     * of all paths is O(N + P) instead of O(N · P)
+     * The nodes must not be added, removed or renamed while it runs.
+     * @param {Function} fn - Function to run
+     * @returns {*} Result of fn
+     */
+    withNodeIndex(fn) {
+        if (this.nodeIndex) return fn();
+
+        this.nodeIndex = new Map();
+        this.nodes.forEach(node => {
+            if (!this.nodeIndex.has(node.id)) this.nodeIndex.set(node.id, node);
+        });
+        try {
+            return fn();
+        } finally {
+            this.nodeIndex = null;
         }
+    }
 
-        // Check if clicking on a node in select mode - enable dragging or multi-select
-        if (this.currentTool === 'select') {
-            const clickedNode = this.findNodeAt(point);
+    /**
+     * Get the level a path is drawn on
+     * @param {Object} path - Path
+     * @returns {string|null} Level of both end nodes, or null for a path between levels or with a missing node
+     */
+    getPathLevel(path) {
+        const fromNode = this.getNode(path.from);
+        const toNode = this.getNode(path.to);
+        if (!fromNode || !toNode || fromNode.level !== toNode.level) return null;
+        return fromNode.level;
+    }
 
-            if (clickedNode) {
-                // Shift+click for multi-select
-                if (e.shiftKey) {
-                    const index = this.selectedNodes.findIndex(n => n.id === clickedNode.id);
-                    if (index > -1) {
-                        // Remove from selection
-                        this.selectedNodes.splice(index, 1);
-                    } else {
-                        // Add to selection
-                        this.selectedNodes.push(clickedNode);
-                    }
-                    this.updateSelectionCount();
-                    this.render();
-                    return;
-                } else {
-                    // Regular click - start dragging
-                    this.isDraggingNode = true;
-                    this.draggedNode = clickedNode;
-                    this.canvas.style.cursor = 'move';
+    isCrossLevelPath(path) {
+        const fromNode = this.getNode(path.from);
+        const toNode = this.getNode(path.to);
+        return Boolean(fromNode && toNode && fromNode.level !== toNode.level);
+    }
 
-                    // If clicked node is not in selection, make it the only selected node
-                    if (!this.selectedNodes.some(n => n.id === clickedNode.id)) {
-                        this.selectedNodes = [clickedNode];
-                    }
-                    return;
-                }
-            } else {
-                // Clicking on empty space - only start selection box if Shift is held
-                if (e.shiftKey) {
-                    this.isSelecting = true;
-                    this.selectionStart = point;
-                    this.selectionBox = null;
-                    // Don't clear previous selection when shift is held
-                } else {
-                    // Clear selection when clicking empty space without Shift
-                    this.selectedNodes = [];
-                    this.render();
-                }
-            }
-        }
+    getLevelNodes() {
+        return this.nodes.filter(node => this.isOnCurrentLevel(node));
+    }
 
-        switch (this.currentTool) {
-            case 'node':
-                this.addNode(point);
-                break;
-            case 'path':
-                this.handlePathDrawing(point);
-                break;
-            case 'select':
-                this.handleSelection(point, e.shiftKey);
-                break;
-            case 'delete':
-                this.handleDeletion(point);
-                break;
-            case 'measure':
-                this.handleMeasurement(point);
-                break;
-        }
+    getLevelZones() {
+        return this.zones.filter(zone => zone.level === this.currentLevel);
     }
 
-    handleMouseMove(e) {
-        const point = this.getCanvasPoint(e.clientX, e.clientY);
-        const worldCoords = this.getWorldCoordinates(point.x, point.y);
+    getLevelPaths() {
+        return this.withNodeIndex(() => this.paths.filter(path => this.getPathLevel(path) === this.currentLevel));
+    }
 
-        document.getElementById('coordsText').textContent =
-            `Canvas: (${point.x.toFixed(1)}, ${point.y.toFixed(1)}) | World: (${worldCoords.x.toFixed(3)}, ${worldCoords.y.toFixed(3)})`;
+    /**
+     * Show another level: its map, nodes and paths
+     * A path being drawn is kept, so that it can end on the new level (lift connector).
+     * @param {string} name - Level name
+     */
+    switchLevel(name) {
+        const level = this.getLevel(name);
+        if (!level || name === this.currentLevel) return;
+
+        const fields = ['mapImage', 'mapYaml', 'occupancyGrid', 'occupancyImage', 'autoRouter'];
+        const current = this.getLevel(this.currentLevel);
+        fields.forEach(field => {
+            current[field] = this[field];
+            this[field] = level[field];
+        });
+        this.currentLevel = name;
 
-        // Handle view panning
-        if (this.isDragging) {
-            this.offset.x = e.clientX - this.dragStart.x;
-            this.offset.y = e.clientY - this.dragStart.y;
-            this.render();
-            return;
+        if (this.mapImage && !this.occupancyGrid) {
+            this.updateOccupancyGrid();
         }
 
-        // Handle node dragging
-        if (this.isDraggingNode && this.draggedNode) {
-            const snappedPoint = this.snapPointToGrid(point);
-            this.draggedNode.x = snappedPoint.x;
-            this.draggedNode.y = snappedPoint.y;
-            this.render();
-            return;
-        }
+        // Selection, hover and measurement belong to the previous level
+        this.selectedNode = null;
+        this.selectedNodes = [];
+        this.selectedPath = null;
+        this.selectedPaths = [];
+        this.hoveredNode = null;
+        this.hoveredPath = null;
+        this.tooltipVisible = false;
+        this.measureStart = null;
+        this.measureEnd = null;
+        this.tempPathEnd = null;
+        this.updateSelectionCount();
 
-        // Handle selection box dragging
-        if (this.isSelecting && this.selectionStart) {
-            this.selectionBox = {
-                x: Math.min(this.selectionStart.x, point.x),
-                y: Math.min(this.selectionStart.y, point.y),
-                width: Math.abs(point.x - this.selectionStart.x),
-                height: Math.abs(point.y - this.selectionStart.y)
-            };
-            this.render();
-            return;
+        this.updateLevelUI();
+        this.updateMapInfo();
+        this.updateGridSize();
+
+        if (this.mapImage) {
+            this.enableTools();
+            this.resetView();
+            this.updateStatus(this.pathStart
+                ? `Level ${name}: click a node to connect ${this.pathStart.name} by lift`
+                : `Level ${name}`);
+        } else {
+            this.disableTools();
+            this.updateStatus(`Level ${name} has no map yet - load its YAML + image`);
         }
+        this.render();
+    }
 
-        // Handle temporary path preview
-        if (this.currentTool === 'path' && this.pathStart) {
-            this.tempPathEnd = point;
-            this.render();
-            return;
+    addLevel() {
+        let suggestion = `L${this.levels.length + 1}`;
+        for (let i = this.levels.length + 2; this.getLevel(suggestion); i++) {
+            suggestion = `L${i}`;
         }
 
-        // Handle temporary measurement preview
-        if (this.currentTool === 'measure' && this.measureStart) {
-            this.measureEnd = point;
-            this.render();
+        const name = prompt('Name of the new level:', suggestion)?.trim();
+        if (!name) return;
+        if (this.getLevel(name)) {
+            this.showToast(`Level "${name}" already exists`);
             return;
         }
 
-        // Update hover state for nodes and paths
-        const previousHoveredNode = this.hoveredNode;
-        const previousHoveredPath = this.hoveredPath;
+        const previous = this.currentLevel;
+        const level = this.createLevel(name);
+        this.levels.push(level);
+        this.switchLevel(name);
+        this.recordEdit('Add level', [
+            this.createLevelCommand('add', level),
+            this.showLevelCommand(previous, name)
+        ]);
+        this.showToast(`Level ${name} added - load its map`);
+    }
 
-        this.hoveredNode = this.findNodeAt(point);
-        this.hoveredPath = this.hoveredNode ? null : this.findPathAt(point);
+    renameLevel() {
+        const oldName = this.currentLevel;
+        const name = prompt(`Rename level "${oldName}" to:`, oldName)?.trim();
+        if (!name || name === oldName) return;
+        if (this.getLevel(name)) {
+            this.showToast(`Level "${name}" already exists`);
+            return;
+        }
 
-        // Show tooltip after a brief hover
-        if (this.hoveredNode && this.hoveredNode !== previousHoveredNode) {
-            clearTimeout(this.hoverTimeout);
-            this.hoverTimeout = setTimeout(() => {
-                this.tooltipVisible = true;
-                this.render();
-            }, 500);
-        } else if (!this.hoveredNode) {
-            clearTimeout(this.hoverTimeout);
-            this.tooltipVisible = false;
+        const level = this.getLevel(oldName);
+        const nodes = this.nodes.filter(node => node.level === oldName);
+        const zones = this.zones.filter(zone => zone.level === oldName);
+        const before = [...nodes, ...zones].map(item => CommandHistory.capture(item, ['level']));
+        level.name = name;
+        this.currentLevel = name;
+        [...nodes, ...zones].forEach(item => {
+            item.level = name;
+        });
+        this.recordEdit('Rename level', [
+            { type: 'level', action: 'rename', id: level.id, before: oldName, after: name },
+            ...nodes.map((node, i) => CommandHistory.update(this, 'nodes', node, before[i])),
+            ...zones.map((zone, i) => CommandHistory.update(this, 'zones', zone, before[nodes.length + i]))
+        ]);
+
+        this.updateLevelUI();
+        this.updateStatus(`Level ${oldName} renamed to ${name}`);
+    }
+
+    /**
+     * Remove the current level; only levels without nodes and zones can be removed
+     */
+    removeLevel() {
+        const name = this.currentLevel;
+        if (this.levels.length === 1) {
+            this.showToast('The only level cannot be removed');
+            return;
         }
 
-        // Update cursor and render if hover state changed
-        if (this.hoveredNode !== previousHoveredNode || this.hoveredPath !== previousHoveredPath) {
-            this.render();
+        const count = this.getLevelNodes().length;
+        if (count > 0) {
+            this.showToast(`Level ${name} still has ${count} node(s)`);
+            return;
+        }
+        const zoneCount = this.getLevelZones().length;
+        if (zoneCount > 0) {
+            this.showToast(`Level ${name} still has ${zoneCount} zone(s)`);
+            return;
         }
+        if (this.mapImage && !confirm(`Remove level "${name}" and its map?`)) return;
+
+        // The command keeps the map YAML; the level itself, image included, waits in removedLevels
+        const level = this.getLevel(name);
+        const command = this.createLevelCommand('remove', level);
+        const next = this.levels.find(other => other !== level).name;
+        this.switchLevel(next);
+        this.takeOutLevel(level.id);
+        this.recordEdit('Remove level', [this.showLevelCommand(name, next), command]);
+        this.updateLevelUI();
+        this.showToast(`Level ${name} removed`);
+    }
 
-        // Show cursor feedback when hovering over nodes in select mode
-        if (this.currentTool === 'select') {
-            if (this.hoveredNode) {
-                this.canvas.style.cursor = 'move';
-            } else {
-                this.canvas.style.cursor = 'crosshair';
+    /**
+     * Command for a level that was just added or is about to be removed
+     * @param {string} action - 'add' or 'remove'
+     * @param {Object} level - Level, in this.levels
+     * @returns {Object} Level command (see applyLevelCommand)
+     */
+    createLevelCommand(action, level) {
+        return {
+            type: 'level',
+            action: action,
+            id: level.id,
+            name: level.name,
+            index: this.levels.indexOf(level),
+            mapYaml: CommandHistory.clone(this.getLevelMap(level.name).mapYaml)
+        };
+    }
+
+    /**
+     * Command for showing another level
+     * @param {string} before - Level shown before
+     * @param {string} after - Level shown now
+     * @returns {Object|null} Level command, null if the level did not change
+     */
+    showLevelCommand(before, after) {
+        return before === after ? null : { type: 'level', action: 'show', before: before, after: after };
+    }
+
+    /**
+     * Apply a level command of the undo history, or revert it (called by CommandHistory.apply)
+     *
+     *   { type: 'level', action: 'add' | 'remove', id, name, index, mapYaml }
+     *   { type: 'level', action: 'rename', id, before, after }
+     *   { type: 'level', action: 'show', before, after }   // current level
+     *   { type: 'level', action: 'map', id, before, after }  // { mapYaml, imageId } (see captureLevelMap)
+     *
+     * @param {Object} command - Level command
+     * @param {boolean} forward - True to apply, false to revert
+     */
+    applyLevelCommand(command, forward) {
+        switch (command.action) {
+            case 'add':
+            case 'remove':
+                if ((command.action === 'add') === forward) {
+                    this.putBackLevel(command);
+                } else {
+                    this.takeOutLevel(command.id);
+                }
+                break;
+            case 'rename': {
+                const level = this.levels.find(other => other.id === command.id);
+                if (!level) break;
+                const name = forward ? command.after : command.before;
+                if (this.currentLevel === level.name) this.currentLevel = name;
+                level.name = name;
+                break;
+            }
+            case 'show':
+                this.switchLevel(forward ? command.after : command.before);
+                break;
+            case 'map': {
+                const level = this.levels.find(other => other.id === command.id) || this.removedLevels.get(command.id);
+                if (level) this.setLevelMap(level, forward ? command.after : command.before);
+                break;
             }
         }
     }
 
-    handleMouseUp(e) {
-        if (this.isDragging) {
-            this.isDragging = false;
-            this.canvas.style.cursor = 'crosshair';
+    /**
+     * Copy a level's map for a map command
+     * @param {Object} level - Level
+     * @returns {Object} { mapYaml, imageId }
+     */
+    captureLevelMap(level) {
+        const { mapYaml, mapImage } = level.name === this.currentLevel && this.levels.includes(level) ? this : level;
+        return { mapYaml: CommandHistory.clone(mapYaml), imageId: this.getMapImageId(mapImage) };
+    }
+
+    /**
+     * Command for a level's map that was replaced (map load or import)
+     * @param {Object} level - Level
+     * @param {Object} before - Map from captureLevelMap() before the change
+     * @returns {Object|null} Level command, null if the map is unchanged
+     */
+    createMapCommand(level, before) {
+        const after = this.captureLevelMap(level);
+        if (CommandHistory.equal(before, after)) return null;
+        return { type: 'level', action: 'map', id: level.id, before: before, after: after };
+    }
+
+    /**
+     * Give a level a map of a map command
+     * An image that is no longer at hand (older sessions) is left out.
+     * @param {Object} level - Level
+     * @param {Object} map - { mapYaml, imageId }
+     */
+    setLevelMap(level, map) {
+        const values = {
+            mapImage: this.mapImages.get(map.imageId) || null,
+            mapYaml: CommandHistory.clone(map.mapYaml)
+        };
+        if (level.name !== this.currentLevel || !this.levels.includes(level)) {
+            // The occupancy grid is recomputed when the level is shown
+            Object.assign(level, values, { occupancyGrid: null, occupancyImage: null, autoRouter: null });
+            return;
         }
 
-        if (this.isDraggingNode) {
-            this.isDraggingNode = false;
-            if (this.draggedNode) {
-                this.updateStatus(`Node "${this.draggedNode.name}" moved to new position`);
-            }
-            this.draggedNode = null;
-            this.canvas.style.cursor = 'crosshair';
+        Object.assign(this, values);
+        this.updateOccupancyGrid();
+        this.updateMapInfo();
+        this.updateGridSize();
+        if (this.mapImage) {
+            this.enableTools();
+            this.resetView();
+        } else {
+            this.disableTools();
         }
+    }
 
-        // Complete selection box
-        if (this.isSelecting && this.selectionBox) {
-            // Find all nodes within the selection box
-            const nodesInBox = this.nodes.filter(node => {
-                return node.x >= this.selectionBox.x &&
-                       node.x <= this.selectionBox.x + this.selectionBox.width &&
-                       node.y >= this.selectionBox.y &&
-                       node.y <= this.selectionBox.y + this.selectionBox.height;
-            });
+    /**
+     * Remove a level, keeping it with its map in removedLevels
+     * The current level is switched away from first; the only level stays.
+     * @param {string} id - Level id
+     */
+    takeOutLevel(id) {
+        const level = this.levels.find(other => other.id === id);
+        if (!level || this.levels.length === 1) return;
 
-            // Add to existing selection (since selection box only activates with Shift)
-            nodesInBox.forEach(node => {
-                if (!this.selectedNodes.some(n => n.id === node.id)) {
-                    this.selectedNodes.push(node);
-                }
-            });
-            this.updateSelectionCount();
+        if (level.name === this.currentLevel) {
+            this.switchLevel(this.levels.find(other => other !== level).name);
+        }
+        this.levels = this.levels.filter(other => other !== level);
+        this.removedLevels.set(id, level);
+    }
 
-            if (this.selectedNodes.length > 0) {
-                this.updateStatus(`Selected ${this.selectedNodes.length} node(s)`);
+    /**
+     * Insert a level of an add/remove command again, with the map it had
+     * Without the removed level (e.g. after restoring a session that did not
+     * keep it) only its map YAML comes back.
+     * @param {Object} command - 'add' or 'remove' level command
+     */
+    putBackLevel(command) {
+        if (this.levels.some(level => level.id === command.id)) return;
+
+        const level = this.removedLevels.get(command.id) || this.createLevel(command.name, command.id);
+        if (!this.removedLevels.has(command.id)) {
+            level.mapYaml = CommandHistory.clone(command.mapYaml);
+        }
+        this.removedLevels.delete(command.id);
+        level.name = command.name;
+        this.levels.splice(Math.max(0, Math.min(command.index, this.levels.length)), 0, level);
+    }
+
+    /**
+     * Add missing levels (e.g. levels of imported nodes), in the given order
+     * @param {string[]} names - Level names
+     * @returns {Object[]} Added levels
+     */
+    ensureLevels(names) {
+        const added = [];
+        names.forEach(name => {
+            if (name && !this.getLevel(name)) {
+                const level = this.createLevel(name);
+                this.levels.push(level);
+                added.push(level);
             }
+        });
+        this.updateLevelUI();
+        return added;
+    }
 
-            this.isSelecting = false;
-            this.selectionBox = null;
-            this.selectionStart = null;
-            this.render();
+    /**
+     * Set the map metadata of a level (e.g. from an imported graph)
+     * @param {string} name - Level name
+     * @param {Object|null} mapYaml - Map YAML; ignored if empty
+     */
+    setLevelMapYaml(name, mapYaml) {
+        if (!mapYaml) return;
+
+        if (name === this.currentLevel) {
+            this.mapYaml = mapYaml;
+            this.updateMapInfo();
+            this.updateOccupancyGrid();
+        } else {
+            // The occupancy grid is recomputed when the level is shown
+            Object.assign(this.getLevel(name), { mapYaml: mapYaml, occupancyGrid: null, occupancyImage: null, autoRouter: null });
         }
     }
 
-    handleDoubleClick(e) {
-        if (!this.mapImage) return;
+    updateLevelUI() {
+        const select = document.getElementById('levelSelect');
+        if (!select) return;
 
-        const point = this.getCanvasPoint(e.clientX, e.clientY);
+        select.innerHTML = '';
+        this.levels.forEach(level => {
+            const label = this.getLevelMap(level.name).mapImage ? level.name : `${level.name} (no map)`;
+            select.appendChild(new Option(label, level.name));
+        });
+        select.value = this.currentLevel;
+    }
 
-        // Check for node double-click
-        const clickedNode = this.findNodeAt(point);
-        if (clickedNode) {
-            this.showPropertiesPanel('node', clickedNode);
-            return;
-        }
+    /**
+     * Copy the items still in world coordinates, before a map load converts them
+     * @returns {Object[]} { collection, item, before } for worldItemCommands()
+     */
+    captureWorldItems() {
+        const fields = { nodes: ['x', 'y', 'metadata'], paths: ['waypoints', 'segments', 'metadata'], zones: ['points', 'metadata'] };
+        return Object.keys(fields).flatMap(collection => this[collection]
+            .filter(item => item.metadata?.coordinateType === 'world')
+            .map(item => ({ collection: collection, item: item, before: CommandHistory.capture(item, fields[collection]) })));
+    }
 
-        // Check for path double-click
-        const clickedPath = this.findPathAt(point);
-        if (clickedPath) {
-            this.showPropertiesPanel('path', clickedPath);
-            return;
+    /**
+     * @param {Object[]} captured - From captureWorldItems()
+     * @returns {Array<Object|null>} Commands for the items that were converted
+     */
+    worldItemCommands(captured) {
+        return captured.map(({ collection, item, before }) => CommandHistory.update(this, collection, item, before));
+    }
+
+    /**
+     * Convert imported nodes, path shapes and zones from world to canvas coordinates
+     * Parsers of world-coordinate formats mark them with metadata.coordinateType
+     * 'world'. They are converted with the map of their level once it is loaded.
+     */
+    convertWorldCoordinates() {
+        const hasMap = level => {
+            const { mapYaml, mapImage } = this.getLevelMap(level);
+            return Boolean(mapYaml && mapImage);
+        };
+
+        this.nodes.forEach(node => {
+            if (node.metadata?.coordinateType !== 'world' || !hasMap(node.level)) return;
+
+            Object.assign(node, this.worldToCanvas(node.x, node.y, node.level));
+            delete node.metadata.coordinateType;
+        });
+
+        // Path shapes are drawn on the level of their start node
+        const nodeLevels = new Map(this.nodes.map(node => [node.id, node.level]));
+        this.paths.forEach(path => {
+            const level = nodeLevels.get(path.from);
+            if (path.metadata?.coordinateType !== 'world' || !hasMap(level)) return;
+
+            Object.assign(path, PathGeometry.mapPoints(path, (x, y) => this.worldToCanvas(x, y, level)));
+            delete path.metadata.coordinateType;
+        });
+
+        this.zones.forEach(zone => {
+            if (zone.metadata?.coordinateType !== 'world' || !hasMap(zone.level)) return;
+
+            zone.points = ZoneGeometry.mapPoints(zone, (x, y) => this.worldToCanvas(x, y, zone.level));
+            delete zone.metadata.coordinateType;
+        });
+    }
+
+    /**
+     * Set the connector type of a path
+     * Paths between levels always have a connector (lift unless given).
+     * @param {Object} path - Path
+     * @param {string|null} connector - 'lift', 'door', 'transfer' or null for none
+     */
+    setPathConnector(path, connector) {
+        if (this.connectorTypes[connector]) {
+            path.connector = connector;
+        } else if (this.isCrossLevelPath(path)) {
+            path.connector = this.connectorTypes[path.connector] ? path.connector : 'lift';
+        } else {
+            delete path.connector;
         }
     }
 
-    handleContextMenu(e) {
-        e.preventDefault();
+    getConnectorOptions(selected) {
+        const options = Object.entries(this.connectorTypes).map(([type, info]) =>
+            `<option value="${type}" ${selected === type ? 'selected' : ''}>${info.icon} ${info.label}</option>`);
+        return [`<option value="" ${selected ? '' : 'selected'}>None</option>`, ...options].join('');
+    }
+
+    /**
+     * Connector markers on the current level: one label per path to another
+     * level, placed next to the path's node on this level
+     * @returns {Object[]} { path, node, label, x, y, width } (label box from x, centered on y)
+     */
+    getLevelConnectorMarkers() {
+        const markers = [];
+        const perNode = new Map();
+
+        this.ctx.save();
+        this.ctx.font = 'bold 11px Arial';
+
+        this.withNodeIndex(() => this.paths.forEach(path => {
+            if (!this.isCrossLevelPath(path)) return;
+
+            const fromNode = this.getNode(path.from);
+            const toNode = this.getNode(path.to);
+            const [node, other] = this.isOnCurrentLevel(fromNode) ? [fromNode, toNode]
+                : this.isOnCurrentLevel(toNode) ? [toNode, fromNode] : [null, null];
+            if (!node) return;
+
+            // Stack markers of several connectors at one node
+            const index = perNode.get(node.id) || 0;
+            perNode.set(node.id, index + 1);
+
+            const type = this.connectorTypes[path.connector] || this.connectorTypes.lift;
+            const direction = path.bidirectional ? '' : (node === fromNode ? '→ ' : '← ');
+            const label = `${type.icon} ${direction}${other.level}`;
+
+            markers.push({
+                path: path,
+                node: node,
+                label: label,
+                x: node.x + 12,
+                y: node.y - 16 - index * 16,
+                width: this.ctx.measureText(label).width + 8
+            });
+        }));
+
+        this.ctx.restore();
+        return markers;
+    }
+
+    drawLevelConnectors(ctx) {
+        ctx.save();
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        this.getLevelConnectorMarkers().forEach(marker => {
+            const { path } = marker;
+            const isSelected = this.selectedPath?.id === path.id || this.selectedPaths.some(p => p.id === path.id);
+            const isHovered = this.hoveredPath?.id === path.id;
+
+            // Leader line to the node
+            ctx.strokeStyle = 'rgba(156, 39, 176, 0.9)';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(marker.node.x, marker.node.y);
+            ctx.lineTo(marker.x, marker.y);
+            ctx.stroke();
+
+            ctx.fillStyle = isSelected ? 'rgba(255, 255, 0, 0.9)' : 'rgba(156, 39, 176, 0.9)';
+            ctx.fillRect(marker.x, marker.y - 7, marker.width, 14);
+            if (isHovered) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(marker.x, marker.y - 7, marker.width, 14);
+            }
+
+            ctx.fillStyle = isSelected ? '#000000' : '#ffffff';
+            ctx.fillText(marker.label, marker.x + 4, marker.y);
+        });
+
+        ctx.restore();
+    }
+
+    // === OCCUPANCY RENDERING ===
+
+    /**
+     * Recompute the occupancy grid of the loaded map from its pixels and the YAML thresholds
+     */
+    updateOccupancyGrid() {
+        this.occupancyGrid = null;
+        this.occupancyImage = null;
+        this.autoRouter = null;
         if (!this.mapImage) return;
 
-        const point = this.getCanvasPoint(e.clientX, e.clientY);
-        const clickedNode = this.findNodeAt(point);
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = this.mapImage.width;
+            canvas.height = this.mapImage.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(this.mapImage, 0, 0);
 
-        this.showContextMenu(e.clientX, e.clientY, point, clickedNode);
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            this.occupancyGrid = OccupancyGrid.fromImageData(imageData, this.mapYaml);
+            this.renderOccupancyImage();
+        } catch (error) {
+            console.error('Error computing occupancy grid:', error);
+            this.updateStatus('Could not compute occupancy: ' + error.message);
+        }
     }
 
-    showContextMenu(screenX, screenY, canvasPoint, node) {
-        // Remove any existing context menu
-        const existing = document.querySelector('.context-menu');
-        if (existing) existing.remove();
+    /**
+     * Redraw the occupancy image with the current colors
+     */
+    renderOccupancyImage() {
+        if (!this.occupancyGrid) return;
 
-        const menu = document.createElement('div');
-        menu.className = 'context-menu';
-        menu.style.left = screenX + 'px';
-        menu.style.top = screenY + 'px';
+        const canvas = document.createElement('canvas');
+        canvas.width = this.occupancyGrid.width;
+        canvas.height = this.occupancyGrid.height;
+        const ctx = canvas.getContext('2d');
 
-        if (node) {
-            menu.innerHTML = `
-                <div class="context-menu-item" onclick="app.duplicateNode('${node.id}')">Duplicate Node</div>
-                <div class="context-menu-item" onclick="app.deleteNode('${node.id}')">Delete Node</div>
-                <div class="context-menu-separator"></div>
-                <div class="context-menu-item" onclick="app.copyNode('${node.id}')">Copy</div>
-            `;
-        } else {
-            const gridLabel = this.mapYaml && this.mapYaml.resolution
-                ? `Toggle Grid - ${this.gridSizeMeters}m (G)`
-                : 'Toggle Grid (G)';
-            const snapLabel = `Snap to Grid: ${this.snapToGrid ? 'ON' : 'OFF'} (S)`;
+        const imageData = ctx.createImageData(canvas.width, canvas.height);
+        this.occupancyGrid.renderTo(imageData, this.occupancyColors);
+        ctx.putImageData(imageData, 0, 0);
 
-            menu.innerHTML = `
-                <div class="context-menu-item" onclick="app.pasteNode(${canvasPoint.x}, ${canvasPoint.y})">Paste</div>
-                <div class="context-menu-separator"></div>
-                <div class="context-menu-item" onclick="app.toggleGrid()">${gridLabel}</div>
-                <div class="context-menu-item" onclick="app.toggleSnapToGrid()">${snapLabel}</div>
-            `;
+        this.occupancyImage = canvas;
+    }
+
+    /**
+     * Get the image to draw for the map in the current render mode
+     * @returns {CanvasImageSource} Map image or occupancy rendering
+     */
+    getMapDisplayImage() {
+        if (this.mapRenderMode === 'occupancy' && this.occupancyImage) {
+            return this.occupancyImage;
         }
+        return this.mapImage;
+    }
 
-        document.body.appendChild(menu);
+    setMapRenderMode(mode) {
+        this.mapRenderMode = mode;
+        document.getElementById('occupancyColorsSection').style.display = mode === 'occupancy' ? 'block' : 'none';
+        this.render();
+    }
 
-        // Close menu on click outside
-        const closeMenu = (e) => {
-            if (!menu.contains(e.target)) {
-                menu.remove();
-                document.removeEventListener('click', closeMenu);
-            }
-        };
-        setTimeout(() => document.addEventListener('click', closeMenu), 10);
+    setOccupancyColor(state, color) {
+        this.occupancyColors[state] = color;
+        this.renderOccupancyImage();
+        this.render();
     }
 
-    handleKeyDown(e) {
-        // Check if user is typing in an input field or textarea
-        const isInputField = e.target.tagName === 'INPUT' ||
-                            e.target.tagName === 'TEXTAREA' ||
-                            e.target.isContentEditable;
+    // === AUTO-ROUTING ===
 
-        // ESC key - Cancel operations and close modals
-        if (e.key === 'Escape') {
-            e.preventDefault();
-            this.handleEscapeKey();
-            return;
+    toggleAutoRoute() {
+        this.autoRoute = !this.autoRoute;
+
+        const toggle = document.getElementById('autoRouteToggle');
+        if (toggle) toggle.checked = this.autoRoute;
+
+        if (this.autoRoute && !this.occupancyGrid) {
+            this.showToast('Auto-route: ON (load a map to route around obstacles)');
+        } else {
+            this.showToast(this.autoRoute
+                ? `Auto-route: ON (robot radius ${this.robotRadius}m)`
+                : 'Auto-route: OFF');
         }
+    }
 
-        // Undo/Redo
-        if (e.ctrlKey && e.key === 'z' && !e.shiftKey) {
-            e.preventDefault();
-            this.undo();
-        } else if (e.ctrlKey && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) {
-            e.preventDefault();
-            this.redo();
-        }
-        // Copy/Paste
-        else if (e.ctrlKey && e.key === 'c') {
-            // Allow copy in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.copySelected();
-        } else if (e.ctrlKey && e.key === 'v') {
-            // Allow paste in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.pasteNode();
-        }
-        // Delete
-        else if (e.key === 'Delete' || e.key === 'Backspace') {
-            // Allow delete/backspace in input fields for text editing
-            if (isInputField) return;
-            e.preventDefault();
-            this.deleteSelected();
-        }
-        // Select All
-        else if (e.ctrlKey && e.key === 'a') {
-            // Allow select all in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.selectAll();
-        }
-        // Grid toggle
-        else if (e.key === 'g' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            this.toggleGrid();
-        }
-        // Snap to grid toggle
-        else if (e.key === 's' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            this.toggleSnapToGrid();
-        }
-        // Alignment shortcuts
-        else if (e.key === 'h' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.alignNodesHorizontal();
-        }
-        else if (e.key === 'v' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.alignNodesVertical();
-        }
-        // Bulk edit
-        else if (e.key === 'b' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.showBulkEditModal();
-        }
-        // Validate
-        else if (e.key === 't' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.validateGraph();
-        }
-        // Tools
-        else if (e.key === 'n' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.setTool('node');
-        }
-        else if (e.key === 'p' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.setTool('path');
-        }
-        else if (e.key === 'e' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.setTool('select');
-        }
-        else if (e.key === 'd' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.setTool('delete');
-        }
-        else if (e.key === 'm' && !e.ctrlKey) {
-            // Don't trigger shortcuts when typing in input fields
-            if (isInputField) return;
-            e.preventDefault();
-            this.setTool('measure');
-        }
-        // Search focus
-        else if (e.key === 'f' && e.ctrlKey) {
-            e.preventDefault();
-            document.getElementById('searchInput').focus();
-        }
-        // Toggle quick shortcuts
-        else if (e.key === 'k' && !e.ctrlKey) {
-            e.preventDefault();
-            this.toggleQuickShortcuts();
-        }
-        // Help
-        else if (e.key === '?' || e.key === 'F1') {
-            e.preventDefault();
-            this.showHelpModal();
-        }
+    /**
+     * Route a path between two nodes through free space on the occupancy grid
+     * The robot footprint (robotRadius) is kept clear of occupied and unknown cells.
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @returns {Object[]|null} Intermediate waypoints in canvas coordinates, or null if no route exists
+     */
+    routePath(fromNode, toNode) {
+        if (!this.autoRouter) {
+            this.autoRouter = new AutoRouter(this.occupancyGrid);
+        }
+
+        const resolution = this.mapYaml?.resolution;
+        const radius = resolution ? this.robotRadius / resolution : 0;
+        return this.autoRouter.route(fromNode, toNode, radius);
     }
 
-    toggleQuickShortcuts() {
-        this.quickShortcutsVisible = !this.quickShortcutsVisible;
-        const overlay = document.getElementById('quickShortcuts');
-        overlay.style.display = this.quickShortcutsVisible ? 'block' : 'none';
-        if (this.quickShortcutsVisible) {
-            this.showToast('Press K to toggle shortcuts overlay');
-        }
-    }
+    // === PATH GEOMETRY ===
 
-    setTool(tool) {
-        this.currentTool = tool;
+    /**
+     * Get the points a path runs through: start node, waypoints, end node
+     * @param {Object} path - Path
+     * @returns {Object[]|null} Points (the first and last are the nodes), or null if a node is
+     *     missing or the path connects two levels (its nodes are on different maps)
+     */
+    getPathPoints(path) {
+        const fromNode = this.getNode(path.from);
+        const toNode = this.getNode(path.to);
+        if (!fromNode || !toNode || fromNode.level !== toNode.level) return null;
 
-        // Update button states
-        document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
-        const btn = document.querySelector(`[data-tool="${tool}"]`);
-        if (btn) {
-            btn.classList.add('active');
-        }
+        return PathGeometry.flatten(path, fromNode, toNode);
+    }
 
-        // Update status bar with tool name and shortcut
-        const toolInfo = {
-            'node': { name: 'Node', key: 'N', icon: '⬤' },
-            'path': { name: 'Path', key: 'P', icon: '⟶' },
-            'select': { name: 'Select', key: 'E', icon: '⊕' },
-            'delete': { name: 'Delete', key: 'D', icon: '✕' },
-            'measure': { name: 'Measure', key: 'M', icon: '📏' }
+    calculatePolylineDistance(points, level = this.currentLevel) {
+        const pixels = PathGeometry.polylineLength(points);
+        const { mapYaml } = this.getLevelMap(level);
+
+        return {
+            pixels: pixels,
+            meters: mapYaml && mapYaml.resolution ? pixels * mapYaml.resolution : null
         };
+    }
 
-        const info = toolInfo[tool] || { name: tool, key: '', icon: '🛠️' };
-        const toolText = document.getElementById('currentToolText');
-        if (toolText) {
-            toolText.textContent = `${info.icon} Tool: ${info.name}${info.key ? ' (' + info.key + ')' : ''}`;
-        }
+    /**
+     * Length of a path along its waypoints and curves, on the map of its level
+     * @param {Object} path - Path
+     * @returns {Object|null} { pixels, meters } (meters is null without map resolution)
+     */
+    calculatePathLength(path) {
+        const points = this.getPathPoints(path);
+        return points ? this.calculatePolylineDistance(points, this.getPathLevel(path)) : null;
     }
 
-    handleEscapeKey() {
-        // Close any open modals
-        const nodeModal = document.getElementById('nodeModal');
-        const pathModal = document.getElementById('pathModal');
-        const helpModal = document.getElementById('helpModal');
+    getPolylineMidpoint(points) {
+        return PathGeometry.pointAlong(points, PathGeometry.polylineLength(points) / 2);
+    }
 
-        if (helpModal.style.display === 'block') {
-            helpModal.style.display = 'none';
-            return;
-        }
+    // === PATH EDITING ===
 
-        if (nodeModal.style.display === 'block') {
-            nodeModal.style.display = 'none';
-            this.selectedNode = null;
-            this.showToast('Cancelled');
-            return;
-        }
-        if (pathModal.style.display === 'block') {
-            pathModal.style.display = 'none';
-            this.selectedPath = null;
-            this.showToast('Cancelled');
-            return;
-        }
+    /**
+     * Find an editing handle of the selected path (select tool only)
+     * @param {Object} point - Canvas point
+     * @returns {Object|null} { path, handle } or null
+     */
+    findPathHandleAt(point) {
+        const path = this.selectedPath;
+        if (this.currentTool !== 'select' || !path || !this.paths.includes(path)) return null;
 
-        // Close context menu
-        const contextMenu = document.querySelector('.context-menu');
-        if (contextMenu) {
-            contextMenu.remove();
-            return;
-        }
+        const fromNode = this.nodes.find(n => n.id === path.from);
+        const toNode = this.nodes.find(n => n.id === path.to);
+        if (!fromNode || !toNode) return null;
 
-        // Cancel path drawing
-        if (this.currentTool === 'path' && this.pathStart) {
-            this.pathStart = null;
-            this.tempPathEnd = null;
-            this.updateStatus('Path drawing cancelled');
-            this.showToast('Path drawing cancelled');
-            this.render();
-            return;
-        }
+        const radius = 8 / this.scale;
+        const handles = PathGeometry.getHandles(path, fromNode, toNode);
 
-        // Cancel measurement
-        if (this.currentTool === 'measure' && this.measureStart) {
-            this.measureStart = null;
-            this.measureEnd = null;
-            this.updateStatus('Measurement cancelled');
-            this.showToast('Measurement cancelled');
-            this.render();
-            return;
+        // Later handles (waypoints) are drawn on top, so they win
+        for (let i = handles.length - 1; i >= 0; i--) {
+            const handle = handles[i];
+            if (Math.hypot(handle.x - point.x, handle.y - point.y) <= radius) {
+                return { path, handle };
+            }
         }
+        return null;
+    }
 
-        // Clear selection
-        if (this.selectedNodes.length > 0 || this.selectedPaths.length > 0 || this.selectedPath) {
-            this.selectedNodes = [];
-            this.selectedPaths = [];
-            this.selectedPath = null;
-            this.updateStatus('Selection cleared');
+    /**
+     * Start dragging a path handle; dragging an insert handle adds a waypoint,
+     * Alt+click on a waypoint removes it
+     */
+    startHandleDrag({ path, handle }, removeWaypoint = false) {
+        if (handle.kind === 'waypoint' && removeWaypoint) {
+            this.editItems('Delete waypoint', 'paths', [path], ['waypoints', 'segments'], () => {
+                PathGeometry.removeWaypoint(path, handle.index);
+            });
+            this.updateStatus(`Removed waypoint from "${path.name}"`);
             this.render();
             return;
         }
 
-        // Cancel node dragging
-        if (this.isDraggingNode) {
-            this.isDraggingNode = false;
-            this.draggedNode = null;
-            this.canvas.style.cursor = 'crosshair';
-            this.render();
-            return;
+        // The whole drag is one undo step, recorded on mouse up
+        this.beginEdit('Reshape path', 'paths', [path], ['waypoints', 'segments']);
+        if (handle.kind === 'insert') {
+            const fromNode = this.nodes.find(n => n.id === path.from);
+            const toNode = this.nodes.find(n => n.id === path.to);
+            const index = PathGeometry.insertWaypoint(path, fromNode, toNode, handle.index);
+            handle = { kind: 'waypoint', index: index };
         }
-    }
 
-    updateGridSize(showToast = false) {
-        // Calculate grid size in pixels to represent the specified meters
-        if (this.mapYaml && this.mapYaml.resolution) {
-            // resolution is meters/pixel, so to get pixels per meter:
-            this.gridSize = this.gridSizeMeters / this.mapYaml.resolution;
-            console.log(`Grid updated: ${this.gridSizeMeters}m = ${this.gridSize.toFixed(1)} pixels (resolution: ${this.mapYaml.resolution}m/px)`);
-            if (showToast) {
-                this.showToast(`Grid: ${this.gridSizeMeters}m spacing`);
-            }
-        } else {
-            // Default to 50 pixels if no resolution available
-            this.gridSize = 50;
-            console.log('Grid using default 50 pixels (no resolution data)');
-        }
+        this.draggedHandle = { path, handle };
+        this.canvas.style.cursor = 'move';
+    }
 
-        // Update the input field
-        const gridSizeInput = document.getElementById('gridSizeInput');
-        if (gridSizeInput) {
-            gridSizeInput.value = this.gridSizeMeters.toFixed(1);
-        }
+    getPathContextMenuItems(path, canvasPoint) {
+        const fromNode = this.nodes.find(n => n.id === path.from);
+        const toNode = this.nodes.find(n => n.id === path.to);
+        const nearest = PathGeometry.nearestOnPath(path, fromNode, toNode, canvasPoint);
+        const segment = PathGeometry.getSegments(path, fromNode, toNode)[nearest.segmentIndex];
+
+        const radius = 8 / this.scale;
+        const waypointIndex = (path.waypoints || []).findIndex(point =>
+            Math.hypot(point.x - canvasPoint.x, point.y - canvasPoint.y) <= radius);
+
+        const segmentItem = (type, label) => segment.type === type
+            ? ''
+            : `<div class="context-menu-item" onclick="app.setPathSegmentType('${path.id}', ${nearest.segmentIndex}, '${type}')">${label}</div>`;
+
+        return `
+            <div class="context-menu-item" onclick="app.addPathWaypoint('${path.id}', ${nearest.segmentIndex}, ${nearest.t})">Add Waypoint Here</div>
+            ${waypointIndex >= 0 ? `<div class="context-menu-item" onclick="app.deletePathWaypoint('${path.id}', ${waypointIndex})">Delete Waypoint</div>` : ''}
+            <div class="context-menu-separator"></div>
+            ${segmentItem('line', 'Make Segment Straight')}
+            ${segmentItem('bezier', 'Make Segment a Curve')}
+            ${segmentItem('arc', 'Make Segment an Arc')}
+            ${PathGeometry.hasGeometry(path) ? `<div class="context-menu-item" onclick="app.straightenPath('${path.id}')">Straighten Path</div>` : ''}
+        `;
     }
 
-    toggleGrid() {
-        this.showGrid = !this.showGrid;
+    addPathWaypoint(pathId, segmentIndex, t) {
+        const path = this.paths.find(p => p.id === pathId);
+        if (!path) return;
+
+        const fromNode = this.nodes.find(n => n.id === path.from);
+        const toNode = this.nodes.find(n => n.id === path.to);
+        this.editItems('Add waypoint', 'paths', [path], ['waypoints', 'segments'], () => {
+            PathGeometry.insertWaypoint(path, fromNode, toNode, segmentIndex, t);
+        });
+        this.selectedPath = path;
+        this.updateStatus(`Added waypoint to "${path.name}" - drag it with the Select tool`);
         this.render();
-        const gridInfo = this.mapYaml && this.mapYaml.resolution
-            ? `Grid: ${this.gridSizeMeters}m spacing`
-            : 'Grid On';
-        this.showToast(this.showGrid ? gridInfo : 'Grid Off');
     }
 
-    toggleSnapToGrid() {
-        this.snapToGrid = !this.snapToGrid;
-        const snapInfo = this.snapToGrid
-            ? `Snap to Grid: ON (${this.gridSizeMeters}m)`
-            : 'Snap to Grid: OFF';
-        this.showToast(snapInfo);
-    }
+    deletePathWaypoint(pathId, index) {
+        const path = this.paths.find(p => p.id === pathId);
+        if (!path) return;
 
-    snapPointToGrid(point) {
-        if (!this.snapToGrid) return point;
-
-        // Calculate grid offset based on map origin (world coordinates)
-        let gridOffsetX = 0;
-        let gridOffsetY = 0;
+        this.editItems('Delete waypoint', 'paths', [path], ['waypoints', 'segments'], () => {
+            PathGeometry.removeWaypoint(path, index);
+        });
+        this.updateStatus(`Removed waypoint from "${path.name}"`);
+        this.render();
+    }
 
-        if (this.mapYaml && this.mapYaml.origin) {
-            const originX = this.mapYaml.origin[0]; // meters
-            const originY = this.mapYaml.origin[1]; // meters
+    setPathSegmentType(pathId, segmentIndex, type) {
+        const path = this.paths.find(p => p.id === pathId);
+        if (!path) return;
 
-            // Canvas pixel where world (0,0) appears
-            const worldZeroX = -originX / this.mapYaml.resolution;
-            const worldZeroY = this.mapImage.height + (originY / this.mapYaml.resolution);
+        const fromNode = this.nodes.find(n => n.id === path.from);
+        const toNode = this.nodes.find(n => n.id === path.to);
+        this.editItems('Change path shape', 'paths', [path], ['waypoints', 'segments'], () => {
+            PathGeometry.setSegmentType(path, fromNode, toNode, segmentIndex, type);
+        });
+        this.selectedPath = path;
+        this.render();
+    }
 
-            // Offset to align with world coordinate grid
-            gridOffsetX = worldZeroX % this.gridSize;
-            gridOffsetY = worldZeroY % this.gridSize;
-        }
+    straightenPath(pathId) {
+        const path = this.paths.find(p => p.id === pathId);
+        if (!path) return;
 
-        return {
-            x: Math.round((point.x - gridOffsetX) / this.gridSize) * this.gridSize + gridOffsetX,
-            y: Math.round((point.y - gridOffsetY) / this.gridSize) * this.gridSize + gridOffsetY
-        };
+        this.editItems('Straighten path', 'paths', [path], ['waypoints', 'segments'], () => {
+            delete path.waypoints;
+            delete path.segments;
+        });
+        this.updateStatus(`Path "${path.name}" straightened`);
+        this.render();
     }
 
-    copySelected() {
-        if (this.selectedNodes.length > 0) {
-            this.clipboard = {
-                nodes: JSON.parse(JSON.stringify(this.selectedNodes)),
-                type: 'nodes'
-            };
-            this.showToast(`Copied ${this.selectedNodes.length} node(s)`);
-        } else if (this.selectedNode) {
-            this.clipboard = {
-                nodes: [JSON.parse(JSON.stringify(this.selectedNode))],
-                type: 'nodes'
-            };
-            this.showToast('Copied node');
-        }
+    drawPathHandles(ctx, path) {
+        const fromNode = this.nodes.find(n => n.id === path.from);
+        const toNode = this.nodes.find(n => n.id === path.to);
+        if (!fromNode || !toNode) return;
+
+        const size = 5 / this.scale;
+
+        ctx.save();
+        ctx.lineWidth = 1 / this.scale;
+
+        PathGeometry.getHandles(path, fromNode, toNode).forEach(handle => {
+            if (handle.kind === 'insert') {
+                // Small plus at the middle of each segment
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                ctx.beginPath();
+                ctx.moveTo(handle.x - size, handle.y);
+                ctx.lineTo(handle.x + size, handle.y);
+                ctx.moveTo(handle.x, handle.y - size);
+                ctx.lineTo(handle.x, handle.y + size);
+                ctx.stroke();
+                return;
+            }
+
+            if (handle.anchor) {
+                // Bezier control arm
+                ctx.strokeStyle = 'rgba(0, 170, 255, 0.8)';
+                ctx.beginPath();
+                ctx.moveTo(handle.anchor.x, handle.anchor.y);
+                ctx.lineTo(handle.x, handle.y);
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = handle.kind === 'waypoint' ? '#ffff00' : '#00aaff';
+            ctx.strokeStyle = '#000000';
+            ctx.beginPath();
+            if (handle.kind === 'waypoint') {
+                ctx.rect(handle.x - size, handle.y - size, size * 2, size * 2);
+            } else {
+                ctx.arc(handle.x, handle.y, size, 0, Math.PI * 2);
+            }
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        ctx.restore();
     }
 
-    copyNode(nodeId) {
-        const node = this.nodes.find(n => n.id === nodeId);
-        if (node) {
-            this.clipboard = {
-                nodes: [JSON.parse(JSON.stringify(node))],
-                type: 'nodes'
-            };
-            this.showToast('Copied node');
+    strokePolyline(ctx, points) {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
         }
+        ctx.stroke();
     }
 
-    pasteNode(x, y) {
-        if (!this.clipboard || this.clipboard.type !== 'nodes') {
-            this.showToast('Nothing to paste');
-            return;
-        }
+    // === ZONES ===
 
-        this.saveState();
+    /**
+     * Zone tool: each click adds a corner; clicking the first corner closes the zone
+     * @param {Object} point - Canvas point
+     */
+    handleZoneDrawing(point) {
+        const corner = this.snapPointToGrid(point);
 
-        const centerX = x !== undefined ? x : this.canvas.width / (2 * this.scale) - this.offset.x / this.scale;
-        const centerY = y !== undefined ? y : this.canvas.height / (2 * this.scale) - this.offset.y / this.scale;
+        if (!this.zoneDraft) {
+            this.zoneDraft = [corner];
+            this.zoneDraftEnd = corner;
+            this.updateStatus('Click to add corners; click the first corner, double-click or press Enter to close the zone');
+            this.render();
+            return;
+        }
 
-        const newNodes = [];
-        this.clipboard.nodes.forEach((node, index) => {
-            const newNode = {
-                ...node,
-                id: `node_${this.nodeCounter++}`,
-                name: `${node.name} (copy)`,
-                x: centerX + (index * 50),
-                y: centerY + (index * 50)
-            };
-            this.nodes.push(newNode);
-            newNodes.push(newNode);
-        });
+        const first = this.zoneDraft[0];
+        if (this.zoneDraft.length >= 3 && Math.hypot(point.x - first.x, point.y - first.y) <= 10 / this.scale) {
+            this.finishZone();
+            return;
+        }
 
-        this.selectedNodes = newNodes;
-        this.showToast(`Pasted ${newNodes.length} node(s)`);
+        this.zoneDraft.push(corner);
         this.render();
     }
 
-    duplicateNode(nodeId) {
-        const node = this.nodes.find(n => n.id === nodeId);
-        if (!node) return;
+    /**
+     * Close the zone being drawn and open its properties
+     */
+    finishZone() {
+        // A double-click adds its position twice
+        const minGap = 3 / this.scale;
+        const points = this.zoneDraft.filter((point, i, all) =>
+            i === 0 || Math.hypot(point.x - all[i - 1].x, point.y - all[i - 1].y) > minGap);
+        while (points.length > 1 &&
+            Math.hypot(points[points.length - 1].x - points[0].x, points[points.length - 1].y - points[0].y) <= minGap) {
+            points.pop();
+        }
 
-        this.saveState();
+        this.zoneDraft = null;
+        this.zoneDraftEnd = null;
 
-        const newNode = {
-            ...JSON.parse(JSON.stringify(node)),
-            id: `node_${this.nodeCounter++}`,
-            name: `${node.name} (copy)`,
-            x: node.x + 50,
-            y: node.y + 50
-        };
+        if (points.length < 3) {
+            this.showToast('A zone needs at least 3 corners');
+            this.render();
+            return;
+        }
 
-        this.nodes.push(newNode);
-        this.selectedNode = newNode;
-        this.showToast('Node duplicated');
-        this.render();
-    }
+        const zone = {
+            id: `zone_${Date.now()}`,
+            name: `Zone ${this.zones.length + 1}`,
+            type: 'speedLimit',
+            level: this.currentLevel,
+            speedLimit: null,
+            notes: '',
+            points: points
+        };
 
-    deleteNode(nodeId) {
-        this.saveState();
-        this.nodes = this.nodes.filter(n => n.id !== nodeId);
-        this.paths = this.paths.filter(p => p.from !== nodeId && p.to !== nodeId);
-        this.showToast('Node deleted');
+        this.recordEdit('Add zone', this.addItems('zones', [zone]));
+        this.selectedZone = zone;
+        this.showPropertiesPanel('zone', zone);
+        this.updateStatus(`Added zone: ${zone.name} - set its type and rule in the properties panel`);
         this.render();
     }
 
-    deleteSelected() {
-        if (this.selectedNodes.length > 0) {
-            this.saveState();
-            const ids = this.selectedNodes.map(n => n.id);
-            this.nodes = this.nodes.filter(n => !ids.includes(n.id));
-            this.paths = this.paths.filter(p => !ids.includes(p.from) && !ids.includes(p.to));
-            this.showToast(`Deleted ${ids.length} node(s)`);
-            this.selectedNodes = [];
-            this.render();
-        } else if (this.selectedNode) {
-            this.deleteNode(this.selectedNode.id);
-            this.selectedNode = null;
+    /**
+     * Find the topmost zone of the current level containing a point
+     * @param {Object} point - Canvas point
+     * @returns {Object|null} Zone
+     */
+    findZoneAt(point) {
+        const zones = this.getLevelZones();
+        for (let i = zones.length - 1; i >= 0; i--) {
+            if (ZoneGeometry.containsPoint(zones[i].points, point.x, point.y)) {
+                return zones[i];
+            }
         }
+        return null;
     }
 
-    selectAll() {
-        this.selectedNodes = [...this.nodes];
-        this.showToast(`Selected ${this.nodes.length} nodes`);
-        this.render();
+    /**
+     * Zones a path runs through (on the path's level)
+     * @param {Object} path - Path
+     * @param {Object[]} zones - Zones to check (default: all)
+     * @returns {Object[]} Zones; none for connectors between levels
+     */
+    getPathZones(path, zones = this.zones) {
+        const points = this.getPathPoints(path);
+        if (!points) return [];
+
+        const level = this.getPathLevel(path);
+        return zones.filter(zone => zone.level === level && ZoneGeometry.crossesPolyline(zone.points, points));
     }
 
-    addNodeAtPosition(x, y) {
-        this.saveState();
-        const snappedPoint = this.snapPointToGrid({x, y});
-        const node = {
-            id: `node_${this.nodeCounter++}`,
-            name: `Node ${this.nodeCounter - 1}`,
-            x: snappedPoint.x,
-            y: snappedPoint.y,
-            type: 'normal',
-            noWaiting: false,
-            isParkingSpot: false,
-            maxRobots: 1,
-            notes: ''
-        };
+    /**
+     * Nodes inside each one-robot zone (for the traffic simulation)
+     * @returns {string[][]} Node IDs per zone; zones without nodes are left out
+     */
+    getExclusiveZoneNodes() {
+        return this.zones
+            .filter(zone => zone.type === 'oneRobot')
+            .map(zone => this.nodes
+                .filter(node => node.level === zone.level && ZoneGeometry.containsPoint(zone.points, node.x, node.y))
+                .map(node => node.id))
+            .filter(ids => ids.length > 0);
+    }
 
-        this.nodes.push(node);
-        this.selectedNode = node;
-        this.showToast('Node added');
-        this.render();
+    /**
+     * Limit of the speed-limit zones a path runs through (the lowest one),
+     * if it is below the path's own limit
+     * Zones never change the path's speedLimit; see getSpeedLimit.
+     * @param {Object} path - Path
+     * @returns {number|null} Zone limit in m/s, null if zones do not slow the path
+     */
+    getZoneSpeedLimit(path) {
+        const speedZones = this.zones.filter(zone => zone.type === 'speedLimit' && zone.speedLimit > 0);
+        if (speedZones.length === 0) return null;
+
+        const limits = this.getPathZones(path, speedZones).map(zone => zone.speedLimit);
+        if (limits.length === 0) return null;
+
+        const limit = Math.min(...limits);
+        return path.speedLimit > 0 && path.speedLimit <= limit ? null : limit;
     }
 
-    showPropertiesPanel(type, item) {
-        const panel = document.getElementById('propertiesContent');
+    /**
+     * Speed limit a path is driven at: its own limit, lowered by speed-limit zones
+     * @param {Object} path - Path
+     * @returns {number|null} Speed limit in m/s, null for none
+     */
+    getSpeedLimit(path) {
+        return this.getZoneSpeedLimit(path) ?? (path.speedLimit > 0 ? path.speedLimit : null);
+    }
 
-        if (type === 'node') {
-            const worldCoords = this.getWorldCoordinates(item.x, item.y);
-            panel.innerHTML = `
-                <h4>Node Properties</h4>
-                <div class="property-group">
-                    <label>Name:</label>
-                    <input type="text" id="propNodeName" value="${item.name}" />
-                </div>
-                <div class="property-group">
-                    <label>Type:</label>
-                    <select id="propNodeType">
-                        <option value="normal" ${item.type === 'normal' ? 'selected' : ''}>Normal</option>
-                        <option value="charging" ${item.type === 'charging' ? 'selected' : ''}>Charging Station</option>
-                        <option value="pickup" ${item.type === 'pickup' ? 'selected' : ''}>Pickup Point</option>
-                        <option value="dropoff" ${item.type === 'dropoff' ? 'selected' : ''}>Dropoff Point</option>
-                    </select>
-                </div>
-                <div class="property-group">
-                    <label>Position:</label>
-                    <div class="coords-display">
-                        Canvas: (${item.x.toFixed(1)}, ${item.y.toFixed(1)})<br>
-                        World: (${worldCoords.x.toFixed(3)}, ${worldCoords.y.toFixed(3)})
-                    </div>
-                </div>
-                <div class="property-group">
-                    <label>
-                        <input type="checkbox" id="propNoWaiting" ${item.noWaiting ? 'checked' : ''} />
-                        No Waiting
-                    </label>
-                </div>
-                <div class="property-group">
-                    <label>
-                        <input type="checkbox" id="propParkingSpot" ${item.isParkingSpot ? 'checked' : ''} />
-                        Parking Spot
-                    </label>
-                </div>
-                <div class="property-group">
-                    <label>Max Robots:</label>
-                    <input type="number" id="propMaxRobots" value="${item.maxRobots}" min="1" />
-                </div>
-                <div class="property-group">
-                    <label>Notes:</label>
-                    <textarea id="propNodeNotes" rows="3">${item.notes || ''}</textarea>
-                </div>
-                <button class="btn btn-primary" onclick="app.applyNodeProperties('${item.id}')">Apply</button>
-                <button class="btn btn-secondary" onclick="app.clearPropertiesPanel()">Cancel</button>
-            `;
-        } else if (type === 'path') {
-            const fromNode = this.nodes.find(n => n.id === item.from);
-            const toNode = this.nodes.find(n => n.id === item.to);
+    getZoneTypeOptions(selected) {
+        return Object.entries(this.zoneTypes).map(([type, info]) =>
+            `<option value="${type}" ${selected === type ? 'selected' : ''}>${info.icon} ${info.label}</option>`).join('');
+    }
 
-            panel.innerHTML = `
-                <h4>Path Properties</h4>
-                <div class="property-group">
-                    <label>Name:</label>
-                    <input type="text" id="propPathName" value="${item.name}" />
-                </div>
-                <div class="property-group">
-                    <label>From:</label>
-                    <div class="info-text">${fromNode ? fromNode.name : 'Unknown'}</div>
-                </div>
-                <div class="property-group">
-                    <label>To:</label>
-                    <div class="info-text">${toNode ? toNode.name : 'Unknown'}</div>
-                </div>
-                <div class="property-group">
-                    <label>Speed Limit (m/s):</label>
-                    <input type="number" id="propSpeedLimit" value="${item.speedLimit}" min="0" step="0.1" />
-                </div>
-                <div class="property-group">
-                    <label>
-                        <input type="checkbox" id="propBidirectional" ${item.bidirectional ? 'checked' : ''} />
-                        Bidirectional
-                    </label>
-                </div>
-                <div class="property-group">
-                    <label>Width (m):</label>
-                    <input type="number" id="propPathWidth" value="${item.width}" min="0.1" step="0.1" />
-                </div>
-                <div class="property-group">
-                    <label>Notes:</label>
-                    <textarea id="propPathNotes" rows="3">${item.notes || ''}</textarea>
-                </div>
-                <button class="btn btn-primary" onclick="app.applyPathProperties('${item.id}')">Apply</button>
-                <button class="btn btn-secondary" onclick="app.clearPropertiesPanel()">Cancel</button>
-            `;
+    /**
+     * Short description of a zone's rule, e.g. "≤ 0.5 m/s"
+     */
+    getZoneRuleText(zone) {
+        if (zone.type === 'speedLimit') {
+            return zone.speedLimit > 0 ? `≤ ${zone.speedLimit} m/s` : 'no limit set';
         }
-
-        this.updateStatus(`Double-click to edit ${type} properties`);
+        return this.zoneTypes[zone.type]?.label || zone.type;
     }
 
-    applyNodeProperties(nodeId) {
-        const node = this.nodes.find(n => n.id === nodeId);
-        if (!node) return;
+    applyZoneProperties(zoneId) {
+        const zone = this.zones.find(z => z.id === zoneId);
+        if (!zone) return;
 
-        node.name = document.getElementById('propNodeName').value;
-        node.type = document.getElementById('propNodeType').value;
-        node.noWaiting = document.getElementById('propNoWaiting').checked;
-        node.isParkingSpot = document.getElementById('propParkingSpot').checked;
-        node.maxRobots = parseInt(document.getElementById('propMaxRobots').value);
-        node.notes = document.getElementById('propNodeNotes').value;
+        const speed = parseFloat(document.getElementById('propZoneSpeed').value);
+        this.editItems('Edit zone', 'zones', [zone], ['name', 'type', 'speedLimit', 'notes'], () => {
+            zone.name = document.getElementById('propZoneName').value;
+            zone.type = document.getElementById('propZoneType').value;
+            zone.speedLimit = zone.type === 'speedLimit' && speed > 0 ? speed : null;
+            zone.notes = document.getElementById('propZoneNotes').value;
+        });
 
         this.render();
-        this.updateStatus(`Node "${node.name}" properties updated`);
+        this.updateStatus(`Zone "${zone.name}" properties updated`);
         this.clearPropertiesPanel();
     }
 
-    applyPathProperties(pathId) {
-        const path = this.paths.find(p => p.id === pathId);
-        if (!path) return;
-
-        path.name = document.getElementById('propPathName').value;
-        path.speedLimit = parseFloat(document.getElementById('propSpeedLimit').value);
-        path.bidirectional = document.getElementById('propBidirectional').checked;
-        path.width = parseFloat(document.getElementById('propPathWidth').value);
-        path.notes = document.getElementById('propPathNotes').value;
+    deleteZone(zoneId) {
+        const zone = this.zones.find(z => z.id === zoneId);
+        if (!zone) return;
 
+        this.recordEdit('Delete zone', this.removeItems('zones', [zone]));
+        if (this.selectedZone?.id === zoneId) {
+            this.selectedZone = null;
+        }
+        this.updateStatus(`Deleted zone: ${zone.name}`);
         this.render();
-        this.updateStatus(`Path "${path.name}" properties updated`);
-        this.clearPropertiesPanel();
     }
 
-    clearPropertiesPanel() {
-        document.getElementById('propertiesContent').innerHTML =
-            '<p class="help-text">Double-click on a node or path to edit its properties</p>';
-    }
+    /**
+     * Draw the zones of the current level (under the graph) and the zone being drawn
+     */
+    drawZones(ctx) {
+        ctx.save();
 
-    handleWheel(e) {
-        e.preventDefault();
-        const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-        const point = this.getCanvasPoint(e.clientX, e.clientY);
+        this.getLevelZones().forEach(zone => {
+            const color = this.zoneTypes[zone.type]?.color || '128, 128, 128';
+            const isSelected = this.selectedZone?.id === zone.id;
 
-        // Zoom towards mouse position
-        this.offset.x = e.clientX - (point.x * this.scale * zoomFactor);
-        this.offset.y = e.clientY - (point.y * this.scale * zoomFactor);
-        this.scale *= zoomFactor;
+            ctx.beginPath();
+            zone.points.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+            ctx.closePath();
 
-        this.updateZoomDisplay();
-        this.render();
-    }
+            ctx.fillStyle = `rgba(${color}, ${isSelected ? 0.35 : 0.2})`;
+            ctx.fill();
+            ctx.strokeStyle = `rgba(${color}, 0.9)`;
+            ctx.lineWidth = (isSelected ? 3 : 2) / this.scale;
+            ctx.setLineDash(zone.type === 'noEntry' ? [8 / this.scale, 4 / this.scale] : []);
+            ctx.stroke();
+            ctx.setLineDash([]);
 
-    zoom(factor) {
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
-        const point = this.getCanvasPoint(centerX, centerY);
+            // Label: icon, name and rule at the centroid
+            const center = ZoneGeometry.centroid(zone.points);
+            const icon = this.zoneTypes[zone.type]?.icon || '';
+            ctx.font = `bold ${12 / this.scale}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = `rgba(${color}, 1)`;
+            ctx.fillText(`${icon} ${zone.name}`, center.x, center.y - 8 / this.scale);
+            ctx.font = `${11 / this.scale}px Arial`;
+            ctx.fillText(this.getZoneRuleText(zone), center.x, center.y + 8 / this.scale);
+        });
 
-        this.offset.x = centerX - (point.x * this.scale * factor);
-        this.offset.y = centerY - (point.y * this.scale * factor);
-        this.scale *= factor;
+        // Outline of the zone being drawn
+        if (this.zoneDraft) {
+            const points = this.zoneDraftEnd ? [...this.zoneDraft, this.zoneDraftEnd] : this.zoneDraft;
+            ctx.strokeStyle = 'rgba(255, 255, 0, 0.8)';
+            ctx.lineWidth = 2 / this.scale;
+            ctx.setLineDash([5 / this.scale, 5 / this.scale]);
+            this.strokePolyline(ctx, points);
+            ctx.setLineDash([]);
 
-        this.updateZoomDisplay();
-        this.render();
+            ctx.fillStyle = 'rgba(255, 255, 0, 0.9)';
+            this.zoneDraft.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 4 / this.scale, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        ctx.restore();
     }
 
-    resetView() {
-        this.scale = 1;
-        this.offset = { x: 0, y: 0 };
-        this.updateZoomDisplay();
-        this.render();
+    // === ROBOT FLEET ===
+
+    getRobotClass(id) {
+        return this.robotClasses.find(robotClass => robotClass.id === id) || null;
     }
 
-    updateZoomDisplay() {
-        const zoomPercent = Math.round(this.scale * 100);
-        document.getElementById('zoomText').textContent = `Zoom: ${zoomPercent}%`;
+    showFleetModal() {
+        // The draft lists every allowed node type; an empty list is no restriction
+        this.fleetDraft = this.robotClasses.map(robotClass => ({
+            ...robotClass,
+            allowedNodeTypes: robotClass.allowedNodeTypes.length > 0 ? [...robotClass.allowedNodeTypes] : [...RobotFleet.NODE_TYPES]
+        }));
+        this.renderFleetDraft();
+        document.getElementById('fleetModal').style.display = 'block';
     }
 
-    calculatePathDistance(fromNode, toNode) {
-        // Calculate pixel distance
-        const dx = toNode.x - fromNode.x;
-        const dy = toNode.y - fromNode.y;
-        const pixelDistance = Math.sqrt(dx * dx + dy * dy);
+    renderFleetDraft() {
+        const typeLabels = { normal: 'Normal', charging: 'Charging Station', pickup: 'Pickup Point', dropoff: 'Dropoff Point' };
+        const list = document.getElementById('robotClassList');
 
-        // Convert to meters if YAML data is available
-        if (this.mapYaml && this.mapYaml.resolution) {
-            const metersDistance = pixelDistance * this.mapYaml.resolution;
-            return {
-                pixels: pixelDistance,
-                meters: metersDistance
-            };
+        if (this.fleetDraft.length === 0) {
+            list.innerHTML = '<p class="help-text">No robot classes: routes and validation treat all robots alike.</p>';
+            return;
         }
 
-        return {
-            pixels: pixelDistance,
-            meters: null
+        list.innerHTML = this.fleetDraft.map((robotClass, index) => {
+            const typeBoxes = RobotFleet.NODE_TYPES.map(type => `
+                    <label>
+                        <input type="checkbox" class="fleet-node-type" value="${type}" ${robotClass.allowedNodeTypes.includes(type) ? 'checked' : ''}>
+                        ${typeLabels[type]}
+                    </label>`).join('');
+
+            return `
+                <div class="robot-class" data-index="${index}">
+                    <div class="robot-class-fields">
+                        <label>Name:<input type="text" class="fleet-name" value="${robotClass.name}"></label>
+                        <label>Max speed (m/s):<input type="number" class="fleet-max-speed" value="${robotClass.maxSpeed ?? ''}" min="0" step="0.1"></label>
+                        <label>Width (m):<input type="number" class="fleet-width" value="${robotClass.width ?? ''}" min="0" step="0.05"></label>
+                        <label>Length (m):<input type="number" class="fleet-length" value="${robotClass.length ?? ''}" min="0" step="0.05"></label>
+                    </div>
+                    <div class="robot-class-types">Allowed node types:${typeBoxes}</div>
+                    <button type="button" class="btn btn-secondary" onclick="app.removeFleetDraftClass(${index})">Remove</button>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Copy the fleet modal's inputs into fleetDraft
+     */
+    readFleetDraft() {
+        const number = element => {
+            const value = parseFloat(element.value);
+            return value > 0 ? value : null;
         };
+
+        document.querySelectorAll('#robotClassList .robot-class').forEach(row => {
+            const robotClass = this.fleetDraft[parseInt(row.dataset.index, 10)];
+
+            robotClass.name = row.querySelector('.fleet-name').value.trim();
+            robotClass.maxSpeed = number(row.querySelector('.fleet-max-speed'));
+            robotClass.width = number(row.querySelector('.fleet-width'));
+            robotClass.length = number(row.querySelector('.fleet-length'));
+            robotClass.allowedNodeTypes = [...row.querySelectorAll('.fleet-node-type')]
+                .filter(box => box.checked)
+                .map(box => box.value);
+        });
     }
 
-    fitAll() {
-        if (this.nodes.length === 0 && !this.mapImage) {
-            this.showToast('No nodes or map to fit');
-            return;
+    addFleetDraftClass() {
+        this.readFleetDraft();
+
+        let number = this.fleetDraft.length + 1;
+        while (this.fleetDraft.some(robotClass => robotClass.id === `class_${number}`)) number++;
+
+        this.fleetDraft.push({
+            id: `class_${number}`,
+            name: `Robot class ${number}`,
+            width: null,
+            length: null,
+            maxSpeed: null,
+            allowedNodeTypes: [...RobotFleet.NODE_TYPES]
+        });
+        this.renderFleetDraft();
+    }
+
+    removeFleetDraftClass(index) {
+        this.readFleetDraft();
+        this.fleetDraft.splice(index, 1);
+        this.renderFleetDraft();
+    }
+
+    /**
+     * Replace the robot classes with the fleet modal's classes
+     * Allow lists keep the IDs of removed classes; validation reports them.
+     * @returns {boolean} True if the classes were valid and applied
+     */
+    applyFleet() {
+        this.readFleetDraft();
+
+        const names = new Set();
+        for (const robotClass of this.fleetDraft) {
+            if (!robotClass.name) {
+                alert('Every robot class needs a name');
+                return false;
+            }
+            if (names.has(robotClass.name)) {
+                alert(`Duplicate robot class name: ${robotClass.name}`);
+                return false;
+            }
+            if (robotClass.allowedNodeTypes.length === 0) {
+                alert(`Robot class "${robotClass.name}" must be allowed on at least one node type`);
+                return false;
+            }
+            names.add(robotClass.name);
         }
 
-        let minX, maxX, minY, maxY;
+        const before = this.robotClasses;
+        this.robotClasses = this.fleetDraft.map(robotClass => ({
+            ...robotClass,
+            allowedNodeTypes: robotClass.allowedNodeTypes.length === RobotFleet.NODE_TYPES.length ? [] : robotClass.allowedNodeTypes
+        }));
+        this.recordEdit('Edit robot fleet', [CommandHistory.set('robotClasses', before, this.robotClasses)]);
+        this.updateRouteClassSelect();
 
-        if (this.nodes.length > 0) {
-            // Calculate bounding box of all nodes
-            minX = Math.min(...this.nodes.map(n => n.x));
-            maxX = Math.max(...this.nodes.map(n => n.x));
-            minY = Math.min(...this.nodes.map(n => n.y));
-            maxY = Math.max(...this.nodes.map(n => n.y));
-        } else {
-            // Use map dimensions
-            minX = 0;
-            maxX = this.mapImage.width;
-            minY = 0;
-            maxY = this.mapImage.height;
+        // The properties panel may show the old classes
+        this.clearPropertiesPanel();
+        this.updateStatus(`Fleet: ${this.robotClasses.length} robot class(es)`);
+        return true;
+    }
+
+    /**
+     * Allow-list checkboxes for the node and path properties panels
+     * @param {Object} item - Node or path
+     * @returns {string} HTML, empty without robot classes
+     */
+    getAllowedClassesField(item) {
+        if (this.robotClasses.length === 0) return '';
+
+        const allowed = item.allowedClasses || [];
+        const boxes = this.robotClasses.map(robotClass => `
+                    <label>
+                        <input type="checkbox" class="prop-allowed-class" value="${robotClass.id}" ${allowed.includes(robotClass.id) ? 'checked' : ''} />
+                        ${robotClass.name}
+                    </label>`).join('');
+
+        return `
+                <div class="property-group">
+                    <label>Allowed Robot Classes (none checked = all):</label>${boxes}
+                </div>`;
+    }
+
+    /**
+     * Read the allow list from the properties panel into a node or path
+     * @param {Object} item - Node or path
+     */
+    applyAllowedClasses(item) {
+        if (this.robotClasses.length === 0) return;
+
+        item.allowedClasses = [...document.querySelectorAll('.prop-allowed-class')]
+            .filter(box => box.checked)
+            .map(box => box.value);
+    }
+
+    updateRouteClassSelect() {
+        if (this.routeClass && !this.getRobotClass(this.routeClass)) {
+            this.routeClass = null;
         }
 
-        const width = maxX - minX;
-        const height = maxY - minY;
-        const padding = 50; // pixels
+        const select = document.getElementById('routeClassSelect');
+        if (!select) return;
 
-        // Calculate scale to fit
-        const scaleX = (this.canvas.width - padding * 2) / width;
-        const scaleY = (this.canvas.height - padding * 2) / height;
-        this.scale = Math.min(scaleX, scaleY, 2); // Max scale of 2
+        select.innerHTML = '';
+        select.appendChild(new Option('Any robot', ''));
+        this.robotClasses.forEach(robotClass => select.appendChild(new Option(robotClass.name, robotClass.id)));
+        select.value = this.routeClass || '';
+    }
 
-        // Center the content
-        const centerX = (minX + maxX) / 2;
-        const centerY = (minY + maxY) / 2;
-        this.offset.x = this.canvas.width / 2 - centerX * this.scale;
-        this.offset.y = this.canvas.height / 2 - centerY * this.scale;
+    setRouteClass(id) {
+        this.routeClass = this.getRobotClass(id) ? id : null;
 
-        this.updateZoomDisplay();
-        this.render();
-        this.showToast('View fitted to content');
+        const select = document.getElementById('routeClassSelect');
+        if (select) select.value = this.routeClass || '';
+
+        // Re-run the displayed query for the new class
+        if (this.route) {
+            const startNode = this.nodes.find(n => n.id === this.route.start);
+            const goalNode = this.nodes.find(n => n.id === this.route.goal);
+            if (startNode && goalNode) {
+                this.showRoute(startNode, goalNode);
+            }
+        }
     }
 
-    focusSelected() {
-        const targets = this.selectedNodes.length > 0 ? this.selectedNodes :
-                       (this.selectedNode ? [this.selectedNode] : []);
+    // === ROUTE QUERIES ===
 
-        if (targets.length === 0) {
-            this.showToast('No node selected');
+    handleRouteQuery(point) {
+        const node = this.findNodeAt(point);
+        if (!node) return;
+
+        // First click (or a click after a finished route) picks the start
+        if (!this.routeStart || this.route || node === this.routeStart) {
+            this.route = null;
+            this.routeStart = node;
+            this.updateStatus(`Route from ${node.name}: click the destination node`);
+            this.render();
             return;
         }
 
-        // Calculate center of selected nodes
-        const avgX = targets.reduce((sum, n) => sum + n.x, 0) / targets.length;
-        const avgY = targets.reduce((sum, n) => sum + n.y, 0) / targets.length;
+        this.showRoute(this.routeStart, node);
+    }
 
-        // Center view on selected nodes
-        this.offset.x = this.canvas.width / 2 - avgX * this.scale;
-        this.offset.y = this.canvas.height / 2 - avgY * this.scale;
+    /**
+     * Find and display the cheapest route between two nodes
+     * @param {Object} startNode - Start node
+     * @param {Object} goalNode - Destination node
+     */
+    showRoute(startNode, goalNode) {
+        this.routeStart = startNode;
+        this.route = this.findRoute(startNode, goalNode);
+
+        const robotClass = this.getRobotClass(this.routeClass);
+        const forClass = robotClass ? ` for ${robotClass.name}` : '';
+
+        if (!this.route) {
+            const message = `No route from ${startNode.name} to ${goalNode.name}${forClass}`;
+            this.updateStatus(message);
+            this.showToast(message);
+            this.clearRoute();
+            this.render();
+            return;
+        }
 
+        const { steps, meters, seconds } = this.route;
+        this.updateStatus(
+            `Route ${startNode.name} → ${goalNode.name}: ${steps.length} path(s), ` +
+            `${meters.toFixed(2)} m, ${this.formatDuration(seconds)} (shortest by ${this.routeWeight === 'time' ? 'travel time' : 'distance'}${forClass})`
+        );
+        this.showRoutePanel(this.route);
         this.render();
-        this.showToast(`Focused on ${targets.length} node(s)`);
     }
 
-    addNode(point) {
-        this.saveState();
-        const snappedPoint = this.snapPointToGrid(point);
-        const node = {
-            id: `node_${this.nodeCounter++}`,
-            name: `Node ${this.nodeCounter - 1}`,
-            x: snappedPoint.x,
-            y: snappedPoint.y,
-            type: 'normal',
-            noWaiting: false,
-            isParkingSpot: false,
-            maxRobots: 1,
-            notes: ''
+    /**
+     * Find the cheapest route using the current route weight
+     * Paths are driven only in their direction unless bidirectional; travel
+     * time uses the path's speed limit (defaultSpeed if it has none). Paths
+     * through no-entry zones are never used. With a route class, only paths
+     * and nodes that class may use are considered, at its speed.
+     * @param {Object} startNode - Start node
+     * @param {Object} goalNode - Destination node
+     * @returns {Object|null} { start, goal, weight, robotClass, steps, meters, seconds } or null if unreachable
+     */
+    findRoute(startNode, goalNode) {
+        const robotClass = this.getRobotClass(this.routeClass);
+        const costs = new Map();
+        const getCost = (path) => {
+            if (!costs.has(path)) costs.set(path, this.getPathTravelCost(path, robotClass));
+            return costs.get(path);
         };
 
-        this.nodes.push(node);
-        this.selectedNode = node;
-        this.showNodeModal();
-        this.updateStatus(`Added node: ${node.name}`);
-        this.render();
-    }
+        const finder = new RouteFinder(this.nodes, this.paths);
+        const result = finder.findRoute(startNode.id, goalNode.id, path => {
+            const cost = getCost(path);
+            if (!cost) return Infinity;
+            return this.routeWeight === 'time' ? cost.seconds : cost.meters;
+        });
+        if (!result) return null;
 
-    handlePathDrawing(point) {
-        const clickedNode = this.findNodeAt(point);
+        const steps = result.steps.map(step => ({ ...step, ...getCost(step.path) }));
 
-        if (!clickedNode) {
-            this.updateStatus('Click on a node to start/end path');
-            return;
+        return {
+            start: startNode.id,
+            goal: goalNode.id,
+            weight: this.routeWeight,
+            robotClass: robotClass ? robotClass.id : null,
+            steps: steps,
+            meters: steps.reduce((sum, step) => sum + step.meters, 0),
+            seconds: steps.reduce((sum, step) => sum + step.seconds, 0)
+        };
+    }
+
+    /**
+     * Length and travel time of a path
+     * Without a map resolution, pixels are used as meters. Connectors between
+     * levels take levelTransferTime and add no distance.
+     * @param {Object} path - Path
+     * @param {Object} robotClass - Robot class driving the path (optional, see RobotFleet)
+     * @returns {Object|null} { meters, seconds, speed, defaultSpeed, classLimited, transfer } or null if a
+     *     node is missing, the path runs through a no-entry zone or the robot class may not use it
+     */
+    getPathTravelCost(path, robotClass = null) {
+        if (robotClass) {
+            const fromNode = this.nodes.find(n => n.id === path.from);
+            const toNode = this.nodes.find(n => n.id === path.to);
+            if (!fromNode || !toNode || !RobotFleet.canUsePath(robotClass, path, fromNode, toNode)) return null;
+        }
+        if (this.isCrossLevelPath(path)) {
+            return { meters: 0, seconds: this.levelTransferTime, speed: null, defaultSpeed: false, classLimited: false, transfer: true };
         }
+        if (this.getPathZones(path).some(zone => zone.type === 'noEntry')) return null;
 
-        if (!this.pathStart) {
-            this.pathStart = clickedNode;
-            this.updateStatus(`Path start: ${clickedNode.name} - Click another node to finish`);
-        } else {
-            if (this.pathStart.id !== clickedNode.id) {
-                this.addPath(this.pathStart, clickedNode);
-                this.pathStart = null;
-                this.tempPathEnd = null;
-            } else {
-                this.updateStatus('Cannot create path to same node');
+        const length = this.calculatePathLength(path);
+        if (!length) return null;
+
+        const meters = length.meters ?? length.pixels;
+        const speedLimit = this.getSpeedLimit(path);
+        const hasSpeed = speedLimit !== null;
+        const pathSpeed = hasSpeed ? speedLimit : this.defaultSpeed;
+        const speed = robotClass ? RobotFleet.getSpeed(robotClass, pathSpeed) : pathSpeed;
+
+        return {
+            meters: meters,
+            seconds: meters / speed,
+            speed: speed,
+            defaultSpeed: !hasSpeed && speed === pathSpeed,
+            classLimited: speed < pathSpeed,
+            transfer: false
+        };
+    }
+
+    setRouteWeight(weight) {
+        this.routeWeight = weight === 'time' ? 'time' : 'distance';
+
+        const select = document.getElementById('routeWeightSelect');
+        if (select) select.value = this.routeWeight;
+
+        // Re-run the displayed query with the new weight
+        if (this.route) {
+            const startNode = this.nodes.find(n => n.id === this.route.start);
+            const goalNode = this.nodes.find(n => n.id === this.route.goal);
+            if (startNode && goalNode) {
+                this.showRoute(startNode, goalNode);
             }
         }
     }
 
-    addPath(fromNode, toNode) {
-        const path = {
-            id: `path_${Date.now()}`,
-            name: `${fromNode.name} -> ${toNode.name}`,
-            from: fromNode.id,
-            to: toNode.id,
-            speedLimit: 1.0,
-            bidirectional: false,
-            width: 1.0,
-            notes: ''
-        };
+    clearRoute() {
+        const hadRoute = this.route !== null;
+        this.routeStart = null;
+        this.route = null;
+        if (hadRoute) {
+            this.clearPropertiesPanel();
+        }
+    }
 
-        this.paths.push(path);
-        this.selectedPath = path;
-        this.showPathModal();
-        this.updateStatus(`Added path: ${path.name}`);
-        this.render();
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds.toFixed(1)} s`;
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes} min ${Math.round(seconds - minutes * 60)} s`;
     }
 
-    handleSelection(point, shiftKey = false) {
-        // Try to select node first
-        const node = this.findNodeAt(point);
-        if (node) {
-            if (shiftKey) {
-                // Multi-select nodes
-                const index = this.selectedNodes.findIndex(n => n.id === node.id);
-                if (index >= 0) {
-                    this.selectedNodes.splice(index, 1);
-                } else {
-                    this.selectedNodes.push(node);
-                }
-                this.updateStatus(`Selected ${this.selectedNodes.length} node(s)`);
-                this.render();
-            } else {
-                // Single select node - just select, don't open modal
-                this.selectedNode = node;
-                this.selectedNodes = [node];
-                this.updateStatus(`Selected node: ${node.name}. Double-click to edit properties.`);
-                this.render();
+    showRoutePanel(route) {
+        const nodeName = id => this.nodes.find(n => n.id === id)?.name || id;
+        const describe = step => {
+            if (step.transfer) {
+                const type = this.connectorTypes[step.path.connector] || this.connectorTypes.lift;
+                const level = this.nodes.find(n => n.id === step.to)?.level;
+                return `${type.label} to level ${level} = ${this.formatDuration(step.seconds)}`;
             }
-            return;
-        }
+            const note = step.classLimited ? ' (class max)' : step.defaultSpeed ? ' (default)' : '';
+            return `${step.meters.toFixed(2)} m at ${step.speed} m/s${note} = ${this.formatDuration(step.seconds)}`;
+        };
 
-        // Try to select path
-        const path = this.findPathAt(point);
-        if (path) {
-            if (shiftKey) {
-                // Multi-select paths
-                const index = this.selectedPaths.findIndex(p => p.id === path.id);
-                if (index >= 0) {
-                    this.selectedPaths.splice(index, 1);
-                } else {
-                    this.selectedPaths.push(path);
-                }
-                this.updateStatus(`Selected ${this.selectedPaths.length} path(s)`);
-                this.render();
-            } else {
-                // Single select path - just select, don't open modal
-                this.selectedPath = path;
-                this.selectedPaths = [path];
-                this.updateStatus(`Selected path: ${path.name}. Double-click to edit properties.`);
-                this.render();
-            }
+        const robotClass = this.getRobotClass(route.robotClass);
+        const steps = route.steps.map(step => `
+            <li>
+                ${nodeName(step.from)} → ${nodeName(step.to)}${step.path.name ? ` <span class="route-step-path">(${step.path.name})</span>` : ''}<br>
+                ${describe(step)}
+            </li>`).join('');
+
+        document.getElementById('propertiesContent').innerHTML = `
+            <h4>Route</h4>
+            <div class="property-group">
+                <label>${nodeName(route.start)} → ${nodeName(route.goal)}</label>
+                <div class="coords-display">
+                    Distance: ${route.meters.toFixed(2)} m<br>
+                    Travel time: ${this.formatDuration(route.seconds)}<br>
+                    Shortest by: ${route.weight === 'time' ? 'travel time' : 'distance'}<br>
+                    Robot class: ${robotClass ? `${robotClass.name} ${RobotFleet.describe(robotClass)}` : 'any'}
+                </div>
+            </div>
+            <div class="property-group">
+                <label>Steps (${route.steps.length}):</label>
+                <ol class="route-steps">${steps}</ol>
+            </div>
+        `;
+    }
+
+    drawRoute(ctx) {
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        if (this.route) {
+            ctx.strokeStyle = 'rgba(255, 140, 0, 0.7)';
+            ctx.lineWidth = 8 / this.scale;
+            this.route.steps.forEach(step => {
+                if (this.getPathLevel(step.path) !== this.currentLevel) return;
+                const points = this.getPathPoints(step.path);
+                if (points) this.strokePolyline(ctx, points);
+            });
         }
+
+        // Start and destination markers
+        const markers = this.route ? [this.route.start, this.route.goal] : [this.routeStart.id];
+        ctx.strokeStyle = 'rgba(255, 140, 0, 0.9)';
+        ctx.lineWidth = 3 / this.scale;
+        markers.forEach(id => {
+            const node = this.nodes.find(n => n.id === id);
+            if (!node || !this.isOnCurrentLevel(node)) return;
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, 16 / this.scale, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    getCanvasPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.offset.x) / this.scale,
+            y: (clientY - rect.top - this.offset.y) / this.scale
+        };
+    }
+
+    /**
+     * Convert canvas coordinates to world coordinates (meters) on a level's map
+     * @param {number} canvasX - Canvas X (pixels)
+     * @param {number} canvasY - Canvas Y (pixels)
+     * @param {string} level - Level name (default: current level)
+     * @returns {Object} {x, y}; unchanged if the level has no map
+     */
+    getWorldCoordinates(canvasX, canvasY, level = this.currentLevel) {
+        const { mapYaml, mapImage } = this.getLevelMap(level);
+        if (!mapYaml || !mapImage) return { x: canvasX, y: canvasY };
+
+        const resolution = mapYaml.resolution;
+        const origin = mapYaml.origin || [0, 0, 0];
+
+        return {
+            x: canvasX * resolution + origin[0],
+            y: (mapImage.height - canvasY) * resolution + origin[1]
+        };
+    }
+
+    handleMouseDown(e) {
+        const point = this.getCanvasPoint(e.clientX, e.clientY);
+
+        // Ignore right-click - it's handled by handleContextMenu
+        if (e.button === 2) {
+            return;
+        }
+
+        // Allow panning even if tools are disabled (if map is loaded)
+        if (e.button === 1 || (e.button === 0 && e.ctrlKey)) {
+            if (this.mapImage) {
+                this.isDragging = true;
+                this.dragStart = { x: e.clientX - this.offset.x, y: e.clientY - this.offset.y };
+                this.canvas.style.cursor = 'grabbing';
+            }
+            return;
+        }
+
+        // Check if tools are disabled
+        if (!this.mapImage) {
+            this.updateStatus('Please load a map first (YAML + image files)');
+            return;
+        }
+
+        // Check if clicking on a node in select mode - enable dragging or multi-select
+        if (this.currentTool === 'select') {
+            const clickedNode = this.findNodeAt(point);
+
+            // Waypoint and curve handles of the selected path
+            const handle = clickedNode ? null : this.findPathHandleAt(point);
+            if (handle) {
+                this.startHandleDrag(handle, e.altKey);
+                return;
+            }
+
+            if (clickedNode) {
+                // Shift+click for multi-select
+                if (e.shiftKey) {
+                    const index = this.selectedNodes.findIndex(n => n.id === clickedNode.id);
+                    if (index > -1) {
+                        // Remove from selection
+                        this.selectedNodes.splice(index, 1);
+                    } else {
+                        // Add to selection
+                        this.selectedNodes.push(clickedNode);
+                    }
+                    this.updateSelectionCount();
+                    this.render();
+                    return;
+                } else {
+                    // Regular click - start dragging
+                    this.isDraggingNode = true;
+                    this.draggedNode = clickedNode;
+                    this.nodeDragMoved = false;
+                    this.canvas.style.cursor = 'move';
+
+                    // If clicked node is not in selection, make it the only selected node
+                    if (!this.selectedNodes.some(n => n.id === clickedNode.id)) {
+                        this.selectedNodes = [clickedNode];
+                    }
+                    return;
+                }
+            } else {
+                // Clicking on empty space - only start selection box if Shift is held
+                if (e.shiftKey) {
+                    this.isSelecting = true;
+                    this.selectionStart = point;
+                    this.selectionBox = null;
+                    // Don't clear previous selection when shift is held
+                } else {
+                    // Clear selection when clicking empty space without Shift
+                    this.selectedNodes = [];
+                    this.render();
+                }
+            }
+        }
+
+        switch (this.currentTool) {
+            case 'node':
+                this.addNode(point);
+                break;
+            case 'path':
+                this.handlePathDrawing(point);
+                break;
+            case 'select':
+                this.handleSelection(point, e.shiftKey);
+                break;
+            case 'delete':
+                this.handleDeletion(point);
+                break;
+            case 'measure':
+                this.handleMeasurement(point);
+                break;
+            case 'route':
+                this.handleRouteQuery(point);
+                break;
+            case 'zone':
+                this.handleZoneDrawing(point);
+                break;
+        }
+    }
+
+    handleMouseMove(e) {
+        const point = this.getCanvasPoint(e.clientX, e.clientY);
+        const worldCoords = this.getWorldCoordinates(point.x, point.y);
+
+        document.getElementById('coordsText').textContent =
+            `Canvas: (${point.x.toFixed(1)}, ${point.y.toFixed(1)}) | World: (${worldCoords.x.toFixed(3)}, ${worldCoords.y.toFixed(3)})`;
+
+        // Handle view panning
+        if (this.isDragging) {
+            this.offset.x = e.clientX - this.dragStart.x;
+            this.offset.y = e.clientY - this.dragStart.y;
+            this.render();
+            return;
+        }
+
+        // Handle node dragging
+        if (this.isDraggingNode && this.draggedNode) {
+            // The whole drag is one undo step, started by the first move
+            if (!this.nodeDragMoved) {
+                this.beginEdit('Move node', 'nodes', [this.draggedNode], ['x', 'y']);
+                this.nodeDragMoved = true;
+            }
+
+            const snappedPoint = this.snapPointToGrid(point);
+            this.draggedNode.x = snappedPoint.x;
+            this.draggedNode.y = snappedPoint.y;
+            this.render();
+            return;
+        }
+
+        // Handle path geometry handle dragging
+        if (this.draggedHandle) {
+            PathGeometry.moveHandle(this.draggedHandle.path, this.draggedHandle.handle, this.snapPointToGrid(point));
+            this.render();
+            return;
+        }
+
+        // Handle selection box dragging
+        if (this.isSelecting && this.selectionStart) {
+            this.selectionBox = {
+                x: Math.min(this.selectionStart.x, point.x),
+                y: Math.min(this.selectionStart.y, point.y),
+                width: Math.abs(point.x - this.selectionStart.x),
+                height: Math.abs(point.y - this.selectionStart.y)
+            };
+            this.render();
+            return;
+        }
+
+        // Handle temporary path preview
+        if (this.currentTool === 'path' && this.pathStart) {
+            this.tempPathEnd = point;
+            this.render();
+            return;
+        }
+
+        // Handle temporary measurement preview
+        if (this.currentTool === 'measure' && this.measureStart) {
+            this.measureEnd = point;
+            this.render();
+            return;
+        }
+
+        // Handle zone outline preview
+        if (this.currentTool === 'zone' && this.zoneDraft) {
+            this.zoneDraftEnd = point;
+            this.render();
+            return;
+        }
+
+        // Update hover state for nodes and paths
+        const previousHoveredNode = this.hoveredNode;
+        const previousHoveredPath = this.hoveredPath;
+
+        this.hoveredNode = this.findNodeAt(point);
+        this.hoveredPath = this.hoveredNode ? null : this.findPathAt(point);
+
+        // Show tooltip after a brief hover
+        if (this.hoveredNode && this.hoveredNode !== previousHoveredNode) {
+            clearTimeout(this.hoverTimeout);
+            this.hoverTimeout = setTimeout(() => {
+                this.tooltipVisible = true;
+                this.render();
+            }, 500);
+        } else if (!this.hoveredNode) {
+            clearTimeout(this.hoverTimeout);
+            this.tooltipVisible = false;
+        }
+
+        // Update cursor and render if hover state changed
+        if (this.hoveredNode !== previousHoveredNode || this.hoveredPath !== previousHoveredPath) {
+            this.render();
+        }
+
+        // Show cursor feedback when hovering over nodes in select mode
+        if (this.currentTool === 'select') {
+            if (this.hoveredNode || this.findPathHandleAt(point)) {
+                this.canvas.style.cursor = 'move';
+            } else {
+                this.canvas.style.cursor = 'crosshair';
+            }
+        }
+    }
+
+    handleMouseUp(e) {
+        if (this.isDragging) {
+            this.isDragging = false;
+            this.canvas.style.cursor = 'crosshair';
+        }
+
+        if (this.isDraggingNode) {
+            this.isDraggingNode = false;
+            if (this.draggedNode && this.nodeDragMoved) {
+                this.updateStatus(`Node "${this.draggedNode.name}" moved to new position`);
+                this.endEdit();
+            }
+            this.draggedNode = null;
+            this.canvas.style.cursor = 'crosshair';
+        }
+
+        if (this.draggedHandle) {
+            this.updateStatus(`Path "${this.draggedHandle.path.name}" reshaped`);
+            this.draggedHandle = null;
+            this.canvas.style.cursor = 'crosshair';
+            this.endEdit();
+        }
+
+        // Complete selection box
+        if (this.isSelecting && this.selectionBox) {
+            // Find all nodes within the selection box
+            const nodesInBox = this.getLevelNodes().filter(node => {
+                return node.x >= this.selectionBox.x &&
+                       node.x <= this.selectionBox.x + this.selectionBox.width &&
+                       node.y >= this.selectionBox.y &&
+                       node.y <= this.selectionBox.y + this.selectionBox.height;
+            });
+
+            // Add to existing selection (since selection box only activates with Shift)
+            nodesInBox.forEach(node => {
+                if (!this.selectedNodes.some(n => n.id === node.id)) {
+                    this.selectedNodes.push(node);
+                }
+            });
+            this.updateSelectionCount();
+
+            if (this.selectedNodes.length > 0) {
+                this.updateStatus(`Selected ${this.selectedNodes.length} node(s)`);
+            }
+
+            this.isSelecting = false;
+            this.selectionBox = null;
+            this.selectionStart = null;
+            this.render();
+        }
+    }
+
+    handleDoubleClick(e) {
+        if (!this.mapImage) return;
+
+        const point = this.getCanvasPoint(e.clientX, e.clientY);
+
+        // Double-click closes the zone being drawn
+        if (this.currentTool === 'zone' && this.zoneDraft) {
+            this.finishZone();
+            return;
+        }
+
+        // Check for node double-click
+        const clickedNode = this.findNodeAt(point);
+        if (clickedNode) {
+            this.showPropertiesPanel('node', clickedNode);
+            return;
+        }
+
+        // Check for path double-click
+        const clickedPath = this.findPathAt(point);
+        if (clickedPath) {
+            this.showPropertiesPanel('path', clickedPath);
+            return;
+        }
+
+        // Check for zone double-click
+        const clickedZone = this.findZoneAt(point);
+        if (clickedZone) {
+            this.showPropertiesPanel('zone', clickedZone);
+        }
+    }
+
+    handleContextMenu(e) {
+        e.preventDefault();
+        if (!this.mapImage) return;
+
+        const point = this.getCanvasPoint(e.clientX, e.clientY);
+        const clickedNode = this.findNodeAt(point);
+
+        this.showContextMenu(e.clientX, e.clientY, point, clickedNode);
+    }
+
+    showContextMenu(screenX, screenY, canvasPoint, node) {
+        // Remove any existing context menu
+        const existing = document.querySelector('.context-menu');
+        if (existing) existing.remove();
+
+        const path = node ? null : this.findPathAt(canvasPoint);
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.style.left = screenX + 'px';
+        menu.style.top = screenY + 'px';
+
+        if (node) {
+            menu.innerHTML = `
+                <div class="context-menu-item" onclick="app.duplicateNode('${node.id}')">Duplicate Node</div>
+                <div class="context-menu-item" onclick="app.deleteNode('${node.id}')">Delete Node</div>
+                <div class="context-menu-separator"></div>
+                <div class="context-menu-item" onclick="app.copyNode('${node.id}')">Copy</div>
+            `;
+        } else if (path) {
+            menu.innerHTML = this.getPathContextMenuItems(path, canvasPoint);
+        } else {
+            const gridLabel = this.mapYaml && this.mapYaml.resolution
+                ? `Toggle Grid - ${this.gridSizeMeters}m (G)`
+                : 'Toggle Grid (G)';
+            const snapLabel = `Snap to Grid: ${this.snapToGrid ? 'ON' : 'OFF'} (S)`;
+            const autoRouteLabel = `Auto-route Paths: ${this.autoRoute ? 'ON' : 'OFF'} (A)`;
+
+            menu.innerHTML = `
+                <div class="context-menu-item" onclick="app.pasteNode(${canvasPoint.x}, ${canvasPoint.y})">Paste</div>
+                <div class="context-menu-separator"></div>
+                <div class="context-menu-item" onclick="app.toggleGrid()">${gridLabel}</div>
+                <div class="context-menu-item" onclick="app.toggleSnapToGrid()">${snapLabel}</div>
+                <div class="context-menu-item" onclick="app.toggleAutoRoute()">${autoRouteLabel}</div>
+            `;
+        }
+
+        document.body.appendChild(menu);
+
+        // Close menu on click outside
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+        setTimeout(() => document.addEventListener('click', closeMenu), 10);
+    }
+
+    handleKeyDown(e) {
+        // Check if user is typing in an input field or textarea
+        const isInputField = e.target.tagName === 'INPUT' ||
+                            e.target.tagName === 'TEXTAREA' ||
+                            e.target.isContentEditable;
+
+        // ESC key - Cancel operations and close modals
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.handleEscapeKey();
+            return;
+        }
+
+        // Save / Save As (also while typing, instead of the browser's Save Page)
+        if (e.ctrlKey && e.key.toLowerCase() === 's') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.exportGraph();
+            } else {
+                this.saveGraph();
+            }
+        }
+        // Undo/Redo
+        else if (e.ctrlKey && e.key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if (e.ctrlKey && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) {
+            e.preventDefault();
+            this.redo();
+        }
+        // Copy/Paste
+        else if (e.ctrlKey && e.key === 'c') {
+            // Allow copy in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.copySelected();
+        } else if (e.ctrlKey && e.key === 'v') {
+            // Allow paste in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.pasteNode();
+        }
+        // Delete
+        else if (e.key === 'Delete' || e.key === 'Backspace') {
+            // Allow delete/backspace in input fields for text editing
+            if (isInputField) return;
+            e.preventDefault();
+            this.deleteSelected();
+        }
+        // Select All
+        else if (e.ctrlKey && e.key === 'a') {
+            // Allow select all in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.selectAll();
+        }
+        // Grid toggle
+        else if (e.key === 'g' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            this.toggleGrid();
+        }
+        // Snap to grid toggle
+        else if (e.key === 's' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            this.toggleSnapToGrid();
+        }
+        // Auto-route toggle
+        else if (e.key === 'a' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            this.toggleAutoRoute();
+        }
+        // Alignment shortcuts
+        else if (e.key === 'h' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.alignNodesHorizontal();
+        }
+        else if (e.key === 'v' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.alignNodesVertical();
+        }
+        // Bulk edit
+        else if (e.key === 'b' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.showBulkEditModal();
+        }
+        // Validate
+        else if (e.key === 't' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.validateGraph();
+        }
+        // Tools
+        else if (e.key === 'n' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.setTool('node');
+        }
+        else if (e.key === 'p' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.setTool('path');
+        }
+        else if (e.key === 'e' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.setTool('select');
+        }
+        else if (e.key === 'd' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.setTool('delete');
+        }
+        else if (e.key === 'm' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.setTool('measure');
+        }
+        else if (e.key === 'r' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.setTool('route');
+        }
+        else if (e.key === 'z' && !e.ctrlKey) {
+            // Don't trigger shortcuts when typing in input fields
+            if (isInputField) return;
+            e.preventDefault();
+            this.setTool('zone');
+        }
+        // Close the zone being drawn
+        else if (e.key === 'Enter' && this.currentTool === 'zone' && this.zoneDraft) {
+            if (isInputField) return;
+            e.preventDefault();
+            this.finishZone();
+        }
+        // Search focus
+        else if (e.key === 'f' && e.ctrlKey) {
+            e.preventDefault();
+            document.getElementById('searchInput').focus();
+        }
+        // Toggle quick shortcuts
+        else if (e.key === 'k' && !e.ctrlKey) {
+            e.preventDefault();
+            this.toggleQuickShortcuts();
+        }
+        // Help
+        else if (e.key === '?' || e.key === 'F1') {
+            e.preventDefault();
+            this.showHelpModal();
+        }
+    }
+
+    toggleQuickShortcuts() {
+        this.quickShortcutsVisible = !this.quickShortcutsVisible;
+        const overlay = document.getElementById('quickShortcuts');
+        overlay.style.display = this.quickShortcutsVisible ? 'block' : 'none';
+        if (this.quickShortcutsVisible) {
+            this.showToast('Press K to toggle shortcuts overlay');
+        }
+    }
+
+    setTool(tool) {
+        if (tool !== this.currentTool && this.currentTool === 'route') {
+            this.clearRoute();
+        }
+        if (tool !== this.currentTool && this.zoneDraft) {
+            this.zoneDraft = null;
+            this.zoneDraftEnd = null;
+        }
+        this.currentTool = tool;
+
+        // Update button states
+        document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
+        const btn = document.querySelector(`[data-tool="${tool}"]`);
+        if (btn) {
+            btn.classList.add('active');
+        }
+
+        // Update status bar with tool name and shortcut
+        const toolInfo = {
+            'node': { name: 'Node', key: 'N', icon: '⬤' },
+            'path': { name: 'Path', key: 'P', icon: '⟶' },
+            'select': { name: 'Select', key: 'E', icon: '⊕' },
+            'delete': { name: 'Delete', key: 'D', icon: '✕' },
+            'measure': { name: 'Measure', key: 'M', icon: '📏' },
+            'route': { name: 'Route', key: 'R', icon: '🧭' },
+            'zone': { name: 'Zone', key: 'Z', icon: '⬠' }
+        };
+
+        const info = toolInfo[tool] || { name: tool, key: '', icon: '🛠️' };
+        const toolText = document.getElementById('currentToolText');
+        if (toolText) {
+            toolText.textContent = `${info.icon} Tool: ${info.name}${info.key ? ' (' + info.key + ')' : ''}`;
+        }
+    }
+
+    handleEscapeKey() {
+        // Close any open modals
+        const nodeModal = document.getElementById('nodeModal');
+        const pathModal = document.getElementById('pathModal');
+        const helpModal = document.getElementById('helpModal');
+
+        if (helpModal.style.display === 'block') {
+            helpModal.style.display = 'none';
+            return;
+        }
+
+        if (document.getElementById('unsavedModal').style.display === 'block') {
+            this.resolveUnsavedChanges('cancel');
+            return;
+        }
+
+        if (document.getElementById('sessionsModal').style.display === 'block') {
+            this.closeSessionsModal();
+            return;
+        }
+
+        if (nodeModal.style.display === 'block') {
+            nodeModal.style.display = 'none';
+            this.selectedNode = null;
+            this.showToast('Cancelled');
+            return;
+        }
+        if (pathModal.style.display === 'block') {
+            pathModal.style.display = 'none';
+            this.selectedPath = null;
+            this.showToast('Cancelled');
+            return;
+        }
+
+        // Close context menu
+        const contextMenu = document.querySelector('.context-menu');
+        if (contextMenu) {
+            contextMenu.remove();
+            return;
+        }
+
+        // Cancel path drawing
+        if (this.currentTool === 'path' && this.pathStart) {
+            this.pathStart = null;
+            this.tempPathEnd = null;
+            this.updateStatus('Path drawing cancelled');
+            this.showToast('Path drawing cancelled');
+            this.render();
+            return;
+        }
+
+        // Cancel measurement
+        if (this.currentTool === 'measure' && this.measureStart) {
+            this.measureStart = null;
+            this.measureEnd = null;
+            this.updateStatus('Measurement cancelled');
+            this.showToast('Measurement cancelled');
+            this.render();
+            return;
+        }
+
+        // Cancel zone drawing
+        if (this.currentTool === 'zone' && this.zoneDraft) {
+            this.zoneDraft = null;
+            this.zoneDraftEnd = null;
+            this.updateStatus('Zone drawing cancelled');
+            this.showToast('Zone drawing cancelled');
+            this.render();
+            return;
+        }
+
+        // Cancel route query
+        if (this.currentTool === 'route' && (this.routeStart || this.route)) {
+            this.clearRoute();
+            this.updateStatus('Route cleared');
+            this.render();
+            return;
+        }
+
+        // Clear selection
+        if (this.selectedNodes.length > 0 || this.selectedPaths.length > 0 || this.selectedPath || this.selectedZone) {
+            this.selectedNodes = [];
+            this.selectedPaths = [];
+            this.selectedPath = null;
+            this.selectedZone = null;
+            this.updateStatus('Selection cleared');
+            this.render();
+            return;
+        }
+
+        // Cancel node dragging
+        if (this.isDraggingNode) {
+            this.isDraggingNode = false;
+            this.draggedNode = null;
+            this.endEdit();
+            this.canvas.style.cursor = 'crosshair';
+            this.render();
+            return;
+        }
+    }
+
+    updateGridSize(showToast = false) {
+        // Calculate grid size in pixels to represent the specified meters
+        if (this.mapYaml && this.mapYaml.resolution) {
+            // resolution is meters/pixel, so to get pixels per meter:
+            this.gridSize = this.gridSizeMeters / this.mapYaml.resolution;
+            console.log(`Grid updated: ${this.gridSizeMeters}m = ${this.gridSize.toFixed(1)} pixels (resolution: ${this.mapYaml.resolution}m/px)`);
+            if (showToast) {
+                this.showToast(`Grid: ${this.gridSizeMeters}m spacing`);
+            }
+        } else {
+            // Default to 50 pixels if no resolution available
+            this.gridSize = 50;
+            console.log('Grid using default 50 pixels (no resolution data)');
+        }
+
+        // Update the input field
+        const gridSizeInput = document.getElementById('gridSizeInput');
+        if (gridSizeInput) {
+            gridSizeInput.value = this.gridSizeMeters.toFixed(1);
+        }
+    }
+
+    toggleGrid() {
+        this.showGrid = !this.showGrid;
+        this.render();
+        const gridInfo = this.mapYaml && this.mapYaml.resolution
+            ? `Grid: ${this.gridSizeMeters}m spacing`
+            : 'Grid On';
+        this.showToast(this.showGrid ? gridInfo : 'Grid Off');
+    }
+
+    toggleSnapToGrid() {
+        this.snapToGrid = !this.snapToGrid;
+        const snapInfo = this.snapToGrid
+            ? `Snap to Grid: ON (${this.gridSizeMeters}m)`
+            : 'Snap to Grid: OFF';
+        this.showToast(snapInfo);
+    }
+
+    snapPointToGrid(point) {
+        if (!this.snapToGrid) return point;
+
+        // Calculate grid offset based on map origin (world coordinates)
+        let gridOffsetX = 0;
+        let gridOffsetY = 0;
+
+        if (this.mapYaml && this.mapYaml.origin) {
+            const originX = this.mapYaml.origin[0]; // meters
+            const originY = this.mapYaml.origin[1]; // meters
+
+            // Canvas pixel where world (0,0) appears
+            const worldZeroX = -originX / this.mapYaml.resolution;
+            const worldZeroY = this.mapImage.height + (originY / this.mapYaml.resolution);
+
+            // Offset to align with world coordinate grid
+            gridOffsetX = worldZeroX % this.gridSize;
+            gridOffsetY = worldZeroY % this.gridSize;
+        }
+
+        return {
+            x: Math.round((point.x - gridOffsetX) / this.gridSize) * this.gridSize + gridOffsetX,
+            y: Math.round((point.y - gridOffsetY) / this.gridSize) * this.gridSize + gridOffsetY
+        };
+    }
+
+    copySelected() {
+        if (this.selectedNodes.length > 0) {
+            this.clipboard = {
+                nodes: JSON.parse(JSON.stringify(this.selectedNodes)),
+                type: 'nodes'
+            };
+            this.showToast(`Copied ${this.selectedNodes.length} node(s)`);
+        } else if (this.selectedNode) {
+            this.clipboard = {
+                nodes: [JSON.parse(JSON.stringify(this.selectedNode))],
+                type: 'nodes'
+            };
+            this.showToast('Copied node');
+        }
+    }
+
+    copyNode(nodeId) {
+        const node = this.nodes.find(n => n.id === nodeId);
+        if (node) {
+            this.clipboard = {
+                nodes: [JSON.parse(JSON.stringify(node))],
+                type: 'nodes'
+            };
+            this.showToast('Copied node');
+        }
+    }
+
+    pasteNode(x, y) {
+        if (!this.clipboard || this.clipboard.type !== 'nodes') {
+            this.showToast('Nothing to paste');
+            return;
+        }
+
+        const nodeCounter = this.nodeCounter;
+        const centerX = x !== undefined ? x : this.canvas.width / (2 * this.scale) - this.offset.x / this.scale;
+        const centerY = y !== undefined ? y : this.canvas.height / (2 * this.scale) - this.offset.y / this.scale;
+
+        const newNodes = [];
+        this.clipboard.nodes.forEach((node, index) => {
+            const newNode = {
+                ...node,
+                id: `node_${this.nodeCounter++}`,
+                name: `${node.name} (copy)`,
+                x: centerX + (index * 50),
+                y: centerY + (index * 50),
+                level: this.currentLevel
+            };
+            newNodes.push(newNode);
+        });
+        this.recordEdit('Paste nodes', [
+            ...this.addItems('nodes', newNodes),
+            CommandHistory.set('nodeCounter', nodeCounter, this.nodeCounter)
+        ]);
+
+        this.selectedNodes = newNodes;
+        this.showToast(`Pasted ${newNodes.length} node(s)`);
+        this.render();
+    }
+
+    duplicateNode(nodeId) {
+        const node = this.nodes.find(n => n.id === nodeId);
+        if (!node) return;
+
+        const nodeCounter = this.nodeCounter;
+        const newNode = {
+            ...JSON.parse(JSON.stringify(node)),
+            id: `node_${this.nodeCounter++}`,
+            name: `${node.name} (copy)`,
+            x: node.x + 50,
+            y: node.y + 50
+        };
+
+        this.recordEdit('Duplicate node', [
+            ...this.addItems('nodes', [newNode]),
+            CommandHistory.set('nodeCounter', nodeCounter, this.nodeCounter)
+        ]);
+        this.selectedNode = newNode;
+        this.showToast('Node duplicated');
+        this.render();
+    }
+
+    deleteNode(nodeId) {
+        this.recordEdit('Delete node', this.removeNodes([nodeId]));
+        this.showToast('Node deleted');
+        this.render();
+    }
+
+    deleteSelected() {
+        if (this.selectedNodes.length > 0) {
+            const ids = this.selectedNodes.map(n => n.id);
+            this.recordEdit('Delete selection', this.removeNodes(ids));
+            this.showToast(`Deleted ${ids.length} node(s)`);
+            this.selectedNodes = [];
+            this.render();
+        } else if (this.selectedNode) {
+            this.deleteNode(this.selectedNode.id);
+            this.selectedNode = null;
+        } else if (this.selectedZone) {
+            this.deleteZone(this.selectedZone.id);
+        }
+    }
+
+    /**
+     * Remove nodes and the paths attached to them
+     * @param {string[]} ids - Node IDs
+     * @returns {Object[]} Commands for recordEdit()
+     */
+    removeNodes(ids) {
+        const removed = new Set(ids);
+        return [
+            ...this.removeItems('paths', this.paths.filter(p => removed.has(p.from) || removed.has(p.to))),
+            ...this.removeItems('nodes', this.nodes.filter(n => removed.has(n.id)))
+        ];
+    }
+
+    selectAll() {
+        this.selectedNodes = this.getLevelNodes();
+        this.showToast(`Selected ${this.selectedNodes.length} nodes`);
+        this.render();
+    }
+
+    addNodeAtPosition(x, y) {
+        const nodeCounter = this.nodeCounter;
+        const snappedPoint = this.snapPointToGrid({x, y});
+        const node = {
+            id: `node_${this.nodeCounter++}`,
+            name: `Node ${this.nodeCounter - 1}`,
+            x: snappedPoint.x,
+            y: snappedPoint.y,
+            level: this.currentLevel,
+            type: 'normal',
+            noWaiting: false,
+            isParkingSpot: false,
+            maxRobots: 1,
+            notes: ''
+        };
+
+        this.recordEdit('Add node', [
+            ...this.addItems('nodes', [node]),
+            CommandHistory.set('nodeCounter', nodeCounter, this.nodeCounter)
+        ]);
+        this.selectedNode = node;
+        this.showToast('Node added');
+        this.render();
+    }
+
+    showPropertiesPanel(type, item) {
+        const panel = document.getElementById('propertiesContent');
+
+        if (type === 'node') {
+            const worldCoords = this.getWorldCoordinates(item.x, item.y, item.level);
+            panel.innerHTML = `
+                <h4>Node Properties</h4>
+                <div class="property-group">
+                    <label>Name:</label>
+                    <input type="text" id="propNodeName" value="${item.name}" />
+                </div>
+                <div class="property-group">
+                    <label>Type:</label>
+                    <select id="propNodeType">
+                        <option value="normal" ${item.type === 'normal' ? 'selected' : ''}>Normal</option>
+                        <option value="charging" ${item.type === 'charging' ? 'selected' : ''}>Charging Station</option>
+                        <option value="pickup" ${item.type === 'pickup' ? 'selected' : ''}>Pickup Point</option>
+                        <option value="dropoff" ${item.type === 'dropoff' ? 'selected' : ''}>Dropoff Point</option>
+                    </select>
+                </div>
+                <div class="property-group">
+                    <label>Position:</label>
+                    <div class="coords-display">
+                        Level: ${item.level}<br>
+                        Canvas: (${item.x.toFixed(1)}, ${item.y.toFixed(1)})<br>
+                        World: (${worldCoords.x.toFixed(3)}, ${worldCoords.y.toFixed(3)})
+                    </div>
+                </div>
+                <div class="property-group">
+                    <label>
+                        <input type="checkbox" id="propNoWaiting" ${item.noWaiting ? 'checked' : ''} />
+                        No Waiting
+                    </label>
+                </div>
+                <div class="property-group">
+                    <label>
+                        <input type="checkbox" id="propParkingSpot" ${item.isParkingSpot ? 'checked' : ''} />
+                        Parking Spot
+                    </label>
+                </div>
+                <div class="property-group">
+                    <label>Max Robots:</label>
+                    <input type="number" id="propMaxRobots" value="${item.maxRobots}" min="1" />
+                </div>${this.getAllowedClassesField(item)}
+                <div class="property-group">
+                    <label>Notes:</label>
+                    <textarea id="propNodeNotes" rows="3">${item.notes || ''}</textarea>
+                </div>
+                <button class="btn btn-primary" onclick="app.applyNodeProperties('${item.id}')">Apply</button>
+                <button class="btn btn-secondary" onclick="app.clearPropertiesPanel()">Cancel</button>
+            `;
+        } else if (type === 'path') {
+            const fromNode = this.nodes.find(n => n.id === item.from);
+            const toNode = this.nodes.find(n => n.id === item.to);
+            const zoneSpeedLimit = this.getZoneSpeedLimit(item);
+
+            panel.innerHTML = `
+                <h4>Path Properties</h4>
+                <div class="property-group">
+                    <label>Name:</label>
+                    <input type="text" id="propPathName" value="${item.name}" />
+                </div>
+                <div class="property-group">
+                    <label>From:</label>
+                    <div class="info-text">${fromNode ? `${fromNode.name} (${fromNode.level})` : 'Unknown'}</div>
+                </div>
+                <div class="property-group">
+                    <label>To:</label>
+                    <div class="info-text">${toNode ? `${toNode.name} (${toNode.level})` : 'Unknown'}</div>
+                </div>
+                <div class="property-group">
+                    <label>Connector:</label>
+                    <select id="propPathConnector">${this.getConnectorOptions(item.connector)}</select>
+                </div>
+                <div class="property-group">
+                    <label>Speed Limit (m/s):</label>
+                    <input type="number" id="propSpeedLimit" value="${item.speedLimit}" min="0" step="0.1" />${zoneSpeedLimit !== null ? `
+                    <div class="info-text">Zones lower it to ${zoneSpeedLimit} m/s</div>` : ''}
+                </div>
+                <div class="property-group">
+                    <label>
+                        <input type="checkbox" id="propBidirectional" ${item.bidirectional ? 'checked' : ''} />
+                        Bidirectional
+                    </label>
+                </div>
+                <div class="property-group">
+                    <label>Width (m):</label>
+                    <input type="number" id="propPathWidth" value="${item.width}" min="0.1" step="0.1" />
+                </div>${this.getAllowedClassesField(item)}
+                <div class="property-group">
+                    <label>Notes:</label>
+                    <textarea id="propPathNotes" rows="3">${item.notes || ''}</textarea>
+                </div>
+                <button class="btn btn-primary" onclick="app.applyPathProperties('${item.id}')">Apply</button>
+                <button class="btn btn-secondary" onclick="app.clearPropertiesPanel()">Cancel</button>
+            `;
+        } else if (type === 'zone') {
+            panel.innerHTML = `
+                <h4>Zone Properties</h4>
+                <div class="property-group">
+                    <label>Name:</label>
+                    <input type="text" id="propZoneName" value="${item.name}" />
+                </div>
+                <div class="property-group">
+                    <label>Type:</label>
+                    <select id="propZoneType">${this.getZoneTypeOptions(item.type)}</select>
+                </div>
+                <div class="property-group">
+                    <label>Speed Limit (m/s, speed-limit zones):</label>
+                    <input type="number" id="propZoneSpeed" value="${item.speedLimit ?? ''}" min="0" step="0.1" />
+                </div>
+                <div class="property-group">
+                    <label>Area:</label>
+                    <div class="coords-display">
+                        Level: ${item.level}<br>
+                        Corners: ${item.points.length}
+                    </div>
+                </div>
+                <div class="property-group">
+                    <label>Notes:</label>
+                    <textarea id="propZoneNotes" rows="3">${item.notes || ''}</textarea>
+                </div>
+                <button class="btn btn-primary" onclick="app.applyZoneProperties('${item.id}')">Apply</button>
+                <button class="btn btn-secondary" onclick="app.deleteZone('${item.id}'); app.clearPropertiesPanel()">Delete</button>
+                <button class="btn btn-secondary" onclick="app.clearPropertiesPanel()">Cancel</button>
+            `;
+        }
+
+        this.updateStatus(`Double-click to edit ${type} properties`);
+    }
+
+    applyNodeProperties(nodeId) {
+        const node = this.nodes.find(n => n.id === nodeId);
+        if (!node) return;
+
+        this.editItems('Edit node', 'nodes', [node], ['name', 'type', 'noWaiting', 'isParkingSpot', 'maxRobots', 'notes', 'allowedClasses'], () => {
+            node.name = document.getElementById('propNodeName').value;
+            node.type = document.getElementById('propNodeType').value;
+            node.noWaiting = document.getElementById('propNoWaiting').checked;
+            node.isParkingSpot = document.getElementById('propParkingSpot').checked;
+            node.maxRobots = parseInt(document.getElementById('propMaxRobots').value);
+            node.notes = document.getElementById('propNodeNotes').value;
+            this.applyAllowedClasses(node);
+        });
+
+        this.render();
+        this.updateStatus(`Node "${node.name}" properties updated`);
+        this.clearPropertiesPanel();
+    }
+
+    applyPathProperties(pathId) {
+        const path = this.paths.find(p => p.id === pathId);
+        if (!path) return;
+
+        this.editItems('Edit path', 'paths', [path], ['name', 'speedLimit', 'bidirectional', 'width', 'notes', 'allowedClasses', 'connector'], () => {
+            path.name = document.getElementById('propPathName').value;
+            path.speedLimit = parseFloat(document.getElementById('propSpeedLimit').value);
+            path.bidirectional = document.getElementById('propBidirectional').checked;
+            path.width = parseFloat(document.getElementById('propPathWidth').value);
+            path.notes = document.getElementById('propPathNotes').value;
+            this.applyAllowedClasses(path);
+            this.setPathConnector(path, document.getElementById('propPathConnector').value);
+        });
+
+        this.render();
+        this.updateStatus(`Path "${path.name}" properties updated`);
+        this.clearPropertiesPanel();
+    }
+
+    clearPropertiesPanel() {
+        document.getElementById('propertiesContent').innerHTML =
+            '<p class="help-text">Double-click on a node, path or zone to edit its properties</p>';
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+        const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+        const point = this.getCanvasPoint(e.clientX, e.clientY);
+
+        // Zoom towards mouse position
+        this.offset.x = e.clientX - (point.x * this.scale * zoomFactor);
+        this.offset.y = e.clientY - (point.y * this.scale * zoomFactor);
+        this.scale *= zoomFactor;
+
+        this.updateZoomDisplay();
+        this.render();
+    }
+
+    zoom(factor) {
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+        const point = this.getCanvasPoint(centerX, centerY);
+
+        this.offset.x = centerX - (point.x * this.scale * factor);
+        this.offset.y = centerY - (point.y * this.scale * factor);
+        this.scale *= factor;
+
+        this.updateZoomDisplay();
+        this.render();
+    }
+
+    resetView() {
+        this.scale = 1;
+        this.offset = { x: 0, y: 0 };
+        this.updateZoomDisplay();
+        this.render();
+    }
+
+    updateZoomDisplay() {
+        const zoomPercent = Math.round(this.scale * 100);
+        document.getElementById('zoomText').textContent = `Zoom: ${zoomPercent}%`;
+    }
+
+    calculatePathDistance(fromNode, toNode) {
+        // Calculate pixel distance
+        const dx = toNode.x - fromNode.x;
+        const dy = toNode.y - fromNode.y;
+        const pixelDistance = Math.sqrt(dx * dx + dy * dy);
+
+        // Convert to meters if YAML data is available
+        if (this.mapYaml && this.mapYaml.resolution) {
+            const metersDistance = pixelDistance * this.mapYaml.resolution;
+            return {
+                pixels: pixelDistance,
+                meters: metersDistance
+            };
+        }
+
+        return {
+            pixels: pixelDistance,
+            meters: null
+        };
+    }
+
+    fitAll() {
+        const nodes = this.getLevelNodes();
+        if (nodes.length === 0 && !this.mapImage) {
+            this.showToast('No nodes or map to fit');
+            return;
+        }
+
+        let minX, maxX, minY, maxY;
+
+        if (nodes.length > 0) {
+            // Calculate bounding box of all nodes on this level
+            minX = Math.min(...nodes.map(n => n.x));
+            maxX = Math.max(...nodes.map(n => n.x));
+            minY = Math.min(...nodes.map(n => n.y));
+            maxY = Math.max(...nodes.map(n => n.y));
+        } else {
+            // Use map dimensions
+            minX = 0;
+            maxX = this.mapImage.width;
+            minY = 0;
+            maxY = this.mapImage.height;
+        }
+
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const padding = 50; // pixels
+
+        // Calculate scale to fit
+        const scaleX = (this.canvas.width - padding * 2) / width;
+        const scaleY = (this.canvas.height - padding * 2) / height;
+        this.scale = Math.min(scaleX, scaleY, 2); // Max scale of 2
+
+        // Center the content
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        this.offset.x = this.canvas.width / 2 - centerX * this.scale;
+        this.offset.y = this.canvas.height / 2 - centerY * this.scale;
+
+        this.updateZoomDisplay();
+        this.render();
+        this.showToast('View fitted to content');
+    }
+
+    focusSelected() {
+        const targets = this.selectedNodes.length > 0 ? this.selectedNodes :
+                       (this.selectedNode ? [this.selectedNode] : []);
+
+        if (targets.length === 0) {
+            this.showToast('No node selected');
+            return;
+        }
+
+        // Calculate center of selected nodes
+        const avgX = targets.reduce((sum, n) => sum + n.x, 0) / targets.length;
+        const avgY = targets.reduce((sum, n) => sum + n.y, 0) / targets.length;
+
+        // Center view on selected nodes
+        this.offset.x = this.canvas.width / 2 - avgX * this.scale;
+        this.offset.y = this.canvas.height / 2 - avgY * this.scale;
+
+        this.render();
+        this.showToast(`Focused on ${targets.length} node(s)`);
+    }
+
+    addNode(point) {
+        const nodeCounter = this.nodeCounter;
+        const snappedPoint = this.snapPointToGrid(point);
+        const node = {
+            id: `node_${this.nodeCounter++}`,
+            name: `Node ${this.nodeCounter - 1}`,
+            x: snappedPoint.x,
+            y: snappedPoint.y,
+            level: this.currentLevel,
+            type: 'normal',
+            noWaiting: false,
+            isParkingSpot: false,
+            maxRobots: 1,
+            notes: ''
+        };
+
+        this.recordEdit('Add node', [
+            ...this.addItems('nodes', [node]),
+            CommandHistory.set('nodeCounter', nodeCounter, this.nodeCounter)
+        ]);
+        this.selectedNode = node;
+        this.showNodeModal();
+        this.updateStatus(`Added node: ${node.name}`);
+        this.render();
+    }
+
+    handlePathDrawing(point) {
+        const clickedNode = this.findNodeAt(point);
+
+        if (!clickedNode) {
+            this.updateStatus('Click on a node to start/end path');
+            return;
+        }
+
+        if (!this.pathStart) {
+            this.pathStart = clickedNode;
+            this.updateStatus(`Path start: ${clickedNode.name} - Click another node to finish (or switch level for a lift)`);
+        } else {
+            if (this.pathStart.id !== clickedNode.id) {
+                let waypoints = [];
+                if (this.autoRoute && this.occupancyGrid && this.pathStart.level === clickedNode.level) {
+                    waypoints = this.routePath(this.pathStart, clickedNode);
+                    if (!waypoints) {
+                        this.showToast('No obstacle-free route found');
+                        this.updateStatus(`No route from ${this.pathStart.name} to ${clickedNode.name} - try a smaller robot radius`);
+                        return;
+                    }
+                }
+                this.addPath(this.pathStart, clickedNode, waypoints);
+                this.pathStart = null;
+                this.tempPathEnd = null;
+            } else {
+                this.updateStatus('Cannot create path to same node');
+            }
+        }
+    }
+
+    addPath(fromNode, toNode, waypoints = []) {
+        const path = {
+            id: `path_${Date.now()}`,
+            name: `${fromNode.name} -> ${toNode.name}`,
+            from: fromNode.id,
+            to: toNode.id,
+            speedLimit: 1.0,
+            bidirectional: false,
+            width: 1.0,
+            notes: ''
+        };
+
+        // Intermediate points of a routed path (canvas coordinates)
+        if (waypoints.length > 0) {
+            path.waypoints = waypoints.map(point => ({ x: point.x, y: point.y }));
+        }
+
+        // A path to another level is a lift (or other) connector
+        if (fromNode.level !== toNode.level) {
+            path.connector = 'lift';
+        }
+
+        this.recordEdit('Add path', this.addItems('paths', [path]));
+        this.selectedPath = path;
+        this.showPathModal();
+        this.updateStatus(`Added path: ${path.name}`);
+        this.render();
+    }
+
+    handleSelection(point, shiftKey = false) {
+        if (!shiftKey) {
+            this.selectedZone = null;
+        }
+
+        // Try to select node first
+        const node = this.findNodeAt(point);
+        if (node) {
+            if (shiftKey) {
+                // Multi-select nodes
+                const index = this.selectedNodes.findIndex(n => n.id === node.id);
+                if (index >= 0) {
+                    this.selectedNodes.splice(index, 1);
+                } else {
+                    this.selectedNodes.push(node);
+                }
+                this.updateStatus(`Selected ${this.selectedNodes.length} node(s)`);
+                this.render();
+            } else {
+                // Single select node - just select, don't open modal
+                this.selectedNode = node;
+                this.selectedNodes = [node];
+                this.updateStatus(`Selected node: ${node.name}. Double-click to edit properties.`);
+                this.render();
+            }
+            return;
+        }
+
+        // Try to select path
+        const path = this.findPathAt(point);
+        if (path) {
+            if (shiftKey) {
+                // Multi-select paths
+                const index = this.selectedPaths.findIndex(p => p.id === path.id);
+                if (index >= 0) {
+                    this.selectedPaths.splice(index, 1);
+                } else {
+                    this.selectedPaths.push(path);
+                }
+                this.updateStatus(`Selected ${this.selectedPaths.length} path(s)`);
+                this.render();
+            } else {
+                // Single select path - just select, don't open modal
+                this.selectedPath = path;
+                this.selectedPaths = [path];
+                this.updateStatus(`Selected path: ${path.name}. Double-click to edit properties.`);
+                this.render();
+            }
+            return;
+        }
+
+        // Zones lie under the graph and are selected last
+        const zone = shiftKey ? null : this.findZoneAt(point);
+        if (zone) {
+            this.selectedZone = zone;
+            this.updateStatus(`Selected zone: ${zone.name}. Double-click to edit properties.`);
+        }
+        this.render();
+    }
+
+    handleDeletion(point) {
+        const node = this.findNodeAt(point);
+        if (node) {
+            this.recordEdit('Delete node', this.removeNodes([node.id]));
+            this.updateStatus(`Deleted node: ${node.name}`);
+            this.render();
+            return;
+        }
+
+        const path = this.findPathAt(point);
+        if (path) {
+            this.recordEdit('Delete path', this.removeItems('paths', [path]));
+            this.updateStatus(`Deleted path: ${path.name}`);
+            this.render();
+            return;
+        }
+
+        const zone = this.findZoneAt(point);
+        if (zone) {
+            this.deleteZone(zone.id);
+        }
+    }
+
+    handleMeasurement(point) {
+        if (!this.measureStart) {
+            this.measureStart = point;
+            this.updateStatus('Click second point to measure distance');
+        } else {
+            // Calculate and show measurement
+            const distance = this.calculatePathDistance(this.measureStart, point);
+            let distanceText = `Distance: ${distance.pixels.toFixed(1)}px`;
+            if (distance.meters !== null) {
+                distanceText = `Distance: ${distance.meters.toFixed(3)}m (${distance.pixels.toFixed(1)}px)`;
+            }
+            this.showToast(distanceText, 5000);
+            this.updateStatus(distanceText);
+
+            // Reset measurement
+            this.measureStart = null;
+            this.measureEnd = null;
+            this.render();
+        }
+    }
+
+    findNodeAt(point, radius = 15) {
+        return this.nodes.find(node => {
+            if (!this.isOnCurrentLevel(node)) return false;
+            const dx = node.x - point.x;
+            const dy = node.y - point.y;
+            return Math.sqrt(dx * dx + dy * dy) < radius;
+        });
+    }
+
+    findPathAt(point, threshold = 20) {
+        return this.withNodeIndex(() => this.findLevelPathAt(point, threshold));
+    }
+
+    findLevelPathAt(point, threshold) {
+        // Connector labels of paths to other levels
+        const marker = this.getLevelConnectorMarkers().find(m =>
+            point.x >= m.x && point.x <= m.x + m.width && Math.abs(point.y - m.y) <= 7);
+        if (marker) return marker.path;
+
+        return this.getLevelPaths().find(path => {
+            const points = this.getPathPoints(path);
+            if (!points) return false;
+
+            for (let i = 1; i < points.length; i++) {
+                if (this.pointToLineDistance(point, points[i - 1], points[i]) < threshold) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    pointToLineDistance(point, lineStart, lineEnd) {
+        const A = point.x - lineStart.x;
+        const B = point.y - lineStart.y;
+        const C = lineEnd.x - lineStart.x;
+        const D = lineEnd.y - lineStart.y;
+
+        const dot = A * C + B * D;
+        const lenSq = C * C + D * D;
+        let param = -1;
+
+        if (lenSq !== 0) param = dot / lenSq;
+
+        let xx, yy;
+
+        if (param < 0) {
+            xx = lineStart.x;
+            yy = lineStart.y;
+        } else if (param > 1) {
+            xx = lineEnd.x;
+            yy = lineEnd.y;
+        } else {
+            xx = lineStart.x + param * C;
+            yy = lineStart.y + param * D;
+        }
+
+        const dx = point.x - xx;
+        const dy = point.y - yy;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    showNodeModal() {
+        if (!this.selectedNode) return;
+
+        document.getElementById('nodeName').value = this.selectedNode.name;
+        document.getElementById('nodeType').value = this.selectedNode.type;
+        document.getElementById('noWaiting').checked = this.selectedNode.noWaiting;
+        document.getElementById('isParkingSpot').checked = this.selectedNode.isParkingSpot;
+        document.getElementById('maxRobots').value = this.selectedNode.maxRobots;
+        document.getElementById('nodeNotes').value = this.selectedNode.notes;
+
+        document.getElementById('nodeModal').style.display = 'block';
+    }
+
+    updateNodeProperties() {
+        if (!this.selectedNode) return;
+
+        const node = this.selectedNode;
+        this.editItems('Edit node', 'nodes', [node], ['name', 'type', 'noWaiting', 'isParkingSpot', 'maxRobots', 'notes'], () => {
+            node.name = document.getElementById('nodeName').value;
+            node.type = document.getElementById('nodeType').value;
+            node.noWaiting = document.getElementById('noWaiting').checked;
+            node.isParkingSpot = document.getElementById('isParkingSpot').checked;
+            node.maxRobots = parseInt(document.getElementById('maxRobots').value);
+            node.notes = document.getElementById('nodeNotes').value;
+        });
+    }
+
+    showPathModal() {
+        if (!this.selectedPath) return;
+
+        document.getElementById('pathName').value = this.selectedPath.name;
+        document.getElementById('pathSpeed').value = this.selectedPath.speedLimit;
+        document.getElementById('isBidirectional').checked = this.selectedPath.bidirectional;
+        document.getElementById('pathWidth').value = this.selectedPath.width;
+        document.getElementById('pathNotes').value = this.selectedPath.notes;
+        document.getElementById('pathConnector').value = this.selectedPath.connector || '';
+
+        document.getElementById('pathModal').style.display = 'block';
+    }
+
+    updatePathProperties() {
+        if (!this.selectedPath) return;
+
+        const path = this.selectedPath;
+        this.editItems('Edit path', 'paths', [path], ['name', 'speedLimit', 'bidirectional', 'width', 'notes', 'connector'], () => {
+            path.name = document.getElementById('pathName').value;
+            path.speedLimit = parseFloat(document.getElementById('pathSpeed').value);
+            path.bidirectional = document.getElementById('isBidirectional').checked;
+            path.width = parseFloat(document.getElementById('pathWidth').value);
+            path.notes = document.getElementById('pathNotes').value;
+            this.setPathConnector(path, document.getElementById('pathConnector').value);
+        });
+    }
+
+    /**
+     * Build the export file content
+     * @param {Object} exporter - Exporter
+     * @returns {Promise<string|Blob|null>} File content, null if the export failed
+     */
+    async buildExport(exporter) {
+        const levels = this.levels.map(level => ({
+            name: level.name,
+            mapYaml: this.getLevelMap(level.name).mapYaml
+        }));
+
+        const graphData = {
+            metadata: {
+                version: '1.0',
+                created: new Date().toISOString(),
+                mapYaml: this.mapYaml,
+                levels: levels
+            },
+            nodes: this.nodes,
+            paths: this.paths,
+            zones: this.zones,
+            robotClasses: this.robotClasses
+        };
+
+        const nodeLevels = new Map(this.nodes.map(node => [node.id, node.level]));
+        const speedLimits = this.withNodeIndex(() => new Map(this.paths.map(path => [path, this.getSpeedLimit(path)])));
+        const context = {
+            getWorldCoordinates: (x, y, level) => this.getWorldCoordinates(x, y, level),
+            worldToCanvas: (x, y, level) => this.worldToCanvas(x, y, level),
+            getPathLevel: path => nodeLevels.get(path.from),
+            getSpeedLimit: path => speedLimits.has(path) ? speedLimits.get(path) : (path.speedLimit > 0 ? path.speedLimit : null),
+            levels: levels,
+            mapYaml: this.mapYaml,
+            mapDimensions: this.mapImage
+                ? { width: this.mapImage.width, height: this.mapImage.height }
+                : { width: 0, height: 0 }
+        };
+
+        try {
+            return await exporter.export(graphData, context);
+        } catch (error) {
+            console.error('Error exporting graph:', error);
+            alert('Error exporting graph: ' + error.message);
+            this.updateStatus('Export failed');
+            return null;
+        }
+    }
+
+    /**
+     * Save As: export the graph with an exporter to a new file
+     * A written file in a lossless format (see BaseExporter.isLossless)
+     * becomes the one Save writes back to and clears the unsaved changes;
+     * downloads and lossy formats (DOT, LIF, RMF, ...) are exports only.
+     * @param {Object} exporter - Exporter (default: the selected format)
+     * @returns {Promise<boolean>} True if the file was written or downloaded
+     */
+    async exportGraph(exporter = this.currentExporter) {
+        if (!exporter) {
+            alert('No exporter selected. Please select an export format.');
+            return false;
+        }
+
+        const content = await this.buildExport(exporter);
+        if (content === null) return false;
+
+        const baseName = this.fileName ? this.fileName.replace(/\.[^.]*$/, '') : `fleet_graph_${Date.now()}`;
+        const filename = exporter.getFileName(baseName);
+
+        // Check if File System Access API is supported
+        if ('showSaveFilePicker' in window) {
+            try {
+                const options = {
+                    suggestedName: filename,
+                    types: [exporter.getPickerType()]
+                };
+
+                const fileHandle = await window.showSaveFilePicker(options);
+                await this.writeGraphFile(fileHandle, content);
+
+                this.saveRecentGraph(new File([content], fileHandle.name), exporter.id);
+                if (exporter.isLossless()) {
+                    this.setGraphFile(fileHandle, fileHandle.name, exporter);
+                    this.setDirty(false);
+                    this.updateStatus(`Graph saved as ${exporter.name}`);
+                } else {
+                    this.updateStatus(`Graph exported as ${exporter.name}; save as JSON, CSV or GraphML to keep everything`);
+                }
+                return true;
+            } catch (err) {
+                // User cancelled or error occurred
+                if (err.name === 'AbortError') return false;
+
+                console.error('Error saving file:', err);
+                this.updateStatus('Error saving file: ' + err.message);
+                // Fallback to download
+            }
+        } else {
+            // Fallback for browsers that don't support File System Access API
+            this.updateStatus('Your browser doesn\'t support direct file saving. Using download instead.');
+        }
+
+        // A download cannot be written again or confirmed, so the graph keeps
+        // its save target and unsaved changes
+        this.fallbackDownload(content, filename, exporter.mimeType);
+        this.saveRecentGraph(new File([content], filename), exporter.id);
+        return true;
+    }
+
+    /**
+     * Save: write the graph back to the file it was imported from or last saved to
+     * Falls back to Save As without such a file, for formats that cannot be
+     * exported and when writing is not permitted.
+     * @returns {Promise<boolean>} True if the file was written
+     */
+    async saveGraph() {
+        if (!this.fileHandle || !this.fileExporter) {
+            return this.exportGraph(this.fileExporter || this.currentExporter);
+        }
+
+        const exporter = this.fileExporter;
+        const content = await this.buildExport(exporter);
+        if (content === null) return false;
+
+        try {
+            await this.writeGraphFile(this.fileHandle, content);
+        } catch (error) {
+            console.error('Error saving file:', error);
+            alert(`Could not write ${this.fileName}: ${error.message}\n\nPlease choose where to save the graph.`);
+            return this.exportGraph(exporter);
+        }
+
+        this.saveRecentGraph(new File([content], this.fileName), exporter.id);
+        this.setDirty(false);
+        this.updateStatus(`Saved ${this.fileName} (${exporter.name})`);
+        return true;
+    }
+
+    /**
+     * Write a file through the File System Access API, asking for write
+     * permission first if needed (e.g. for imported files)
+     * @param {FileSystemFileHandle} fileHandle - File
+     * @param {string|Blob} content - File content
+     */
+    async writeGraphFile(fileHandle, content) {
+        if (fileHandle.queryPermission) {
+            const options = { mode: 'readwrite' };
+            let permission = await fileHandle.queryPermission(options);
+            if (permission === 'prompt') {
+                permission = await fileHandle.requestPermission(options);
+            }
+            if (permission !== 'granted') {
+                throw new Error('Permission to write the file was denied');
+            }
+        }
+
+        const writable = await fileHandle.createWritable();
+        await writable.write(content);
+        await writable.close();
+    }
+
+    /**
+     * Import: pick a graph file in the selected format
+     * With the File System Access API the file's handle is kept for Save.
+     */
+    async openGraphFile() {
+        if (!('showOpenFilePicker' in window) || !this.currentParser) {
+            document.getElementById('graphInput').click();
+            return;
+        }
+
+        let fileHandle;
+        try {
+            [fileHandle] = await window.showOpenFilePicker({ types: [this.currentParser.getPickerType()] });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error opening file:', error);
+                document.getElementById('graphInput').click();
+            }
+            return;
+        }
+
+        await this.importGraph(await fileHandle.getFile(), this.currentParser, fileHandle);
+    }
+
+    async exportJson() {
+        // Legacy method - redirect to new export system
+        await this.exportGraph(getExporterById('json'));
+    }
+
+    fallbackDownload(content, filename, mimeType = 'application/json') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    initializeParsers() {
+        // Load all available parsers
+        if (typeof getAllParsers === 'function') {
+            this.availableParsers = getAllParsers();
+            this.currentParser = getDefaultParser();
+            this.updateParserUI();
+        } else {
+            console.warn('Parser system not loaded. Make sure parser scripts are included.');
+        }
+    }
+
+    updateParserUI() {
+        const parserSelect = document.getElementById('parserSelect');
+        if (!parserSelect) return;
+
+        // Clear existing options
+        parserSelect.innerHTML = '';
+
+        // Add parser options
+        this.availableParsers.forEach(parser => {
+            const option = document.createElement('option');
+            option.value = parser.id;
+            option.textContent = parser.name;
+            option.title = parser.description;
+            parserSelect.appendChild(option);
+        });
+
+        // Set current parser
+        if (this.currentParser) {
+            parserSelect.value = this.currentParser.id;
+        }
+
+        // Update file input accept attribute
+        this.updateFileInputAccept();
+    }
+
+    updateFileInputAccept() {
+        const fileInput = document.getElementById('graphInput');
+        if (!fileInput || !this.currentParser) return;
+
+        fileInput.accept = this.currentParser.getAcceptString();
+    }
+
+    onParserChange(parserId) {
+        const parser = getParserById(parserId);
+        if (parser) {
+            this.currentParser = parser;
+            this.updateFileInputAccept();
+            this.updateStatus(`Parser changed to: ${parser.name}`);
+        }
+    }
+
+    initializeExporters() {
+        // Load all available exporters
+        if (typeof getAllExporters === 'function') {
+            this.availableExporters = getAllExporters();
+            this.currentExporter = getDefaultExporter();
+            this.updateExporterUI();
+        } else {
+            console.warn('Exporter system not loaded. Make sure exporter scripts are included.');
+        }
+    }
+
+    updateExporterUI() {
+        const exporterSelect = document.getElementById('exporterSelect');
+        if (!exporterSelect) return;
+
+        // Clear existing options
+        exporterSelect.innerHTML = '';
+
+        // Add exporter options
+        this.availableExporters.forEach(exporter => {
+            const option = document.createElement('option');
+            option.value = exporter.id;
+            option.textContent = exporter.name;
+            option.title = exporter.description;
+            exporterSelect.appendChild(option);
+        });
+
+        // Set current exporter
+        if (this.currentExporter) {
+            exporterSelect.value = this.currentExporter.id;
+        }
+    }
+
+    onExporterChange(exporterId) {
+        const exporter = getExporterById(exporterId);
+        if (exporter) {
+            this.currentExporter = exporter;
+            this.updateStatus(`Export format changed to: ${exporter.name}`);
+        }
+    }
+
+    async importGraph(file, parser = this.currentParser, fileHandle = null) {
+        if (!file) return;
+
+        if (!parser) {
+            alert('No parser selected. Please select an import format.');
+            return;
+        }
+
+        try {
+            this.updateStatus(`Importing graph using ${parser.name}...`);
+
+            // Read file content
+            // For binary formats (SQLite), read as ArrayBuffer
+            // For text formats (JSON, CSV), read as text
+            let fileContent;
+            if (parser.id === 'sqlite') {
+                fileContent = await file.arrayBuffer();
+            } else {
+                fileContent = await file.text();
+            }
+
+            // Parse using selected parser
+            const data = await parser.parse(fileContent, file.name);
+
+            // Load the standardized graph data
+            this.loadGraphData(data);
+            this.saveRecentGraph(file, parser.id);
+            // Save writes back only to formats that keep the whole graph
+            const exporter = typeof getExporterById === 'function' ? getExporterById(parser.id) : null;
+            this.setGraphFile(fileHandle, file.name, exporter?.isLossless() ? exporter : null);
+            this.setDirty(false);
+
+            this.updateStatus(`Imported ${this.nodes.length} nodes and ${this.paths.length} paths`);
+            this.render();
+
+            // Report rows the parser could not use (e.g. missing coordinates or endpoints)
+            const skippedNodes = data.metadata?.skippedNodes || 0;
+            const skippedPaths = data.metadata?.skippedPaths || 0;
+            if (skippedNodes > 0 || skippedPaths > 0) {
+                this.showToast(`Skipped ${skippedNodes} node(s) and ${skippedPaths} path(s) that could not be imported`, 4000);
+            }
+
+        } catch (error) {
+            console.error('Error importing graph:', error);
+            alert('Error importing graph: ' + error.message);
+            this.updateStatus('Import failed');
+        }
+    }
+
+    loadGraphData(data) {
+        // The whole import is one undo step: the old graph is removed, the new one added
+        const commands = ['zones', 'paths', 'nodes'].flatMap(collection => this.removeItems(collection, this[collection]));
+        const { robotClasses, nodeCounter, currentLevel } = this;
+        const maps = this.levels.map(level => ({ level: level, before: this.captureLevelMap(level) }));
+
+        // Load nodes
+        this.nodes = data.nodes || [];
+
+        this.nodes.forEach(node => {
+            // Nodes without a level are placed on the current level
+            node.level = node.level ? String(node.level) : this.currentLevel;
+
+            // Parsers report parking spots as parkingSpot, the editor uses isParkingSpot
+            if (node.parkingSpot !== undefined) {
+                node.isParkingSpot = node.isParkingSpot ?? node.parkingSpot;
+                delete node.parkingSpot;
+            }
+        });
+
+        // Load paths; every path between levels is a connector
+        this.paths = data.paths || [];
+        this.paths.forEach(path => this.setPathConnector(path, path.connector));
+
+        // Load zones; zones without a level are placed on the current level
+        this.zones = data.zones || [];
+        this.zones.forEach(zone => {
+            zone.level = zone.level ? String(zone.level) : this.currentLevel;
+        });
+        this.selectedZone = null;
+
+        // Load the robot fleet
+        this.robotClasses = data.robotClasses || [];
+        this.updateRouteClassSelect();
+
+        // Levels in the file's order (names, or { name, mapYaml } from the native JSON format)
+        const levels = (data.metadata?.levels || []).map(level => typeof level === 'string' ? { name: level } : level);
+        const addedLevels = this.ensureLevels([
+            ...levels.map(level => String(level.name)),
+            ...this.nodes.map(node => node.level),
+            ...this.zones.map(zone => zone.level)
+        ]);
+
+        // Convert world coordinates of levels whose map is loaded (the others follow when it is)
+        this.convertWorldCoordinates();
+
+        // Load map metadata
+        if (levels.some(level => level.mapYaml)) {
+            levels.forEach(level => this.setLevelMapYaml(String(level.name), level.mapYaml));
+        } else if (data.metadata?.mapYaml) {
+            this.setLevelMapYaml(this.currentLevel, data.metadata.mapYaml);
+        }
+
+        // Show a level with nodes
+        if (this.nodes.length > 0 && this.getLevelNodes().length === 0) {
+            this.switchLevel(this.nodes[0].level);
+        }
+
+        // Update node counter to avoid ID conflicts
+        const maxNodeNumber = this.nodes.reduce((max, node) => {
+            const match = node.id.match(/\d+$/);
+            if (match) {
+                return Math.max(max, parseInt(match[0]));
+            }
+            return max;
+        }, 0);
+        this.nodeCounter = maxNodeNumber + 1;
+
+        this.recordEdit('Import graph', [
+            ...commands,
+            ...addedLevels.map(level => this.createLevelCommand('add', level)),
+            this.showLevelCommand(currentLevel, this.currentLevel),
+            ...maps.map(({ level, before }) => this.createMapCommand(level, before)),
+            ...['nodes', 'paths', 'zones'].flatMap(collection =>
+                this[collection].map((item, index) => CommandHistory.add(this, collection, item, index))),
+            CommandHistory.set('robotClasses', robotClasses, this.robotClasses),
+            CommandHistory.set('nodeCounter', nodeCounter, this.nodeCounter)
+        ]);
+
+        // Enable tools if we have nodes/paths to work with
+        if (this.nodes.length > 0 || this.paths.length > 0) {
+            this.enableTools();
+        }
+    }
+
+    /**
+     * Convert world coordinates (meters) to canvas coordinates on a level's map
+     * @param {number} worldX - World X (meters)
+     * @param {number} worldY - World Y (meters)
+     * @param {string} level - Level name (default: current level)
+     * @returns {Object} {x, y}; unchanged if the level has no map
+     */
+    worldToCanvas(worldX, worldY, level = this.currentLevel) {
+        const { mapYaml, mapImage } = this.getLevelMap(level);
+        if (!mapYaml || !mapImage) {
+            return { x: worldX, y: worldY };
+        }
+
+        const resolution = mapYaml.resolution;
+        const origin = mapYaml.origin || [0, 0, 0];
+
+        // Reverse of getWorldCoordinates
+        // worldX = canvasX * resolution + origin[0]
+        // worldY = (mapHeight - canvasY) * resolution + origin[1]
+
+        const canvasX = (worldX - origin[0]) / resolution;
+        const canvasY = mapImage.height - (worldY - origin[1]) / resolution;
+
+        return { x: canvasX, y: canvasY };
+    }
+
+    async importJson(file) {
+        // Legacy method - redirect to new import system
+        await this.importGraph(file);
+    }
+
+    render() {
+        // Paths look up their end nodes many times per frame
+        this.withNodeIndex(() => this.drawFrame());
+    }
+
+    drawFrame() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        ctx.save();
+        ctx.translate(this.offset.x, this.offset.y);
+        ctx.scale(this.scale, this.scale);
+
+        // Draw map
+        if (this.mapImage) {
+            ctx.drawImage(this.getMapDisplayImage(), 0, 0);
+        }
+
+        // Draw grid on top of map if enabled
+        if (this.showGrid) {
+            this.drawGrid(ctx);
+        }
+
+        // Draw zones of the current level under the graph
+        this.drawZones(ctx);
+
+        // Draw paths of the current level
+        this.getLevelPaths().forEach(path => this.drawPath(path));
+
+        // Draw components and suggested paths from the last validation
+        if (this.connectivity) {
+            this.drawConnectivity(ctx);
+        }
+
+        // Draw obstacle hits from the last validation
+        if (this.validationHighlights) {
+            this.drawValidationHighlights(ctx);
+        }
+
+        // Draw the route of the Route tool
+        if (this.routeStart) {
+            this.drawRoute(ctx);
+        }
+
+        // Draw temp path (not for a connector started on another level)
+        if (this.pathStart && this.tempPathEnd && this.isOnCurrentLevel(this.pathStart)) {
+            ctx.strokeStyle = 'rgba(255, 255, 0, 0.6)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 5]);
+            ctx.beginPath();
+            ctx.moveTo(this.pathStart.x, this.pathStart.y);
+            ctx.lineTo(this.tempPathEnd.x, this.tempPathEnd.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Draw distance label for temp path
+            const distance = this.calculatePathDistance(this.pathStart, this.tempPathEnd);
+            const midX = (this.pathStart.x + this.tempPathEnd.x) / 2;
+            const midY = (this.pathStart.y + this.tempPathEnd.y) / 2;
+
+            let distanceText = `${distance.pixels.toFixed(1)}px`;
+            if (distance.meters !== null) {
+                distanceText = `${distance.meters.toFixed(2)}m`;
+            }
+
+            ctx.font = 'bold 14px Arial';
+            const textWidth = ctx.measureText(distanceText).width;
+            const padding = 4;
+
+            // Draw background
+            ctx.fillStyle = 'rgba(255, 255, 0, 0.9)';
+            ctx.fillRect(midX - textWidth / 2 - padding, midY - 10 - padding, textWidth + padding * 2, 20);
+
+            // Draw text
+            ctx.fillStyle = '#000';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(distanceText, midX, midY);
+        }
+
+        // Draw nodes of the current level, with their connectors to other levels
+        this.getLevelNodes().forEach(node => this.drawNode(node));
+        this.drawLevelConnectors(ctx);
+
+        // Draw simulated robots
+        if (this.simulation) {
+            this.drawSimulation(ctx);
+        }
+
+        // Draw measurement line
+        if (this.measureStart && this.measureEnd) {
+            ctx.strokeStyle = 'rgba(255, 0, 255, 0.8)';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([10, 5]);
+            ctx.beginPath();
+            ctx.moveTo(this.measureStart.x, this.measureStart.y);
+            ctx.lineTo(this.measureEnd.x, this.measureEnd.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Draw measurement markers
+            ctx.fillStyle = 'rgba(255, 0, 255, 0.9)';
+            ctx.beginPath();
+            ctx.arc(this.measureStart.x, this.measureStart.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(this.measureEnd.x, this.measureEnd.y, 5, 0, Math.PI * 2);
+            ctx.fill();
+
+            // Draw distance label
+            const distance = this.calculatePathDistance(this.measureStart, this.measureEnd);
+            const midX = (this.measureStart.x + this.measureEnd.x) / 2;
+            const midY = (this.measureStart.y + this.measureEnd.y) / 2;
+
+            let distanceText = `${distance.pixels.toFixed(1)}px`;
+            if (distance.meters !== null) {
+                distanceText = `${distance.meters.toFixed(3)}m`;
+            }
+
+            ctx.font = 'bold 14px Arial';
+            const textWidth = ctx.measureText(distanceText).width;
+            const padding = 4;
+
+            // Draw background
+            ctx.fillStyle = 'rgba(255, 0, 255, 0.9)';
+            ctx.fillRect(midX - textWidth / 2 - padding, midY - 10 - padding, textWidth + padding * 2, 20);
+
+            // Draw text
+            ctx.fillStyle = '#fff';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(distanceText, midX, midY);
+        }
+
+        // Draw selection box
+        if (this.isSelecting && this.selectionBox) {
+            ctx.strokeStyle = 'rgba(0, 122, 204, 0.8)';
+            ctx.fillStyle = 'rgba(0, 122, 204, 0.1)';
+            ctx.lineWidth = 2 / this.scale;
+            ctx.strokeRect(
+                this.selectionBox.x,
+                this.selectionBox.y,
+                this.selectionBox.width,
+                this.selectionBox.height
+            );
+            ctx.fillRect(
+                this.selectionBox.x,
+                this.selectionBox.y,
+                this.selectionBox.width,
+                this.selectionBox.height
+            );
+        }
+
+        ctx.restore();
+
+        // Draw tooltip
+        if (this.hoveredNode && this.tooltipVisible) {
+            this.drawTooltip(ctx);
+        }
+
+        // Draw path tooltip
+        if (this.hoveredPath && this.tooltipVisible) {
+            this.drawPathTooltip(ctx);
+        }
+
+        // Draw minimap
+        if (this.showMinimap && this.mapImage) {
+            this.renderMinimap();
+        }
+    }
+
+    drawGrid(ctx) {
+        // Calculate grid offset based on map origin (world coordinates)
+        let gridOffsetX = 0;
+        let gridOffsetY = 0;
+
+        if (this.mapYaml && this.mapYaml.origin) {
+            // Convert map origin from world coordinates to canvas pixels
+            // origin[0] is x in world coords, origin[1] is y in world coords
+            // We need to find where world coordinate (0,0) is on the canvas
+            const originX = this.mapYaml.origin[0]; // meters
+            const originY = this.mapYaml.origin[1]; // meters
+
+            // Canvas pixel where world (0,0) appears
+            const worldZeroX = -originX / this.mapYaml.resolution;
+            const worldZeroY = this.mapImage.height + (originY / this.mapYaml.resolution);
+
+            // Offset grid so it aligns with world coordinate grid
+            gridOffsetX = worldZeroX % this.gridSize;
+            gridOffsetY = worldZeroY % this.gridSize;
+        }
+
+        const startX = Math.floor(-this.offset.x / this.scale / this.gridSize) * this.gridSize + gridOffsetX;
+        const startY = Math.floor(-this.offset.y / this.scale / this.gridSize) * this.gridSize + gridOffsetY;
+        const endX = startX + (this.canvas.width / this.scale) + this.gridSize * 2;
+        const endY = startY + (this.canvas.height / this.scale) + this.gridSize * 2;
+
+        ctx.strokeStyle = 'rgba(100, 100, 100, 0.2)';
+        ctx.lineWidth = 1 / this.scale;
+
+        // Vertical lines
+        for (let x = startX; x <= endX; x += this.gridSize) {
+            ctx.beginPath();
+            ctx.moveTo(x, startY);
+            ctx.lineTo(x, endY);
+            ctx.stroke();
+        }
+
+        // Horizontal lines
+        for (let y = startY; y <= endY; y += this.gridSize) {
+            ctx.beginPath();
+            ctx.moveTo(startX, y);
+            ctx.lineTo(endX, y);
+            ctx.stroke();
+        }
+    }
+
+    drawTooltip(ctx) {
+        if (!this.hoveredNode) return;
+
+        const node = this.hoveredNode;
+        const worldCoords = this.getWorldCoordinates(node.x, node.y, node.level);
+
+        const lines = [
+            `Name: ${node.name}`,
+            `Type: ${node.type}`,
+            `Level: ${node.level}`,
+            `Position: (${worldCoords.x.toFixed(2)}, ${worldCoords.y.toFixed(2)})`,
+            `Max Robots: ${node.maxRobots}`
+        ];
+
+        const padding = 8;
+        const lineHeight = 16;
+        const fontSize = 12;
+        ctx.font = `${fontSize}px Arial`;
+
+        const maxWidth = Math.max(...lines.map(l => ctx.measureText(l).width));
+        const boxWidth = maxWidth + padding * 2;
+        const boxHeight = lines.length * lineHeight + padding * 2;
+
+        // Position tooltip near mouse
+        const tooltipX = (node.x * this.scale) + this.offset.x + 20;
+        const tooltipY = (node.y * this.scale) + this.offset.y + 20;
+
+        // Draw background
+        ctx.fillStyle = 'rgba(45, 45, 45, 0.95)';
+        ctx.fillRect(tooltipX, tooltipY, boxWidth, boxHeight);
+
+        // Draw border
+        ctx.strokeStyle = '#007acc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(tooltipX, tooltipY, boxWidth, boxHeight);
+
+        // Draw text
+        ctx.fillStyle = '#e0e0e0';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            ctx.fillText(line, tooltipX + padding, tooltipY + padding + i * lineHeight);
+        });
     }
 
-    handleDeletion(point) {
-        const node = this.findNodeAt(point);
-        if (node) {
-            this.nodes = this.nodes.filter(n => n.id !== node.id);
-            this.paths = this.paths.filter(p => p.from !== node.id && p.to !== node.id);
-            this.updateStatus(`Deleted node: ${node.name}`);
-            this.render();
-            return;
-        }
+    drawPathTooltip(ctx) {
+        if (!this.hoveredPath) return;
 
-        const path = this.findPathAt(point);
-        if (path) {
-            this.paths = this.paths.filter(p => p.id !== path.id);
-            this.updateStatus(`Deleted path: ${path.name}`);
-            this.render();
-        }
-    }
+        const path = this.hoveredPath;
+        const fromNode = this.getNode(path.from);
+        const toNode = this.getNode(path.to);
 
-    handleMeasurement(point) {
-        if (!this.measureStart) {
-            this.measureStart = point;
-            this.updateStatus('Click second point to measure distance');
+        if (!fromNode || !toNode) return;
+
+        const connector = this.connectorTypes[path.connector];
+        let lines, midX, midY;
+
+        if (this.isCrossLevelPath(path)) {
+            // Connector to another level: shown at its label
+            const marker = this.getLevelConnectorMarkers().find(m => m.path === path);
+            if (!marker) return;
+            ({ x: midX, y: midY } = marker);
+
+            lines = [
+                `Path: ${path.name}`,
+                `From: ${fromNode.name} (${fromNode.level})`,
+                `To: ${toNode.name} (${toNode.level})`,
+                `Connector: ${connector.label} (${this.formatDuration(this.levelTransferTime)})`,
+                `Direction: ${path.bidirectional ? 'Bidirectional' : 'One-way'}`
+            ];
         } else {
-            // Calculate and show measurement
-            const distance = this.calculatePathDistance(this.measureStart, point);
-            let distanceText = `Distance: ${distance.pixels.toFixed(1)}px`;
-            if (distance.meters !== null) {
-                distanceText = `Distance: ${distance.meters.toFixed(3)}m (${distance.pixels.toFixed(1)}px)`;
+            const points = this.getPathPoints(path);
+            const distance = this.calculatePolylineDistance(points);
+            const zoneSpeedLimit = this.getZoneSpeedLimit(path);
+            ({ x: midX, y: midY } = this.getPolylineMidpoint(points));
+            const shape = PathGeometry.hasGeometry(path)
+                ? `${path.waypoints?.length || 0} waypoint(s)${path.segments ? ', curved' : ''}`
+                : 'Straight';
+
+            lines = [
+                `Path: ${path.name}`,
+                `From: ${fromNode.name}`,
+                `To: ${toNode.name}`,
+                distance.meters !== null ? `Distance: ${distance.meters.toFixed(2)}m` : `Distance: ${distance.pixels.toFixed(1)}px`,
+                zoneSpeedLimit !== null ? `Speed: ${zoneSpeedLimit}m/s (zone)` : `Speed: ${path.speedLimit}m/s`,
+                `Width: ${path.width}m`,
+                `Direction: ${path.bidirectional ? 'Bidirectional' : 'One-way'}`,
+                `Shape: ${shape}`
+            ];
+            if (connector) {
+                lines.push(`Connector: ${connector.label}`);
             }
-            this.showToast(distanceText, 5000);
-            this.updateStatus(distanceText);
-
-            // Reset measurement
-            this.measureStart = null;
-            this.measureEnd = null;
-            this.render();
         }
-    }
 
-    findNodeAt(point, radius = 15) {
-        return this.nodes.find(node => {
-            const dx = node.x - point.x;
-            const dy = node.y - point.y;
-            return Math.sqrt(dx * dx + dy * dy) < radius;
-        });
-    }
+        const padding = 8;
+        const lineHeight = 16;
+        const fontSize = 12;
+        ctx.font = `${fontSize}px Arial`;
 
-    findPathAt(point, threshold = 20) {
-        return this.paths.find(path => {
-            const from = this.nodes.find(n => n.id === path.from);
-            const to = this.nodes.find(n => n.id === path.to);
-            if (!from || !to) return false;
+        const maxWidth = Math.max(...lines.map(l => ctx.measureText(l).width));
+        const boxWidth = maxWidth + padding * 2;
+        const boxHeight = lines.length * lineHeight + padding * 2;
 
-            const dist = this.pointToLineDistance(point, from, to);
-            return dist < threshold;
-        });
-    }
+        // Position tooltip near path midpoint
+        const tooltipX = (midX * this.scale) + this.offset.x + 20;
+        const tooltipY = (midY * this.scale) + this.offset.y + 20;
 
-    pointToLineDistance(point, lineStart, lineEnd) {
-        const A = point.x - lineStart.x;
-        const B = point.y - lineStart.y;
-        const C = lineEnd.x - lineStart.x;
-        const D = lineEnd.y - lineStart.y;
+        // Draw background
+        ctx.fillStyle = 'rgba(45, 45, 45, 0.95)';
+        ctx.fillRect(tooltipX, tooltipY, boxWidth, boxHeight);
 
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        let param = -1;
+        // Draw border
+        ctx.strokeStyle = '#00ff00';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(tooltipX, tooltipY, boxWidth, boxHeight);
 
-        if (lenSq !== 0) param = dot / lenSq;
+        // Draw text
+        ctx.fillStyle = '#e0e0e0';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            ctx.fillText(line, tooltipX + padding, tooltipY + padding + i * lineHeight);
+        });
+    }
 
-        let xx, yy;
+    renderMinimap() {
+        const mmCtx = this.minimapCtx;
+        const size = this.minimapSize;
 
-        if (param < 0) {
-            xx = lineStart.x;
-            yy = lineStart.y;
-        } else if (param > 1) {
-            xx = lineEnd.x;
-            yy = lineEnd.y;
+        // Calculate aspect ratio
+        const aspect = this.mapImage.width / this.mapImage.height;
+        let mmWidth, mmHeight;
+        if (aspect > 1) {
+            mmWidth = size;
+            mmHeight = size / aspect;
         } else {
-            xx = lineStart.x + param * C;
-            yy = lineStart.y + param * D;
+            mmWidth = size * aspect;
+            mmHeight = size;
         }
 
-        const dx = point.x - xx;
-        const dy = point.y - yy;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
+        // Set canvas size
+        this.minimapCanvas.width = mmWidth;
+        this.minimapCanvas.height = mmHeight;
 
-    showNodeModal() {
-        if (!this.selectedNode) return;
+        // Clear minimap
+        mmCtx.clearRect(0, 0, mmWidth, mmHeight);
 
-        document.getElementById('nodeName').value = this.selectedNode.name;
-        document.getElementById('nodeType').value = this.selectedNode.type;
-        document.getElementById('noWaiting').checked = this.selectedNode.noWaiting;
-        document.getElementById('isParkingSpot').checked = this.selectedNode.isParkingSpot;
-        document.getElementById('maxRobots').value = this.selectedNode.maxRobots;
-        document.getElementById('nodeNotes').value = this.selectedNode.notes;
+        // Draw map
+        mmCtx.drawImage(this.getMapDisplayImage(), 0, 0, mmWidth, mmHeight);
 
-        document.getElementById('nodeModal').style.display = 'block';
-    }
+        // Draw nodes
+        mmCtx.fillStyle = '#007acc';
+        this.getLevelNodes().forEach(node => {
+            const x = (node.x / this.mapImage.width) * mmWidth;
+            const y = (node.y / this.mapImage.height) * mmHeight;
+            mmCtx.beginPath();
+            mmCtx.arc(x, y, 2, 0, Math.PI * 2);
+            mmCtx.fill();
+        });
 
-    updateNodeProperties() {
-        if (!this.selectedNode) return;
+        // Draw paths
+        mmCtx.strokeStyle = '#00ff00';
+        mmCtx.lineWidth = 1;
+        this.getLevelPaths().forEach(path => {
+            const points = this.getPathPoints(path);
+            if (points) {
+                mmCtx.beginPath();
+                points.forEach((point, i) => {
+                    const x = (point.x / this.mapImage.width) * mmWidth;
+                    const y = (point.y / this.mapImage.height) * mmHeight;
+                    if (i === 0) mmCtx.moveTo(x, y);
+                    else mmCtx.lineTo(x, y);
+                });
+                mmCtx.stroke();
+            }
+        });
 
-        this.saveState(); // Save state before modification
+        // Draw viewport rectangle
+        const viewportX = (-this.offset.x / this.scale / this.mapImage.width) * mmWidth;
+        const viewportY = (-this.offset.y / this.scale / this.mapImage.height) * mmHeight;
+        const viewportW = (this.canvas.width / this.scale / this.mapImage.width) * mmWidth;
+        const viewportH = (this.canvas.height / this.scale / this.mapImage.height) * mmHeight;
 
-        this.selectedNode.name = document.getElementById('nodeName').value;
-        this.selectedNode.type = document.getElementById('nodeType').value;
-        this.selectedNode.noWaiting = document.getElementById('noWaiting').checked;
-        this.selectedNode.isParkingSpot = document.getElementById('isParkingSpot').checked;
-        this.selectedNode.maxRobots = parseInt(document.getElementById('maxRobots').value);
-        this.selectedNode.notes = document.getElementById('nodeNotes').value;
+        mmCtx.strokeStyle = '#ffff00';
+        mmCtx.lineWidth = 2;
+        mmCtx.strokeRect(viewportX, viewportY, viewportW, viewportH);
     }
 
-    showPathModal() {
-        if (!this.selectedPath) return;
+    handleMinimapClick(e) {
+        const rect = this.minimapCanvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
 
-        document.getElementById('pathName').value = this.selectedPath.name;
-        document.getElementById('pathSpeed').value = this.selectedPath.speedLimit;
-        document.getElementById('isBidirectional').checked = this.selectedPath.bidirectional;
-        document.getElementById('pathWidth').value = this.selectedPath.width;
-        document.getElementById('pathNotes').value = this.selectedPath.notes;
+        // Convert minimap coords to map coords
+        const aspect = this.mapImage.width / this.mapImage.height;
+        let mmWidth, mmHeight;
+        if (aspect > 1) {
+            mmWidth = this.minimapSize;
+            mmHeight = this.minimapSize / aspect;
+        } else {
+            mmWidth = this.minimapSize * aspect;
+            mmHeight = this.minimapSize;
+        }
 
-        document.getElementById('pathModal').style.display = 'block';
+        const mapX = (x / mmWidth) * this.mapImage.width;
+        const mapY = (y / mmHeight) * this.mapImage.height;
+
+        // Center viewport on clicked position
+        this.offset.x = -mapX * this.scale + this.canvas.width / 2;
+        this.offset.y = -mapY * this.scale + this.canvas.height / 2;
+
+        this.render();
     }
 
-    updatePathProperties() {
-        if (!this.selectedPath) return;
+    drawNode(node) {
+        const ctx = this.ctx;
+        const radius = 6;
+        const isSelected = this.selectedNode?.id === node.id || this.selectedNodes.some(n => n.id === node.id);
+        const isHovered = this.hoveredNode?.id === node.id;
 
-        this.saveState(); // Save state before modification
+        // Draw node circle (if enabled)
+        if (this.showNodePoints) {
+            // Use consistent color for all nodes
+            const color = '#007acc';
 
-        this.selectedPath.name = document.getElementById('pathName').value;
-        this.selectedPath.speedLimit = parseFloat(document.getElementById('pathSpeed').value);
-        this.selectedPath.bidirectional = document.getElementById('isBidirectional').checked;
-        this.selectedPath.width = parseFloat(document.getElementById('pathWidth').value);
-        this.selectedPath.notes = document.getElementById('pathNotes').value;
-    }
+            // Draw glow effect for selected nodes with pulse animation
+            if (isSelected) {
+                const pulseRadius = radius + 8 + (this.selectedNodePulse * 4);
+                ctx.shadowColor = color;
+                ctx.shadowBlur = 20;
+                ctx.fillStyle = `${color}40`; // Semi-transparent
+                ctx.beginPath();
+                ctx.arc(node.x, node.y, pulseRadius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.shadowBlur = 0;
+            }
 
-    async exportJson() {
-        const data = {
-            metadata: {
-                version: '1.0',
-                created: new Date().toISOString(),
-                mapYaml: this.mapYaml
-            },
-            nodes: this.nodes.map(node => ({
-                ...node,
-                worldCoords: this.getWorldCoordinates(node.x, node.y)
-            })),
-            paths: this.paths
-        };
+            // Draw hover highlight
+            if (isHovered) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+                ctx.beginPath();
+                ctx.arc(node.x, node.y, radius + 5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            // Draw main node circle
+            ctx.fillStyle = color;
+            ctx.strokeStyle = isSelected ? '#ffff00' : '#fff';
+            ctx.lineWidth = isSelected ? 3 : 2;
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
 
-        const json = JSON.stringify(data, null, 2);
-        const filename = `fleet_graph_${Date.now()}.json`;
+            // Draw multi-select indicator (small dot on top-right)
+            if (this.selectedNodes.length > 1 && isSelected) {
+                ctx.fillStyle = '#ff00ff';
+                ctx.beginPath();
+                ctx.arc(node.x + radius - 2, node.y - radius + 2, 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
 
-        // Check if File System Access API is supported
-        if ('showSaveFilePicker' in window) {
-            try {
-                const options = {
-                    suggestedName: filename,
-                    types: [{
-                        description: 'JSON Files',
-                        accept: { 'application/json': ['.json'] }
-                    }]
-                };
+        // Draw name with background for better visibility (if enabled)
+        // Draw names BEFORE icons so icons appear on top
+        if (this.showNodeNames) {
+            ctx.font = 'bold 12px Arial';
+            const textWidth = ctx.measureText(node.name).width;
+            const textHeight = 12;
+            const padding = 4;
+            const offset = 8; // Additional offset from node edge
+
+            // Draw background rectangle
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.fillRect(
+                node.x + radius + offset,
+                node.y - textHeight / 2 - padding,
+                textWidth + padding * 2,
+                textHeight + padding * 2
+            );
 
-                const fileHandle = await window.showSaveFilePicker(options);
-                const writable = await fileHandle.createWritable();
-                await writable.write(json);
-                await writable.close();
+            // Draw text - centered vertically with node
+            ctx.fillStyle = isSelected ? '#ffff00' : '#ffff00'; // Yellow for better visibility
+            ctx.textBaseline = 'middle';
+            ctx.fillText(node.name, node.x + radius + offset + padding, node.y);
+            ctx.textBaseline = 'alphabetic'; // Reset to default
+        }
 
-                this.updateStatus('Graph exported successfully to selected location');
-            } catch (err) {
-                // User cancelled or error occurred
-                if (err.name !== 'AbortError') {
-                    console.error('Error saving file:', err);
-                    this.updateStatus('Error saving file: ' + err.message);
-                    // Fallback to download
-                    this.fallbackDownload(json, filename);
-                }
-            }
-        } else {
-            // Fallback for browsers that don't support File System Access API
-            this.updateStatus('Your browser doesn\'t support direct file saving. Using download instead.');
-            this.fallbackDownload(json, filename);
+        // Draw type icons around the node AFTER names so they appear on top
+        if (this.showNodeIcons) {
+            this.drawNodeIcons(node, radius);
         }
     }
 
-    fallbackDownload(json, filename) {
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        a.click();
-        URL.revokeObjectURL(url);
-    }
+    drawNodeIcons(node, nodeRadius) {
+        const iconOffset = nodeRadius + 14; // Distance from node center
+        const iconSize = 10;
+        const diagonalOffset = iconOffset * 0.85; // Increased for better diagonal spacing
 
-    initializeParsers() {
-        // Load all available parsers
-        if (typeof getAllParsers === 'function') {
-            this.availableParsers = getAllParsers();
-            this.currentParser = getDefaultParser();
-            this.updateParserUI();
-        } else {
-            console.warn('Parser system not loaded. Make sure parser scripts are included.');
+        // Draw type-specific icon
+        switch (node.type) {
+            case 'charging':
+                // Lightning bolt icon for charging station - TOP
+                this.drawChargingIcon(node.x, node.y - iconOffset, iconSize);
+                break;
+            case 'pickup':
+                // Up arrow icon for pickup point - RIGHT
+                this.drawPickupIcon(node.x + iconOffset, node.y, iconSize);
+                break;
+            case 'dropoff':
+                // Down arrow icon for dropoff point - LEFT
+                this.drawDropoffIcon(node.x - iconOffset, node.y, iconSize);
+                break;
         }
-    }
 
-    updateParserUI() {
-        const parserSelect = document.getElementById('parserSelect');
-        if (!parserSelect) return;
+        // Draw parking icon if it's a parking spot (can combine with other types)
+        if (node.isParkingSpot) {
+            // BOTTOM position
+            this.drawParkingIcon(node.x, node.y + iconOffset, iconSize);
+        }
 
-        // Clear existing options
-        parserSelect.innerHTML = '';
+        // Draw no-waiting icon - use diagonal position that doesn't overlap with type icons
+        if (node.noWaiting) {
+            // Choose diagonal position based on what type icon exists
+            let noWaitX, noWaitY;
 
-        // Add parser options
-        this.availableParsers.forEach(parser => {
-            const option = document.createElement('option');
-            option.value = parser.id;
-            option.textContent = parser.name;
-            option.title = parser.description;
-            parserSelect.appendChild(option);
-        });
+            if (node.type === 'charging') {
+                // If charging (top), put no-waiting at bottom-right diagonal
+                noWaitX = node.x + diagonalOffset;
+                noWaitY = node.y + diagonalOffset;
+            } else if (node.type === 'pickup') {
+                // If pickup (right), put no-waiting at top-left diagonal
+                noWaitX = node.x - diagonalOffset;
+                noWaitY = node.y - diagonalOffset;
+            } else if (node.type === 'dropoff') {
+                // If dropoff (left), put no-waiting at top-right diagonal
+                noWaitX = node.x + diagonalOffset;
+                noWaitY = node.y - diagonalOffset;
+            } else {
+                // Default: top-right diagonal
+                noWaitX = node.x + diagonalOffset;
+                noWaitY = node.y - diagonalOffset;
+            }
 
-        // Set current parser
-        if (this.currentParser) {
-            parserSelect.value = this.currentParser.id;
+            this.drawNoWaitingIcon(noWaitX, noWaitY, iconSize);
         }
-
-        // Update file input accept attribute
-        this.updateFileInputAccept();
     }
 
-    updateFileInputAccept() {
-        const fileInput = document.getElementById('graphInput');
-        if (!fileInput || !this.currentParser) return;
+    drawChargingIcon(x, y, size) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(x, y);
 
-        fileInput.accept = this.currentParser.getAcceptString();
-    }
+        // Draw circle background
+        ctx.fillStyle = '#28a745';
+        ctx.beginPath();
+        ctx.arc(0, 0, size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
 
-    onParserChange(parserId) {
-        const parser = getParserById(parserId);
-        if (parser) {
-            this.currentParser = parser;
-            this.updateFileInputAccept();
-            this.updateStatus(`Parser changed to: ${parser.name}`);
-        }
+        // Draw lightning bolt
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.moveTo(-2, -5);
+        ctx.lineTo(2, -1);
+        ctx.lineTo(0, -1);
+        ctx.lineTo(2, 5);
+        ctx.lineTo(-2, 1);
+        ctx.lineTo(0, 1);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.restore();
     }
 
-    async importGraph(file) {
-        if (!file) return;
+    drawPickupIcon(x, y, size) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(x, y);
 
-        if (!this.currentParser) {
-            alert('No parser selected. Please select an import format.');
-            return;
-        }
+        // Draw circle background
+        ctx.fillStyle = '#ffc107';
+        ctx.beginPath();
+        ctx.arc(0, 0, size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
 
-        try {
-            this.updateStatus(`Importing graph using ${this.currentParser.name}...`);
+        // Draw up arrow
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.moveTo(0, -5);
+        ctx.lineTo(4, 1);
+        ctx.lineTo(1.5, 1);
+        ctx.lineTo(1.5, 5);
+        ctx.lineTo(-1.5, 5);
+        ctx.lineTo(-1.5, 1);
+        ctx.lineTo(-4, 1);
+        ctx.closePath();
+        ctx.fill();
 
-            // Read file content
-            // For binary formats (SQLite), read as ArrayBuffer
-            // For text formats (JSON, CSV), read as text
-            let fileContent;
-            if (this.currentParser.id === 'sqlite') {
-                fileContent = await file.arrayBuffer();
-            } else {
-                fileContent = await file.text();
-            }
+        ctx.restore();
+    }
 
-            // Parse using selected parser
-            const data = await this.currentParser.parse(fileContent, file.name);
+    drawDropoffIcon(x, y, size) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(x, y);
 
-            // Load the standardized graph data
-            this.loadGraphData(data);
+        // Draw circle background
+        ctx.fillStyle = '#17a2b8';
+        ctx.beginPath();
+        ctx.arc(0, 0, size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
 
-            this.updateStatus(`Imported ${this.nodes.length} nodes and ${this.paths.length} paths`);
-            this.render();
+        // Draw down arrow
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.moveTo(0, 5);
+        ctx.lineTo(4, -1);
+        ctx.lineTo(1.5, -1);
+        ctx.lineTo(1.5, -5);
+        ctx.lineTo(-1.5, -5);
+        ctx.lineTo(-1.5, -1);
+        ctx.lineTo(-4, -1);
+        ctx.closePath();
+        ctx.fill();
 
-        } catch (error) {
-            console.error('Error importing graph:', error);
-            alert('Error importing graph: ' + error.message);
-            this.updateStatus('Import failed');
-        }
+        ctx.restore();
     }
 
-    loadGraphData(data) {
-        // Load nodes
-        this.nodes = data.nodes || [];
+    drawParkingIcon(x, y, size) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(x, y);
 
-        // Convert world coordinates to canvas coordinates if needed
-        this.nodes.forEach(node => {
-            if (node.metadata?.coordinateType === 'world' && this.mapYaml && this.mapImage) {
-                // Node has world coordinates, convert to canvas coordinates
-                const canvasCoords = this.worldToCanvas(node.x, node.y);
-                node.x = canvasCoords.x;
-                node.y = canvasCoords.y;
-                // Remove the marker since we've converted
-                delete node.metadata.coordinateType;
-            }
-        });
+        // Draw circle background
+        ctx.fillStyle = '#6c757d';
+        ctx.beginPath();
+        ctx.arc(0, 0, size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
 
-        // Load paths
-        this.paths = data.paths || [];
+        // Draw P letter
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('P', 0, 0);
 
-        // Load metadata
-        if (data.metadata?.mapYaml) {
-            this.mapYaml = data.metadata.mapYaml;
-            this.updateMapInfo();
-        }
+        ctx.restore();
+    }
 
-        // Update node counter to avoid ID conflicts
-        const maxNodeNumber = this.nodes.reduce((max, node) => {
-            const match = node.id.match(/\d+$/);
-            if (match) {
-                return Math.max(max, parseInt(match[0]));
-            }
-            return max;
-        }, 0);
-        this.nodeCounter = maxNodeNumber + 1;
+    drawNoWaitingIcon(x, y, size) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(x, y);
+
+        // Draw circle background
+        ctx.fillStyle = '#dc3545';
+        ctx.beginPath();
+        ctx.arc(0, 0, size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
 
-        // Enable tools if we have nodes/paths to work with
-        if (this.nodes.length > 0 || this.paths.length > 0) {
-            this.enableTools();
-        }
+        // Draw diagonal line (no waiting symbol)
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(-5, -5);
+        ctx.lineTo(5, 5);
+        ctx.stroke();
 
-        // Save state for undo
-        this.saveState();
+        ctx.restore();
     }
 
-    worldToCanvas(worldX, worldY) {
-        if (!this.mapYaml || !this.mapImage) {
-            return { x: worldX, y: worldY };
-        }
-
-        const resolution = this.mapYaml.resolution;
-        const origin = this.mapYaml.origin || [0, 0, 0];
-
-        // Reverse of getWorldCoordinates
-        // worldX = canvasX * resolution + origin[0]
-        // worldY = (mapHeight - canvasY) * resolution + origin[1]
+    drawPath(path) {
+        const points = this.getPathPoints(path);
+        if (!points) return;
 
-        const canvasX = (worldX - origin[0]) / resolution;
-        const canvasY = this.mapImage.height - (worldY - origin[1]) / resolution;
+        const ctx = this.ctx;
+        const isHovered = this.hoveredPath?.id === path.id;
+        const isSelected = this.selectedPath?.id === path.id || this.selectedPaths.some(p => p.id === path.id);
 
-        return { x: canvasX, y: canvasY };
-    }
+        // Draw path line (if enabled)
+        if (this.showPathLines) {
+            // Calculate line width based on path width property (convert meters to pixels)
+            const baseWidth = 3;
+            const widthMultiplier = path.width || 1.0;
+            const lineWidth = baseWidth * widthMultiplier;
 
-    async importJson(file) {
-        // Legacy method - redirect to new import system
-        await this.importGraph(file);
-    }
+            // Draw glow for selected/hovered paths
+            if (isSelected || isHovered) {
+                ctx.strokeStyle = isSelected ? 'rgba(255, 255, 0, 0.5)' : 'rgba(255, 255, 255, 0.3)';
+                ctx.lineWidth = lineWidth + 6;
+                this.strokePolyline(ctx, points);
+            }
 
-    render() {
-        const ctx = this.ctx;
-        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            // Draw main path line
+            ctx.strokeStyle = isSelected ? '#ffff00' : '#00ff00';
+            ctx.lineWidth = lineWidth;
+            this.strokePolyline(ctx, points);
 
-        ctx.save();
-        ctx.translate(this.offset.x, this.offset.y);
-        ctx.scale(this.scale, this.scale);
+            // Draw animated arrows with speed-based animation
+            this.drawAnimatedArrows(points, isSelected, path.speedLimit);
 
-        // Draw map
-        if (this.mapImage) {
-            ctx.drawImage(this.mapImage, 0, 0);
+            // Draw reverse arrows if bidirectional
+            if (path.bidirectional) {
+                this.drawAnimatedArrows([...points].reverse(), isSelected, path.speedLimit);
+            }
         }
 
-        // Draw grid on top of map if enabled
-        if (this.showGrid) {
-            this.drawGrid(ctx);
+        // Draw editing handles for the selected path
+        if (this.currentTool === 'select' && this.selectedPath?.id === path.id) {
+            this.drawPathHandles(ctx, path);
         }
 
-        // Draw paths
-        this.paths.forEach(path => this.drawPath(path));
-
-        // Draw temp path
-        if (this.pathStart && this.tempPathEnd) {
-            ctx.strokeStyle = 'rgba(255, 255, 0, 0.6)';
-            ctx.lineWidth = 2;
-            ctx.setLineDash([5, 5]);
+        // Doors and other connectors on one level: icon at the midpoint
+        const connector = this.connectorTypes[path.connector];
+        if (connector) {
+            const { x: midX, y: midY } = this.getPolylineMidpoint(points);
+            ctx.fillStyle = 'rgba(156, 39, 176, 0.9)';
             ctx.beginPath();
-            ctx.moveTo(this.pathStart.x, this.pathStart.y);
-            ctx.lineTo(this.tempPathEnd.x, this.tempPathEnd.y);
-            ctx.stroke();
-            ctx.setLineDash([]);
-
-            // Draw distance label for temp path
-            const distance = this.calculatePathDistance(this.pathStart, this.tempPathEnd);
-            const midX = (this.pathStart.x + this.tempPathEnd.x) / 2;
-            const midY = (this.pathStart.y + this.tempPathEnd.y) / 2;
+            ctx.arc(midX, midY + 12, 10, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.font = '12px Arial';
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(connector.icon, midX, midY + 12);
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+        }
 
-            let distanceText = `${distance.pixels.toFixed(1)}px`;
-            if (distance.meters !== null) {
-                distanceText = `${distance.meters.toFixed(2)}m`;
-            }
+        // Draw path name at the midpoint (only if enabled)
+        if (this.showPathNames && path.name) {
+            const { x: midX, y: midY } = this.getPolylineMidpoint(points);
 
-            ctx.font = 'bold 14px Arial';
-            const textWidth = ctx.measureText(distanceText).width;
-            const padding = 4;
+            ctx.font = 'bold 12px Arial';
+            const textWidth = ctx.measureText(path.name).width;
+            const textHeight = 12;
+            const padding = 3;
 
-            // Draw background
-            ctx.fillStyle = 'rgba(255, 255, 0, 0.9)';
-            ctx.fillRect(midX - textWidth / 2 - padding, midY - 10 - padding, textWidth + padding * 2, 20);
+            // Draw background rectangle for better visibility
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(
+                midX - textWidth / 2 - padding,
+                midY - textHeight - padding,
+                textWidth + padding * 2,
+                textHeight + padding * 2
+            );
 
-            // Draw text
-            ctx.fillStyle = '#000';
+            // Draw text in yellow
+            ctx.fillStyle = '#ffff00'; // Yellow for better visibility
             ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(distanceText, midX, midY);
+            ctx.fillText(path.name, midX, midY);
+            ctx.textAlign = 'left'; // Reset to default
         }
+    }
 
-        // Draw nodes
-        this.nodes.forEach(node => this.drawNode(node));
+    drawArrow(from, to, isSelected = false) {
+        const ctx = this.ctx;
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        const arrowLength = 15;
+        const arrowWidth = 8;
 
-        // Draw measurement line
-        if (this.measureStart && this.measureEnd) {
-            ctx.strokeStyle = 'rgba(255, 0, 255, 0.8)';
-            ctx.lineWidth = 3;
-            ctx.setLineDash([10, 5]);
-            ctx.beginPath();
-            ctx.moveTo(this.measureStart.x, this.measureStart.y);
-            ctx.lineTo(this.measureEnd.x, this.measureEnd.y);
-            ctx.stroke();
-            ctx.setLineDash([]);
+        // Position arrow near the end
+        const arrowX = to.x - Math.cos(angle) * 15;
+        const arrowY = to.y - Math.sin(angle) * 15;
 
-            // Draw measurement markers
-            ctx.fillStyle = 'rgba(255, 0, 255, 0.9)';
-            ctx.beginPath();
-            ctx.arc(this.measureStart.x, this.measureStart.y, 5, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.beginPath();
-            ctx.arc(this.measureEnd.x, this.measureEnd.y, 5, 0, Math.PI * 2);
-            ctx.fill();
+        ctx.fillStyle = isSelected ? '#ffff00' : '#00ff00';
+        ctx.beginPath();
+        ctx.moveTo(arrowX, arrowY);
+        ctx.lineTo(
+            arrowX - arrowLength * Math.cos(angle) + arrowWidth * Math.sin(angle),
+            arrowY - arrowLength * Math.sin(angle) - arrowWidth * Math.cos(angle)
+        );
+        ctx.lineTo(
+            arrowX - arrowLength * Math.cos(angle) - arrowWidth * Math.sin(angle),
+            arrowY - arrowLength * Math.sin(angle) + arrowWidth * Math.cos(angle)
+        );
+        ctx.closePath();
+        ctx.fill();
+    }
 
-            // Draw distance label
-            const distance = this.calculatePathDistance(this.measureStart, this.measureEnd);
-            const midX = (this.measureStart.x + this.measureEnd.x) / 2;
-            const midY = (this.measureStart.y + this.measureEnd.y) / 2;
+    drawAnimatedArrows(points, isSelected = false, speedLimit = 1.0) {
+        const ctx = this.ctx;
+        const distance = PathGeometry.polylineLength(points);
 
-            let distanceText = `${distance.pixels.toFixed(1)}px`;
-            if (distance.meters !== null) {
-                distanceText = `${distance.meters.toFixed(3)}m`;
-            }
+        const arrowLength = 12;
+        const arrowWidth = 6;
+        const spacing = 80; // Distance between arrows
+        const numArrows = Math.max(2, Math.floor(distance / spacing));
 
-            ctx.font = 'bold 14px Arial';
-            const textWidth = ctx.measureText(distanceText).width;
-            const padding = 4;
+        // Animation speed - dynamically based on path speed limit
+        // Base speed for 1.0 m/s, scales linearly with speed limit
+        const baseAnimationSpeed = 0.0005;
+        const animationSpeed = baseAnimationSpeed * speedLimit;
+        const animationOffset = (this.animationTime * animationSpeed) % 1;
 
-            // Draw background
-            ctx.fillStyle = 'rgba(255, 0, 255, 0.9)';
-            ctx.fillRect(midX - textWidth / 2 - padding, midY - 10 - padding, textWidth + padding * 2, 20);
+        ctx.fillStyle = isSelected ? '#ffff00' : '#00ff00';
 
-            // Draw text
-            ctx.fillStyle = '#fff';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(distanceText, midX, midY);
-        }
+        for (let i = 0; i < numArrows; i++) {
+            // Calculate position along the path (0 to 1)
+            let t = (i / numArrows + animationOffset) % 1;
 
-        // Draw selection box
-        if (this.isSelecting && this.selectionBox) {
-            ctx.strokeStyle = 'rgba(0, 122, 204, 0.8)';
-            ctx.fillStyle = 'rgba(0, 122, 204, 0.1)';
-            ctx.lineWidth = 2 / this.scale;
-            ctx.strokeRect(
-                this.selectionBox.x,
-                this.selectionBox.y,
-                this.selectionBox.width,
-                this.selectionBox.height
+            // Skip arrow if too close to nodes
+            if (t < 0.1 || t > 0.9) continue;
+
+            // Calculate arrow position and direction along the path
+            const { x: arrowX, y: arrowY, angle } = PathGeometry.pointAlong(points, distance * t);
+
+            // Draw arrow
+            ctx.beginPath();
+            ctx.moveTo(arrowX, arrowY);
+            ctx.lineTo(
+                arrowX - arrowLength * Math.cos(angle) + arrowWidth * Math.sin(angle),
+                arrowY - arrowLength * Math.sin(angle) - arrowWidth * Math.cos(angle)
             );
-            ctx.fillRect(
-                this.selectionBox.x,
-                this.selectionBox.y,
-                this.selectionBox.width,
-                this.selectionBox.height
+            ctx.lineTo(
+                arrowX - arrowLength * Math.cos(angle) - arrowWidth * Math.sin(angle),
+                arrowY - arrowLength * Math.sin(angle) + arrowWidth * Math.cos(angle)
             );
+            ctx.closePath();
+            ctx.fill();
         }
+    }
 
-        ctx.restore();
-
-        // Draw tooltip
-        if (this.hoveredNode && this.tooltipVisible) {
-            this.drawTooltip(ctx);
+    // === ALIGNMENT TOOLS ===
+    alignNodesHorizontal() {
+        if (this.selectedNodes.length < 2) {
+            this.showToast('Select at least 2 nodes to align');
+            return;
         }
 
-        // Draw path tooltip
-        if (this.hoveredPath && this.tooltipVisible) {
-            this.drawPathTooltip(ctx);
-        }
+        const avgY = this.selectedNodes.reduce((sum, node) => sum + node.y, 0) / this.selectedNodes.length;
 
-        // Draw minimap
-        if (this.showMinimap && this.mapImage) {
-            this.renderMinimap();
+        this.editItems('Align horizontally', 'nodes', this.selectedNodes, ['y'], () => {
+            this.selectedNodes.forEach(node => {
+                node.y = avgY;
+            });
+        });
+
+        this.showToast(`Aligned ${this.selectedNodes.length} nodes horizontally`);
+        this.render();
+    }
+
+    alignNodesVertical() {
+        if (this.selectedNodes.length < 2) {
+            this.showToast('Select at least 2 nodes to align');
+            return;
         }
+
+        const avgX = this.selectedNodes.reduce((sum, node) => sum + node.x, 0) / this.selectedNodes.length;
+
+        this.editItems('Align vertically', 'nodes', this.selectedNodes, ['x'], () => {
+            this.selectedNodes.forEach(node => {
+                node.x = avgX;
+            });
+        });
+
+        this.showToast(`Aligned ${this.selectedNodes.length} nodes vertically`);
+        this.render();
     }
 
-    drawGrid(ctx) {
+    alignNodesToGrid() {
+        if (this.selectedNodes.length === 0) {
+            this.showToast('Select nodes to align to grid');
+            return;
+        }
+
         // Calculate grid offset based on map origin (world coordinates)
         let gridOffsetX = 0;
         let gridOffsetY = 0;
 
         if (this.mapYaml && this.mapYaml.origin) {
-            // Convert map origin from world coordinates to canvas pixels
-            // origin[0] is x in world coords, origin[1] is y in world coords
-            // We need to find where world coordinate (0,0) is on the canvas
             const originX = this.mapYaml.origin[0]; // meters
             const originY = this.mapYaml.origin[1]; // meters
 
@@ -2315,849 +5610,1248 @@ class FleetGraphWizard {
             const worldZeroX = -originX / this.mapYaml.resolution;
             const worldZeroY = this.mapImage.height + (originY / this.mapYaml.resolution);
 
-            // Offset grid so it aligns with world coordinate grid
+            // Offset to align with world coordinate grid
             gridOffsetX = worldZeroX % this.gridSize;
             gridOffsetY = worldZeroY % this.gridSize;
         }
 
-        const startX = Math.floor(-this.offset.x / this.scale / this.gridSize) * this.gridSize + gridOffsetX;
-        const startY = Math.floor(-this.offset.y / this.scale / this.gridSize) * this.gridSize + gridOffsetY;
-        const endX = startX + (this.canvas.width / this.scale) + this.gridSize * 2;
-        const endY = startY + (this.canvas.height / this.scale) + this.gridSize * 2;
-
-        ctx.strokeStyle = 'rgba(100, 100, 100, 0.2)';
-        ctx.lineWidth = 1 / this.scale;
+        this.editItems('Align to grid', 'nodes', this.selectedNodes, ['x', 'y'], () => {
+            this.selectedNodes.forEach(node => {
+                // Always snap to grid when using this button, regardless of snapToGrid setting
+                node.x = Math.round((node.x - gridOffsetX) / this.gridSize) * this.gridSize + gridOffsetX;
+                node.y = Math.round((node.y - gridOffsetY) / this.gridSize) * this.gridSize + gridOffsetY;
+            });
+        });
 
-        // Vertical lines
-        for (let x = startX; x <= endX; x += this.gridSize) {
-            ctx.beginPath();
-            ctx.moveTo(x, startY);
-            ctx.lineTo(x, endY);
-            ctx.stroke();
-        }
+        this.showToast(`Aligned ${this.selectedNodes.length} nodes to grid`);
+        this.render();
+    }
 
-        // Horizontal lines
-        for (let y = startY; y <= endY; y += this.gridSize) {
-            ctx.beginPath();
-            ctx.moveTo(startX, y);
-            ctx.lineTo(endX, y);
-            ctx.stroke();
+    // === BULK EDIT ===
+    showBulkEditModal() {
+        if (this.selectedNodes.length === 0) {
+            this.showToast('Select nodes to bulk edit');
+            return;
         }
-    }
 
-    drawTooltip(ctx) {
-        if (!this.hoveredNode) return;
+        const modal = document.getElementById('bulkEditModal');
+        document.getElementById('bulkEditCount').textContent = this.selectedNodes.length;
 
-        const node = this.hoveredNode;
-        const worldCoords = this.getWorldCoordinates(node.x, node.y);
+        // Reset form
+        document.getElementById('bulkNodeType').value = '';
+        document.getElementById('bulkNoWaiting').checked = false;
+        document.getElementById('bulkIsParkingSpot').checked = false;
+        document.getElementById('bulkMaxRobots').value = '';
 
-        const lines = [
-            `Name: ${node.name}`,
-            `Type: ${node.type}`,
-            `Position: (${worldCoords.x.toFixed(2)}, ${worldCoords.y.toFixed(2)})`,
-            `Max Robots: ${node.maxRobots}`
-        ];
+        modal.style.display = 'block';
+    }
 
-        const padding = 8;
-        const lineHeight = 16;
-        const fontSize = 12;
-        ctx.font = `${fontSize}px Arial`;
+    applyBulkEdit() {
+        const nodeType = document.getElementById('bulkNodeType').value;
+        const noWaiting = document.getElementById('bulkNoWaiting').checked;
+        const isParkingSpot = document.getElementById('bulkIsParkingSpot').checked;
+        const maxRobots = document.getElementById('bulkMaxRobots').value;
 
-        const maxWidth = Math.max(...lines.map(l => ctx.measureText(l).width));
-        const boxWidth = maxWidth + padding * 2;
-        const boxHeight = lines.length * lineHeight + padding * 2;
+        this.editItems('Bulk edit', 'nodes', this.selectedNodes, ['type', 'noWaiting', 'isParkingSpot', 'maxRobots'], () => {
+            this.selectedNodes.forEach(node => {
+                if (nodeType) {
+                    node.type = nodeType;
+                }
+                if (noWaiting) {
+                    node.noWaiting = true;
+                }
+                if (isParkingSpot) {
+                    node.isParkingSpot = true;
+                }
+                if (maxRobots) {
+                    node.maxRobots = parseInt(maxRobots);
+                }
+            });
+        });
 
-        // Position tooltip near mouse
-        const tooltipX = (node.x * this.scale) + this.offset.x + 20;
-        const tooltipY = (node.y * this.scale) + this.offset.y + 20;
+        this.showToast(`Updated ${this.selectedNodes.length} nodes`);
+    }
 
-        // Draw background
-        ctx.fillStyle = 'rgba(45, 45, 45, 0.95)';
-        ctx.fillRect(tooltipX, tooltipY, boxWidth, boxHeight);
 
-        // Draw border
-        ctx.strokeStyle = '#007acc';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(tooltipX, tooltipY, boxWidth, boxHeight);
+    // === GRAPH VALIDATION ===
+    validateGraph() {
+        const issues = [];
 
-        // Draw text
-        ctx.fillStyle = '#e0e0e0';
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
-        lines.forEach((line, i) => {
-            ctx.fillText(line, tooltipX + padding, tooltipY + padding + i * lineHeight);
+        // Check for disconnected nodes
+        const connectedNodes = new Set();
+        this.paths.forEach(path => {
+            connectedNodes.add(path.from);
+            connectedNodes.add(path.to);
         });
-    }
 
-    drawPathTooltip(ctx) {
-        if (!this.hoveredPath) return;
+        const disconnectedNodes = this.nodes.filter(node => !connectedNodes.has(node.id));
+        if (disconnectedNodes.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Disconnected Nodes',
+                description: `${disconnectedNodes.length} node(s) have no paths: ${disconnectedNodes.map(n => n.name).join(', ')}`
+            });
+        }
 
-        const path = this.hoveredPath;
-        const fromNode = this.nodes.find(n => n.id === path.from);
-        const toNode = this.nodes.find(n => n.id === path.to);
+        // Check for overlapping nodes
+        const overlaps = [];
+        for (let i = 0; i < this.nodes.length; i++) {
+            for (let j = i + 1; j < this.nodes.length; j++) {
+                if (this.nodes[i].level !== this.nodes[j].level) continue;
 
-        if (!fromNode || !toNode) return;
+                const dx = this.nodes[i].x - this.nodes[j].x;
+                const dy = this.nodes[i].y - this.nodes[j].y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
 
-        const distance = this.calculatePathDistance(fromNode, toNode);
-        const midX = (fromNode.x + toNode.x) / 2;
-        const midY = (fromNode.y + toNode.y) / 2;
+                if (distance < 10) { // Less than 10 pixels apart
+                    overlaps.push(`${this.nodes[i].name} and ${this.nodes[j].name}`);
+                }
+            }
+        }
 
-        const lines = [
-            `Path: ${path.name}`,
-            `From: ${fromNode.name}`,
-            `To: ${toNode.name}`,
-            distance.meters !== null ? `Distance: ${distance.meters.toFixed(2)}m` : `Distance: ${distance.pixels.toFixed(1)}px`,
-            `Speed: ${path.speedLimit}m/s`,
-            `Width: ${path.width}m`,
-            `Direction: ${path.bidirectional ? 'Bidirectional' : 'One-way'}`
-        ];
+        if (overlaps.length > 0) {
+            issues.push({
+                type: 'error',
+                title: 'Overlapping Nodes',
+                description: `${overlaps.length} pair(s) of nodes are too close: ${overlaps.join(', ')}`
+            });
+        }
 
-        const padding = 8;
-        const lineHeight = 16;
-        const fontSize = 12;
-        ctx.font = `${fontSize}px Arial`;
+        // Check for duplicate paths
+        const pathKeys = new Set();
+        const duplicates = [];
 
-        const maxWidth = Math.max(...lines.map(l => ctx.measureText(l).width));
-        const boxWidth = maxWidth + padding * 2;
-        const boxHeight = lines.length * lineHeight + padding * 2;
+        this.paths.forEach(path => {
+            const key1 = `${path.from}-${path.to}`;
+            const key2 = `${path.to}-${path.from}`;
 
-        // Position tooltip near path midpoint
-        const tooltipX = (midX * this.scale) + this.offset.x + 20;
-        const tooltipY = (midY * this.scale) + this.offset.y + 20;
+            if (pathKeys.has(key1) || (path.bidirectional && pathKeys.has(key2))) {
+                duplicates.push(`${path.name}`);
+            }
 
-        // Draw background
-        ctx.fillStyle = 'rgba(45, 45, 45, 0.95)';
-        ctx.fillRect(tooltipX, tooltipY, boxWidth, boxHeight);
+            pathKeys.add(key1);
+            if (path.bidirectional) {
+                pathKeys.add(key2);
+            }
+        });
 
-        // Draw border
-        ctx.strokeStyle = '#00ff00';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(tooltipX, tooltipY, boxWidth, boxHeight);
+        if (duplicates.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Duplicate Paths',
+                description: `${duplicates.length} duplicate path(s) found: ${duplicates.join(', ')}`
+            });
+        }
 
-        // Draw text
-        ctx.fillStyle = '#e0e0e0';
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
-        lines.forEach((line, i) => {
-            ctx.fillText(line, tooltipX + padding, tooltipY + padding + i * lineHeight);
+        // Check for nodes with duplicate names
+        const nameCount = {};
+        this.nodes.forEach(node => {
+            nameCount[node.name] = (nameCount[node.name] || 0) + 1;
         });
-    }
-
-    renderMinimap() {
-        const mmCtx = this.minimapCtx;
-        const size = this.minimapSize;
 
-        // Calculate aspect ratio
-        const aspect = this.mapImage.width / this.mapImage.height;
-        let mmWidth, mmHeight;
-        if (aspect > 1) {
-            mmWidth = size;
-            mmHeight = size / aspect;
-        } else {
-            mmWidth = size * aspect;
-            mmHeight = size;
+        const duplicateNames = Object.keys(nameCount).filter(name => nameCount[name] > 1);
+        if (duplicateNames.length > 0) {
+            issues.push({
+                type: 'error',
+                title: 'Duplicate Node Names',
+                description: `${duplicateNames.length} duplicate name(s): ${duplicateNames.join(', ')}`
+            });
         }
 
-        // Set canvas size
-        this.minimapCanvas.width = mmWidth;
-        this.minimapCanvas.height = mmHeight;
+        // Check that every node can reach every other node
+        issues.push(...this.validateConnectivity());
 
-        // Clear minimap
-        mmCtx.clearRect(0, 0, mmWidth, mmHeight);
+        // Check nodes and paths against the map occupancy
+        issues.push(...this.validateOccupancy());
 
-        // Draw map
-        mmCtx.drawImage(this.mapImage, 0, 0, mmWidth, mmHeight);
+        // Check nodes and paths against the zone rules
+        issues.push(...this.validateZones());
 
-        // Draw nodes
-        mmCtx.fillStyle = '#007acc';
-        this.nodes.forEach(node => {
-            const x = (node.x / this.mapImage.width) * mmWidth;
-            const y = (node.y / this.mapImage.height) * mmHeight;
-            mmCtx.beginPath();
-            mmCtx.arc(x, y, 2, 0, Math.PI * 2);
-            mmCtx.fill();
-        });
+        // Check paths and allow lists against the robot classes
+        issues.push(...this.validateRobotClasses());
 
-        // Draw paths
-        mmCtx.strokeStyle = '#00ff00';
-        mmCtx.lineWidth = 1;
-        this.paths.forEach(path => {
-            const fromNode = this.nodes.find(n => n.id === path.from);
-            const toNode = this.nodes.find(n => n.id === path.to);
-            if (fromNode && toNode) {
-                const x1 = (fromNode.x / this.mapImage.width) * mmWidth;
-                const y1 = (fromNode.y / this.mapImage.height) * mmHeight;
-                const x2 = (toNode.x / this.mapImage.width) * mmWidth;
-                const y2 = (toNode.y / this.mapImage.height) * mmHeight;
-                mmCtx.beginPath();
-                mmCtx.moveTo(x1, y1);
-                mmCtx.lineTo(x2, y2);
-                mmCtx.stroke();
-            }
-        });
+        // Display results
+        const modal = document.getElementById('validationModal');
+        const resultsDiv = document.getElementById('validationResults');
 
-        // Draw viewport rectangle
-        const viewportX = (-this.offset.x / this.scale / this.mapImage.width) * mmWidth;
-        const viewportY = (-this.offset.y / this.scale / this.mapImage.height) * mmHeight;
-        const viewportW = (this.canvas.width / this.scale / this.mapImage.width) * mmWidth;
-        const viewportH = (this.canvas.height / this.scale / this.mapImage.height) * mmHeight;
+        if (issues.length === 0) {
+            resultsDiv.innerHTML = '<div style="color: #28a745; padding: 20px; text-align: center;"><h3>✓ Graph is valid!</h3><p>No issues found.</p></div>';
+        } else {
+            resultsDiv.innerHTML = issues.map(issue => {
+                const color = issue.type === 'error' ? '#dc3545' : '#ffc107';
+                return `
+                    <div style="margin-bottom: 15px; padding: 10px; border-left: 4px solid ${color}; background-color: rgba(255,255,255,0.05);">
+                        <h4 style="color: ${color}; margin-bottom: 5px;">${issue.type === 'error' ? '✗' : '⚠'} ${issue.title}</h4>
+                        <p style="color: #e0e0e0; font-size: 13px;">${issue.description}</p>
+                    </div>
+                `;
+            }).join('');
+        }
 
-        mmCtx.strokeStyle = '#ffff00';
-        mmCtx.lineWidth = 2;
-        mmCtx.strokeRect(viewportX, viewportY, viewportW, viewportH);
+        modal.style.display = 'block';
+        this.render();
     }
 
-    handleMinimapClick(e) {
-        const rect = this.minimapCanvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+    /**
+     * Check that the directed graph is strongly connected
+     * Components are colored on the canvas (see drawConnectivity) together
+     * with the suggested paths that would connect them.
+     * @returns {Object[]} Validation issues
+     */
+    validateConnectivity() {
+        this.connectivity = null;
+        if (this.nodes.length < 2) return [];
+
+        const analysis = new ConnectivityAnalyzer(this.nodes, this.paths).analyze();
+        if (analysis.components.length < 2) return [];
+
+        this.connectivity = analysis;
+
+        const nodeName = id => this.nodes.find(n => n.id === id)?.name || id;
+        const componentNames = indices => indices
+            .map(index => analysis.components[index].map(nodeName).join(', '))
+            .join(' | ');
+
+        // Isolated components are both sources and sinks; "Disconnected Nodes" covers single ones
+        const isolated = analysis.sources.filter(index => analysis.sinks.includes(index));
+        const sources = analysis.sources.filter(index => !isolated.includes(index));
+        const sinks = analysis.sinks.filter(index => !isolated.includes(index));
+
+        const issues = [{
+            type: 'warning',
+            title: 'Not Strongly Connected',
+            description: `${analysis.components.length} strongly connected components (colored on the map); ` +
+                `robots cannot travel between every pair of nodes`
+        }];
+
+        if (sinks.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Dead Ends (Sink Nodes)',
+                description: `Robots can enter but never leave: ${componentNames(sinks)}`
+            });
+        }
 
-        // Convert minimap coords to map coords
-        const aspect = this.mapImage.width / this.mapImage.height;
-        let mmWidth, mmHeight;
-        if (aspect > 1) {
-            mmWidth = this.minimapSize;
-            mmHeight = this.minimapSize / aspect;
-        } else {
-            mmWidth = this.minimapSize * aspect;
-            mmHeight = this.minimapSize;
+        if (sources.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Unreachable Nodes (Source Nodes)',
+                description: `Robots can leave but never return: ${componentNames(sources)}`
+            });
         }
 
-        const mapX = (x / mmWidth) * this.mapImage.width;
-        const mapY = (y / mmHeight) * this.mapImage.height;
+        const isolatedGroups = isolated.filter(index => analysis.components[index].length > 1);
+        if (isolatedGroups.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Isolated Node Groups',
+                description: `Not connected to the rest of the graph: ${componentNames(isolatedGroups)}`
+            });
+        }
 
-        // Center viewport on clicked position
-        this.offset.x = -mapX * this.scale + this.canvas.width / 2;
-        this.offset.y = -mapY * this.scale + this.canvas.height / 2;
+        issues.push({
+            type: 'warning',
+            title: 'Suggested Paths',
+            description: `Adding these ${analysis.suggestions.length} path(s) (dashed on the map) makes the graph strongly connected: ` +
+                analysis.suggestions.map(s => `${nodeName(s.from)} → ${nodeName(s.to)}`).join(', ')
+        });
 
-        this.render();
+        return issues;
     }
 
-    drawNode(node) {
-        const ctx = this.ctx;
-        const radius = 6;
-        const isSelected = this.selectedNode?.id === node.id || this.selectedNodes.some(n => n.id === node.id);
-        const isHovered = this.hoveredNode?.id === node.id;
+    getComponentColor(index, alpha = 1) {
+        return `hsla(${(index * 137.5) % 360}, 80%, 55%, ${alpha})`;
+    }
 
-        // Draw node circle (if enabled)
-        if (this.showNodePoints) {
-            // Use consistent color for all nodes
-            const color = '#007acc';
+    drawConnectivity(ctx) {
+        const { componentOf, suggestions } = this.connectivity;
 
-            // Draw glow effect for selected nodes with pulse animation
-            if (isSelected) {
-                const pulseRadius = radius + 8 + (this.selectedNodePulse * 4);
-                ctx.shadowColor = color;
-                ctx.shadowBlur = 20;
-                ctx.fillStyle = `${color}40`; // Semi-transparent
-                ctx.beginPath();
-                ctx.arc(node.x, node.y, pulseRadius, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.shadowBlur = 0;
-            }
+        ctx.save();
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        // Paths inside a component
+        ctx.lineWidth = 6 / this.scale;
+        this.getLevelPaths().forEach(path => {
+            const component = componentOf.get(path.from);
+            if (component === undefined || component !== componentOf.get(path.to)) return;
+
+            const points = this.getPathPoints(path);
+            if (!points) return;
+            ctx.strokeStyle = this.getComponentColor(component, 0.5);
+            this.strokePolyline(ctx, points);
+        });
 
-            // Draw hover highlight
-            if (isHovered) {
-                ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
-                ctx.beginPath();
-                ctx.arc(node.x, node.y, radius + 5, 0, Math.PI * 2);
-                ctx.fill();
-            }
+        // Node rings
+        ctx.lineWidth = 3 / this.scale;
+        this.getLevelNodes().forEach(node => {
+            const component = componentOf.get(node.id);
+            if (component === undefined) return;
 
-            // Draw main node circle
-            ctx.fillStyle = color;
-            ctx.strokeStyle = isSelected ? '#ffff00' : '#fff';
-            ctx.lineWidth = isSelected ? 3 : 2;
+            ctx.strokeStyle = this.getComponentColor(component, 0.9);
             ctx.beginPath();
-            ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
-            ctx.fill();
+            ctx.arc(node.x, node.y, 14 / this.scale, 0, Math.PI * 2);
             ctx.stroke();
+        });
 
-            // Draw multi-select indicator (small dot on top-right)
-            if (this.selectedNodes.length > 1 && isSelected) {
-                ctx.fillStyle = '#ff00ff';
-                ctx.beginPath();
-                ctx.arc(node.x + radius - 2, node.y - radius + 2, 3, 0, Math.PI * 2);
-                ctx.fill();
-            }
-        }
-
-        // Draw name with background for better visibility (if enabled)
-        // Draw names BEFORE icons so icons appear on top
-        if (this.showNodeNames) {
-            ctx.font = 'bold 12px Arial';
-            const textWidth = ctx.measureText(node.name).width;
-            const textHeight = 12;
-            const padding = 4;
-            const offset = 8; // Additional offset from node edge
+        // Suggested paths
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2 / this.scale;
+        ctx.setLineDash([8 / this.scale, 6 / this.scale]);
+        suggestions.forEach(suggestion => {
+            const fromNode = this.nodes.find(n => n.id === suggestion.from);
+            const toNode = this.nodes.find(n => n.id === suggestion.to);
+            if (!fromNode || !toNode) return;
+            if (!this.isOnCurrentLevel(fromNode) || !this.isOnCurrentLevel(toNode)) return;
 
-            // Draw background rectangle
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-            ctx.fillRect(
-                node.x + radius + offset,
-                node.y - textHeight / 2 - padding,
-                textWidth + padding * 2,
-                textHeight + padding * 2
-            );
+            ctx.beginPath();
+            ctx.moveTo(fromNode.x, fromNode.y);
+            ctx.lineTo(toNode.x, toNode.y);
+            ctx.stroke();
 
-            // Draw text - centered vertically with node
-            ctx.fillStyle = isSelected ? '#ffff00' : '#ffff00'; // Yellow for better visibility
-            ctx.textBaseline = 'middle';
-            ctx.fillText(node.name, node.x + radius + offset + padding, node.y);
-            ctx.textBaseline = 'alphabetic'; // Reset to default
-        }
+            // Arrowhead at the destination node
+            const angle = Math.atan2(toNode.y - fromNode.y, toNode.x - fromNode.x);
+            const tipX = toNode.x - Math.cos(angle) * 16 / this.scale;
+            const tipY = toNode.y - Math.sin(angle) * 16 / this.scale;
+            const size = 8 / this.scale;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.beginPath();
+            ctx.moveTo(tipX, tipY);
+            ctx.lineTo(tipX - size * Math.cos(angle - 0.5), tipY - size * Math.sin(angle - 0.5));
+            ctx.lineTo(tipX - size * Math.cos(angle + 0.5), tipY - size * Math.sin(angle + 0.5));
+            ctx.closePath();
+            ctx.fill();
+        });
 
-        // Draw type icons around the node AFTER names so they appear on top
-        if (this.showNodeIcons) {
-            this.drawNodeIcons(node, radius);
-        }
+        ctx.restore();
     }
 
-    drawNodeIcons(node, nodeRadius) {
-        const iconOffset = nodeRadius + 14; // Distance from node center
-        const iconSize = 10;
-        const diagonalOffset = iconOffset * 0.85; // Increased for better diagonal spacing
+    /**
+     * Check nodes and paths for occupied or unknown map cells
+     * Every level is checked against its own map; paths are checked over
+     * their full width. Hits are stored in validationHighlights (tagged with
+     * their level) and drawn on the canvas.
+     * @returns {Object[]} Validation issues
+     */
+    validateOccupancy() {
+        this.validationHighlights = null;
 
-        // Draw type-specific icon
-        switch (node.type) {
-            case 'charging':
-                // Lightning bolt icon for charging station - TOP
-                this.drawChargingIcon(node.x, node.y - iconOffset, iconSize);
-                break;
-            case 'pickup':
-                // Up arrow icon for pickup point - RIGHT
-                this.drawPickupIcon(node.x + iconOffset, node.y, iconSize);
-                break;
-            case 'dropoff':
-                // Down arrow icon for dropoff point - LEFT
-                this.drawDropoffIcon(node.x - iconOffset, node.y, iconSize);
-                break;
+        const issues = [];
+        const highlights = { segments: [], nodes: [] };
+        const occupiedNodes = [];
+        const unknownNodes = [];
+        const occupiedPaths = [];
+        const unknownPaths = [];
+
+        this.levels.forEach(({ name: level }) => {
+            const { occupancyGrid, mapYaml } = this.getLevelMap(level);
+            if (!occupancyGrid) return;
+
+            const resolution = mapYaml?.resolution;
+
+            // Nodes
+            this.nodes.filter(node => node.level === level).forEach(node => {
+                const state = occupancyGrid.classify(node.x, node.y);
+                if (state === 'free') return;
+
+                (state === 'occupied' ? occupiedNodes : unknownNodes).push(node.name);
+                highlights.nodes.push({ id: node.id, level, occupied: state === 'occupied' });
+            });
+
+            // Paths (connectors between levels have no geometry and are skipped)
+            this.paths.filter(path => this.getPathLevel(path) === level).forEach(path => {
+                const points = this.getPathPoints(path);
+                if (!points) return;
+
+                const halfWidth = path.width && resolution ? path.width / 2 / resolution : 0;
+                let occupied = false;
+                let blocked = false;
+
+                for (let i = 1; i < points.length; i++) {
+                    const a = points[i - 1];
+                    const b = points[i];
+                    const spans = occupancyGrid.findBlockedSpans(a.x, a.y, b.x, b.y, halfWidth);
+
+                    spans.forEach(span => {
+                        blocked = true;
+                        occupied = occupied || span.occupied;
+                        highlights.segments.push({
+                            x1: a.x + (b.x - a.x) * span.start,
+                            y1: a.y + (b.y - a.y) * span.start,
+                            x2: a.x + (b.x - a.x) * span.end,
+                            y2: a.y + (b.y - a.y) * span.end,
+                            width: halfWidth * 2,
+                            level,
+                            occupied: span.occupied
+                        });
+                    });
+                }
+
+                if (!blocked) return;
+
+                const fromNode = points[0];
+                const toNode = points[points.length - 1];
+                const label = path.name || `${fromNode.name} → ${toNode.name}`;
+                (occupied ? occupiedPaths : unknownPaths).push(label);
+            });
+        });
+
+        if (occupiedNodes.length > 0) {
+            issues.push({
+                type: 'error',
+                title: 'Nodes on Obstacles',
+                description: `${occupiedNodes.length} node(s) are on occupied map cells: ${occupiedNodes.join(', ')}`
+            });
         }
 
-        // Draw parking icon if it's a parking spot (can combine with other types)
-        if (node.isParkingSpot) {
-            // BOTTOM position
-            this.drawParkingIcon(node.x, node.y + iconOffset, iconSize);
+        if (unknownNodes.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Nodes in Unknown Space',
+                description: `${unknownNodes.length} node(s) are on unknown map cells: ${unknownNodes.join(', ')}`
+            });
         }
 
-        // Draw no-waiting icon - use diagonal position that doesn't overlap with type icons
-        if (node.noWaiting) {
-            // Choose diagonal position based on what type icon exists
-            let noWaitX, noWaitY;
+        if (occupiedPaths.length > 0) {
+            issues.push({
+                type: 'error',
+                title: 'Paths Crossing Obstacles',
+                description: `${occupiedPaths.length} path(s) cross occupied map cells (highlighted in red): ${occupiedPaths.join(', ')}`
+            });
+        }
 
-            if (node.type === 'charging') {
-                // If charging (top), put no-waiting at bottom-right diagonal
-                noWaitX = node.x + diagonalOffset;
-                noWaitY = node.y + diagonalOffset;
-            } else if (node.type === 'pickup') {
-                // If pickup (right), put no-waiting at top-left diagonal
-                noWaitX = node.x - diagonalOffset;
-                noWaitY = node.y - diagonalOffset;
-            } else if (node.type === 'dropoff') {
-                // If dropoff (left), put no-waiting at top-right diagonal
-                noWaitX = node.x + diagonalOffset;
-                noWaitY = node.y - diagonalOffset;
-            } else {
-                // Default: top-right diagonal
-                noWaitX = node.x + diagonalOffset;
-                noWaitY = node.y - diagonalOffset;
-            }
+        if (unknownPaths.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Paths Crossing Unknown Space',
+                description: `${unknownPaths.length} path(s) cross unknown map cells (highlighted in yellow): ${unknownPaths.join(', ')}`
+            });
+        }
 
-            this.drawNoWaitingIcon(noWaitX, noWaitY, iconSize);
+        if (highlights.segments.length > 0 || highlights.nodes.length > 0) {
+            this.validationHighlights = highlights;
         }
-    }
 
-    drawChargingIcon(x, y, size) {
-        const ctx = this.ctx;
-        ctx.save();
-        ctx.translate(x, y);
+        return issues;
+    }
 
-        // Draw circle background
-        ctx.fillStyle = '#28a745';
-        ctx.beginPath();
-        ctx.arc(0, 0, size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
+    /**
+     * Check nodes and paths against the zone rules
+     * @returns {Object[]} Validation issues
+     */
+    validateZones() {
+        const issues = [];
+        if (this.zones.length === 0) return issues;
 
-        // Draw lightning bolt
-        ctx.fillStyle = '#fff';
-        ctx.beginPath();
-        ctx.moveTo(-2, -5);
-        ctx.lineTo(2, -1);
-        ctx.lineTo(0, -1);
-        ctx.lineTo(2, 5);
-        ctx.lineTo(-2, 1);
-        ctx.lineTo(0, 1);
-        ctx.closePath();
-        ctx.fill();
+        const nodesIn = zone => this.nodes.filter(node =>
+            node.level === zone.level && ZoneGeometry.containsPoint(zone.points, node.x, node.y));
+        const zonesOf = type => this.zones.filter(zone => zone.type === type);
 
-        ctx.restore();
-    }
+        // No-entry zones: nothing may be placed or driven there
+        const blockedNodes = [...new Set(zonesOf('noEntry').flatMap(nodesIn))];
+        if (blockedNodes.length > 0) {
+            issues.push({
+                type: 'error',
+                title: 'Nodes in No-Entry Zones',
+                description: `${blockedNodes.length} node(s) lie in a no-entry zone: ${blockedNodes.map(n => n.name).join(', ')}`
+            });
+        }
 
-    drawPickupIcon(x, y, size) {
-        const ctx = this.ctx;
-        ctx.save();
-        ctx.translate(x, y);
+        const blockedPaths = this.paths.filter(path => this.getPathZones(path, zonesOf('noEntry')).length > 0);
+        if (blockedPaths.length > 0) {
+            issues.push({
+                type: 'error',
+                title: 'Paths Through No-Entry Zones',
+                description: `${blockedPaths.length} path(s) cross a no-entry zone and are never used by routes: ${blockedPaths.map(p => p.name).join(', ')}`
+            });
+        }
 
-        // Draw circle background
-        ctx.fillStyle = '#ffc107';
-        ctx.beginPath();
-        ctx.arc(0, 0, size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
+        const speedZones = zonesOf('speedLimit').filter(zone => !(zone.speedLimit > 0));
+        if (speedZones.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Speed Zones Without Limit',
+                description: `${speedZones.length} speed-limit zone(s) have no speed limit: ${speedZones.map(z => z.name).join(', ')}`
+            });
+        }
 
-        // Draw up arrow
-        ctx.fillStyle = '#fff';
-        ctx.beginPath();
-        ctx.moveTo(0, -5);
-        ctx.lineTo(4, 1);
-        ctx.lineTo(1.5, 1);
-        ctx.lineTo(1.5, 5);
-        ctx.lineTo(-1.5, 5);
-        ctx.lineTo(-1.5, 1);
-        ctx.lineTo(-4, 1);
-        ctx.closePath();
-        ctx.fill();
+        // Path limits above a zone's limit do not apply there (the zone's does)
+        const slowedPaths = this.withNodeIndex(() => this.paths.filter(path => path.speedLimit > 0 && this.getZoneSpeedLimit(path) !== null));
+        if (slowedPaths.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Paths Slowed by Zones',
+                description: `${slowedPaths.length} path(s) have a speed limit above the speed-limit zone they run through, whose limit applies: ${slowedPaths.map(p => p.name).join(', ')}`
+            });
+        }
 
-        ctx.restore();
+        // One-robot zones: nodes inside should not hold several robots
+        const sharedNodes = [...new Set(zonesOf('oneRobot').flatMap(nodesIn))].filter(node => node.maxRobots > 1);
+        if (sharedNodes.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Shared Nodes in One-Robot Zones',
+                description: `${sharedNodes.length} node(s) allow several robots inside a one-robot zone: ${sharedNodes.map(n => n.name).join(', ')}`
+            });
+        }
+
+        // Charging areas and charging stations should match
+        const chargingZones = zonesOf('charging');
+        if (chargingZones.length > 0) {
+            const emptyAreas = chargingZones.filter(zone => !nodesIn(zone).some(node => node.type === 'charging'));
+            if (emptyAreas.length > 0) {
+                issues.push({
+                    type: 'warning',
+                    title: 'Charging Areas Without Chargers',
+                    description: `${emptyAreas.length} charging area(s) contain no charging station: ${emptyAreas.map(z => z.name).join(', ')}`
+                });
+            }
+
+            const inArea = new Set(chargingZones.flatMap(nodesIn));
+            const outside = this.nodes.filter(node => node.type === 'charging' && !inArea.has(node));
+            if (outside.length > 0) {
+                issues.push({
+                    type: 'warning',
+                    title: 'Chargers Outside Charging Areas',
+                    description: `${outside.length} charging station(s) lie outside every charging area: ${outside.map(n => n.name).join(', ')}`
+                });
+            }
+        }
+
+        return issues;
     }
 
-    drawDropoffIcon(x, y, size) {
-        const ctx = this.ctx;
-        ctx.save();
-        ctx.translate(x, y);
+    validateRobotClasses() {
+        const issues = [];
+        if (this.robotClasses.length === 0) return issues;
 
-        // Draw circle background
-        ctx.fillStyle = '#17a2b8';
-        ctx.beginPath();
-        ctx.arc(0, 0, size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
+        const nodeById = new Map(this.nodes.map(node => [node.id, node]));
+        const allowedOn = item => this.robotClasses.filter(robotClass => RobotFleet.isAllowed(item, robotClass));
 
-        // Draw down arrow
-        ctx.fillStyle = '#fff';
-        ctx.beginPath();
-        ctx.moveTo(0, 5);
-        ctx.lineTo(4, -1);
-        ctx.lineTo(1.5, -1);
-        ctx.lineTo(1.5, -5);
-        ctx.lineTo(-1.5, -5);
-        ctx.lineTo(-1.5, -1);
-        ctx.lineTo(-4, -1);
-        ctx.closePath();
-        ctx.fill();
+        // Paths narrower than the footprint of a class allowed on them
+        const unusable = [];
+        const narrow = [];
+        this.paths.forEach(path => {
+            const allowed = allowedOn(path);
+            const tooWide = allowed.filter(robotClass => !RobotFleet.fitsPath(robotClass, path));
+            if (tooWide.length === 0) return;
 
-        ctx.restore();
-    }
+            const entry = `${path.name} (${path.width} m < ${tooWide.map(c => `${c.name} ${c.width} m`).join(', ')})`;
+            if (tooWide.length === allowed.length) {
+                unusable.push(entry);
+            } else {
+                narrow.push(entry);
+            }
+        });
 
-    drawParkingIcon(x, y, size) {
-        const ctx = this.ctx;
-        ctx.save();
-        ctx.translate(x, y);
+        if (unusable.length > 0) {
+            issues.push({
+                type: 'error',
+                title: 'Paths Too Narrow for Every Class',
+                description: `${unusable.length} path(s) are narrower than every robot class allowed on them: ${unusable.join(', ')}`
+            });
+        }
+        if (narrow.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Paths Too Narrow',
+                description: `${narrow.length} path(s) are narrower than the footprint of some robot classes: ${narrow.join(', ')}`
+            });
+        }
 
-        // Draw circle background
-        ctx.fillStyle = '#6c757d';
-        ctx.beginPath();
-        ctx.arc(0, 0, size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
+        // Nodes no class may enter (allow list and node types)
+        const closedNodes = this.nodes.filter(node =>
+            !this.robotClasses.some(robotClass => RobotFleet.canEnterNode(robotClass, node)));
+        if (closedNodes.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Nodes Closed to All Robots',
+                description: `${closedNodes.length} node(s) no robot class may enter: ${closedNodes.map(n => n.name).join(', ')}`
+            });
+        }
 
-        // Draw P letter
-        ctx.fillStyle = '#fff';
-        ctx.font = 'bold 12px Arial';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('P', 0, 0);
+        // Paths whose own allow list admits a class their nodes do not
+        const blockedPaths = this.paths.filter(path => {
+            const fromNode = nodeById.get(path.from);
+            const toNode = nodeById.get(path.to);
+            if (!fromNode || !toNode || !Array.isArray(path.allowedClasses) || path.allowedClasses.length === 0) return false;
 
-        ctx.restore();
+            return allowedOn(path).some(robotClass =>
+                !RobotFleet.canEnterNode(robotClass, fromNode) || !RobotFleet.canEnterNode(robotClass, toNode));
+        });
+        if (blockedPaths.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Allowed Classes Blocked at Nodes',
+                description: `${blockedPaths.length} path(s) allow a robot class that may not enter one of their nodes: ${blockedPaths.map(p => p.name).join(', ')}`
+            });
+        }
+
+        // Allow lists naming classes that are not in the fleet
+        const known = new Set(this.robotClasses.map(robotClass => robotClass.id));
+        const unknown = [...this.nodes, ...this.paths].filter(item =>
+            (item.allowedClasses || []).some(id => !known.has(id)));
+        if (unknown.length > 0) {
+            issues.push({
+                type: 'warning',
+                title: 'Unknown Robot Classes',
+                description: `${unknown.length} node(s)/path(s) allow robot classes that are not in the fleet: ${unknown.map(item => item.name).join(', ')}`
+            });
+        }
+
+        return issues;
     }
 
-    drawNoWaitingIcon(x, y, size) {
-        const ctx = this.ctx;
+    drawValidationHighlights(ctx) {
+        const { segments, nodes } = this.validationHighlights;
+
         ctx.save();
-        ctx.translate(x, y);
+        ctx.lineCap = 'round';
 
-        // Draw circle background
-        ctx.fillStyle = '#dc3545';
-        ctx.beginPath();
-        ctx.arc(0, 0, size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 1.5;
-        ctx.stroke();
+        segments.filter(segment => segment.level === this.currentLevel).forEach(segment => {
+            ctx.strokeStyle = segment.occupied ? 'rgba(220, 53, 69, 0.6)' : 'rgba(255, 193, 7, 0.6)';
+            ctx.lineWidth = Math.max(segment.width, 8 / this.scale);
+            ctx.beginPath();
+            ctx.moveTo(segment.x1, segment.y1);
+            ctx.lineTo(segment.x2, segment.y2);
+            ctx.stroke();
+        });
 
-        // Draw diagonal line (no waiting symbol)
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(-5, -5);
-        ctx.lineTo(5, 5);
-        ctx.stroke();
+        nodes.filter(hit => hit.level === this.currentLevel).forEach(hit => {
+            const node = this.nodes.find(n => n.id === hit.id);
+            if (!node) return;
+
+            ctx.strokeStyle = hit.occupied ? 'rgba(220, 53, 69, 0.9)' : 'rgba(255, 193, 7, 0.9)';
+            ctx.lineWidth = 3 / this.scale;
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, 16 / this.scale, 0, Math.PI * 2);
+            ctx.stroke();
+        });
 
         ctx.restore();
     }
 
-    drawPath(path) {
-        const fromNode = this.nodes.find(n => n.id === path.from);
-        const toNode = this.nodes.find(n => n.id === path.to);
+    // === SIMULATION ===
 
-        if (!fromNode || !toNode) return;
+    showSimulationModal() {
+        if (this.nodes.length < 2 || this.paths.length === 0) {
+            this.showToast('Add nodes and paths to simulate');
+            return;
+        }
 
-        const ctx = this.ctx;
-        const isHovered = this.hoveredPath?.id === path.id;
-        const isSelected = this.selectedPath?.id === path.id || this.selectedPaths.some(p => p.id === path.id);
+        document.getElementById('simSpeed').value = String(this.simulationSpeed);
+        document.getElementById('simulationModal').style.display = 'block';
+    }
 
-        // Draw path line (if enabled)
-        if (this.showPathLines) {
-            // Calculate line width based on path width property (convert meters to pixels)
-            const baseWidth = 3;
-            const widthMultiplier = path.width || 1.0;
-            const lineWidth = baseWidth * widthMultiplier;
+    /**
+     * Start a simulation with the settings of the simulation modal
+     * @returns {boolean} True if the simulation started
+     */
+    startSimulation() {
+        const count = parseInt(document.getElementById('simRobotCount').value, 10);
+        if (!(count > 0)) {
+            alert('Enter the number of robots');
+            return false;
+        }
 
-            // Draw glow for selected/hovered paths
-            if (isSelected || isHovered) {
-                ctx.strokeStyle = isSelected ? 'rgba(255, 255, 0, 0.5)' : 'rgba(255, 255, 255, 0.3)';
-                ctx.lineWidth = lineWidth + 6;
-                ctx.beginPath();
-                ctx.moveTo(fromNode.x, fromNode.y);
-                ctx.lineTo(toNode.x, toNode.y);
-                ctx.stroke();
+        let tasks = null;
+        if (document.getElementById('simTaskMode').value === 'scripted') {
+            try {
+                tasks = TrafficSimulator.parseTasks(document.getElementById('simTaskScript').value, this.nodes);
+            } catch (error) {
+                alert('Invalid task script:\n' + error.message);
+                return false;
             }
-
-            // Draw main path line
-            ctx.strokeStyle = isSelected ? '#ffff00' : '#00ff00';
-            ctx.lineWidth = lineWidth;
-            ctx.beginPath();
-            ctx.moveTo(fromNode.x, fromNode.y);
-            ctx.lineTo(toNode.x, toNode.y);
-            ctx.stroke();
-
-            // Draw animated arrows with speed-based animation
-            this.drawAnimatedArrows(fromNode, toNode, isSelected, path.speedLimit);
-
-            // Draw reverse arrows if bidirectional
-            if (path.bidirectional) {
-                this.drawAnimatedArrows(toNode, fromNode, isSelected, path.speedLimit);
+            if (tasks.length === 0) {
+                alert('The task script has no tasks');
+                return false;
             }
         }
 
-        // Draw path name at the midpoint (only if enabled)
-        if (this.showPathNames && path.name) {
-            const midX = (fromNode.x + toNode.x) / 2;
-            const midY = (fromNode.y + toNode.y) / 2;
+        const simulation = new TrafficSimulator(this.nodes, this.paths, {
+            travelTime: path => this.getPathTravelCost(path)?.seconds ?? null,
+            exclusiveZones: this.getExclusiveZoneNodes(),
+            tasks: tasks
+        });
 
-            ctx.font = 'bold 12px Arial';
-            const textWidth = ctx.measureText(path.name).width;
-            const textHeight = 12;
-            const padding = 3;
+        const spawned = simulation.spawn(count);
+        if (spawned === 0) {
+            alert('No node can hold a robot (all nodes are no-waiting nodes)');
+            return false;
+        }
+        if (spawned < count) {
+            this.showToast(`Only ${spawned} of ${count} robots fit on the graph's nodes`, 4000);
+        }
 
-            // Draw background rectangle for better visibility
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-            ctx.fillRect(
-                midX - textWidth / 2 - padding,
-                midY - textHeight - padding,
-                textWidth + padding * 2,
-                textHeight + padding * 2
-            );
+        this.simulation = simulation;
+        this.simulationSpeed = parseFloat(document.getElementById('simSpeed').value) || 1;
+        this.simulationRunning = true;
+        this.lastSimulationFrame = null;
+        this.lastSimulationPanelUpdate = 0;
+        this.updateStatus(`Simulation started with ${spawned} robot(s)`);
+        this.showSimulationPanel();
+        return true;
+    }
 
-            // Draw text in yellow
-            ctx.fillStyle = '#ffff00'; // Yellow for better visibility
-            ctx.textAlign = 'center';
-            ctx.fillText(path.name, midX, midY);
-            ctx.textAlign = 'left'; // Reset to default
+    /**
+     * Advance the simulation by the real time since the last frame
+     * @param {number} timestamp - Animation frame timestamp (ms)
+     */
+    updateSimulation(timestamp) {
+        // Cap the step so a background tab does not fast-forward the run
+        const elapsed = this.lastSimulationFrame === null ? 0 : Math.min(0.1, (timestamp - this.lastSimulationFrame) / 1000);
+        this.lastSimulationFrame = timestamp;
+
+        if (this.simulationRunning) {
+            this.simulation.step(elapsed * this.simulationSpeed);
+
+            if (this.simulation.deadlock) {
+                this.simulationRunning = false;
+                const message = `Deadlock after ${this.formatDuration(this.simulation.deadlock.time)}: ` +
+                    `robots ${this.simulation.deadlock.robots.join(', ')} are waiting for each other`;
+                this.updateStatus(message);
+                this.showToast(message, 5000);
+                this.showSimulationPanel();
+            }
         }
-    }
 
-    drawArrow(from, to, isSelected = false) {
-        const ctx = this.ctx;
-        const angle = Math.atan2(to.y - from.y, to.x - from.x);
-        const arrowLength = 15;
-        const arrowWidth = 8;
+        if (timestamp - this.lastSimulationPanelUpdate > 500) {
+            this.lastSimulationPanelUpdate = timestamp;
+            this.showSimulationPanel();
+        }
+    }
 
-        // Position arrow near the end
-        const arrowX = to.x - Math.cos(angle) * 15;
-        const arrowY = to.y - Math.sin(angle) * 15;
+    toggleSimulationPause() {
+        if (!this.simulation || this.simulation.deadlock) return;
 
-        ctx.fillStyle = isSelected ? '#ffff00' : '#00ff00';
-        ctx.beginPath();
-        ctx.moveTo(arrowX, arrowY);
-        ctx.lineTo(
-            arrowX - arrowLength * Math.cos(angle) + arrowWidth * Math.sin(angle),
-            arrowY - arrowLength * Math.sin(angle) - arrowWidth * Math.cos(angle)
-        );
-        ctx.lineTo(
-            arrowX - arrowLength * Math.cos(angle) - arrowWidth * Math.sin(angle),
-            arrowY - arrowLength * Math.sin(angle) + arrowWidth * Math.cos(angle)
-        );
-        ctx.closePath();
-        ctx.fill();
+        this.simulationRunning = !this.simulationRunning;
+        this.showSimulationPanel();
     }
 
-    drawAnimatedArrows(from, to, isSelected = false, speedLimit = 1.0) {
-        const ctx = this.ctx;
-        const angle = Math.atan2(to.y - from.y, to.x - from.x);
-        const distance = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2);
+    stopSimulation() {
+        if (!this.simulation) return;
 
-        const arrowLength = 12;
-        const arrowWidth = 6;
-        const spacing = 80; // Distance between arrows
-        const numArrows = Math.max(2, Math.floor(distance / spacing));
+        const report = this.simulation.getReport();
+        this.simulation = null;
+        this.simulationRunning = false;
+        this.clearPropertiesPanel();
+        this.updateStatus(`Simulation stopped: ${report.completed} task(s) in ${this.formatDuration(report.time)}`);
+        this.render();
+    }
 
-        // Animation speed - dynamically based on path speed limit
-        // Base speed for 1.0 m/s, scales linearly with speed limit
-        const baseAnimationSpeed = 0.0005;
-        const animationSpeed = baseAnimationSpeed * speedLimit;
-        const animationOffset = (this.animationTime * animationSpeed) % 1;
+    showSimulationPanel() {
+        if (!this.simulation) return;
 
-        ctx.fillStyle = isSelected ? '#ffff00' : '#00ff00';
+        const report = this.simulation.getReport();
+        const nodeName = id => this.nodes.find(n => n.id === id)?.name || id;
+        let status = this.simulationRunning ? `Running (${this.simulationSpeed}×)` : 'Paused';
+        if (report.deadlock) status = 'Deadlock';
 
-        for (let i = 0; i < numArrows; i++) {
-            // Calculate position along the path (0 to 1)
-            let t = (i / numArrows + animationOffset) % 1;
+        const hotspots = report.hotspots.slice(0, 5).map(spot => {
+            const parts = [];
+            if (spot.waits > 0) parts.push(`${spot.waits} wait(s)`);
+            if (spot.noWaitingStops > 0) parts.push(`${spot.noWaitingStops} stop(s) on no-waiting node`);
+            return `${nodeName(spot.nodeId)}: ${parts.join(', ')}`;
+        });
 
-            // Skip arrow if too close to nodes
-            if (t < 0.1 || t > 0.9) continue;
+        let problems = '';
+        if (report.deadlock) {
+            problems += `
+                <div class="property-group">
+                    <label>Deadlock:</label>
+                    <div class="coords-display">
+                        Robots ${report.deadlock.robots.join(', ')} wait for ${report.deadlock.nodes.map(nodeName).join(', ')}
+                        (at ${this.formatDuration(report.deadlock.time)})
+                    </div>
+                </div>`;
+        }
+        if (report.unreachable.length > 0) {
+            problems += `
+                <div class="property-group">
+                    <label>Unreachable tasks:</label>
+                    <div class="coords-display">
+                        ${report.unreachable.map(task => task.split('→').map(nodeName).join(' → ')).join('<br>')}
+                    </div>
+                </div>`;
+        }
 
-            // Calculate arrow position
-            const arrowX = from.x + (to.x - from.x) * t;
-            const arrowY = from.y + (to.y - from.y) * t;
+        document.getElementById('propertiesContent').innerHTML = `
+            <h4>Simulation</h4>
+            <div class="property-group">
+                <label>Status:</label>
+                <div class="coords-display">
+                    ${status}<br>
+                    Time: ${this.formatDuration(report.time)}<br>
+                    Robots: ${report.robots}
+                </div>
+            </div>
+            <div class="property-group">
+                <label>Throughput:</label>
+                <div class="coords-display">
+                    Completed tasks: ${report.completed}<br>
+                    Tasks per hour: ${report.throughput.toFixed(1)}<br>
+                    Average task time: ${report.averageTaskTime !== null ? this.formatDuration(report.averageTaskTime) : '-'}
+                </div>
+            </div>
+            <div class="property-group">
+                <label>Conflicts:</label>
+                <div class="coords-display">
+                    Waits for a node: ${report.waits} (${this.formatDuration(report.waitTime)} total)
+                    ${hotspots.length > 0 ? '<br>' + hotspots.join('<br>') : ''}
+                </div>
+            </div>
+            ${problems}
+            ${report.deadlock ? '' : `<button class="btn btn-primary" onclick="app.toggleSimulationPause()">${this.simulationRunning ? 'Pause' : 'Resume'}</button>`}
+            <button class="btn btn-secondary" onclick="app.stopSimulation()">Stop</button>
+        `;
+    }
 
-            // Draw arrow
-            ctx.beginPath();
-            ctx.moveTo(arrowX, arrowY);
-            ctx.lineTo(
-                arrowX - arrowLength * Math.cos(angle) + arrowWidth * Math.sin(angle),
-                arrowY - arrowLength * Math.sin(angle) - arrowWidth * Math.cos(angle)
-            );
-            ctx.lineTo(
-                arrowX - arrowLength * Math.cos(angle) - arrowWidth * Math.sin(angle),
-                arrowY - arrowLength * Math.sin(angle) + arrowWidth * Math.cos(angle)
-            );
-            ctx.closePath();
-            ctx.fill();
-        }
+    /**
+     * Canvas position of a simulated robot
+     * @param {Object} robot - Robot state (see TrafficSimulator)
+     * @returns {Object|null} Point {x, y}
+     */
+    getRobotPosition(robot) {
+        if (robot.node) {
+            const node = this.nodes.find(n => n.id === robot.node);
+            return node && this.isOnCurrentLevel(node) ? node : null;
+        }
+
+        // Robots in a lift or on another level are not drawn
+        const step = robot.steps[robot.stepIndex];
+        if (this.getPathLevel(step.path) !== this.currentLevel) return null;
+        const points = this.getPathPoints(step.path);
+        if (!points) return null;
+        if (step.reversed) points.reverse();
+
+        return PathGeometry.pointAlong(points, PathGeometry.polylineLength(points) * Math.min(robot.progress, 1));
     }
 
-    // === ALIGNMENT TOOLS ===
-    alignNodesHorizontal() {
-        if (this.selectedNodes.length < 2) {
-            this.showToast('Select at least 2 nodes to align');
-            return;
-        }
+    drawSimulation(ctx) {
+        const colors = {
+            moving: '#00e5ff',
+            waiting: '#ff4d4d',
+            servicing: '#ffb300',
+            idle: '#9e9e9e'
+        };
+        const radius = 8 / this.scale;
+        const atNode = new Map(); // Robots already drawn per node, to fan them out
+
+        ctx.save();
+        ctx.font = `bold ${10 / this.scale}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
 
-        this.saveState();
-        const avgY = this.selectedNodes.reduce((sum, node) => sum + node.y, 0) / this.selectedNodes.length;
+        this.simulation.robots.forEach(robot => {
+            const position = this.getRobotPosition(robot);
+            if (!position) return;
+
+            let { x, y } = position;
+            if (robot.node) {
+                const index = atNode.get(robot.node) || 0;
+                atNode.set(robot.node, index + 1);
+                if (index > 0) {
+                    const angle = index * Math.PI / 3;
+                    x += Math.cos(angle) * radius * 2;
+                    y += Math.sin(angle) * radius * 2;
+                }
+            }
+
+            ctx.fillStyle = colors[robot.state];
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 1.5 / this.scale;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
 
-        this.selectedNodes.forEach(node => {
-            node.y = avgY;
+            ctx.fillStyle = '#000000';
+            ctx.fillText(String(robot.id), x, y);
         });
 
-        this.showToast(`Aligned ${this.selectedNodes.length} nodes horizontally`);
-        this.render();
+        ctx.restore();
     }
 
-    alignNodesVertical() {
-        if (this.selectedNodes.length < 2) {
-            this.showToast('Select at least 2 nodes to align');
-            return;
+    // === SESSIONS ===
+
+    /**
+     * Offer to restore the auto-saved session on startup
+     * Auto-saving stays paused until the user restored or dismissed it, so the
+     * last session is not overwritten by the empty editor.
+     */
+    async checkSavedSession() {
+        if (!this.sessionStore) return;
+
+        try {
+            const sessions = await this.sessionStore.listSessions();
+            const last = sessions.find(session => session.id === SessionStore.AUTOSAVE_ID);
+            if (last && (last.summary.nodes > 0 || last.summary.maps > 0)) {
+                this.showSessionsModal(sessions, true);
+                return;
+            }
+        } catch (error) {
+            console.error('Error reading saved sessions:', error);
         }
+        this.autoSavePaused = false;
+    }
 
-        this.saveState();
-        const avgX = this.selectedNodes.reduce((sum, node) => sum + node.x, 0) / this.selectedNodes.length;
+    scheduleAutoSave() {
+        if (!this.sessionStore || this.autoSavePaused) return;
+
+        clearTimeout(this.autoSaveTimer);
+        this.autoSaveTimer = setTimeout(() => this.autoSave(), this.autoSaveDelay);
+    }
 
-        this.selectedNodes.forEach(node => {
-            node.x = avgX;
+    /**
+     * Write the current session to the auto-save slot
+     * @returns {Promise<void>}
+     */
+    autoSave() {
+        clearTimeout(this.autoSaveTimer);
+        this.autoSaveTimer = null;
+        if (!this.sessionStore || this.autoSavePaused) return Promise.resolve();
+
+        return this.runSessionTask(async () => {
+            const session = await this.captureSession(SessionStore.AUTOSAVE_ID, 'Last session');
+            await this.sessionStore.saveSession(session);
+
+            // Drop map images the auto-save no longer uses
+            const images = SessionStore.getImageIds(session).join();
+            if (images !== this.autoSavedImages) {
+                this.autoSavedImages = images;
+                await this.sessionStore.pruneImages();
+            }
+        }).catch(error => {
+            console.error('Auto-save failed:', error);
+            this.updateStatus(`Auto-save failed: ${error.message}`);
         });
+    }
 
-        this.showToast(`Aligned ${this.selectedNodes.length} nodes vertically`);
-        this.render();
+    /**
+     * Run session store writes one after another
+     * (a map image must be stored before the session that refers to it)
+     * @param {Function} task - async () => result
+     * @returns {Promise<*>} Result of the task
+     */
+    runSessionTask(task) {
+        const result = this.sessionTasks.then(task);
+        this.sessionTasks = result.catch(() => {});
+        return result;
     }
 
-    alignNodesToGrid() {
-        if (this.selectedNodes.length === 0) {
-            this.showToast('Select nodes to align to grid');
-            return;
+    /**
+     * Collect the current session (see SessionStore)
+     * @param {string} id - Session ID
+     * @param {string} name - Display name
+     * @returns {Promise<Object>} Session
+     */
+    async captureSession(id, name) {
+        const levels = [];
+        for (const level of this.levels) {
+            const { mapImage, mapYaml } = this.getLevelMap(level.name);
+            levels.push({
+                id: level.id,
+                name: level.name,
+                mapYaml: mapYaml,
+                imageId: mapImage ? await this.storeMapImage(mapImage) : null
+            });
         }
 
-        this.saveState();
-
-        // Calculate grid offset based on map origin (world coordinates)
-        let gridOffsetX = 0;
-        let gridOffsetY = 0;
-
-        if (this.mapYaml && this.mapYaml.origin) {
-            const originX = this.mapYaml.origin[0]; // meters
-            const originY = this.mapYaml.origin[1]; // meters
-
-            // Canvas pixel where world (0,0) appears
-            const worldZeroX = -originX / this.mapYaml.resolution;
-            const worldZeroY = this.mapImage.height + (originY / this.mapYaml.resolution);
+        // Removed levels, so that undoing their removal brings their map back
+        const removedLevels = [];
+        for (const level of this.removedLevels.values()) {
+            removedLevels.push({
+                id: level.id,
+                name: level.name,
+                mapYaml: level.mapYaml,
+                imageId: level.mapImage ? await this.storeMapImage(level.mapImage) : null
+            });
+        }
 
-            // Offset to align with world coordinate grid
-            gridOffsetX = worldZeroX % this.gridSize;
-            gridOffsetY = worldZeroY % this.gridSize;
+        // Maps that undo steps can bring back
+        const mapImages = [];
+        for (const imageId of this.history.getLevelReferences().imageIds) {
+            const image = this.mapImages.get(imageId);
+            if (image) mapImages.push(await this.storeMapImage(image));
         }
 
-        this.selectedNodes.forEach(node => {
-            // Always snap to grid when using this button, regardless of snapToGrid setting
-            node.x = Math.round((node.x - gridOffsetX) / this.gridSize) * this.gridSize + gridOffsetX;
-            node.y = Math.round((node.y - gridOffsetY) / this.gridSize) * this.gridSize + gridOffsetY;
-        });
+        return {
+            id: id,
+            name: name,
+            savedAt: new Date().toISOString(),
+            summary: {
+                nodes: this.nodes.length,
+                paths: this.paths.length,
+                levels: this.levels.length,
+                maps: levels.filter(level => level.imageId).length
+            },
+            graph: JSON.parse(JSON.stringify({
+                nodes: this.nodes,
+                paths: this.paths,
+                zones: this.zones,
+                robotClasses: this.robotClasses,
+                nodeCounter: this.nodeCounter
+            })),
+            levels: levels,
+            removedLevels: removedLevels,
+            mapImages: mapImages,
+            currentLevel: this.currentLevel,
+            view: { offset: { ...this.offset }, scale: this.scale },
+            history: this.history.toJSON(),
+            dirty: this.dirty,
+            file: {
+                handle: this.fileHandle,
+                name: this.fileName,
+                exporterId: this.fileExporter ? this.fileExporter.id : null
+            }
+        };
+    }
 
-        this.showToast(`Aligned ${this.selectedNodes.length} nodes to grid`);
-        this.render();
+    /**
+     * Store a map image's bytes once
+     * @param {HTMLImageElement} image - Map image
+     * @returns {Promise<string>} Image ID in the session store
+     */
+    async storeMapImage(image) {
+        const id = this.getMapImageId(image);
+        if (this.storedImageIds.has(id)) return id;
+
+        const blob = await (await fetch(image.src)).blob();
+        await this.sessionStore.putImage(id, blob);
+        this.storedImageIds.add(id);
+        return id;
     }
 
-    // === BULK EDIT ===
-    showBulkEditModal() {
-        if (this.selectedNodes.length === 0) {
-            this.showToast('Select nodes to bulk edit');
-            return;
+    /**
+     * ID of a map image, given on first use; undo steps and the session store share it
+     * @param {HTMLImageElement|null} image - Map image
+     * @returns {string|null} Image ID, null without an image
+     */
+    getMapImageId(image) {
+        if (!image) return null;
+
+        if (!this.mapImageIds.has(image)) {
+            this.mapImageIds.set(image, `image_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
         }
+        const id = this.mapImageIds.get(image);
+        this.mapImages.set(id, image);
+        return id;
+    }
 
-        const modal = document.getElementById('bulkEditModal');
-        document.getElementById('bulkEditCount').textContent = this.selectedNodes.length;
+    /**
+     * Load a map image from the session store
+     * @param {string|null} id - Image ID
+     * @returns {Promise<HTMLImageElement|null>} Image, null if it is not stored
+     */
+    async loadStoredImage(id) {
+        const blob = id ? await this.sessionStore.getImage(id) : null;
+        if (!blob) return null;
+
+        const image = await this.loadImageBlob(blob);
+        this.mapImageIds.set(image, id);
+        this.mapImages.set(id, image);
+        this.storedImageIds.add(id);
+        return image;
+    }
 
-        // Reset form
-        document.getElementById('bulkNodeType').value = '';
-        document.getElementById('bulkNoWaiting').checked = false;
-        document.getElementById('bulkIsParkingSpot').checked = false;
-        document.getElementById('bulkMaxRobots').value = '';
+    /**
+     * @param {Blob} blob - Image file content
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    loadImageBlob(blob) {
+        return new Promise((resolve, reject) => {
+            // The decoded image no longer needs its URL; stored images are not read back from it
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Stored map image cannot be decoded'));
+            };
+            img.src = url;
+        });
+    }
 
-        modal.style.display = 'block';
+    /**
+     * Rebuild a level of a stored session, with its map image
+     * @param {Object} saved - { id, name, mapYaml, imageId }; sessions of older versions have no id
+     * @returns {Promise<Object>} Level
+     */
+    async restoreLevel(saved) {
+        const level = this.createLevel(saved.name, saved.id || undefined);
+        level.mapYaml = saved.mapYaml;
+        level.mapImage = await this.loadStoredImage(saved.imageId);
+        return level;
     }
 
-    applyBulkEdit() {
-        this.saveState();
+    /**
+     * Replace the editor's state with a stored session
+     * @param {string} id - Session ID
+     */
+    async restoreSession(id) {
+        if (!(await this.confirmUnsavedChanges('restoring a session'))) return;
 
-        const nodeType = document.getElementById('bulkNodeType').value;
-        const noWaiting = document.getElementById('bulkNoWaiting').checked;
-        const isParkingSpot = document.getElementById('bulkIsParkingSpot').checked;
-        const maxRobots = document.getElementById('bulkMaxRobots').value;
+        let session;
+        let levels;
+        let removedLevels;
+        try {
+            session = await this.sessionStore.getSession(id);
+            if (!session) throw new Error('Session not found');
 
-        this.selectedNodes.forEach(node => {
-            if (nodeType) {
-                node.type = nodeType;
+            levels = [];
+            for (const saved of session.levels) {
+                levels.push(await this.restoreLevel(saved));
             }
-            if (noWaiting) {
-                node.noWaiting = true;
+            removedLevels = new Map();
+            for (const saved of session.removedLevels || []) {
+                removedLevels.set(saved.id, await this.restoreLevel(saved));
             }
-            if (isParkingSpot) {
-                node.isParkingSpot = true;
+            for (const imageId of session.mapImages || []) {
+                await this.loadStoredImage(imageId);
             }
-            if (maxRobots) {
-                node.maxRobots = parseInt(maxRobots);
-            }
-        });
-
-        this.showToast(`Updated ${this.selectedNodes.length} nodes`);
-    }
-
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            alert('Error restoring session: ' + error.message);
+            return;
+        }
 
-    // === GRAPH VALIDATION ===
-    validateGraph() {
-        const issues = [];
+        if (this.simulation) {
+            this.stopSimulation();
+        }
+        this.validationHighlights = null;
+        this.connectivity = null;
+        this.clearRoute();
 
-        // Check for disconnected nodes
-        const connectedNodes = new Set();
-        this.paths.forEach(path => {
-            connectedNodes.add(path.from);
-            connectedNodes.add(path.to);
+        // The current level's map is held in this.mapImage, this.mapYaml, ... (see switchLevel)
+        const current = levels.find(level => level.name === session.currentLevel) || levels[0];
+        this.levels = levels;
+        this.removedLevels = removedLevels;
+        this.currentLevel = current.name;
+        ['mapImage', 'mapYaml'].forEach(field => {
+            this[field] = current[field];
+            current[field] = null;
         });
+        this.updateOccupancyGrid();
+
+        const graph = session.graph;
+        this.nodes = graph.nodes;
+        this.paths = graph.paths;
+        this.zones = graph.zones || [];
+        this.robotClasses = graph.robotClasses || [];
+        this.nodeCounter = graph.nodeCounter;
+        this.pendingEdit = null;
+        this.history.load(session.history);
+        this.updateHistoryPanel();
+        const file = session.file || {};
+        const exporter = file.exporterId && typeof getExporterById === 'function' ? getExporterById(file.exporterId) : null;
+        this.setGraphFile(file.handle || null, file.name || null, exporter);
+        this.setDirty(session.dirty ?? true);
 
-        const disconnectedNodes = this.nodes.filter(node => !connectedNodes.has(node.id));
-        if (disconnectedNodes.length > 0) {
-            issues.push({
-                type: 'warning',
-                title: 'Disconnected Nodes',
-                description: `${disconnectedNodes.length} node(s) have no paths: ${disconnectedNodes.map(n => n.name).join(', ')}`
-            });
-        }
-
-        // Check for overlapping nodes
-        const overlaps = [];
-        for (let i = 0; i < this.nodes.length; i++) {
-            for (let j = i + 1; j < this.nodes.length; j++) {
-                const dx = this.nodes[i].x - this.nodes[j].x;
-                const dy = this.nodes[i].y - this.nodes[j].y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+        this.selectedNodes = [];
+        this.selectedNode = null;
+        this.selectedPath = null;
+        this.selectedPaths = [];
+        this.selectedZone = null;
+        this.pathStart = null;
+        this.zoneDraft = null;
+        this.updateSelectionCount();
+        this.updateRouteClassSelect();
+        this.updateLevelUI();
+        this.updateMapInfo();
+        this.updateGridSize();
+
+        this.offset = { ...session.view.offset };
+        this.scale = session.view.scale;
+        this.updateZoomDisplay();
 
-                if (distance < 10) { // Less than 10 pixels apart
-                    overlaps.push(`${this.nodes[i].name} and ${this.nodes[j].name}`);
-                }
-            }
+        if (this.mapImage || this.nodes.length > 0) {
+            this.enableTools();
         }
+        this.render();
 
-        if (overlaps.length > 0) {
-            issues.push({
-                type: 'error',
-                title: 'Overlapping Nodes',
-                description: `${overlaps.length} pair(s) of nodes are too close: ${overlaps.join(', ')}`
-            });
-        }
+        this.autoSavePaused = false;
+        this.scheduleAutoSave();
+        this.updateStatus(`Restored "${session.name}" from ${new Date(session.savedAt).toLocaleString()}`);
+    }
 
-        // Check for duplicate paths
-        const pathKeys = new Set();
-        const duplicates = [];
+    async saveSnapshot() {
+        if (!this.sessionStore) return;
 
-        this.paths.forEach(path => {
-            const key1 = `${path.from}-${path.to}`;
-            const key2 = `${path.to}-${path.from}`;
+        const name = prompt('Snapshot name:', `Snapshot ${new Date().toLocaleString()}`)?.trim();
+        if (!name) return;
 
-            if (pathKeys.has(key1) || (path.bidirectional && pathKeys.has(key2))) {
-                duplicates.push(`${path.name}`);
-            }
+        try {
+            await this.runSessionTask(async () => {
+                await this.sessionStore.saveSession(await this.captureSession(`snapshot_${Date.now()}`, name));
+            });
+            this.showToast(`Snapshot "${name}" saved`);
+        } catch (error) {
+            console.error('Error saving snapshot:', error);
+            alert('Error saving snapshot: ' + error.message);
+        }
+        this.showSessionsModal();
+    }
 
-            pathKeys.add(key1);
-            if (path.bidirectional) {
-                pathKeys.add(key2);
-            }
-        });
+    async deleteSession(id) {
+        if (!confirm('Delete this snapshot?')) return;
 
-        if (duplicates.length > 0) {
-            issues.push({
-                type: 'warning',
-                title: 'Duplicate Paths',
-                description: `${duplicates.length} duplicate path(s) found: ${duplicates.join(', ')}`
-            });
+        try {
+            await this.runSessionTask(() => this.sessionStore.deleteSession(id));
+        } catch (error) {
+            console.error('Error deleting session:', error);
+            alert('Error deleting session: ' + error.message);
         }
+        this.showSessionsModal();
+    }
 
-        // Check for nodes with duplicate names
-        const nameCount = {};
-        this.nodes.forEach(node => {
-            nameCount[node.name] = (nameCount[node.name] || 0) + 1;
-        });
+    /**
+     * Show the stored sessions
+     * @param {Object[]} sessions - Sessions from listSessions (read if omitted)
+     * @param {boolean} startup - Offered on startup: closing starts a new session
+     */
+    async showSessionsModal(sessions = null, startup = false) {
+        const modal = document.getElementById('sessionsModal');
+        const list = document.getElementById('sessionList');
+
+        if (!this.sessionStore) {
+            this.showToast('Sessions need IndexedDB, which this browser does not provide');
+            return;
+        }
 
-        const duplicateNames = Object.keys(nameCount).filter(name => nameCount[name] > 1);
-        if (duplicateNames.length > 0) {
-            issues.push({
-                type: 'error',
-                title: 'Duplicate Node Names',
-                description: `${duplicateNames.length} duplicate name(s): ${duplicateNames.join(', ')}`
-            });
+        try {
+            sessions = sessions || await this.sessionStore.listSessions();
+        } catch (error) {
+            console.error('Error reading saved sessions:', error);
+            this.showToast(`Error reading saved sessions: ${error.message}`);
+            return;
         }
 
-        // Display results
-        const modal = document.getElementById('validationModal');
-        const resultsDiv = document.getElementById('validationResults');
+        document.getElementById('sessionsIntro').textContent = startup
+            ? 'Your last session was saved in this browser. Restore it, or start new (the last session is replaced by your next change).'
+            : 'Your work is auto-saved in this browser after every change. Save a snapshot to keep the current state under a name.';
+        document.getElementById('closeSessionsBtn').textContent = startup ? 'Start New' : 'Close';
 
-        if (issues.length === 0) {
-            resultsDiv.innerHTML = '<div style="color: #28a745; padding: 20px; text-align: center;"><h3>✓ Graph is valid!</h3><p>No issues found.</p></div>';
+        if (sessions.length === 0) {
+            list.innerHTML = '<div class="dropdown-empty">No saved sessions</div>';
         } else {
-            resultsDiv.innerHTML = issues.map(issue => {
-                const color = issue.type === 'error' ? '#dc3545' : '#ffc107';
+            list.innerHTML = sessions.map(session => {
+                const date = new Date(session.savedAt);
+                const { nodes, paths, levels } = session.summary;
+                const isAutoSave = session.id === SessionStore.AUTOSAVE_ID;
+
                 return `
-                    <div style="margin-bottom: 15px; padding: 10px; border-left: 4px solid ${color}; background-color: rgba(255,255,255,0.05);">
-                        <h4 style="color: ${color}; margin-bottom: 5px;">${issue.type === 'error' ? '✗' : '⚠'} ${issue.title}</h4>
-                        <p style="color: #e0e0e0; font-size: 13px;">${issue.description}</p>
+                    <div class="session-item">
+                        <div>
+                            <div class="dropdown-item-title">${isAutoSave ? '⟳ ' : '📸 '}${session.name}</div>
+                            <div class="dropdown-item-subtitle">${date.toLocaleDateString()} ${date.toLocaleTimeString()} · ${nodes} node(s), ${paths} path(s), ${levels} level(s)</div>
+                        </div>
+                        <div class="session-actions">
+                            <button type="button" class="btn btn-primary" onclick="app.closeSessionsModal(); app.restoreSession('${session.id}')">Restore</button>
+                            ${isAutoSave ? '' : `<button type="button" class="btn btn-secondary" onclick="app.deleteSession('${session.id}')">Delete</button>`}
+                        </div>
                     </div>
                 `;
             }).join('');
@@ -3166,6 +6860,102 @@ class FleetGraphWizard {
         modal.style.display = 'block';
     }
 
+    /**
+     * Close the sessions modal; auto-saving starts if it was paused on startup
+     */
+    closeSessionsModal() {
+        document.getElementById('sessionsModal').style.display = 'none';
+        this.autoSavePaused = false;
+    }
+
+    // === UNSAVED CHANGES ===
+
+    /**
+     * Mark the graph as changed since the last export, or as exported
+     * Shown in the page title and the status bar. Marking it as exported
+     * remembers the undo step, so that undo/redo back to it clear the flag.
+     * @param {boolean} dirty - True if there are unsaved changes
+     */
+    setDirty(dirty) {
+        this.dirty = dirty;
+        if (!dirty) this.history.markSaved();
+        this.updateDocumentTitle();
+
+        const unsavedText = document.getElementById('unsavedText');
+        if (unsavedText) {
+            unsavedText.style.display = dirty ? 'inline' : 'none';
+        }
+    }
+
+    /**
+     * Remember the file the graph was imported from or saved to
+     * @param {FileSystemFileHandle|null} fileHandle - File to write back to, null if it cannot be written
+     * @param {string|null} fileName - File name, null for a new graph
+     * @param {Object|null} exporter - Exporter for the file's format
+     */
+    setGraphFile(fileHandle, fileName, exporter) {
+        this.fileHandle = fileHandle;
+        this.fileName = fileName;
+        this.fileExporter = exporter || null;
+        this.updateDocumentTitle();
+    }
+
+    /**
+     * Show the file name and unsaved changes in the page title and the header
+     */
+    updateDocumentTitle() {
+        const name = this.fileName || 'Untitled';
+        document.title = `${this.dirty ? '● ' : ''}${name} - ${this.appTitle}`;
+
+        const documentName = document.getElementById('documentName');
+        if (documentName) {
+            documentName.textContent = name;
+            documentName.title = this.fileHandle && this.fileExporter
+                ? `Save (Ctrl+S) writes ${this.fileName} as ${this.fileExporter.name}`
+                : 'Save (Ctrl+S) asks where to save the graph';
+        }
+    }
+
+    /**
+     * Offer to save unsaved changes before they are replaced
+     * Saving uses up the click that lets the browser open a file picker, so
+     * actions that open one stop after a save and ask to be clicked again.
+     * @param {string} action - What replaces the work, e.g. 'loading a new map'
+     * @param {string|null} retry - Control to click again after saving, for actions that open a file picker
+     * @returns {Promise<boolean>} True to go on (saved or discarded), false to cancel
+     */
+    async confirmUnsavedChanges(action, retry = null) {
+        if (!this.dirty) return true;
+
+        const choice = await new Promise(resolve => {
+            this.unsavedChoice = resolve;
+            document.getElementById('unsavedMessage').textContent =
+                `The graph has changes that were not exported. Save them before ${action}?`;
+            document.getElementById('unsavedModal').style.display = 'block';
+        });
+
+        if (choice === 'save') {
+            const saved = await this.saveGraph();
+            if (!saved || !retry) return saved;
+
+            this.showToast(`Graph saved - click ${retry} again to continue`);
+            return false;
+        }
+        return choice === 'discard';
+    }
+
+    /**
+     * Close the unsaved changes modal
+     * @param {string} choice - 'save', 'discard' or 'cancel'
+     */
+    resolveUnsavedChanges(choice) {
+        document.getElementById('unsavedModal').style.display = 'none';
+
+        const resolve = this.unsavedChoice;
+        this.unsavedChoice = null;
+        if (resolve) resolve(choice);
+    }
+
     // === RECENT FILES ===
     loadRecentFiles() {
         try {
@@ -3177,12 +6967,21 @@ class FleetGraphWizard {
         }
     }
 
-    saveToRecentFiles(filename, mapYaml) {
+    /**
+     * Put a map at the top of the Recent list and keep its files for reopening
+     * @param {File} yamlFile - Map YAML
+     * @param {File} imageFile - Map image
+     */
+    saveToRecentFiles(yamlFile, imageFile) {
+        const filename = yamlFile.name;
+        const previous = this.recentFiles.find(f => f.filename === filename);
+
         try {
             const entry = {
                 filename: filename,
                 timestamp: new Date().toISOString(),
-                mapYaml: mapYaml
+                mapYaml: this.mapYaml,
+                graph: previous?.graph || null
             };
 
             // Remove if already exists
@@ -3194,20 +6993,126 @@ class FleetGraphWizard {
             // Keep only last 10
             this.recentFiles = this.recentFiles.slice(0, 10);
 
-            // Save to localStorage
-            localStorage.setItem('fleetGraphWizard_recentFiles', JSON.stringify(this.recentFiles));
+            this.persistRecentFiles();
+        } catch (error) {
+            console.error('Error saving recent files:', error);
+        }
+
+        this.recentMapFile = filename;
+        if (!this.sessionStore) return;
+
+        // Keep the files (and the last graph) of the listed maps only
+        const keepIds = this.recentFiles.map(f => f.filename);
+        this.runSessionTask(async () => {
+            const record = await this.sessionStore.getRecentFiles(filename);
+            await this.sessionStore.putRecentFiles({
+                id: filename,
+                yaml: { name: yamlFile.name, blob: await this.copyFileContent(yamlFile) },
+                image: { name: imageFile.name, blob: await this.copyFileContent(imageFile) },
+                graph: record?.graph || null
+            });
+            await this.sessionStore.pruneRecentFiles(keepIds);
+        }).catch(error => console.error('Error storing recent files:', error));
+    }
+
+    /**
+     * Keep a graph file as the last graph of the current map's Recent entry
+     * Only formats that can be imported again are kept.
+     * @param {File} file - Imported or exported graph file
+     * @param {string} parserId - Parser that reads the file
+     */
+    saveRecentGraph(file, parserId) {
+        const entry = this.recentFiles.find(f => f.filename === this.recentMapFile);
+        if (!entry || typeof getParserById !== 'function' || !getParserById(parserId)) return;
+
+        try {
+            entry.graph = file.name;
+            this.persistRecentFiles();
         } catch (error) {
             console.error('Error saving recent files:', error);
         }
+
+        if (!this.sessionStore) return;
+
+        this.runSessionTask(async () => {
+            const record = await this.sessionStore.getRecentFiles(entry.filename);
+            if (!record) return;
+
+            record.graph = { name: file.name, blob: await this.copyFileContent(file), parserId: parserId };
+            await this.sessionStore.putRecentFiles(record);
+        }).catch(error => console.error('Error storing recent graph:', error));
+    }
+
+    /**
+     * Copy a file's content, so the stored copy does not depend on the file on disk
+     * @param {File} file - File
+     * @returns {Promise<Blob>} Content
+     */
+    async copyFileContent(file) {
+        return new Blob([await file.arrayBuffer()], { type: file.type });
+    }
+
+    persistRecentFiles() {
+        localStorage.setItem('fleetGraphWizard_recentFiles', JSON.stringify(this.recentFiles));
     }
 
     clearRecentFiles() {
         this.recentFiles = [];
+        this.recentMapFile = null;
         localStorage.removeItem('fleetGraphWizard_recentFiles');
+        if (this.sessionStore) {
+            this.runSessionTask(() => this.sessionStore.pruneRecentFiles([]))
+                .catch(error => console.error('Error clearing recent files:', error));
+        }
         this.showToast('Recent files cleared');
         this.showRecentFilesDropdown(); // Refresh the dropdown
     }
 
+    /**
+     * Reopen a recent map with its image and its last graph
+     * Falls back to selecting the files again when they are no longer stored.
+     * @param {string} filename - YAML file name
+     */
+    async openRecentFile(filename) {
+        if (!(await this.confirmUnsavedChanges(`opening ${filename}`, filename))) return;
+
+        let record = null;
+        if (this.sessionStore) {
+            try {
+                record = await this.runSessionTask(() => this.sessionStore.getRecentFiles(filename));
+            } catch (error) {
+                console.error('Error reading recent files:', error);
+            }
+        }
+
+        if (!record || !record.yaml || !record.image) {
+            this.repickRecentFile(filename);
+            return;
+        }
+
+        this.updateStatus(`Opening ${filename}...`);
+        await this.loadMapFiles([record.yaml, record.image].map(file => new File([file.blob], file.name)));
+
+        const parser = record.graph && typeof getParserById === 'function' ? getParserById(record.graph.parserId) : null;
+        if (parser) {
+            await this.importGraph(new File([record.graph.blob], record.graph.name), parser);
+        }
+    }
+
+    /**
+     * Ask for the files of a recent map that are no longer stored
+     * @param {string} filename - YAML file name
+     */
+    repickRecentFile(filename) {
+        const proceed = confirm(
+            `The files of "${filename}" are no longer stored in this browser.\n\n` +
+            'Select the map YAML and image again?'
+        );
+        if (proceed) {
+            document.getElementById('mapFilesInput').click();
+        }
+    }
+
     showRecentFilesDropdown() {
         const dropdown = document.getElementById('recentFilesDropdown');
         const button = document.getElementById('recentFilesBtn');
@@ -3222,11 +7127,12 @@ class FleetGraphWizard {
             dropdown.innerHTML = this.recentFiles.map(file => {
                 const date = new Date(file.timestamp);
                 const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+                const graph = file.graph ? ` · ${file.graph}` : '';
 
                 return `
-                    <div class="dropdown-item" data-filename="${file.filename}">
+                    <div class="dropdown-item" data-filename="${file.filename}" title="Reopen map${file.graph ? ' and graph' : ''}">
                         <div class="dropdown-item-title">${file.filename}</div>
-                        <div class="dropdown-item-subtitle">${dateStr}</div>
+                        <div class="dropdown-item-subtitle">${dateStr}${graph}</div>
                     </div>
                 `;
             }).join('') + `
@@ -3239,9 +7145,8 @@ class FleetGraphWizard {
             setTimeout(() => {
                 dropdown.querySelectorAll('.dropdown-item[data-filename]').forEach(item => {
                     item.addEventListener('click', () => {
-                        const filename = item.getAttribute('data-filename');
-                        this.showToast(`Recent file info: ${filename}. Note: You still need to load the files manually.`, 4000);
                         dropdown.style.display = 'none';
+                        this.openRecentFile(item.getAttribute('data-filename'));
                     });
                 });
             }, 0);
@@ -3277,6 +7182,10 @@ class FleetGraphWizard {
 
         // Highlight matching nodes
         if (matchingNodes.length > 0) {
+            // Show the matches if they are all on another level
+            if (!matchingNodes.some(node => this.isOnCurrentLevel(node))) {
+                this.switchLevel(matchingNodes[0].level);
+            }
             this.selectedNodes = matchingNodes;
             this.updateStatus(`Found ${matchingNodes.length} node(s) and ${matchingPaths.length} path(s)`);
         } else if (matchingPaths.length > 0) {
@@ -0,0 +1,135 @@
+/**
+ * BaseExporter - Abstract base class for graph exporters
+ *
+ * To create a custom exporter:
+ * 1. Create a new file in the exporters/ directory (e.g., MyCustomExporter.js)
+ * 2. Extend this BaseExporter class
+ * 3. Implement the export() method
+ * 4. Register your exporter in exporters/index.js
+ *
+ * Example:
+ * ```javascript
+ * class MyCustomExporter extends BaseExporter {
+ *     constructor() {
+ *         super('My Custom Format', 'myformat', '.mcf', 'text/plain');
+ *     }
+ *
+ *     async export(graphData, context) {
+ *         // Your serialization logic here
+ *         return 'file content';
+ *     }
+ * }
+ * ```
+ */
+class BaseExporter {
+    /**
+     * @param {string} name - Display name of the exporter (e.g., "JSON Graph Format")
+     * @param {string} id - Unique identifier for the exporter (e.g., "json")
+     * @param {string} fileExtension - Extension of the written file (e.g., '.json')
+     * @param {string} mimeType - MIME type of the written file (e.g., 'application/json')
+     * @param {string} description - Optional description of the format
+     */
+    constructor(name, id, fileExtension, mimeType, description = '') {
+        if (new.target === BaseExporter) {
+            throw new Error('BaseExporter is abstract and cannot be instantiated directly');
+        }
+
+        this.name = name;
+        this.id = id;
+        this.fileExtension = fileExtension;
+        this.mimeType = mimeType;
+        this.description = description;
+    }
+
+    /**
+     * Serialize the graph into the exporter's file format
+     *
+     * @param {Object} graphData - Graph held by the application:
+     * {
+     *     metadata: {
+     *         version: string, created: string (ISO date), mapYaml: object|null,
+     *         levels: [{ name, mapYaml }]
+     *     },
+     *     nodes: [...],   // Canvas coordinates (pixels) of their level's map; node.level
+     *     paths: [...],   // path.connector: 'lift' | 'door' | 'transfer' (optional)
+     *     zones: [...],   // Polygons with traffic rules, canvas coordinates (see ZoneGeometry)
+     *     robotClasses: [...] // Robot classes of the fleet; nodes and paths may have
+     *                         // allowedClasses (see RobotFleet)
+     * }
+     * @param {Object} context - Helpers provided by the application:
+     * {
+     *     getWorldCoordinates(x, y, level),  // Canvas → World coords (meters); level defaults to the current one
+     *     worldToCanvas(x, y, level),        // World → Canvas coords (pixels)
+     *     getPathLevel(path),                // Level of the path's from-node
+     *     getSpeedLimit(path),               // Speed limit lowered by speed-limit zones (m/s, null = none)
+     *     levels: [{ name, mapYaml }],       // All levels, in order
+     *     mapYaml: object|null,              // Map metadata of the current level
+     *     mapDimensions: { width, height }
+     * }
+     * @returns {Promise<string|Blob>} File content
+     */
+    async export(graphData, context) {
+        throw new Error('export() method must be implemented by subclass');
+    }
+
+    /**
+     * Zones with their points in world coordinates (meters)
+     * @param {Object} graphData - Graph data (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Object[]} { id, name, type, level, speedLimit, notes, points }
+     */
+    getWorldZones(graphData, context) {
+        return (graphData.zones || []).map(zone => ({
+            id: zone.id,
+            name: zone.name,
+            type: zone.type,
+            level: zone.level,
+            speedLimit: zone.speedLimit ?? null,
+            notes: zone.notes || '',
+            points: ZoneGeometry.toWorld(zone, context)
+        }));
+    }
+
+    /**
+     * Whether the written file keeps the whole graph and its parser reads it
+     * back unchanged. Only such files become the target of Save and clear the
+     * unsaved changes; other formats are exports.
+     * @returns {boolean} False unless overridden
+     */
+    isLossless() {
+        return false;
+    }
+
+    /**
+     * Get file name for an export
+     * @param {string} baseName - File name without extension
+     * @returns {string} File name with this exporter's extension
+     */
+    getFileName(baseName) {
+        return `${baseName}${this.fileExtension}`;
+    }
+
+    /**
+     * Get file type entry for showSaveFilePicker
+     * @returns {Object} File System Access API type descriptor
+     */
+    getPickerType() {
+        return {
+            description: this.name,
+            accept: { [this.mimeType]: [this.fileExtension] }
+        };
+    }
+
+    /**
+     * Get human-readable description of the output format
+     * @returns {string} Format description
+     */
+    getFormatDescription() {
+        return `${this.name} (${this.fileExtension})`;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseExporter;
+}
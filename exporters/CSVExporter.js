@@ -0,0 +1,200 @@
+/**
+ * CSVExporter - Writes the sectioned CSV format read by CSVParser
+ *
+ * Output layout:
+ *
+ * NODES
+ * id,name,x,y,type,maxRobots,parkingSpot,noWaiting,level,notes,allowedClasses
+ * node1,Entrance,5.000000,3.200000,normal,2,false,false,L1,,
+ *
+ * PATHS
+ * id,name,from,to,bidirectional,speedLimit,width,connector,notes,geometry,allowedClasses
+ * path1,Main Corridor,node1,node2,true,1.5,0.8,,,,
+ * path2,Bend,node2,node3,false,1.0,1.0,,,"{""waypoints"":[{""x"":7.5,""y"":4}]}",amr;tugger
+ *
+ * ZONES
+ * id,name,type,level,speedLimit,notes,points
+ * zone1,Aisle 3,speedLimit,L1,0.5,,"[{""x"":1,""y"":2},{""x"":4,""y"":2},{""x"":4,""y"":5}]"
+ *
+ * ROBOT_CLASSES
+ * id,name,width,length,maxSpeed,allowedNodeTypes
+ * tugger,Tugger,1.2,2.5,1.0,normal;pickup;dropoff
+ *
+ * Coordinates are written in world coordinates (meters) of the node's level;
+ * the connector column is set for lifts, doors and transfers. The geometry column
+ * holds the waypoints and curved segments of a path as JSON (see
+ * PathGeometry) and is empty for straight paths. The ZONES section is only
+ * written when there are zones; its points column holds the polygon corners
+ * as JSON in world coordinates. The ROBOT_CLASSES section is only written
+ * when the fleet has robot classes; allowedClasses and allowedNodeTypes are
+ * ";"-separated lists, empty for no restriction. Values containing
+ * commas, quotes, line breaks or surrounding whitespace are quoted, with
+ * embedded quotes doubled, so that CSVParser.parseCSVLine reads them back
+ * unchanged.
+ */
+class CSVExporter extends BaseExporter {
+    constructor() {
+        super(
+            'CSV Graph Format',
+            'csv',
+            '.csv',
+            'text/csv',
+            'Comma-separated values with NODES, PATHS, ZONES and ROBOT_CLASSES sections (world coordinates)'
+        );
+    }
+
+    /**
+     * CSVParser reads every node, path, zone and robot class back
+     * @returns {boolean} True
+     */
+    isLossless() {
+        return true;
+    }
+
+    /**
+     * Node columns, in the order written
+     */
+    static NODE_COLUMNS = ['id', 'name', 'x', 'y', 'type', 'maxRobots', 'parkingSpot', 'noWaiting', 'level', 'notes', 'allowedClasses'];
+
+    /**
+     * Path columns, in the order written
+     */
+    static PATH_COLUMNS = ['id', 'name', 'from', 'to', 'bidirectional', 'speedLimit', 'width', 'connector', 'notes', 'geometry', 'allowedClasses'];
+
+    /**
+     * Zone columns, in the order written
+     */
+    static ZONE_COLUMNS = ['id', 'name', 'type', 'level', 'speedLimit', 'notes', 'points'];
+
+    /**
+     * Robot class columns, in the order written
+     */
+    static ROBOT_CLASS_COLUMNS = ['id', 'name', 'width', 'length', 'maxSpeed', 'allowedNodeTypes'];
+
+    /**
+     * Export graph to CSV
+     * @param {Object} graphData - Graph data (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Promise<string>} CSV content
+     */
+    async export(graphData, context) {
+        const lines = [];
+
+        lines.push('NODES');
+        lines.push(this.formatCSVLine(CSVExporter.NODE_COLUMNS));
+        graphData.nodes.forEach(node => {
+            const world = context.getWorldCoordinates(node.x, node.y, node.level);
+            lines.push(this.formatCSVLine([
+                node.id,
+                node.name,
+                this.formatNumber(world.x),
+                this.formatNumber(world.y),
+                node.type || 'normal',
+                node.maxRobots ?? 1,
+                Boolean(node.isParkingSpot ?? node.parkingSpot),
+                Boolean(node.noWaiting),
+                node.level,
+                node.notes,
+                RobotFleet.formatList(node.allowedClasses)
+            ]));
+        });
+
+        lines.push('');
+        lines.push('PATHS');
+        lines.push(this.formatCSVLine(CSVExporter.PATH_COLUMNS));
+        graphData.paths.forEach(path => {
+            const geometry = PathGeometry.hasGeometry(path)
+                ? JSON.stringify(PathGeometry.toWorld(path, context))
+                : '';
+
+            lines.push(this.formatCSVLine([
+                path.id,
+                path.name,
+                path.from,
+                path.to,
+                Boolean(path.bidirectional),
+                path.speedLimit,
+                path.width,
+                path.connector,
+                path.notes,
+                geometry,
+                RobotFleet.formatList(path.allowedClasses)
+            ]));
+        });
+
+        const zones = this.getWorldZones(graphData, context);
+        if (zones.length > 0) {
+            lines.push('');
+            lines.push('ZONES');
+            lines.push(this.formatCSVLine(CSVExporter.ZONE_COLUMNS));
+            zones.forEach(zone => {
+                lines.push(this.formatCSVLine([
+                    zone.id,
+                    zone.name,
+                    zone.type,
+                    zone.level,
+                    zone.speedLimit,
+                    zone.notes,
+                    JSON.stringify(zone.points)
+                ]));
+            });
+        }
+
+        const robotClasses = graphData.robotClasses || [];
+        if (robotClasses.length > 0) {
+            lines.push('');
+            lines.push('ROBOT_CLASSES');
+            lines.push(this.formatCSVLine(CSVExporter.ROBOT_CLASS_COLUMNS));
+            robotClasses.forEach(robotClass => {
+                lines.push(this.formatCSVLine([
+                    robotClass.id,
+                    robotClass.name,
+                    robotClass.width,
+                    robotClass.length,
+                    robotClass.maxSpeed,
+                    RobotFleet.formatList(robotClass.allowedNodeTypes)
+                ]));
+            });
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format a row of values as a CSV line
+     * @param {Array} values - Row values
+     * @returns {string} CSV line
+     */
+    formatCSVLine(values) {
+        return values.map(value => this.escapeCSVValue(value)).join(',');
+    }
+
+    /**
+     * Quote a value if CSVParser would otherwise split or trim it
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    escapeCSVValue(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        if (/[",\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Format a world coordinate with fixed precision
+     * @param {number} value - Coordinate in meters
+     * @returns {string} Formatted coordinate
+     */
+    formatNumber(value) {
+        return Number.isFinite(value) ? value.toFixed(6) : '0';
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CSVExporter;
+}
@@ -0,0 +1,145 @@
+/**
+ * DOTExporter - Writes the graph in Graphviz DOT format
+ *
+ * Node positions are pinned to world coordinates (pos="x,y!"), so neato
+ * keeps the map layout (pinned positions are read as inches: 1 m is drawn
+ * as 1 inch).
+ * Bidirectional paths are drawn as one edge with dir=both. Node and path
+ * attributes (including level, connector and allowedClasses, class IDs
+ * separated by ";") are written as custom DOT attributes for networkx/pydot. Each level keeps its own map frame, so
+ * nodes of different levels may overlap in the layout.
+ * Paths with waypoints or curves get their shape as a B-spline edge pos
+ * (used by neato -n). DOT has no element for areas or other graph-level
+ * records, so zones and robot class definitions are not exported (use
+ * GraphML or another format to keep them).
+ */
+class DOTExporter extends BaseExporter {
+    constructor() {
+        super(
+            'Graphviz DOT',
+            'dot',
+            '.dot',
+            'text/vnd.graphviz',
+            'Graphviz DOT digraph with positions pinned to world coordinates'
+        );
+    }
+
+    /**
+     * Export graph to DOT
+     * @param {Object} graphData - Graph data (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Promise<string>} DOT document
+     */
+    async export(graphData, context) {
+        const lines = [
+            'digraph fleet_graph {',
+            '    graph [layout=neato, overlap=true, splines=false];',
+            '    node [shape=circle, fixedsize=true, width=0.3, fontsize=8];',
+            ''
+        ];
+
+        graphData.nodes.forEach(node => {
+            const world = context.getWorldCoordinates(node.x, node.y, node.level);
+            const attributes = {
+                label: node.name || node.id,
+                pos: `${this.round(world.x)},${this.round(world.y)}!`,
+                type: node.type || 'normal',
+                maxRobots: node.maxRobots ?? 1,
+                parkingSpot: Boolean(node.isParkingSpot ?? node.parkingSpot),
+                noWaiting: Boolean(node.noWaiting),
+                level: node.level,
+                notes: node.notes,
+                allowedClasses: RobotFleet.formatList(node.allowedClasses)
+            };
+
+            lines.push(`    ${this.quote(node.id)} [${this.formatAttributes(attributes)}];`);
+        });
+
+        lines.push('');
+
+        const nodesById = new Map(graphData.nodes.map(node => [node.id, node]));
+
+        graphData.paths.forEach(path => {
+            const attributes = {
+                id: path.id,
+                label: path.name,
+                dir: path.bidirectional ? 'both' : null,
+                bidirectional: Boolean(path.bidirectional),
+                speedLimit: path.speedLimit,
+                width: path.width,
+                connector: path.connector,
+                notes: path.notes,
+                allowedClasses: RobotFleet.formatList(path.allowedClasses),
+                pos: this.formatSpline(path, nodesById.get(path.from), nodesById.get(path.to), context)
+            };
+
+            lines.push(`    ${this.quote(path.from)} -> ${this.quote(path.to)} [${this.formatAttributes(attributes)}];`);
+        });
+
+        lines.push('}');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format a path's shape as a DOT spline ("x,y x,y ..."; 3n+1 points)
+     * @param {Object} path - Path
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @param {Object} context - Export context
+     * @returns {string|null} Spline, or null for straight paths
+     */
+    formatSpline(path, fromNode, toNode, context) {
+        if (!fromNode || !toNode || !PathGeometry.hasGeometry(path)) return null;
+
+        const pieces = PathGeometry.toCubicBeziers(path, fromNode, toNode);
+        const points = [pieces[0].start];
+        pieces.forEach(piece => points.push(piece.control1, piece.control2, piece.end));
+
+        return points
+            .map(point => {
+                const world = context.getWorldCoordinates(point.x, point.y, fromNode.level);
+                return `${this.round(world.x)},${this.round(world.y)}`;
+            })
+            .join(' ');
+    }
+
+    /**
+     * Format an attribute list, skipping empty values
+     * @param {Object} attributes - Attribute values
+     * @returns {string} DOT attribute list contents
+     */
+    formatAttributes(attributes) {
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => `${name}=${this.quote(value)}`)
+            .join(', ');
+    }
+
+    /**
+     * Quote a DOT ID
+     * @param {*} value - Value
+     * @returns {string} Double-quoted DOT string
+     */
+    quote(value) {
+        const text = String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\r?\n/g, '\\n');
+        return `"${text}"`;
+    }
+
+    /**
+     * Round a coordinate to millimeter precision
+     * @param {number} value - Coordinate in meters
+     * @returns {number} Rounded coordinate
+     */
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DOTExporter;
+}
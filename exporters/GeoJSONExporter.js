@@ -0,0 +1,138 @@
+/**
+ * GeoJSONExporter - Writes the graph as a GeoJSON FeatureCollection
+ *
+ * Nodes become Point features and paths become LineString features from the
+ * start node to the end node, through the path's waypoints (curves are
+ * flattened); zones become Polygon features. All node, path and zone
+ * properties are kept in the feature's "properties", with "featureType" set
+ * to "node", "path" or "zone"; a path's
+ * waypoints and curved segments are kept there in world coordinates so
+ * GeoJSONParser can restore the exact shape.
+ *
+ * Coordinates are world coordinates (meters) in the map frame, not WGS84.
+ * The map's origin and resolution are recorded in the top-level "metadata"
+ * member so GIS tooling can georeference the layer; robot classes have no
+ * geometry and are listed in metadata.robotClasses. In multi-level graphs
+ * each node is in the frame of its level ("level" property, maps listed in
+ * metadata.levels); a lift or other connector between levels is a straight
+ * LineString between two frames.
+ */
+class GeoJSONExporter extends BaseExporter {
+    constructor() {
+        super(
+            'GeoJSON',
+            'geojson',
+            '.geojson',
+            'application/geo+json',
+            'GeoJSON FeatureCollection with Point nodes and LineString paths (map frame, meters)'
+        );
+    }
+
+    /**
+     * Export graph to GeoJSON
+     * @param {Object} graphData - Graph data (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Promise<string>} GeoJSON string
+     */
+    async export(graphData, context) {
+        const positions = new Map();   // node id -> [x, y] in world coordinates
+        const features = [];
+
+        graphData.nodes.forEach(node => {
+            const world = context.getWorldCoordinates(node.x, node.y, node.level);
+            const coordinates = [this.round(world.x), this.round(world.y)];
+            const { x, y, ...properties } = node;
+
+            positions.set(node.id, coordinates);
+            features.push({
+                type: 'Feature',
+                id: node.id,
+                geometry: { type: 'Point', coordinates: coordinates },
+                properties: { featureType: 'node', ...properties }
+            });
+        });
+
+        const nodesById = new Map(graphData.nodes.map(node => [node.id, node]));
+
+        graphData.paths.forEach(path => {
+            const from = positions.get(path.from);
+            const to = positions.get(path.to);
+            if (!from || !to) return;
+
+            const { waypoints, segments, ...properties } = path;
+            let coordinates = [from, to];
+
+            if (PathGeometry.hasGeometry(path)) {
+                const level = context.getPathLevel(path);
+                const toWorld = (x, y) => {
+                    const world = context.getWorldCoordinates(x, y, level);
+                    return { x: this.round(world.x), y: this.round(world.y) };
+                };
+                const line = PathGeometry.flatten(path, nodesById.get(path.from), nodesById.get(path.to));
+
+                coordinates = [from, ...line.slice(1, -1).map(point => {
+                    const world = toWorld(point.x, point.y);
+                    return [world.x, world.y];
+                }), to];
+                Object.assign(properties, PathGeometry.mapPoints(path, toWorld));
+            }
+
+            features.push({
+                type: 'Feature',
+                id: path.id,
+                geometry: { type: 'LineString', coordinates: coordinates },
+                properties: { featureType: 'path', ...properties }
+            });
+        });
+
+        (graphData.zones || []).forEach(zone => {
+            const { points, ...properties } = zone;
+            const ring = ZoneGeometry.toWorld(zone, context).map(point => [this.round(point.x), this.round(point.y)]);
+
+            features.push({
+                type: 'Feature',
+                id: zone.id,
+                geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+                properties: { featureType: 'zone', ...properties }
+            });
+        });
+
+        const mapYaml = context.mapYaml;
+        const geojson = {
+            type: 'FeatureCollection',
+            metadata: {
+                version: graphData.metadata.version,
+                created: graphData.metadata.created,
+                crs: 'map',
+                units: 'meters',
+                image: mapYaml?.image || null,
+                resolution: mapYaml?.resolution ?? null,
+                origin: mapYaml?.origin || null,
+                levels: context.levels.map(level => ({
+                    name: level.name,
+                    image: level.mapYaml?.image || null,
+                    resolution: level.mapYaml?.resolution ?? null,
+                    origin: level.mapYaml?.origin || null
+                })),
+                robotClasses: graphData.robotClasses || []
+            },
+            features: features
+        };
+
+        return JSON.stringify(geojson, null, 2);
+    }
+
+    /**
+     * Round a coordinate to millimeter precision
+     * @param {number} value - Coordinate in meters
+     * @returns {number} Rounded coordinate
+     */
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoJSONExporter;
+}
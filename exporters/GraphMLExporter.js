@@ -0,0 +1,249 @@
+/**
+ * GraphMLExporter - Writes the graph as GraphML for networkx, Gephi, yEd, ...
+ *
+ * Every node and path attribute is declared as a typed <key> so tools read
+ * numbers and booleans with the right type. Node x/y are world coordinates
+ * (meters) of the node's level. Bidirectional paths are written as one edge with
+ * bidirectional=true, which GraphMLParser reads back unchanged. Path shapes
+ * (waypoints/segments, world coordinates) are stored as JSON in "geometry".
+ *
+ * Zones are written to a second top-level graph with id "zones" (tools that
+ * read one graph, like networkx, only see the fleet graph): one node per
+ * zone with typed zone keys, holding its outline as a nested graph of corner
+ * nodes (x/y in meters, in polygon order) joined by edges.
+ *
+ * Robot classes are written to a third top-level graph with id
+ * "robotClasses", one node per class (id = class ID). Allow lists of nodes
+ * and paths are the "allowedClasses" attribute, class IDs separated by ";".
+ */
+class GraphMLExporter extends BaseExporter {
+    constructor() {
+        super(
+            'GraphML',
+            'graphml',
+            '.graphml',
+            'application/graphml+xml',
+            'GraphML with typed node and path attributes (world coordinates)'
+        );
+    }
+
+    /**
+     * GraphMLParser reads every node, path, zone and robot class back
+     * @returns {boolean} True
+     */
+    isLossless() {
+        return true;
+    }
+
+    /**
+     * Node attribute keys: [attribute, GraphML type]
+     */
+    static NODE_KEYS = [
+        ['name', 'string'],
+        ['x', 'double'],
+        ['y', 'double'],
+        ['type', 'string'],
+        ['maxRobots', 'int'],
+        ['parkingSpot', 'boolean'],
+        ['noWaiting', 'boolean'],
+        ['level', 'string'],
+        ['notes', 'string'],
+        ['allowedClasses', 'string']
+    ];
+
+    /**
+     * Path attribute keys: [attribute, GraphML type]
+     */
+    static EDGE_KEYS = [
+        ['name', 'string'],
+        ['bidirectional', 'boolean'],
+        ['speedLimit', 'double'],
+        ['width', 'double'],
+        ['connector', 'string'],
+        ['notes', 'string'],
+        ['geometry', 'string'],
+        ['allowedClasses', 'string']
+    ];
+
+    /**
+     * Zone attribute keys: [attribute, GraphML type]
+     */
+    static ZONE_KEYS = [
+        ['name', 'string'],
+        ['type', 'string'],
+        ['level', 'string'],
+        ['speedLimit', 'double'],
+        ['notes', 'string']
+    ];
+
+    /**
+     * Robot class attribute keys: [attribute, GraphML type]
+     */
+    static ROBOT_CLASS_KEYS = [
+        ['name', 'string'],
+        ['width', 'double'],
+        ['length', 'double'],
+        ['maxSpeed', 'double'],
+        ['allowedNodeTypes', 'string']
+    ];
+
+    /**
+     * Export graph to GraphML
+     * @param {Object} graphData - Graph data (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Promise<string>} GraphML document
+     */
+    async export(graphData, context) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+            '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+        ];
+
+        GraphMLExporter.NODE_KEYS.forEach(([name, type]) => {
+            lines.push(`  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+        });
+        GraphMLExporter.EDGE_KEYS.forEach(([name, type]) => {
+            lines.push(`  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+        });
+
+        GraphMLExporter.ZONE_KEYS.forEach(([name, type]) => {
+            lines.push(`  <key id="z_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+        });
+        GraphMLExporter.ROBOT_CLASS_KEYS.forEach(([name, type]) => {
+            lines.push(`  <key id="r_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+        });
+
+        lines.push('  <graph id="fleet_graph" edgedefault="directed">');
+
+        graphData.nodes.forEach(node => {
+            const world = context.getWorldCoordinates(node.x, node.y, node.level);
+            const values = {
+                name: node.name,
+                x: world.x,
+                y: world.y,
+                type: node.type || 'normal',
+                maxRobots: node.maxRobots ?? 1,
+                parkingSpot: Boolean(node.isParkingSpot ?? node.parkingSpot),
+                noWaiting: Boolean(node.noWaiting),
+                level: node.level,
+                notes: node.notes,
+                allowedClasses: RobotFleet.formatList(node.allowedClasses)
+            };
+
+            lines.push(`    <node id="${this.escapeXml(node.id)}">`);
+            lines.push(...this.formatData('n', GraphMLExporter.NODE_KEYS, values));
+            lines.push('    </node>');
+        });
+
+        graphData.paths.forEach(path => {
+            const values = {
+                name: path.name,
+                bidirectional: Boolean(path.bidirectional),
+                speedLimit: path.speedLimit,
+                width: path.width,
+                connector: path.connector,
+                notes: path.notes,
+                geometry: PathGeometry.hasGeometry(path)
+                    ? JSON.stringify(PathGeometry.toWorld(path, context))
+                    : null,
+                allowedClasses: RobotFleet.formatList(path.allowedClasses)
+            };
+
+            lines.push(`    <edge id="${this.escapeXml(path.id)}" source="${this.escapeXml(path.from)}" target="${this.escapeXml(path.to)}">`);
+            lines.push(...this.formatData('e', GraphMLExporter.EDGE_KEYS, values));
+            lines.push('    </edge>');
+        });
+
+        lines.push('  </graph>');
+
+        const zones = this.getWorldZones(graphData, context);
+        if (zones.length > 0) {
+            lines.push('  <graph id="zones" edgedefault="undirected">');
+            zones.forEach(zone => lines.push(...this.formatZone(zone)));
+            lines.push('  </graph>');
+        }
+
+        const robotClasses = graphData.robotClasses || [];
+        if (robotClasses.length > 0) {
+            lines.push('  <graph id="robotClasses" edgedefault="undirected">');
+            robotClasses.forEach(robotClass => {
+                const values = {
+                    name: robotClass.name,
+                    width: robotClass.width,
+                    length: robotClass.length,
+                    maxSpeed: robotClass.maxSpeed,
+                    allowedNodeTypes: RobotFleet.formatList(robotClass.allowedNodeTypes)
+                };
+                lines.push(`    <node id="${this.escapeXml(robotClass.id)}">`);
+                lines.push(...this.formatData('r', GraphMLExporter.ROBOT_CLASS_KEYS, values));
+                lines.push('    </node>');
+            });
+            lines.push('  </graph>');
+        }
+
+        lines.push('</graphml>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Format a zone node with its outline graph
+     * @param {Object} zone - Zone with world points (see getWorldZones)
+     * @returns {string[]} Lines
+     */
+    formatZone(zone) {
+        const id = this.escapeXml(zone.id);
+        const cornerId = index => `${id}:${index}`;
+        const lines = [`    <node id="${id}">`];
+
+        lines.push(...this.formatData('z', GraphMLExporter.ZONE_KEYS, zone));
+        lines.push(`      <graph id="${id}:outline" edgedefault="undirected">`);
+        zone.points.forEach((point, index) => {
+            lines.push(`        <node id="${cornerId(index)}">`);
+            lines.push(`          <data key="n_x">${point.x}</data>`);
+            lines.push(`          <data key="n_y">${point.y}</data>`);
+            lines.push('        </node>');
+        });
+        zone.points.forEach((point, index) => {
+            lines.push(`        <edge source="${cornerId(index)}" target="${cornerId((index + 1) % zone.points.length)}"/>`);
+        });
+        lines.push('      </graph>');
+        lines.push('    </node>');
+
+        return lines;
+    }
+
+    /**
+     * Format <data> elements, skipping empty values
+     * @param {string} prefix - Key ID prefix ('n', 'e', 'z' or 'r')
+     * @param {Array} keys - Attribute keys
+     * @param {Object} values - Attribute values
+     * @returns {string[]} Lines
+     */
+    formatData(prefix, keys, values) {
+        return keys
+            .filter(([name]) => values[name] !== null && values[name] !== undefined && values[name] !== '')
+            .map(([name]) => `      <data key="${prefix}_${name}">${this.escapeXml(values[name])}</data>`);
+    }
+
+    /**
+     * Escape a value for XML text and attributes
+     * @param {*} value - Value
+     * @returns {string} Escaped string
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphMLExporter;
+}
@@ -0,0 +1,56 @@
+/**
+ * JSONExporter - Default exporter for Fleet Graph Wizard JSON format
+ *
+ * Writes the native JSON format read by JSONParser: nodes keep their canvas
+ * coordinates and get an additional worldCoords entry; zones keep their
+ * canvas points and get an additional worldPoints entry. The robot classes
+ * of the fleet are written as they are (see RobotFleet).
+ */
+class JSONExporter extends BaseExporter {
+    constructor() {
+        super(
+            'JSON Graph Format',
+            'json',
+            '.json',
+            'application/json',
+            'Native Fleet Graph Wizard JSON format with nodes, paths, and metadata'
+        );
+    }
+
+    /**
+     * JSONParser reads every node, path, zone and robot class back
+     * @returns {boolean} True
+     */
+    isLossless() {
+        return true;
+    }
+
+    /**
+     * Export graph to JSON
+     * @param {Object} graphData - Graph data (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Promise<string>} JSON string
+     */
+    async export(graphData, context) {
+        const data = {
+            metadata: graphData.metadata,
+            nodes: graphData.nodes.map(node => ({
+                ...node,
+                worldCoords: context.getWorldCoordinates(node.x, node.y, node.level)
+            })),
+            paths: graphData.paths,
+            zones: (graphData.zones || []).map(zone => ({
+                ...zone,
+                worldPoints: ZoneGeometry.toWorld(zone, context)
+            })),
+            robotClasses: graphData.robotClasses || []
+        };
+
+        return JSON.stringify(data, null, 2);
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JSONExporter;
+}
@@ -0,0 +1,389 @@
+/**
+ * LIFExporter - Writes VDA 5050 Layout Interchange Format (LIF) JSON
+ *
+ * Output layout:
+ *
+ * {
+ *     "metaInformation": { "projectIdentification", "creator", "exportTimestamp", "lifVersion" },
+ *     "layouts": [{
+ *         "layoutId", "layoutName", "layoutVersion", "layoutLevelId",
+ *         "nodes":    [{ "nodeId", "nodeName", "mapId", "nodePosition": { "x", "y" }, "vehicleTypeNodeProperties" }],
+ *         "edges":    [{ "edgeId", "startNodeId", "endNodeId", "vehicleTypeEdgeProperties" }],
+ *         "stations": [{ "stationId", "interactionNodeIds", "stationName", "stationPosition" }],
+ *         "zones":    [{ "zoneId", "zoneName", "zoneType", "maxSpeed", "vertices": [{ "x", "y" }] }]
+ *     }],
+ *     "connectors": [{ "connectorId", "connectorName", "connectorType", "startNodeId", "endNodeId", "bidirectional", "maxSpeed" }],
+ *     "robotClasses": [{ "robotClassId", "robotClassName", "width", "length", "maxSpeed", "allowedNodeTypes" }]
+ * }
+ *
+ * Every level is written as its own layout; node positions are world
+ * coordinates (meters) of the level's map, and the map ID is taken from that
+ * map's image. LIF edges are directed, so bidirectional paths are written as
+ * two edges. Charging, pickup and dropoff nodes get a station and the
+ * matching VDA 5050 action.
+ *
+ * LIF has no edges between layouts. Lifts and other connectors between
+ * levels are written to the top-level "connectors" extension (node IDs are
+ * unique across layouts), connectors on one level as edges with a
+ * "connectorType" extension field; LIFParser reads both back.
+ *
+ * LIF 1.0 has no zones; they are written as a "zones" extension of the
+ * layout of their level (world coordinates), which LIFParser reads back.
+ * Edges through speed-limit zones get the zone's limit as maxSpeed if it is
+ * lower than the path's.
+ *
+ * Robot classes are written to the top-level "robotClasses" extension, and
+ * the allow lists of nodes, edges and connectors as an "allowedClasses"
+ * extension field (class IDs); LIFParser reads both back.
+ *
+ * Paths with waypoints or curves get a NURBS trajectory: degree 1 through
+ * the waypoints for polylines, otherwise degree 3 made of one cubic Bezier
+ * piece per segment (see PathGeometry.toCubicBeziers).
+ */
+class LIFExporter extends BaseExporter {
+    constructor() {
+        super(
+            'VDA 5050 LIF',
+            'lif',
+            '.json',
+            'application/json',
+            'VDA 5050 Layout Interchange Format with layouts, nodes, edges and stations'
+        );
+    }
+
+    /**
+     * LIF version written to metaInformation
+     */
+    static LIF_VERSION = '1.0.0';
+
+    /**
+     * Vehicle type used for vehicle-type-specific node and edge properties
+     */
+    static DEFAULT_VEHICLE_TYPE = 'default';
+
+    /**
+     * Layout level used for nodes without a level
+     */
+    static DEFAULT_LEVEL = 'L1';
+
+    /**
+     * VDA 5050 action written for each node type
+     */
+    static TYPE_ACTIONS = {
+        charging: 'startCharging',
+        pickup: 'pick',
+        dropoff: 'drop'
+    };
+
+    /**
+     * Export graph to LIF JSON
+     * @param {Object} graphData - Graph data (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Promise<string>} LIF JSON string
+     */
+    async export(graphData, context) {
+        const mapIds = new Map(context.levels.map(level => [level.name, this.getMapId(level.mapYaml)]));
+        const layouts = new Map();   // level -> layout
+        const nodeLevels = new Map();   // node id -> level
+
+        const getLayout = level => {
+            if (!layouts.has(level)) {
+                layouts.set(level, {
+                    layoutId: `layout_${level}`,
+                    layoutName: level,
+                    layoutVersion: '1',
+                    layoutLevelId: level,
+                    layoutDescription: '',
+                    nodes: [],
+                    edges: [],
+                    stations: []
+                });
+            }
+            return layouts.get(level);
+        };
+
+        graphData.nodes.forEach(node => {
+            const level = node.level || LIFExporter.DEFAULT_LEVEL;
+            const layout = getLayout(level);
+            const world = context.getWorldCoordinates(node.x, node.y, node.level);
+            const position = { x: this.round(world.x), y: this.round(world.y) };
+
+            nodeLevels.set(node.id, level);
+            layout.nodes.push({
+                nodeId: node.id,
+                nodeName: node.name || node.id,
+                nodeDescription: node.notes || '',
+                mapId: mapIds.get(level) || this.getMapId(context.mapYaml),
+                nodePosition: position,
+                vehicleTypeNodeProperties: [{
+                    vehicleTypeId: LIFExporter.DEFAULT_VEHICLE_TYPE,
+                    actions: this.getNodeActions(node)
+                }],
+                ...this.getAllowedClasses(node)
+            });
+
+            if (LIFExporter.TYPE_ACTIONS[node.type]) {
+                layout.stations.push({
+                    stationId: `station_${node.id}`,
+                    interactionNodeIds: [node.id],
+                    stationName: node.name || node.id,
+                    stationDescription: node.type,
+                    stationPosition: { ...position }
+                });
+            }
+        });
+
+        const nodesById = new Map(graphData.nodes.map(node => [node.id, node]));
+
+        const connectors = [];
+        let skipped = 0;
+
+        graphData.paths.forEach(path => {
+            const level = nodeLevels.get(path.from);
+            const toLevel = nodeLevels.get(path.to);
+            if (!level || !toLevel) {
+                skipped++;
+                return;
+            }
+
+            // LIF has no edges between layouts
+            if (level !== toLevel) {
+                connectors.push(this.createConnector(path));
+                return;
+            }
+
+            const fromNode = nodesById.get(path.from);
+            const toNode = nodesById.get(path.to);
+            const hasGeometry = PathGeometry.hasGeometry(path);
+
+            // Vendor tools ignore the zones extension: edges get the limit of speed-limit zones
+            const speedLimit = context.getSpeedLimit(path);
+            const edges = layouts.get(level).edges;
+            edges.push(this.createEdge(path, path.id, path.from, path.to, speedLimit,
+                hasGeometry ? this.createTrajectory(path, fromNode, toNode, context) : null));
+            if (path.bidirectional) {
+                const reverse = PathGeometry.reverse(path);
+                edges.push(this.createEdge(path, `${path.id}_reverse`, path.to, path.from, speedLimit,
+                    hasGeometry ? this.createTrajectory(reverse, toNode, fromNode, context) : null));
+            }
+        });
+
+        if (skipped > 0) {
+            console.warn(`LIF export: skipped ${skipped} path(s) with missing endpoints`);
+        }
+
+        (graphData.zones || []).forEach(zone => {
+            const layout = getLayout(zone.level || LIFExporter.DEFAULT_LEVEL);
+            if (!layout.zones) layout.zones = [];
+            layout.zones.push(this.createZone(zone, context));
+        });
+
+        const lif = {
+            metaInformation: {
+                projectIdentification: this.getMapId(context.mapYaml),
+                creator: 'Fleet Graph Wizard',
+                exportTimestamp: new Date().toISOString(),
+                lifVersion: LIFExporter.LIF_VERSION
+            },
+            layouts: Array.from(layouts.values())
+        };
+        if (connectors.length > 0) {
+            lif.connectors = connectors;
+        }
+        if ((graphData.robotClasses || []).length > 0) {
+            lif.robotClasses = graphData.robotClasses.map(robotClass => this.createRobotClass(robotClass));
+        }
+
+        return JSON.stringify(lif, null, 2);
+    }
+
+    /**
+     * Build the VDA 5050 actions for a node
+     * @param {Object} node - Node data
+     * @returns {Object[]} LIF actions
+     */
+    getNodeActions(node) {
+        const actionType = LIFExporter.TYPE_ACTIONS[node.type];
+        if (!actionType) return [];
+
+        return [{
+            actionType: actionType,
+            actionDescription: node.name || node.id,
+            requirementType: 'OPTIONAL',
+            blockingType: 'HARD',
+            actionParameters: []
+        }];
+    }
+
+    /**
+     * Build a directed LIF edge for a path
+     * @param {Object} path - Path data
+     * @param {string} edgeId - Edge ID
+     * @param {string} startNodeId - Start node ID
+     * @param {string} endNodeId - End node ID
+     * @param {number|null} speedLimit - Speed limit including zones (null for none)
+     * @param {Object|null} trajectory - NURBS trajectory (null for a straight edge)
+     * @returns {Object} LIF edge
+     */
+    createEdge(path, edgeId, startNodeId, endNodeId, speedLimit, trajectory = null) {
+        const properties = {
+            vehicleTypeId: LIFExporter.DEFAULT_VEHICLE_TYPE,
+            rotationAllowed: true
+        };
+        if (speedLimit) {
+            properties.maxSpeed = speedLimit;
+        }
+        if (trajectory) {
+            properties.trajectory = trajectory;
+        }
+
+        const edge = {
+            edgeId: edgeId,
+            edgeName: path.name || '',
+            edgeDescription: path.notes || '',
+            startNodeId: startNodeId,
+            endNodeId: endNodeId,
+            vehicleTypeEdgeProperties: [properties]
+        };
+        if (path.connector) {
+            edge.connectorType = path.connector;
+        }
+        return { ...edge, ...this.getAllowedClasses(path) };
+    }
+
+    /**
+     * Build the connectors extension entry for a path between levels
+     * @param {Object} path - Path data
+     * @returns {Object} { connectorId, connectorName, connectorType, connectorDescription, startNodeId, endNodeId, bidirectional, maxSpeed? }
+     */
+    createConnector(path) {
+        const connector = {
+            connectorId: path.id,
+            connectorName: path.name || '',
+            connectorType: path.connector || 'lift',
+            connectorDescription: path.notes || '',
+            startNodeId: path.from,
+            endNodeId: path.to,
+            bidirectional: Boolean(path.bidirectional)
+        };
+        if (path.speedLimit) {
+            connector.maxSpeed = path.speedLimit;
+        }
+        return { ...connector, ...this.getAllowedClasses(path) };
+    }
+
+    /**
+     * Build the allowedClasses extension field of a node, edge or connector
+     * @param {Object} item - Node or path
+     * @returns {Object} { allowedClasses } or nothing when every class is allowed
+     */
+    getAllowedClasses(item) {
+        return Array.isArray(item.allowedClasses) && item.allowedClasses.length > 0
+            ? { allowedClasses: [...item.allowedClasses] }
+            : {};
+    }
+
+    /**
+     * Build the robotClasses extension entry for a robot class
+     * @param {Object} robotClass - Robot class (see RobotFleet)
+     * @returns {Object} { robotClassId, robotClassName, width, length, maxSpeed, allowedNodeTypes }
+     */
+    createRobotClass(robotClass) {
+        return {
+            robotClassId: robotClass.id,
+            robotClassName: robotClass.name || robotClass.id,
+            width: robotClass.width ?? null,
+            length: robotClass.length ?? null,
+            maxSpeed: robotClass.maxSpeed ?? null,
+            allowedNodeTypes: [...(robotClass.allowedNodeTypes || [])]
+        };
+    }
+
+    /**
+     * Build the NURBS trajectory of a path
+     * @param {Object} geometry - Path or geometry { waypoints, segments } (canvas coordinates)
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @param {Object} context - Export context
+     * @returns {Object} { degree, knotVector, controlPoints } in world coordinates
+     */
+    createTrajectory(geometry, fromNode, toNode, context) {
+        const toControlPoint = point => {
+            const world = context.getWorldCoordinates(point.x, point.y, fromNode.level);
+            return { x: this.round(world.x), y: this.round(world.y), weight: 1.0 };
+        };
+
+        // Polyline: degree 1 through all points
+        if (!geometry.segments) {
+            const points = [fromNode, ...(geometry.waypoints || []), toNode];
+            const spans = points.length - 1;
+            const knots = [0, 0];
+            for (let i = 1; i < spans; i++) knots.push(this.round(i / spans));
+            knots.push(1, 1);
+
+            return { degree: 1, knotVector: knots, controlPoints: points.map(toControlPoint) };
+        }
+
+        // Curves: clamped cubic with a triple knot at every piece boundary
+        const pieces = PathGeometry.toCubicBeziers(geometry, fromNode, toNode);
+        const controlPoints = [toControlPoint(pieces[0].start)];
+        const knots = [0, 0, 0, 0];
+
+        pieces.forEach((piece, i) => {
+            controlPoints.push(toControlPoint(piece.control1), toControlPoint(piece.control2), toControlPoint(piece.end));
+            if (i < pieces.length - 1) {
+                const knot = this.round((i + 1) / pieces.length);
+                knots.push(knot, knot, knot);
+            }
+        });
+        knots.push(1, 1, 1, 1);
+
+        return { degree: 3, knotVector: knots, controlPoints: controlPoints };
+    }
+
+    /**
+     * Build the LIF zone extension entry for a zone
+     * @param {Object} zone - Zone (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Object} { zoneId, zoneName, zoneType, zoneDescription, maxSpeed?, vertices } (world coordinates)
+     */
+    createZone(zone, context) {
+        const entry = {
+            zoneId: zone.id,
+            zoneName: zone.name || zone.id,
+            zoneType: zone.type,
+            zoneDescription: zone.notes || ''
+        };
+        if (zone.speedLimit > 0) {
+            entry.maxSpeed = zone.speedLimit;
+        }
+        entry.vertices = ZoneGeometry.toWorld(zone, context).map(point => ({ x: this.round(point.x), y: this.round(point.y) }));
+        return entry;
+    }
+
+    /**
+     * Derive the map ID from the loaded map
+     * @param {Object|null} mapYaml - Map metadata
+     * @returns {string} Map ID
+     */
+    getMapId(mapYaml) {
+        if (mapYaml?.image) {
+            return mapYaml.image.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+        }
+        return 'map';
+    }
+
+    /**
+     * Round a coordinate to millimeter precision
+     * @param {number} value - Coordinate in meters
+     * @returns {number} Rounded coordinate
+     */
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LIFExporter;
+}
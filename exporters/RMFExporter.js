@@ -0,0 +1,308 @@
+/**
+ * RMFExporter - Writes Open-RMF nav graph YAML
+ *
+ * Output layout (as consumed by rmf_fleet_adapter):
+ *
+ * building_name: warehouse
+ * levels:
+ *   L1:
+ *     vertices:
+ *     - [x, y, {name: Dock 1, is_charger: true, is_parking_spot: false, ...}]
+ *     lanes:
+ *     - [0, 1, {speed_limit: 0.5}]
+ *     - [1, 2, {speed_limit: 0.5, door_name: Door A}]
+ * connectors:
+ * - {from_level: L1, from: 2, to_level: L2, to: 0, type: lift, name: Lift 1, ...}
+ * zones:
+ * - {name: Aisle 3, level: L1, type: speed_limit, speed_limit: 0.5, vertices: [[x, y], ...]}
+ * robot_classes:
+ * - {id: tugger, name: Tugger, width: 0.8, length: 1.2, max_speed: 1.0, allowed_node_types: [normal]}
+ *
+ * Vertex coordinates are world coordinates (meters) of each level's map.
+ * Lane endpoints are indices into the vertex list of the same level. RMF
+ * lanes are one-way, so bidirectional paths are written as two lanes. Doors
+ * are written as lanes with door_name, other connectors on one level with
+ * a connector parameter.
+ *
+ * RMF lanes cannot span levels. Lifts and other connectors between levels
+ * are written to the top-level "connectors" list (vertex indices per level),
+ * which RMFParser reads back; rmf_fleet_adapter ignores it.
+ *
+ * Zones are written to the top-level "zones" list (world coordinates), also
+ * only read by RMFParser. Lanes through speed-limit zones get the zone's
+ * limit if it is lower than the path's, and lanes through one-robot zones
+ * get a mutex parameter named after the zone, so that only one robot uses
+ * them at a time.
+ *
+ * Robot classes are written to the top-level "robot_classes" list, and the
+ * allow lists of nodes, paths and connectors as an allowed_classes parameter
+ * (class IDs); both are only read by RMFParser.
+ *
+ * RMF lanes are straight. Paths with waypoints or curves are written as a
+ * chain of lanes through extra vertices (curves flattened to about
+ * CURVE_STEP meters), each marked with {path_waypoint: <path id>} so that
+ * RMFParser can rebuild the path.
+ */
+class RMFExporter extends BaseExporter {
+    constructor() {
+        super(
+            'Open-RMF Nav Graph',
+            'rmf',
+            '.yaml',
+            'application/x-yaml',
+            'Open-RMF nav graph YAML with levels, vertices and lanes (world coordinates)'
+        );
+    }
+
+    /**
+     * Level used for nodes without a level
+     */
+    static DEFAULT_LEVEL = 'L1';
+
+    /**
+     * Approximate lane length used when flattening curved paths (meters)
+     */
+    static CURVE_STEP = 0.25;
+
+    /**
+     * RMF names of the zone types
+     */
+    static ZONE_TYPES = {
+        speedLimit: 'speed_limit',
+        noEntry: 'no_entry',
+        oneRobot: 'one_robot',
+        charging: 'charging'
+    };
+
+    /**
+     * Export graph to RMF nav graph YAML
+     * @param {Object} graphData - Graph data (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Promise<string>} YAML content
+     */
+    async export(graphData, context) {
+        if (typeof jsyaml === 'undefined') {
+            throw new Error('js-yaml library is not loaded');
+        }
+
+        const levels = {};
+        const vertexIndex = new Map();   // node id -> { level, index }
+
+        graphData.nodes.forEach(node => {
+            const levelName = node.level || RMFExporter.DEFAULT_LEVEL;
+            if (!levels[levelName]) {
+                levels[levelName] = { vertices: [], lanes: [] };
+            }
+
+            const level = levels[levelName];
+            const world = context.getWorldCoordinates(node.x, node.y, node.level);
+
+            vertexIndex.set(node.id, { level: levelName, index: level.vertices.length });
+            level.vertices.push([
+                this.round(world.x),
+                this.round(world.y),
+                this.getVertexParams(node)
+            ]);
+        });
+
+        const nodesById = new Map(graphData.nodes.map(node => [node.id, node]));
+        const resolutions = new Map(context.levels.map(level => [level.name, level.mapYaml?.resolution]));
+        const connectors = [];
+        const zones = graphData.zones || [];
+        const mutexZones = zones.filter(zone => zone.type === 'oneRobot');
+
+        let skipped = 0;
+        graphData.paths.forEach(path => {
+            const from = vertexIndex.get(path.from);
+            const to = vertexIndex.get(path.to);
+
+            if (!from || !to) {
+                skipped++;
+                return;
+            }
+
+            // Lanes cannot span levels
+            if (from.level !== to.level) {
+                connectors.push({
+                    from_level: from.level,
+                    from: from.index,
+                    to_level: to.level,
+                    to: to.index,
+                    type: path.connector || 'lift',
+                    name: path.name || path.id,
+                    speed_limit: path.speedLimit || 0.0,
+                    bidirectional: Boolean(path.bidirectional),
+                    ...this.getAllowedClassesParam(path)
+                });
+                return;
+            }
+
+            // Fleet adapters ignore the zones list: lanes get the limit of speed-limit zones
+            const level = levels[from.level];
+            const params = { speed_limit: context.getSpeedLimit(path) || 0.0 };
+            if (path.connector === 'door') {
+                params.door_name = path.name || path.id;
+            } else if (path.connector) {
+                params.connector = path.connector;
+            }
+            Object.assign(params, this.getAllowedClassesParam(path));
+
+            const fromNode = nodesById.get(path.from);
+            const toNode = nodesById.get(path.to);
+            const mutex = mutexZones.find(zone =>
+                (zone.level || RMFExporter.DEFAULT_LEVEL) === from.level &&
+                ZoneGeometry.crossesPolyline(zone.points, PathGeometry.flatten(path, fromNode, toNode)));
+            if (mutex) {
+                params.mutex = mutex.name || mutex.id;
+            }
+
+            const resolution = resolutions.get(from.level) ?? context.mapYaml?.resolution;
+            const curveStep = resolution ? RMFExporter.CURVE_STEP / resolution : undefined;
+
+            // Vertex chain: start node, waypoint vertices, end node
+            const chain = [from.index];
+            if (PathGeometry.hasGeometry(path)) {
+                const points = PathGeometry.flatten(path, fromNode, toNode, curveStep);
+                points.slice(1, -1).forEach(point => {
+                    const world = context.getWorldCoordinates(point.x, point.y, from.level);
+                    chain.push(level.vertices.length);
+                    level.vertices.push([
+                        this.round(world.x),
+                        this.round(world.y),
+                        { name: '', path_waypoint: path.id }
+                    ]);
+                });
+            }
+            chain.push(to.index);
+
+            for (let i = 1; i < chain.length; i++) {
+                level.lanes.push([chain[i - 1], chain[i], { ...params }]);
+            }
+            if (path.bidirectional) {
+                for (let i = chain.length - 1; i > 0; i--) {
+                    level.lanes.push([chain[i], chain[i - 1], { ...params }]);
+                }
+            }
+        });
+
+        if (skipped > 0) {
+            console.warn(`RMF export: skipped ${skipped} path(s) with missing endpoints`);
+        }
+
+        const navGraph = {
+            building_name: this.getBuildingName(context.mapYaml),
+            levels: levels
+        };
+        if (connectors.length > 0) {
+            navGraph.connectors = connectors;
+        }
+        if (zones.length > 0) {
+            navGraph.zones = zones.map(zone => this.getZone(zone, context));
+        }
+        if ((graphData.robotClasses || []).length > 0) {
+            navGraph.robot_classes = graphData.robotClasses.map(robotClass => this.getRobotClass(robotClass));
+        }
+
+        // Both directions of a lane share their params; RMF readers do not expect YAML anchors
+        return jsyaml.dump(navGraph, { flowLevel: 4, lineWidth: -1, noRefs: true });
+    }
+
+    /**
+     * Build the RMF vertex parameters for a node
+     * @param {Object} node - Node data
+     * @returns {Object} Vertex parameters
+     */
+    getVertexParams(node) {
+        const isCharger = node.type === 'charging';
+        const isParkingSpot = Boolean(node.isParkingSpot ?? node.parkingSpot);
+
+        const params = {
+            name: node.name || '',
+            is_charger: isCharger,
+            is_parking_spot: isParkingSpot,
+            // Robots may only idle where they are allowed to park or charge
+            is_holding_point: isParkingSpot || isCharger,
+            is_passthrough_point: Boolean(node.noWaiting)
+        };
+
+        if (node.type === 'pickup') {
+            params.pickup_dispenser = node.name || node.id;
+        } else if (node.type === 'dropoff') {
+            params.dropoff_ingestor = node.name || node.id;
+        }
+
+        return { ...params, ...this.getAllowedClassesParam(node) };
+    }
+
+    /**
+     * Build the allowed_classes parameter of a node or path
+     * @param {Object} item - Node or path
+     * @returns {Object} { allowed_classes } or nothing when every class is allowed
+     */
+    getAllowedClassesParam(item) {
+        return Array.isArray(item.allowedClasses) && item.allowedClasses.length > 0
+            ? { allowed_classes: [...item.allowedClasses] }
+            : {};
+    }
+
+    /**
+     * Build the robot_classes entry for a robot class
+     * @param {Object} robotClass - Robot class (see RobotFleet)
+     * @returns {Object} { id, name, width?, length?, max_speed?, allowed_node_types? }
+     */
+    getRobotClass(robotClass) {
+        const entry = { id: robotClass.id, name: robotClass.name || robotClass.id };
+        if (robotClass.width > 0) entry.width = robotClass.width;
+        if (robotClass.length > 0) entry.length = robotClass.length;
+        if (robotClass.maxSpeed > 0) entry.max_speed = robotClass.maxSpeed;
+        if ((robotClass.allowedNodeTypes || []).length > 0) {
+            entry.allowed_node_types = [...robotClass.allowedNodeTypes];
+        }
+        return entry;
+    }
+
+    /**
+     * Build the RMF zone entry for a zone
+     * @param {Object} zone - Zone (canvas coordinates)
+     * @param {Object} context - Export context
+     * @returns {Object} Zone entry (world coordinates)
+     */
+    getZone(zone, context) {
+        const entry = {
+            name: zone.name || zone.id,
+            level: zone.level || RMFExporter.DEFAULT_LEVEL,
+            type: RMFExporter.ZONE_TYPES[zone.type] || zone.type
+        };
+        if (zone.speedLimit > 0) {
+            entry.speed_limit = zone.speedLimit;
+        }
+        entry.vertices = ZoneGeometry.toWorld(zone, context).map(point => [this.round(point.x), this.round(point.y)]);
+        return entry;
+    }
+
+    /**
+     * Derive the building name from the loaded map
+     * @param {Object|null} mapYaml - Map metadata
+     * @returns {string} Building name
+     */
+    getBuildingName(mapYaml) {
+        if (mapYaml?.image) {
+            return mapYaml.image.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+        }
+        return 'building';
+    }
+
+    /**
+     * Round a coordinate to millimeter precision
+     * @param {number} value - Coordinate in meters
+     * @returns {number} Rounded coordinate
+     */
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RMFExporter;
+}
@@ -0,0 +1,99 @@
+/**
+ * Exporter Registry
+ *
+ * This file registers all available exporters for the Fleet Graph Wizard.
+ * To add a new exporter:
+ * 1. Create your exporter class extending BaseExporter
+ * 2. Import it below
+ * 3. Add it to the exporters array
+ */
+
+// Import all exporter classes
+// Note: In browser environment, these will be loaded via script tags in index.html
+
+// Create singleton instances (created once, reused throughout the app)
+let exporterInstances = null;
+
+/**
+ * Initialize exporter instances (called once)
+ * @returns {BaseExporter[]} Array of exporter instances
+ */
+function initializeExporters() {
+    if (exporterInstances) return exporterInstances;
+
+    const exporters = [];
+
+    // Add built-in exporters
+    if (typeof JSONExporter !== 'undefined') {
+        exporters.push(new JSONExporter());
+    }
+
+    if (typeof CSVExporter !== 'undefined') {
+        exporters.push(new CSVExporter());
+    }
+
+    if (typeof RMFExporter !== 'undefined') {
+        exporters.push(new RMFExporter());
+    }
+
+    if (typeof LIFExporter !== 'undefined') {
+        exporters.push(new LIFExporter());
+    }
+
+    if (typeof GeoJSONExporter !== 'undefined') {
+        exporters.push(new GeoJSONExporter());
+    }
+
+    if (typeof GraphMLExporter !== 'undefined') {
+        exporters.push(new GraphMLExporter());
+    }
+
+    if (typeof DOTExporter !== 'undefined') {
+        exporters.push(new DOTExporter());
+    }
+
+    // Add your custom exporters here
+    // Example:
+    // if (typeof MyCustomExporter !== 'undefined') {
+    //     exporters.push(new MyCustomExporter());
+    // }
+
+    exporterInstances = exporters;
+    return exporters;
+}
+
+/**
+ * Get all registered exporters
+ * @returns {BaseExporter[]} Array of exporter instances
+ */
+function getAllExporters() {
+    return initializeExporters();
+}
+
+/**
+ * Get exporter by ID
+ * @param {string} exporterId - Exporter ID
+ * @returns {BaseExporter|null} Exporter instance or null if not found
+ */
+function getExporterById(exporterId) {
+    const exporters = getAllExporters();
+    return exporters.find(e => e.id === exporterId) || null;
+}
+
+/**
+ * Get default exporter (JSON)
+ * @returns {BaseExporter} Default exporter instance
+ */
+function getDefaultExporter() {
+    const exporters = getAllExporters();
+    return exporters.find(e => e.id === 'json') || exporters[0];
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getAllExporters,
+        getExporterById,
+        getDefaultExporter
+    };
+}
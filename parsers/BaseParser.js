@@ -65,7 +65,8 @@ class BaseParser {
      *             type: string,   // 'target', 'charging', 'pickup', 'dropoff', 'other'
      *             maxRobots: number (optional, default: 1),
      *             parkingSpot: boolean (optional, default: false),
-     *             noWaiting: boolean (optional, default: false)
+     *             noWaiting: boolean (optional, default: false),
+     *             allowedClasses: string[] (optional, robot class IDs; empty = all)
      *         },
      *         // ... more nodes
      *     ],
@@ -77,9 +78,32 @@ class BaseParser {
      *             to: string,     // Node ID
      *             bidirectional: boolean (optional, default: false),
      *             speedLimit: number (optional, m/s),
-     *             width: number (optional, meters)
+     *             width: number (optional, meters),
+     *             allowedClasses: string[] (optional, robot class IDs; empty = all)
      *         },
      *         // ... more paths
+     *     ],
+     *     zones: [        // Optional
+     *         {
+     *             id: string,
+     *             name: string,
+     *             type: string,   // 'speedLimit', 'noEntry', 'oneRobot', 'charging'
+     *             level: string (optional),
+     *             speedLimit: number (optional, m/s),
+     *             points: [{ x, y }, ...]   // World coordinates (meters), at least 3
+     *         },
+     *         // ... more zones
+     *     ],
+     *     robotClasses: [ // Optional, see RobotFleet.normalize
+     *         {
+     *             id: string,
+     *             name: string,
+     *             width: number (optional, meters),
+     *             length: number (optional, meters),
+     *             maxSpeed: number (optional, m/s),
+     *             allowedNodeTypes: string[] (optional, empty = all)
+     *         },
+     *         // ... more robot classes
      *     ]
      * }
      */
@@ -145,6 +169,65 @@ class BaseParser {
         };
     }
 
+    /**
+     * Merge one-way path pairs running in opposite directions into bidirectional paths
+     *
+     * Formats such as Open-RMF store a two-way connection as two one-way lanes.
+     * A reverse pair is merged only when speed limit, width, notes, connector,
+     * allowed classes and shape (waypoints and curves, traversed backwards) match;
+     * the first path of the pair is kept and marked bidirectional.
+     *
+     * @param {Object[]} paths - Standardized paths
+     * @returns {Object[]} Paths with reverse pairs merged
+     */
+    mergeReversePaths(paths) {
+        const merged = [];
+        const unmatched = new Map();   // "from\u0000to" -> one-way path without a partner yet
+
+        paths.forEach(path => {
+            if (!path.bidirectional && path.from !== path.to) {
+                const reverseKey = `${path.to}\u0000${path.from}`;
+                const reverse = unmatched.get(reverseKey);
+
+                if (reverse &&
+                    (reverse.speedLimit ?? null) === (path.speedLimit ?? null) &&
+                    (reverse.width ?? null) === (path.width ?? null) &&
+                    (reverse.notes || '') === (path.notes || '') &&
+                    (reverse.connector ?? null) === (path.connector ?? null) &&
+                    (reverse.allowedClasses || []).join(';') === (path.allowedClasses || []).join(';') &&
+                    PathGeometry.isSameGeometry(PathGeometry.reverse(reverse), path)) {
+                    reverse.bidirectional = true;
+                    unmatched.delete(reverseKey);
+                    return;
+                }
+
+                const key = `${path.from}\u0000${path.to}`;
+                if (!unmatched.has(key)) {
+                    unmatched.set(key, path);
+                }
+            }
+
+            merged.push(path);
+        });
+
+        return merged;
+    }
+
+    /**
+     * Build standardized zones from zone entries in world coordinates
+     * @param {Object[]} zones - { id, name, type, level, speedLimit, notes, points } (see ZoneGeometry.normalize)
+     * @returns {Object[]} Zones marked with metadata.coordinateType 'world'
+     */
+    parseZones(zones) {
+        return (zones || []).map((zone, index) => {
+            try {
+                return { ...ZoneGeometry.normalize(zone, index), metadata: { coordinateType: 'world' } };
+            } catch (error) {
+                throw new Error(`Zone "${zone.name || zone.id || index + 1}": ${error.message}`);
+            }
+        });
+    }
+
     /**
      * Get file accept string for input element
      * @returns {string} Accept string for file input
@@ -153,6 +236,17 @@ class BaseParser {
         return this.fileExtensions.join(',');
     }
 
+    /**
+     * Get file type entry for showOpenFilePicker
+     * @returns {Object} File System Access API type descriptor
+     */
+    getPickerType() {
+        return {
+            description: this.name,
+            accept: { 'application/octet-stream': this.fileExtensions }
+        };
+    }
+
     /**
      * Get human-readable description of supported formats
      * @returns {string} Format description
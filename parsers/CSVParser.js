@@ -5,14 +5,29 @@
  * CSV Format specification:
  *
  * NODES section:
- * id,name,x,y,type,maxRobots,parkingSpot,noWaiting
- * node1,Entrance,5.0,3.2,normal,2,false,false
- * node2,Charging Bay,10.5,8.1,charging,1,true,false
+ * id,name,x,y,type,maxRobots,parkingSpot,noWaiting,level,notes,allowedClasses
+ * node1,Entrance,5.0,3.2,normal,2,false,false,L1,,
+ * node2,Charging Bay,10.5,8.1,charging,1,true,false,L2,"Bay 2, east wall",amr
  *
  * PATHS section:
- * id,name,from,to,bidirectional,speedLimit,width
- * path1,Main Corridor,node1,node2,true,1.5,0.8
- * path2,,node2,node3,false,2.0,1.0
+ * id,name,from,to,bidirectional,speedLimit,width,connector,notes,geometry,allowedClasses
+ * path1,Main Corridor,node1,node2,true,1.5,0.8,lift,,,
+ * path2,,node2,node3,false,2.0,1.0,,,"[[12.0,9.5]]",amr;tugger
+ *
+ * ZONES section (optional):
+ * id,name,type,level,speedLimit,notes,points
+ * zone1,Aisle 3,speedLimit,L1,0.5,,"[[1,2],[4,2],[4,5]]"
+ *
+ * ROBOT_CLASSES section (optional):
+ * id,name,width,length,maxSpeed,allowedNodeTypes
+ * tugger,Tugger,1.2,2.5,1.0,normal;pickup;dropoff
+ *
+ * Coordinates are world coordinates in meters. Quoted values may contain
+ * commas, escaped quotes ("") and line breaks. The level (or floor),
+ * connector, notes, geometry and allowedClasses columns are optional; geometry is JSON with the path's waypoints and curved
+ * segments (see PathGeometry.parse). Zone points are JSON (see
+ * ZoneGeometry.parsePoints). allowedClasses and allowedNodeTypes are
+ * ";"-separated lists (see RobotFleet.parseList), empty for no restriction.
  */
 class CSVParser extends BaseParser {
     constructor() {
@@ -20,7 +35,7 @@ class CSVParser extends BaseParser {
             'CSV Graph Format',
             'csv',
             ['.csv', '.txt'],
-            'Comma-separated values format with NODES and PATHS sections'
+            'Comma-separated values format with NODES, PATHS, ZONES and ROBOT_CLASSES sections'
         );
     }
 
@@ -32,14 +47,18 @@ class CSVParser extends BaseParser {
      */
     async parse(fileContent, fileName) {
         try {
-            const lines = fileContent.split('\n').map(line => line.trim()).filter(line => line);
+            const lines = this.splitCSVRecords(fileContent).map(line => line.trim()).filter(line => line);
 
             let currentSection = null;
             const nodes = [];
             const paths = [];
+            const zones = [];
+            const robotClasses = [];
 
             let nodeHeaders = [];
             let pathHeaders = [];
+            let zoneHeaders = [];
+            let robotClassHeaders = [];
 
             for (let i = 0; i < lines.length; i++) {
                 const line = lines[i];
@@ -51,6 +70,12 @@ class CSVParser extends BaseParser {
                 } else if (line.toUpperCase() === 'PATHS' || line.toUpperCase() === '[PATHS]') {
                     currentSection = 'PATHS';
                     continue;
+                } else if (line.toUpperCase() === 'ZONES' || line.toUpperCase() === '[ZONES]') {
+                    currentSection = 'ZONES';
+                    continue;
+                } else if (line.toUpperCase() === 'ROBOT_CLASSES' || line.toUpperCase() === '[ROBOT_CLASSES]') {
+                    currentSection = 'ROBOT_CLASSES';
+                    continue;
                 }
 
                 // Parse data based on current section
@@ -78,6 +103,26 @@ class CSVParser extends BaseParser {
                             paths.push(path);
                         }
                     }
+                } else if (currentSection === 'ZONES') {
+                    if (zoneHeaders.length === 0) {
+                        // First line after ZONES is the header
+                        zoneHeaders = this.parseCSVLine(line);
+                    } else {
+                        const values = this.parseCSVLine(line);
+                        if (values.length > 0 && values[0]) {
+                            zones.push(this.parseZoneFromCSV(zoneHeaders, values));
+                        }
+                    }
+                } else if (currentSection === 'ROBOT_CLASSES') {
+                    if (robotClassHeaders.length === 0) {
+                        // First line after ROBOT_CLASSES is the header
+                        robotClassHeaders = this.parseCSVLine(line);
+                    } else {
+                        const values = this.parseCSVLine(line);
+                        if (values.length > 0 && values[0]) {
+                            robotClasses.push(this.parseRobotClassFromCSV(robotClassHeaders, values));
+                        }
+                    }
                 }
             }
 
@@ -90,7 +135,9 @@ class CSVParser extends BaseParser {
                     sourceFormat: 'CSV'
                 },
                 nodes: nodes,
-                paths: paths
+                paths: paths,
+                zones: this.parseZones(zones),
+                robotClasses: RobotFleet.normalizeAll(robotClasses)
             };
 
             // Validate the parsed data
@@ -106,8 +153,39 @@ class CSVParser extends BaseParser {
         }
     }
 
+    /**
+     * Split CSV content into records, keeping line breaks inside quoted values
+     * @param {string} content - Raw CSV content
+     * @returns {string[]} Array of records
+     */
+    splitCSVRecords(content) {
+        const records = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (char === '"') {
+                // Escaped quotes ("") toggle twice, so the state is unchanged
+                inQuotes = !inQuotes;
+                current += char;
+            } else if (char === '\n' && !inQuotes) {
+                records.push(current.replace(/\r$/, ''));
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        records.push(current.replace(/\r$/, ''));
+
+        return records;
+    }
+
     /**
      * Parse a CSV line, handling quoted values
+     * Unquoted values are trimmed; quoted values are kept verbatim.
      * @param {string} line - CSV line
      * @returns {string[]} Array of values
      */
@@ -115,6 +193,7 @@ class CSVParser extends BaseParser {
         const values = [];
         let current = '';
         let inQuotes = false;
+        let quoted = false;
 
         for (let i = 0; i < line.length; i++) {
             const char = line[i];
@@ -126,20 +205,28 @@ class CSVParser extends BaseParser {
                     current += '"';
                     i++;
                 } else {
-                    // Toggle quote state
+                    // Toggle quote state, dropping whitespace before the opening quote
+                    if (!inQuotes && !quoted) {
+                        current = current.trim();
+                        quoted = true;
+                    }
                     inQuotes = !inQuotes;
                 }
             } else if (char === ',' && !inQuotes) {
                 // End of field
-                values.push(current.trim());
+                values.push(quoted ? current : current.trim());
                 current = '';
+                quoted = false;
+            } else if (quoted && !inQuotes && /\s/.test(char)) {
+                // Whitespace after the closing quote
+                continue;
             } else {
                 current += char;
             }
         }
 
         // Add last field
-        values.push(current.trim());
+        values.push(quoted ? current : current.trim());
 
         return values;
     }
@@ -159,7 +246,9 @@ class CSVParser extends BaseParser {
             type: 'normal',
             maxRobots: 1,
             parkingSpot: false,
-            noWaiting: false
+            noWaiting: false,
+            notes: '',
+            metadata: { coordinateType: 'world' }
         };
 
         for (let i = 0; i < headers.length && i < values.length; i++) {
@@ -194,6 +283,17 @@ class CSVParser extends BaseParser {
                 case 'no_waiting':
                     node.noWaiting = this.parseBoolean(value);
                     break;
+                case 'level':
+                case 'floor':
+                    node.level = value || null;
+                    break;
+                case 'notes':
+                    node.notes = value;
+                    break;
+                case 'allowedclasses':
+                case 'allowed_classes':
+                    node.allowedClasses = RobotFleet.parseList(value);
+                    break;
             }
         }
 
@@ -219,7 +319,8 @@ class CSVParser extends BaseParser {
             to: '',
             bidirectional: false,
             speedLimit: null,
-            width: null
+            width: null,
+            notes: ''
         };
 
         for (let i = 0; i < headers.length && i < values.length; i++) {
@@ -258,12 +359,105 @@ class CSVParser extends BaseParser {
                     const width = parseFloat(value);
                     path.width = isNaN(width) ? null : width;
                     break;
+                case 'connector':
+                    path.connector = value || null;
+                    break;
+                case 'notes':
+                    path.notes = value;
+                    break;
+                case 'geometry':
+                case 'waypoints':
+                    Object.assign(path, PathGeometry.parse(value));
+                    break;
+                case 'allowedclasses':
+                case 'allowed_classes':
+                    path.allowedClasses = RobotFleet.parseList(value);
+                    break;
             }
         }
 
+        if (PathGeometry.hasGeometry(path)) {
+            path.metadata = { coordinateType: 'world' };
+        }
+
         return path;
     }
 
+    /**
+     * Parse zone data from CSV values
+     * @param {string[]} headers - Column headers
+     * @param {string[]} values - Row values
+     * @returns {Object} Zone entry for parseZones
+     */
+    parseZoneFromCSV(headers, values) {
+        const zone = {};
+
+        for (let i = 0; i < headers.length && i < values.length; i++) {
+            const header = headers[i].toLowerCase();
+            const value = values[i];
+
+            switch (header) {
+                case 'id':
+                case 'name':
+                case 'type':
+                case 'level':
+                case 'notes':
+                case 'points':
+                    zone[header] = value;
+                    break;
+                case 'floor':
+                    zone.level = value;
+                    break;
+                case 'speedlimit':
+                case 'speed_limit':
+                case 'speed':
+                    zone.speedLimit = value;
+                    break;
+                case 'vertices':
+                case 'polygon':
+                    zone.points = value;
+                    break;
+            }
+        }
+
+        return zone;
+    }
+
+    /**
+     * Parse robot class data from CSV values
+     * @param {string[]} headers - Column headers
+     * @param {string[]} values - Row values
+     * @returns {Object} Robot class entry for RobotFleet.normalize
+     */
+    parseRobotClassFromCSV(headers, values) {
+        const robotClass = {};
+
+        for (let i = 0; i < headers.length && i < values.length; i++) {
+            const header = headers[i].toLowerCase();
+            const value = values[i];
+
+            switch (header) {
+                case 'id':
+                case 'name':
+                case 'width':
+                case 'length':
+                    robotClass[header] = value;
+                    break;
+                case 'maxspeed':
+                case 'max_speed':
+                    robotClass.maxSpeed = value;
+                    break;
+                case 'allowednodetypes':
+                case 'allowed_node_types':
+                case 'nodetypes':
+                    robotClass.allowedNodeTypes = value;
+                    break;
+            }
+        }
+
+        return robotClass;
+    }
+
     /**
      * Parse boolean value from string
      * @param {string} value - String value
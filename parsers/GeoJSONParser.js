@@ -0,0 +1,198 @@
+/**
+ * GeoJSONParser - Parser for GeoJSON FeatureCollections
+ *
+ * Reads files written by GeoJSONExporter as well as layers drawn in GIS tools:
+ * - Point features become nodes
+ * - LineString features become paths
+ * - Polygon features become zones (outer ring; the zone type comes from the
+ *   "type" property, see ZoneGeometry.parseType)
+ *
+ * Coordinates are world coordinates (meters) in the map frame. A path's end
+ * nodes are taken from its "from"/"to" properties; if those are missing, the
+ * line's first and last coordinates are matched to the nearest node.
+ * The path's shape comes from its "waypoints"/"segments" properties (written
+ * by GeoJSONExporter); otherwise the line's inner coordinates become waypoints.
+ * Robot classes are read from metadata.robotClasses (written by GeoJSONExporter).
+ */
+class GeoJSONParser extends BaseParser {
+    constructor() {
+        super(
+            'GeoJSON',
+            'geojson',
+            ['.geojson', '.json'],
+            'GeoJSON FeatureCollection with Point nodes and LineString paths (map frame, meters)'
+        );
+    }
+
+    /**
+     * Maximum distance (meters) between a line end and a node for endpoint matching
+     */
+    static ENDPOINT_TOLERANCE = 0.05;
+
+    /**
+     * Parse GeoJSON content
+     * @param {string} fileContent - Raw GeoJSON file content
+     * @param {string} fileName - Original file name
+     * @returns {Promise<Object>} Standardized graph object
+     */
+    async parse(fileContent, fileName) {
+        try {
+            const data = JSON.parse(fileContent);
+            if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+                throw new Error('File is not a GeoJSON FeatureCollection');
+            }
+
+            const points = data.features.filter(f => f?.geometry?.type === 'Point');
+            const lines = data.features.filter(f => f?.geometry?.type === 'LineString');
+            const polygons = data.features.filter(f => f?.geometry?.type === 'Polygon');
+
+            const nodes = points.map((feature, index) => this.parseNode(feature, index));
+            const paths = [];
+            let skipped = 0;
+
+            lines.forEach((feature, index) => {
+                const path = this.parsePath(feature, index, nodes);
+                if (path) {
+                    paths.push(path);
+                } else {
+                    skipped++;
+                }
+            });
+
+            // Create standardized graph data
+            const graphData = {
+                metadata: {
+                    version: '1.0',
+                    created: new Date().toISOString(),
+                    importedFrom: fileName,
+                    sourceFormat: 'GeoJSON',
+                    sourceMap: {
+                        image: data.metadata?.image || null,
+                        resolution: data.metadata?.resolution ?? null,
+                        origin: data.metadata?.origin || null
+                    },
+                    levels: (data.metadata?.levels || []).map(level => level.name),
+                    skippedPaths: skipped
+                },
+                nodes: nodes,
+                paths: paths,
+                zones: this.parseZones(polygons.map(feature => {
+                    const properties = feature.properties || {};
+                    return {
+                        id: properties.id ?? feature.id,
+                        name: properties.name,
+                        type: properties.type,
+                        level: properties.level,
+                        speedLimit: properties.speedLimit,
+                        notes: properties.notes,
+                        points: feature.geometry.coordinates?.[0]
+                    };
+                })),
+                robotClasses: RobotFleet.normalizeAll(data.metadata?.robotClasses)
+            };
+
+            // Validate the parsed data
+            const validation = this.validate(graphData);
+            if (!validation.valid) {
+                throw new Error(`Invalid graph data:\n${validation.errors.join('\n')}`);
+            }
+
+            return graphData;
+
+        } catch (error) {
+            throw new Error(`GeoJSON parsing error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a Point feature into a node
+     * @param {Object} feature - GeoJSON feature
+     * @param {number} index - Index among Point features
+     * @returns {Object} Node object
+     */
+    parseNode(feature, index) {
+        const { featureType, isParkingSpot, ...properties } = feature.properties || {};
+        const [x, y] = feature.geometry.coordinates;
+        const id = String(properties.id ?? feature.id ?? `node_${index + 1}`);
+
+        return {
+            ...properties,
+            id: id,
+            name: properties.name || id,
+            x: x,
+            y: y,
+            type: properties.type || 'normal',
+            maxRobots: properties.maxRobots || 1,
+            parkingSpot: Boolean(properties.parkingSpot ?? isParkingSpot),
+            noWaiting: Boolean(properties.noWaiting),
+            notes: properties.notes || '',
+            metadata: { ...properties.metadata, coordinateType: 'world' }
+        };
+    }
+
+    /**
+     * Parse a LineString feature into a path
+     * @param {Object} feature - GeoJSON feature
+     * @param {number} index - Index among LineString features
+     * @param {Object[]} nodes - Parsed nodes (world coordinates)
+     * @returns {Object|null} Path object, or null if its end nodes cannot be found
+     */
+    parsePath(feature, index, nodes) {
+        const { featureType, waypoints, segments, ...properties } = feature.properties || {};
+        const coordinates = feature.geometry.coordinates;
+        if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+
+        const from = properties.from ?? this.findNodeAt(nodes, coordinates[0])?.id;
+        const to = properties.to ?? this.findNodeAt(nodes, coordinates[coordinates.length - 1])?.id;
+        if (!from || !to) return null;
+
+        const geometry = waypoints || segments
+            ? PathGeometry.parse({ waypoints, segments })
+            : PathGeometry.parse({ waypoints: coordinates.slice(1, -1) });
+
+        const path = {
+            ...properties,
+            id: String(properties.id ?? feature.id ?? `path_${index + 1}`),
+            name: properties.name || '',
+            from: String(from),
+            to: String(to),
+            bidirectional: Boolean(properties.bidirectional),
+            speedLimit: properties.speedLimit ?? null,
+            width: properties.width ?? null,
+            notes: properties.notes || '',
+            ...geometry
+        };
+
+        if (PathGeometry.hasGeometry(path)) {
+            path.metadata = { ...properties.metadata, coordinateType: 'world' };
+        }
+
+        return path;
+    }
+
+    /**
+     * Find the node closest to a position, within ENDPOINT_TOLERANCE
+     * @param {Object[]} nodes - Nodes (world coordinates)
+     * @param {number[]} position - [x, y] position
+     * @returns {Object|null} Closest node or null
+     */
+    findNodeAt(nodes, position) {
+        let closest = null;
+        let closestDistance = GeoJSONParser.ENDPOINT_TOLERANCE;
+
+        nodes.forEach(node => {
+            const distance = Math.hypot(node.x - position[0], node.y - position[1]);
+            if (distance <= closestDistance) {
+                closest = node;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoJSONParser;
+}
@@ -0,0 +1,290 @@
+/**
+ * GraphMLParser - Parser for GraphML files
+ *
+ * Reads files written by GraphMLExporter as well as GraphML saved by
+ * networkx, Gephi or yEd. Attributes are matched by their key's attr.name
+ * (not the key id) and converted using attr.type:
+ *
+ * Nodes: name, x, y, type, maxRobots, parkingSpot, noWaiting, level, notes, allowedClasses
+ * Edges: name, bidirectional, speedLimit, width, connector, notes, geometry, allowedClasses
+ * Zones: name, type, level, speedLimit, notes
+ * Robot classes: name, width, length, maxSpeed, allowedNodeTypes
+ *
+ * x/y are world coordinates (meters) of the node's level. Edges of an undirected graph (or with
+ * directed="false") are imported as bidirectional unless the edge has its
+ * own bidirectional attribute. An edge's geometry is the JSON path shape
+ * written by GraphMLExporter (waypoints/segments in meters).
+ *
+ * allowedClasses and allowedNodeTypes are lists separated by ";".
+ *
+ * The fleet graph is the first top-level graph other than "zones" and
+ * "robotClasses". The optional top-level graph "zones" (written by
+ * GraphMLExporter) holds one node per zone whose nested graph lists the
+ * outline's corners (x/y in meters) in polygon order; the optional graph
+ * "robotClasses" holds one node per robot class.
+ */
+class GraphMLParser extends BaseParser {
+    constructor() {
+        super(
+            'GraphML',
+            'graphml',
+            ['.graphml', '.xml'],
+            'GraphML with node and path attributes (world coordinates)'
+        );
+    }
+
+    /**
+     * IDs of the top-level graphs that hold zones and robot classes
+     */
+    static EXTRA_GRAPHS = ['zones', 'robotClasses'];
+
+    /**
+     * Parse GraphML content
+     * @param {string} fileContent - Raw GraphML content
+     * @param {string} fileName - Original file name
+     * @returns {Promise<Object>} Standardized graph object
+     */
+    async parse(fileContent, fileName) {
+        try {
+            const doc = new DOMParser().parseFromString(fileContent, 'application/xml');
+            if (doc.getElementsByTagName('parsererror').length > 0) {
+                throw new Error('File is not well-formed XML');
+            }
+
+            const graphs = this.getChildElements(doc.documentElement, 'graph');
+            const graph = graphs.find(element => !GraphMLParser.EXTRA_GRAPHS.includes(element.getAttribute('id')));
+            if (!graph) {
+                throw new Error('File has no <graph> element');
+            }
+            const zoneGraph = graphs.find(element => element.getAttribute('id') === 'zones');
+            const classGraph = graphs.find(element => element.getAttribute('id') === 'robotClasses');
+
+            const keys = this.readKeys(doc);
+            const undirected = graph.getAttribute('edgedefault') === 'undirected';
+
+            const nodes = this.getChildElements(graph, 'node')
+                .map((element, index) => this.parseNode(element, keys, index));
+
+            const paths = this.getChildElements(graph, 'edge')
+                .map((element, index) => this.parseEdge(element, keys, index, undirected));
+
+            // Create standardized graph data
+            const graphData = {
+                metadata: {
+                    version: '1.0',
+                    created: new Date().toISOString(),
+                    importedFrom: fileName,
+                    sourceFormat: 'GraphML'
+                },
+                nodes: nodes,
+                paths: paths,
+                zones: this.parseZones(zoneGraph ? this.readZones(zoneGraph, keys) : []),
+                robotClasses: RobotFleet.normalizeAll(classGraph ? this.readRobotClasses(classGraph, keys) : [])
+            };
+
+            // Validate the parsed data
+            const validation = this.validate(graphData);
+            if (!validation.valid) {
+                throw new Error(`Invalid graph data:\n${validation.errors.join('\n')}`);
+            }
+
+            return graphData;
+
+        } catch (error) {
+            throw new Error(`GraphML parsing error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read <key> declarations
+     * @param {Document} doc - GraphML document
+     * @returns {Map<string, Object>} Key id -> { name, type, default }
+     */
+    readKeys(doc) {
+        const keys = new Map();
+
+        Array.from(doc.getElementsByTagName('key')).forEach(key => {
+            const defaultElement = key.getElementsByTagName('default')[0];
+            keys.set(key.getAttribute('id'), {
+                name: key.getAttribute('attr.name') || key.getAttribute('id'),
+                for: key.getAttribute('for') || 'all',
+                type: key.getAttribute('attr.type') || 'string',
+                default: defaultElement ? defaultElement.textContent : null
+            });
+        });
+
+        return keys;
+    }
+
+    /**
+     * Read the zones graph: one node per zone with a nested outline graph
+     * @param {Element} zoneGraph - <graph id="zones"> element
+     * @param {Map<string, Object>} keys - Key declarations
+     * @returns {Object[]} Zone entries (world coordinates)
+     */
+    readZones(zoneGraph, keys) {
+        return this.getChildElements(zoneGraph, 'node').map(element => {
+            const data = this.readData(element, keys, 'node');
+            const outline = this.getChildElements(element, 'graph')[0];
+            const corners = outline ? this.getChildElements(outline, 'node') : [];
+
+            return {
+                id: element.getAttribute('id'),
+                name: data.name,
+                type: data.type,
+                level: data.level,
+                speedLimit: data.speedLimit,
+                notes: data.notes,
+                points: corners.map(corner => {
+                    const position = this.readData(corner, keys, 'node');
+                    return { x: position.x, y: position.y };
+                })
+            };
+        });
+    }
+
+    /**
+     * Read the robot classes graph: one node per class
+     * @param {Element} classGraph - <graph id="robotClasses"> element
+     * @param {Map<string, Object>} keys - Key declarations
+     * @returns {Object[]} Robot class entries (see RobotFleet.normalize)
+     */
+    readRobotClasses(classGraph, keys) {
+        return this.getChildElements(classGraph, 'node').map(element => {
+            const data = this.readData(element, keys, 'node');
+            return {
+                id: element.getAttribute('id'),
+                name: data.name,
+                width: data.width,
+                length: data.length,
+                maxSpeed: data.maxSpeed,
+                allowedNodeTypes: RobotFleet.parseList(data.allowedNodeTypes)
+            };
+        });
+    }
+
+    /**
+     * Read the <data> values of an element, including key defaults
+     * @param {Element} element - <graph>, <node> or <edge> element
+     * @param {Map<string, Object>} keys - Key declarations
+     * @param {string} kind - 'graph', 'node' or 'edge'
+     * @returns {Object} Attribute name -> typed value
+     */
+    readData(element, keys, kind) {
+        const values = {};
+
+        keys.forEach(key => {
+            if ((key.for === kind || key.for === 'all') && key.default !== null) {
+                values[key.name] = this.convertValue(key.default, key.type);
+            }
+        });
+
+        this.getChildElements(element, 'data').forEach(data => {
+            const key = keys.get(data.getAttribute('key'));
+            const name = key ? key.name : data.getAttribute('key');
+            values[name] = this.convertValue(data.textContent, key ? key.type : 'string');
+        });
+
+        return values;
+    }
+
+    /**
+     * Convert a data value according to its GraphML attr.type
+     * @param {string} text - Raw text
+     * @param {string} type - GraphML type
+     * @returns {*} Typed value
+     */
+    convertValue(text, type) {
+        switch (type) {
+            case 'boolean':
+                return text.trim().toLowerCase() === 'true';
+            case 'int':
+            case 'long':
+                return parseInt(text, 10);
+            case 'float':
+            case 'double':
+                return parseFloat(text);
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Parse a <node> element
+     * @param {Element} element - Node element
+     * @param {Map<string, Object>} keys - Key declarations
+     * @param {number} index - Node index
+     * @returns {Object} Node object
+     */
+    parseNode(element, keys, index) {
+        const data = this.readData(element, keys, 'node');
+        const id = element.getAttribute('id') || `node_${index + 1}`;
+
+        return {
+            id: id,
+            name: data.name || data.label || id,
+            x: data.x,
+            y: data.y,
+            type: data.type || 'normal',
+            maxRobots: data.maxRobots || 1,
+            parkingSpot: Boolean(data.parkingSpot ?? data.isParkingSpot),
+            noWaiting: Boolean(data.noWaiting),
+            level: data.level ?? data.floor ?? null,
+            notes: data.notes || '',
+            allowedClasses: RobotFleet.parseList(data.allowedClasses),
+            metadata: { coordinateType: 'world' }
+        };
+    }
+
+    /**
+     * Parse an <edge> element
+     * @param {Element} element - Edge element
+     * @param {Map<string, Object>} keys - Key declarations
+     * @param {number} index - Edge index
+     * @param {boolean} undirected - Whether the graph's edges default to undirected
+     * @returns {Object} Path object
+     */
+    parseEdge(element, keys, index, undirected) {
+        const data = this.readData(element, keys, 'edge');
+
+        const directedAttribute = element.getAttribute('directed');
+        const isUndirected = directedAttribute ? directedAttribute === 'false' : undirected;
+
+        const path = {
+            id: element.getAttribute('id') || `path_${index + 1}`,
+            name: data.name || data.label || '',
+            from: element.getAttribute('source'),
+            to: element.getAttribute('target'),
+            bidirectional: data.bidirectional ?? isUndirected,
+            speedLimit: Number.isFinite(data.speedLimit) ? data.speedLimit : null,
+            width: Number.isFinite(data.width) ? data.width : null,
+            connector: data.connector || null,
+            notes: data.notes || '',
+            allowedClasses: RobotFleet.parseList(data.allowedClasses),
+            ...PathGeometry.parse(data.geometry)
+        };
+
+        if (PathGeometry.hasGeometry(path)) {
+            path.metadata = { coordinateType: 'world' };
+        }
+
+        return path;
+    }
+
+    /**
+     * Get direct child elements with a given tag name
+     * @param {Element} parent - Parent element
+     * @param {string} tagName - Tag name
+     * @returns {Element[]} Child elements
+     */
+    getChildElements(parent, tagName) {
+        return Array.from(parent.childNodes).filter(child =>
+            child.nodeType === 1 && (child.localName || child.nodeName) === tagName
+        );
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphMLParser;
+}
@@ -62,8 +62,12 @@ class JSONParser extends BaseParser {
                     y: y || 0,
                     type: node.type || 'normal',
                     maxRobots: node.maxRobots || 1,
-                    parkingSpot: node.parkingSpot || false,
-                    noWaiting: node.noWaiting || false
+                    // JSONExporter writes the editor's isParkingSpot, older files parkingSpot
+                    parkingSpot: Boolean(node.isParkingSpot ?? node.parkingSpot),
+                    noWaiting: node.noWaiting || false,
+                    level: node.level ?? null,
+                    notes: node.notes || '',
+                    allowedClasses: RobotFleet.parseList(node.allowedClasses)
                 };
             });
 
@@ -75,9 +79,18 @@ class JSONParser extends BaseParser {
                 to: path.to,
                 bidirectional: path.bidirectional || false,
                 speedLimit: path.speedLimit || null,
-                width: path.width || null
+                width: path.width || null,
+                notes: path.notes || '',
+                connector: path.connector || null,
+                allowedClasses: RobotFleet.parseList(path.allowedClasses),
+                ...PathGeometry.parse({ waypoints: path.waypoints, segments: path.segments })
             }));
 
+            // Zones keep their canvas points (worldPoints is only informative)
+            data.zones = (data.zones || []).map((zone, index) => ZoneGeometry.normalize(zone, index));
+
+            data.robotClasses = RobotFleet.normalizeAll(data.robotClasses);
+
             // Validate the parsed data
             const validation = this.validate(data);
             if (!validation.valid) {
@@ -0,0 +1,376 @@
+/**
+ * LIFParser - Parser for VDA 5050 Layout Interchange Format (LIF) JSON
+ *
+ * Reads the layouts of a LIF file (as written by vendor tools and by
+ * LIFExporter):
+ *
+ * {
+ *     "metaInformation": { "projectIdentification", "lifVersion", ... },
+ *     "layouts": [{
+ *         "layoutId", "layoutLevelId",
+ *         "nodes":    [{ "nodeId", "nodeName", "nodePosition": { "x", "y" }, "vehicleTypeNodeProperties" }],
+ *         "edges":    [{ "edgeId", "startNodeId", "endNodeId", "vehicleTypeEdgeProperties" }],
+ *         "stations": [{ "stationId", "interactionNodeIds", "stationName" }],
+ *         "zones":    [{ "zoneId", "zoneName", "zoneType", "maxSpeed", "vertices": [{ "x", "y" }] }]
+ *     }],
+ *     "connectors": [{ "connectorId", "connectorName", "connectorType", "startNodeId", "endNodeId", "bidirectional" }],
+ *     "robotClasses": [{ "robotClassId", "robotClassName", "width", "length", "maxSpeed", "allowedNodeTypes" }]
+ * }
+ *
+ * Node positions are world coordinates (meters). Directed edge pairs running
+ * in opposite directions are merged into bidirectional paths. "zones",
+ * "connectors" (paths between layouts), "robotClasses", the edge field
+ * "connectorType" and the node, edge and connector field "allowedClasses"
+ * are extensions written by LIFExporter and are optional.
+ *
+ * Edge trajectories (NURBS) become path waypoints: degree 1 control points
+ * are used as waypoints, clamped cubics made of Bezier pieces (as written by
+ * LIFExporter) become Bezier segments, and any other curve is sampled into
+ * waypoints.
+ */
+class LIFParser extends BaseParser {
+    constructor() {
+        super(
+            'VDA 5050 LIF',
+            'lif',
+            ['.json', '.lif'],
+            'VDA 5050 Layout Interchange Format with layouts, nodes, edges and stations'
+        );
+    }
+
+    /**
+     * Node type for each VDA 5050 action
+     */
+    static ACTION_TYPES = {
+        startCharging: 'charging',
+        pick: 'pickup',
+        drop: 'dropoff'
+    };
+
+    /**
+     * Waypoints per knot span when sampling general NURBS trajectories
+     */
+    static SAMPLES_PER_SPAN = 8;
+
+    /**
+     * Parse LIF JSON content
+     * @param {string} fileContent - Raw JSON file content
+     * @param {string} fileName - Original file name
+     * @returns {Promise<Object>} Standardized graph object
+     */
+    async parse(fileContent, fileName) {
+        try {
+            const data = JSON.parse(fileContent);
+            if (!Array.isArray(data.layouts)) {
+                throw new Error('File has no "layouts" array');
+            }
+
+            const nodes = [];
+            const paths = [];
+            const stations = [];
+            const zones = [];
+
+            data.layouts.forEach(layout => {
+                const level = layout.layoutLevelId || layout.layoutId || '';
+
+                // Nodes that a station interacts with are targets unless an action says more
+                const stationNodeIds = new Set();
+                (layout.stations || []).forEach(station => {
+                    (station.interactionNodeIds || []).forEach(id => stationNodeIds.add(id));
+                    stations.push({
+                        id: station.stationId,
+                        name: station.stationName || station.stationId,
+                        nodeIds: station.interactionNodeIds || [],
+                        level: level
+                    });
+                });
+
+                (layout.nodes || []).forEach(lifNode => {
+                    nodes.push(this.parseNode(lifNode, level, stationNodeIds));
+                });
+
+                (layout.edges || []).forEach(edge => {
+                    paths.push(this.parseEdge(edge, paths.length));
+                });
+
+                (layout.zones || []).forEach(zone => {
+                    zones.push({
+                        id: zone.zoneId,
+                        name: zone.zoneName,
+                        type: zone.zoneType,
+                        level: level,
+                        speedLimit: zone.maxSpeed,
+                        notes: zone.zoneDescription,
+                        points: zone.vertices
+                    });
+                });
+            });
+
+            const nodeIds = new Set(nodes.map(node => node.id));
+            (data.connectors || []).forEach((connector, index) => {
+                if (!nodeIds.has(connector?.startNodeId) || !nodeIds.has(connector?.endNodeId)) {
+                    throw new Error(`Connector ${index} references an unknown node`);
+                }
+                paths.push(this.parseConnector(connector, paths.length));
+            });
+
+            // Create standardized graph data
+            const graphData = {
+                metadata: {
+                    version: '1.0',
+                    created: new Date().toISOString(),
+                    importedFrom: fileName,
+                    sourceFormat: 'VDA 5050 LIF',
+                    lifVersion: data.metaInformation?.lifVersion || '',
+                    projectIdentification: data.metaInformation?.projectIdentification || '',
+                    stations: stations
+                },
+                nodes: nodes,
+                paths: this.mergeReversePaths(paths),
+                zones: this.parseZones(zones),
+                robotClasses: RobotFleet.normalizeAll((data.robotClasses || []).map(robotClass => ({
+                    id: robotClass?.robotClassId,
+                    name: robotClass?.robotClassName,
+                    width: robotClass?.width,
+                    length: robotClass?.length,
+                    maxSpeed: robotClass?.maxSpeed,
+                    allowedNodeTypes: robotClass?.allowedNodeTypes
+                })))
+            };
+
+            // Validate the parsed data
+            const validation = this.validate(graphData);
+            if (!validation.valid) {
+                throw new Error(`Invalid graph data:\n${validation.errors.join('\n')}`);
+            }
+
+            return graphData;
+
+        } catch (error) {
+            throw new Error(`LIF parsing error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a LIF node
+     * @param {Object} lifNode - LIF node
+     * @param {string} level - Layout level ID
+     * @param {Set<string>} stationNodeIds - IDs of station interaction nodes
+     * @returns {Object} Node object
+     */
+    parseNode(lifNode, level, stationNodeIds) {
+        const position = lifNode.nodePosition || {};
+
+        let type = stationNodeIds.has(lifNode.nodeId) ? 'target' : 'normal';
+        (lifNode.vehicleTypeNodeProperties || []).forEach(properties => {
+            (properties.actions || []).forEach(action => {
+                if (LIFParser.ACTION_TYPES[action.actionType]) {
+                    type = LIFParser.ACTION_TYPES[action.actionType];
+                }
+            });
+        });
+
+        const node = {
+            id: lifNode.nodeId,
+            name: lifNode.nodeName || lifNode.nodeId,
+            x: position.x,
+            y: position.y,
+            type: type,
+            maxRobots: 1,
+            parkingSpot: false,
+            noWaiting: false,
+            notes: lifNode.nodeDescription || '',
+            allowedClasses: RobotFleet.parseList(lifNode.allowedClasses),
+            metadata: { coordinateType: 'world' }
+        };
+
+        if (level) {
+            node.level = level;
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse a directed LIF edge into a one-way path
+     * @param {Object} edge - LIF edge
+     * @param {number} index - Running path index
+     * @returns {Object} Path object
+     */
+    parseEdge(edge, index) {
+        // With several vehicle types, the slowest limit applies to the shared path
+        const speeds = (edge.vehicleTypeEdgeProperties || [])
+            .map(properties => properties.maxSpeed)
+            .filter(speed => typeof speed === 'number' && speed > 0);
+
+        const path = {
+            id: edge.edgeId || `path_${index + 1}`,
+            name: edge.edgeName || '',
+            from: edge.startNodeId,
+            to: edge.endNodeId,
+            bidirectional: false,
+            speedLimit: speeds.length > 0 ? Math.min(...speeds) : null,
+            width: null,
+            notes: edge.edgeDescription || '',
+            allowedClasses: RobotFleet.parseList(edge.allowedClasses)
+        };
+        if (edge.connectorType) {
+            path.connector = String(edge.connectorType);
+        }
+
+        // Vehicle types normally share the trajectory; the first one is used
+        const trajectory = (edge.vehicleTypeEdgeProperties || [])
+            .map(properties => properties.trajectory)
+            .find(candidate => candidate && Array.isArray(candidate.controlPoints));
+
+        if (trajectory) {
+            Object.assign(path, this.parseTrajectory(trajectory));
+            if (PathGeometry.hasGeometry(path)) {
+                path.metadata = { coordinateType: 'world' };
+            }
+        }
+
+        return path;
+    }
+
+    /**
+     * Parse an entry of the connectors extension into a path between levels
+     * @param {Object} connector - { connectorId, connectorName, connectorType, startNodeId, endNodeId, bidirectional, maxSpeed }
+     * @param {number} index - Running path index
+     * @returns {Object} Path object
+     */
+    parseConnector(connector, index) {
+        const speed = parseFloat(connector.maxSpeed);
+
+        return {
+            id: connector.connectorId || `path_${index + 1}`,
+            name: connector.connectorName || '',
+            from: connector.startNodeId,
+            to: connector.endNodeId,
+            bidirectional: connector.bidirectional === true,
+            speedLimit: speed > 0 ? speed : null,
+            width: null,
+            notes: connector.connectorDescription || '',
+            connector: connector.connectorType ? String(connector.connectorType) : 'lift',
+            allowedClasses: RobotFleet.parseList(connector.allowedClasses)
+        };
+    }
+
+    /**
+     * Convert a NURBS trajectory into path geometry
+     * @param {Object} trajectory - { degree, knotVector, controlPoints: [{x, y, weight}] }
+     * @returns {Object} { waypoints?, segments? } in world coordinates
+     */
+    parseTrajectory(trajectory) {
+        const points = trajectory.controlPoints.map(point => ({
+            x: Number(point.x),
+            y: Number(point.y),
+            weight: point.weight ?? 1
+        }));
+        const degree = trajectory.degree;
+        const knots = trajectory.knotVector || [];
+        if (points.length < 2 || points.some(point => !Number.isFinite(point.x) || !Number.isFinite(point.y))) {
+            throw new Error('Edge trajectory has invalid control points');
+        }
+
+        const unweighted = points.every(point => point.weight === 1);
+        const toPoint = point => ({ x: point.x, y: point.y });
+
+        // Polyline
+        if (degree === 1 && unweighted) {
+            return PathGeometry.parse({ waypoints: points.slice(1, -1).map(toPoint) });
+        }
+
+        // Chain of cubic Bezier pieces
+        if (degree === 3 && unweighted && this.isBezierChain(knots, points.length)) {
+            const waypoints = [];
+            const segments = [];
+
+            for (let i = 0; i + 3 < points.length; i += 3) {
+                const [start, control1, control2, end] = points.slice(i, i + 4);
+                if (i > 0) waypoints.push(toPoint(start));
+
+                // Control points at a third of the chord (within rounding) are a straight segment
+                const onChord = (control, t) =>
+                    Math.hypot(control.x - (start.x + (end.x - start.x) * t), control.y - (start.y + (end.y - start.y) * t)) < 2e-3;
+                segments.push(onChord(control1, 1 / 3) && onChord(control2, 2 / 3)
+                    ? { type: 'line' }
+                    : { type: 'bezier', control1: toPoint(control1), control2: toPoint(control2) });
+            }
+
+            return PathGeometry.parse({ waypoints, segments });
+        }
+
+        // Anything else: sample the curve
+        const spans = Math.max(1, points.length - degree);
+        const count = spans * LIFParser.SAMPLES_PER_SPAN;
+        const start = knots[degree];
+        const end = knots[knots.length - degree - 1];
+        const waypoints = [];
+        for (let i = 1; i < count; i++) {
+            waypoints.push(this.evaluateNurbs(degree, knots, points, start + (end - start) * i / count));
+        }
+
+        return PathGeometry.parse({ waypoints });
+    }
+
+    /**
+     * Check whether a cubic knot vector is a clamped chain of Bezier pieces
+     * ([0,0,0,0, k,k,k, ..., 1,1,1,1] with one triple knot per joint)
+     */
+    isBezierChain(knots, controlPointCount) {
+        if ((controlPointCount - 1) % 3 !== 0 || knots.length !== controlPointCount + 4) return false;
+
+        const last = knots.length - 1;
+        for (let i = 1; i < 4; i++) {
+            if (knots[i] !== knots[0] || knots[last - i] !== knots[last]) return false;
+        }
+
+        const pieces = (controlPointCount - 1) / 3;
+        for (let piece = 1; piece < pieces; piece++) {
+            const i = 4 + 3 * (piece - 1);
+            if (knots[i + 1] !== knots[i] || knots[i + 2] !== knots[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Evaluate a NURBS curve with de Boor's algorithm
+     * @param {number} degree - Curve degree
+     * @param {number[]} knots - Knot vector
+     * @param {Object[]} points - Control points {x, y, weight}
+     * @param {number} u - Parameter
+     * @returns {Object} Point {x, y}
+     */
+    evaluateNurbs(degree, knots, points, u) {
+        let span = degree;
+        while (span < points.length - 1 && u >= knots[span + 1]) span++;
+
+        // Homogeneous coordinates
+        const d = [];
+        for (let j = 0; j <= degree; j++) {
+            const point = points[span - degree + j];
+            d.push({ x: point.x * point.weight, y: point.y * point.weight, w: point.weight });
+        }
+
+        for (let r = 1; r <= degree; r++) {
+            for (let j = degree; j >= r; j--) {
+                const i = span - degree + j;
+                const denominator = knots[i + degree - r + 1] - knots[i];
+                const alpha = denominator === 0 ? 0 : (u - knots[i]) / denominator;
+                d[j] = {
+                    x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                    y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+                    w: (1 - alpha) * d[j - 1].w + alpha * d[j].w
+                };
+            }
+        }
+
+        return { x: d[degree].x / d[degree].w, y: d[degree].y / d[degree].w };
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LIFParser;
+}
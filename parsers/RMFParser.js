@@ -0,0 +1,333 @@
+/**
+ * RMFParser - Parser for Open-RMF nav graph YAML files
+ *
+ * Reads the nav graph format consumed by rmf_fleet_adapter (and written by
+ * RMFExporter):
+ *
+ * building_name: warehouse
+ * levels:
+ *   L1:
+ *     vertices:
+ *     - [x, y, {name: Dock 1, is_charger: true, is_parking_spot: false, ...}]
+ *     lanes:
+ *     - [0, 1, {speed_limit: 0.5}]
+ * connectors:
+ * - {from_level: L1, from: 2, to_level: L2, to: 0, type: lift, name: Lift 1}
+ * zones:
+ * - {name: Aisle 3, level: L1, type: speed_limit, speed_limit: 0.5, vertices: [[x, y], ...]}
+ * robot_classes:
+ * - {id: tugger, name: Tugger, width: 0.8, length: 1.2, max_speed: 1.0, allowed_node_types: [normal]}
+ *
+ * Vertex coordinates are world coordinates (meters). RMF lanes are one-way;
+ * lane pairs running in opposite directions are merged into bidirectional
+ * paths. Lanes with a door_name become door connectors. The optional
+ * "connectors" list (written by RMFExporter) holds lifts and other paths
+ * between levels, with vertex indices of their levels; the optional "zones"
+ * list holds zone polygons and the optional "robot_classes" list the fleet,
+ * whose class IDs vertices, lanes and connectors may list in an
+ * allowed_classes parameter. Vertices with a path_waypoint parameter (written by RMFExporter for
+ * bent and curved paths) are not imported as nodes: the lanes through them
+ * become one path with waypoints. Requires js-yaml (loaded in index.html).
+ */
+class RMFParser extends BaseParser {
+    constructor() {
+        super(
+            'Open-RMF Nav Graph',
+            'rmf',
+            ['.yaml', '.yml'],
+            'Open-RMF nav graph YAML with levels, vertices and lanes'
+        );
+    }
+
+    /**
+     * Parse RMF nav graph YAML content
+     * @param {string} fileContent - Raw YAML file content
+     * @param {string} fileName - Original file name
+     * @returns {Promise<Object>} Standardized graph object
+     */
+    async parse(fileContent, fileName) {
+        try {
+            if (typeof jsyaml === 'undefined') {
+                throw new Error('js-yaml library is not loaded');
+            }
+
+            const data = jsyaml.load(fileContent);
+            if (!data || typeof data.levels !== 'object' || data.levels === null) {
+                throw new Error('File has no "levels" section');
+            }
+
+            const nodes = [];
+            const paths = [];
+            const levelNames = Object.keys(data.levels);
+            const nodeIdsByLevel = new Map();   // level -> node ID per vertex index
+
+            levelNames.forEach(levelName => {
+                const level = data.levels[levelName] || {};
+                const vertices = level.vertices || [];
+                const lanes = level.lanes || [];
+
+                // Lane endpoints are indices into the vertex list of this level;
+                // path waypoint vertices have no node
+                const levelNodeIds = vertices.map(vertex => {
+                    if (this.isWaypointVertex(vertex)) return null;
+                    const node = this.parseVertex(vertex, nodes.length, levelName);
+                    nodes.push(node);
+                    return node.id;
+                });
+                nodeIdsByLevel.set(levelName, levelNodeIds);
+
+                lanes.forEach((lane, laneIndex) => {
+                    if (!Array.isArray(lane) || vertices[lane[0]] === undefined || vertices[lane[1]] === undefined) {
+                        throw new Error(`Lane ${laneIndex} on level "${levelName}" references an unknown vertex`);
+                    }
+                });
+
+                lanes.forEach((lane, laneIndex) => {
+                    // Lanes leaving a waypoint vertex are part of a chain started at a node
+                    if (levelNodeIds[lane[0]] === null) return;
+
+                    const { end, waypoints } = this.followWaypointChain(lane, lanes, vertices, levelNodeIds, levelName);
+                    const path = this.parseLane([lane[0], end, lane[2]], levelNodeIds, paths.length);
+                    if (!path) {
+                        throw new Error(`Lane ${laneIndex} on level "${levelName}" references an unknown vertex`);
+                    }
+                    if (waypoints.length > 0) {
+                        path.waypoints = waypoints;
+                        path.metadata = { coordinateType: 'world' };
+                    }
+                    paths.push(path);
+                });
+            });
+
+            (data.connectors || []).forEach((connector, index) => {
+                const path = this.parseConnector(connector, nodeIdsByLevel, paths.length);
+                if (!path) {
+                    throw new Error(`Connector ${index} references an unknown level or vertex`);
+                }
+                paths.push(path);
+            });
+
+            // Create standardized graph data
+            const graphData = {
+                metadata: {
+                    version: '1.0',
+                    created: new Date().toISOString(),
+                    importedFrom: fileName,
+                    sourceFormat: 'Open-RMF',
+                    buildingName: data.building_name || '',
+                    levels: levelNames
+                },
+                nodes: nodes,
+                paths: this.mergeReversePaths(paths),
+                zones: this.parseZones((data.zones || []).map(zone => ({
+                    name: zone?.name,
+                    type: zone?.type,
+                    level: zone?.level,
+                    speedLimit: zone?.speed_limit,
+                    notes: zone?.notes,
+                    points: zone?.vertices
+                }))),
+                robotClasses: RobotFleet.normalizeAll((data.robot_classes || []).map(robotClass => ({
+                    id: robotClass?.id,
+                    name: robotClass?.name,
+                    width: robotClass?.width,
+                    length: robotClass?.length,
+                    maxSpeed: robotClass?.max_speed,
+                    allowedNodeTypes: robotClass?.allowed_node_types
+                })))
+            };
+
+            // Validate the parsed data
+            const validation = this.validate(graphData);
+            if (!validation.valid) {
+                throw new Error(`Invalid graph data:\n${validation.errors.join('\n')}`);
+            }
+
+            return graphData;
+
+        } catch (error) {
+            throw new Error(`RMF parsing error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse an RMF vertex ([x, y, params]) into a node
+     * @param {Array} vertex - RMF vertex
+     * @param {number} index - Running node index across all levels
+     * @param {string} levelName - Level the vertex belongs to
+     * @returns {Object} Node object
+     */
+    parseVertex(vertex, index, levelName) {
+        if (!Array.isArray(vertex) || vertex.length < 2) {
+            throw new Error(`Vertex ${index} on level "${levelName}" is not an [x, y, params] list`);
+        }
+
+        const x = parseFloat(vertex[0]);
+        const y = parseFloat(vertex[1]);
+        if (isNaN(x) || isNaN(y)) {
+            throw new Error(`Vertex ${index} on level "${levelName}" has invalid coordinates`);
+        }
+
+        const params = (vertex[2] && typeof vertex[2] === 'object') ? vertex[2] : {};
+        const id = `node_${index + 1}`;
+        const isCharger = params.is_charger === true;
+        const isParkingSpot = params.is_parking_spot === true;
+        const notes = [];
+
+        let type = 'normal';
+        if (isCharger) {
+            type = 'charging';
+        } else if (params.pickup_dispenser) {
+            type = 'pickup';
+        } else if (params.dropoff_ingestor) {
+            type = 'dropoff';
+        }
+
+        // Holding points are implied by parking spots and chargers; keep the rest visible
+        if (params.is_holding_point === true && !isParkingSpot && !isCharger) {
+            notes.push('RMF holding point');
+        }
+        if (params.pickup_dispenser && type !== 'pickup') {
+            notes.push(`Pickup dispenser: ${params.pickup_dispenser}`);
+        }
+        if (params.dropoff_ingestor && type !== 'dropoff') {
+            notes.push(`Dropoff ingestor: ${params.dropoff_ingestor}`);
+        }
+
+        return {
+            id: id,
+            name: params.name ? String(params.name) : id,
+            x: x,
+            y: y,
+            type: type,
+            maxRobots: 1,
+            parkingSpot: isParkingSpot,
+            noWaiting: params.is_passthrough_point === true,
+            notes: notes.join('\n'),
+            level: levelName,
+            allowedClasses: RobotFleet.parseList(params.allowed_classes),
+            metadata: { coordinateType: 'world' }
+        };
+    }
+
+    /**
+     * Check whether a vertex is an intermediate point of a path
+     * @param {Array} vertex - RMF vertex
+     * @returns {boolean} True for vertices written with a path_waypoint parameter
+     */
+    isWaypointVertex(vertex) {
+        const params = Array.isArray(vertex) ? vertex[2] : null;
+        return Boolean(params && typeof params === 'object' && params.path_waypoint !== undefined);
+    }
+
+    /**
+     * Follow a lane through waypoint vertices until it reaches a node
+     * @param {Array} lane - First lane of the chain (starts at a node)
+     * @param {Array[]} lanes - All lanes of the level
+     * @param {Array[]} vertices - Vertices of the level
+     * @param {Array<string|null>} levelNodeIds - Node ID per vertex (null for waypoint vertices)
+     * @param {string} levelName - Level name (for error messages)
+     * @returns {Object} { end: vertex index of the final node, waypoints: [{x, y}] }
+     */
+    followWaypointChain(lane, lanes, vertices, levelNodeIds, levelName) {
+        const waypoints = [];
+        let previous = lane[0];
+        let current = lane[1];
+
+        while (levelNodeIds[current] === null) {
+            waypoints.push({ x: parseFloat(vertices[current][0]), y: parseFloat(vertices[current][1]) });
+
+            const next = lanes.find(candidate => candidate[0] === current && candidate[1] !== previous);
+            if (!next || waypoints.length > vertices.length) {
+                throw new Error(`Lanes through path waypoint vertex ${current} on level "${levelName}" do not lead to a node`);
+            }
+            previous = current;
+            current = next[1];
+        }
+
+        return { end: current, waypoints: waypoints };
+    }
+
+    /**
+     * Parse an RMF lane ([from, to, params]) into a one-way path
+     * @param {Array} lane - RMF lane
+     * @param {string[]} levelNodeIds - Node IDs of the lane's level, by vertex index
+     * @param {number} index - Running path index
+     * @returns {Object|null} Path object, or null if an endpoint is unknown
+     */
+    parseLane(lane, levelNodeIds, index) {
+        if (!Array.isArray(lane) || lane.length < 2) return null;
+
+        const from = levelNodeIds[lane[0]];
+        const to = levelNodeIds[lane[1]];
+        if (!from || !to) return null;
+
+        const params = (lane[2] && typeof lane[2] === 'object') ? lane[2] : {};
+        const speed = parseFloat(params.speed_limit);
+        const notes = [];
+
+        if (params.dock_name) {
+            notes.push(`Dock: ${params.dock_name}`);
+        }
+        if (params.orientation_constraint) {
+            notes.push(`Orientation: ${params.orientation_constraint}`);
+        }
+
+        const path = {
+            id: `path_${index + 1}`,
+            name: '',
+            from: from,
+            to: to,
+            bidirectional: false,
+            // RMF uses 0 for "no limit"
+            speedLimit: speed > 0 ? speed : null,
+            width: null,
+            notes: notes.join('\n'),
+            allowedClasses: RobotFleet.parseList(params.allowed_classes)
+        };
+
+        if (params.door_name) {
+            path.connector = 'door';
+            path.name = String(params.door_name);
+        } else if (params.connector) {
+            path.connector = String(params.connector);
+        }
+
+        return path;
+    }
+
+    /**
+     * Parse an entry of the connectors list into a path between levels
+     * @param {Object} connector - { from_level, from, to_level, to, type, name, speed_limit, bidirectional, allowed_classes }
+     * @param {Map<string, string[]>} nodeIdsByLevel - Node IDs by level and vertex index
+     * @param {number} index - Running path index
+     * @returns {Object|null} Path object, or null if an endpoint is unknown
+     */
+    parseConnector(connector, nodeIdsByLevel, index) {
+        if (!connector || typeof connector !== 'object') return null;
+
+        const from = nodeIdsByLevel.get(String(connector.from_level))?.[connector.from];
+        const to = nodeIdsByLevel.get(String(connector.to_level))?.[connector.to];
+        if (!from || !to) return null;
+
+        const speed = parseFloat(connector.speed_limit);
+
+        return {
+            id: `path_${index + 1}`,
+            name: connector.name ? String(connector.name) : '',
+            from: from,
+            to: to,
+            bidirectional: connector.bidirectional === true,
+            speedLimit: speed > 0 ? speed : null,
+            width: null,
+            notes: '',
+            connector: connector.type ? String(connector.type) : 'lift',
+            allowedClasses: RobotFleet.parseList(connector.allowed_classes)
+        };
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RMFParser;
+}
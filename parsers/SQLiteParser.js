@@ -0,0 +1,451 @@
+/**
+ * SQLiteParser - Parser for site survey databases stored in SQLite
+ *
+ * Reads a node table and an optional edge table from a SQLite file using sql.js
+ * (loaded via CDN in index.html). Tables and columns are discovered by name, so
+ * survey exports with slightly different schemas can be imported as-is.
+ *
+ * Node table (first match of: targets, nodes, waypoints, vertices):
+ * id, name, px, py, type, site, floor, max_robots, parking_spot, no_waiting, notes
+ *
+ * Edge table (optional, first match of: edges, paths, lanes, connections):
+ * id, name, from_id, to_id, bidirectional, speed_limit, width, connector, geometry
+ *
+ * Coordinates are world coordinates in meters; a node's floor becomes its
+ * level, and an edge's geometry is a JSON path shape (see PathGeometry.parse). Rows of the node table can be
+ * filtered by site, floor, type and a custom SQL WHERE expression (see setFilters).
+ * Nodes without coordinates, edges without from/to and edges referencing nodes
+ * that were filtered out are skipped and counted in the metadata.
+ */
+class SQLiteParser extends BaseParser {
+    constructor() {
+        super(
+            'SQLite Database',
+            'sqlite',
+            ['.db', '.sqlite', '.sqlite3'],
+            'SQLite site survey database with node (target) and edge tables'
+        );
+
+        // Filters applied to the node table on the next import
+        this.filters = {
+            site: null,
+            floor: null,
+            type: null,
+            custom: null
+        };
+
+        // sql.js module, initialized lazily on first import
+        this.sqlModule = null;
+    }
+
+    /**
+     * Location of the sql.js WebAssembly binary (must match the script version in index.html)
+     */
+    static SQL_JS_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0';
+
+    /**
+     * Accepted table names, in order of preference
+     */
+    static NODE_TABLES = ['targets', 'nodes', 'waypoints', 'vertices'];
+    static PATH_TABLES = ['edges', 'paths', 'lanes', 'connections'];
+
+    /**
+     * Accepted column names for each standardized node field
+     */
+    static NODE_COLUMNS = {
+        id: ['id', 'node_id', 'target_id'],
+        name: ['name', 'label', 'target_name'],
+        x: ['x', 'px', 'pos_x', 'world_x'],
+        y: ['y', 'py', 'pos_y', 'world_y'],
+        type: ['type', 'node_type', 'target_type'],
+        site: ['site'],
+        floor: ['floor', 'level'],
+        maxRobots: ['max_robots', 'maxrobots', 'capacity'],
+        parkingSpot: ['parking_spot', 'parkingspot', 'is_parking_spot'],
+        noWaiting: ['no_waiting', 'nowaiting'],
+        notes: ['notes', 'description']
+    };
+
+    /**
+     * Accepted column names for each standardized path field
+     */
+    static PATH_COLUMNS = {
+        id: ['id', 'edge_id', 'path_id'],
+        name: ['name', 'label'],
+        from: ['from', 'from_id', 'from_node', 'source', 'start', 'start_id'],
+        to: ['to', 'to_id', 'to_node', 'target', 'end', 'end_id'],
+        bidirectional: ['bidirectional', 'bi', 'twoway'],
+        speedLimit: ['speed_limit', 'speedlimit', 'speed'],
+        width: ['width'],
+        connector: ['connector', 'connector_type'],
+        geometry: ['geometry', 'waypoints', 'shape']
+    };
+
+    /**
+     * Survey type values that map onto node types
+     */
+    static TYPE_ALIASES = {
+        normal: 'normal',
+        waypoint: 'normal',
+        target: 'target',
+        charging: 'charging',
+        charger: 'charging',
+        charging_station: 'charging',
+        pickup: 'pickup',
+        pick: 'pickup',
+        dropoff: 'dropoff',
+        drop: 'dropoff',
+        other: 'other'
+    };
+
+    /**
+     * Set import filters (null or empty values are ignored)
+     * @param {Object} filters - { site, floor, type, custom }
+     */
+    setFilters(filters) {
+        this.filters = {
+            site: filters.site || null,
+            floor: filters.floor || null,
+            type: filters.type || null,
+            custom: filters.custom || null
+        };
+    }
+
+    /**
+     * Clear all import filters
+     */
+    clearFilters() {
+        this.setFilters({});
+    }
+
+    /**
+     * Parse SQLite file content
+     * @param {ArrayBuffer} fileContent - Raw database file content
+     * @param {string} fileName - Original file name
+     * @returns {Promise<Object>} Standardized graph object
+     */
+    async parse(fileContent, fileName) {
+        let db = null;
+
+        try {
+            const SQL = await this.loadSqlJs();
+            db = new SQL.Database(new Uint8Array(fileContent));
+
+            const tables = this.getTableNames(db);
+            const nodeTable = this.findTable(tables, SQLiteParser.NODE_TABLES);
+            if (!nodeTable) {
+                throw new Error(`No node table found. Expected one of: ${SQLiteParser.NODE_TABLES.join(', ')}`);
+            }
+            const pathTable = this.findTable(tables, SQLiteParser.PATH_TABLES);
+
+            // Rows that cannot be placed or connected are read as null
+            const nodeRows = this.readNodes(db, nodeTable);
+            const nodes = nodeRows.filter(n => n !== null);
+            const nodeIds = new Set(nodes.map(n => n.id));
+
+            let paths = [];
+            let skippedPaths = 0;
+            if (pathTable) {
+                const allPaths = this.readPaths(db, pathTable);
+                paths = allPaths.filter(p => p !== null && nodeIds.has(p.from) && nodeIds.has(p.to));
+                skippedPaths = allPaths.length - paths.length;
+            }
+
+            const graphData = {
+                metadata: {
+                    version: '1.0',
+                    created: new Date().toISOString(),
+                    importedFrom: fileName,
+                    sourceFormat: 'SQLite',
+                    sourceTables: { nodes: nodeTable, paths: pathTable },
+                    filters: { ...this.filters },
+                    skippedNodes: nodeRows.length - nodes.length,
+                    skippedPaths: skippedPaths
+                },
+                nodes: nodes,
+                paths: paths
+            };
+
+            // Validate the parsed data
+            const validation = this.validate(graphData);
+            if (!validation.valid) {
+                throw new Error(`Invalid graph data:\n${validation.errors.join('\n')}`);
+            }
+
+            return graphData;
+
+        } catch (error) {
+            throw new Error(`SQLite parsing error: ${error.message}`);
+        } finally {
+            if (db) db.close();
+        }
+    }
+
+    /**
+     * Initialize sql.js once and reuse it for later imports
+     * @returns {Promise<Object>} sql.js module
+     */
+    async loadSqlJs() {
+        if (typeof initSqlJs === 'undefined') {
+            throw new Error('sql.js library is not loaded');
+        }
+
+        if (!this.sqlModule) {
+            this.sqlModule = initSqlJs({
+                locateFile: file => `${SQLiteParser.SQL_JS_CDN}/${file}`
+            });
+
+            // A failed load (e.g. the CDN is unreachable) is retried on the next import
+            this.sqlModule.catch(() => {
+                this.sqlModule = null;
+            });
+        }
+
+        return this.sqlModule;
+    }
+
+    /**
+     * Get names of all tables in the database
+     * @param {Object} db - sql.js Database
+     * @returns {string[]} Table names
+     */
+    getTableNames(db) {
+        const result = db.exec("SELECT name FROM sqlite_master WHERE type = 'table'");
+        return result.length > 0 ? result[0].values.map(row => row[0]) : [];
+    }
+
+    /**
+     * Find the first table matching one of the candidate names (case-insensitive)
+     * @param {string[]} tables - Existing table names
+     * @param {string[]} candidates - Accepted table names in order of preference
+     * @returns {string|null} Matching table name
+     */
+    findTable(tables, candidates) {
+        for (const candidate of candidates) {
+            const match = tables.find(t => t.toLowerCase() === candidate);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    /**
+     * Map standardized fields to the actual column names of a table
+     * @param {Object} db - sql.js Database
+     * @param {string} table - Table name
+     * @param {Object} aliases - { field: [accepted column names] }
+     * @returns {Object} { field: column name } for the columns that exist
+     */
+    resolveColumns(db, table, aliases) {
+        const result = db.exec(`PRAGMA table_info(${this.quoteIdentifier(table)})`);
+        const columns = result.length > 0 ? result[0].values.map(row => row[1]) : [];
+
+        const resolved = {};
+        Object.keys(aliases).forEach(field => {
+            const column = columns.find(c => aliases[field].includes(c.toLowerCase()));
+            if (column) resolved[field] = column;
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Read nodes from the node table, applying the current filters
+     * @param {Object} db - sql.js Database
+     * @param {string} table - Node table name
+     * @returns {Array<Object|null>} Nodes in standardized format, null for rows without coordinates
+     */
+    readNodes(db, table) {
+        const columns = this.resolveColumns(db, table, SQLiteParser.NODE_COLUMNS);
+
+        if (!columns.x || !columns.y) {
+            throw new Error(`Table "${table}" must have x/y coordinate columns (e.g. px, py)`);
+        }
+
+        const conditions = [];
+        const params = [];
+
+        ['site', 'floor', 'type'].forEach(field => {
+            if (!this.filters[field]) return;
+            if (!columns[field]) {
+                throw new Error(`Cannot filter by ${field}: table "${table}" has no ${field} column`);
+            }
+            conditions.push(`${this.quoteIdentifier(columns[field])} = ?`);
+            params.push(this.filters[field]);
+        });
+
+        if (this.filters.custom) {
+            if (this.filters.custom.includes(';')) {
+                throw new Error('Custom filter must be a single WHERE expression');
+            }
+            conditions.push(`(${this.filters.custom})`);
+        }
+
+        const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+        const sql = `SELECT * FROM ${this.quoteIdentifier(table)}${where}`;
+
+        let rows;
+        try {
+            rows = this.queryRows(db, sql, params);
+        } catch (error) {
+            if (this.filters.custom) {
+                throw new Error(`Invalid filter "${this.filters.custom}": ${error.message}`);
+            }
+            throw error;
+        }
+
+        return rows.map((row, index) => this.parseNodeFromRow(columns, row, index));
+    }
+
+    /**
+     * Read paths from the edge table
+     * @param {Object} db - sql.js Database
+     * @param {string} table - Edge table name
+     * @returns {Array<Object|null>} Paths in standardized format, null for rows without from/to
+     */
+    readPaths(db, table) {
+        const columns = this.resolveColumns(db, table, SQLiteParser.PATH_COLUMNS);
+
+        if (!columns.from || !columns.to) {
+            throw new Error(`Table "${table}" must have from/to node columns`);
+        }
+
+        const rows = this.queryRows(db, `SELECT * FROM ${this.quoteIdentifier(table)}`, []);
+        return rows.map((row, index) => this.parsePathFromRow(columns, row, index));
+    }
+
+    /**
+     * Run a query and return rows as objects
+     * @param {Object} db - sql.js Database
+     * @param {string} sql - SQL statement
+     * @param {Array} params - Bound parameters
+     * @returns {Object[]} Rows keyed by column name
+     */
+    queryRows(db, sql, params) {
+        const stmt = db.prepare(sql);
+        const rows = [];
+        try {
+            stmt.bind(params);
+            while (stmt.step()) {
+                rows.push(stmt.getAsObject());
+            }
+        } finally {
+            stmt.free();
+        }
+        return rows;
+    }
+
+    /**
+     * Parse node data from a table row
+     * @param {Object} columns - Resolved column names
+     * @param {Object} row - Row values
+     * @param {number} index - Row index (used when there is no id column)
+     * @returns {Object|null} Node object, null if a coordinate is missing
+     */
+    parseNodeFromRow(columns, row, index) {
+        const value = field => columns[field] !== undefined ? row[columns[field]] : null;
+
+        const x = this.parseNumber(value('x'));
+        const y = this.parseNumber(value('y'));
+        if (x === null || y === null) return null;
+
+        const id = value('id') !== null ? String(value('id')) : `node_${index + 1}`;
+        const surveyType = value('type') !== null ? String(value('type')) : '';
+        const type = this.mapNodeType(surveyType);
+
+        const notes = [];
+        if (value('notes')) notes.push(String(value('notes')));
+        if (surveyType && type === 'other') notes.push(`Survey type: ${surveyType}`);
+
+        return {
+            id: id,
+            name: value('name') ? String(value('name')) : id,
+            x: x,
+            y: y,
+            type: type,
+            maxRobots: parseInt(value('maxRobots')) || 1,
+            parkingSpot: this.parseBoolean(value('parkingSpot')),
+            noWaiting: this.parseBoolean(value('noWaiting')),
+            level: value('floor') !== null ? String(value('floor')) : null,
+            notes: notes.join('\n'),
+            metadata: { coordinateType: 'world' }
+        };
+    }
+
+    /**
+     * Parse path data from a table row
+     * @param {Object} columns - Resolved column names
+     * @param {Object} row - Row values
+     * @param {number} index - Row index (used when there is no id column)
+     * @returns {Object|null} Path object, null if from or to is missing
+     */
+    parsePathFromRow(columns, row, index) {
+        const value = field => columns[field] !== undefined ? row[columns[field]] : null;
+        const number = field => this.parseNumber(value(field));
+
+        if (value('from') === null || value('to') === null) return null;
+
+        const path = {
+            id: value('id') !== null ? String(value('id')) : `path_${index + 1}`,
+            name: value('name') ? String(value('name')) : '',
+            from: String(value('from')),
+            to: String(value('to')),
+            bidirectional: this.parseBoolean(value('bidirectional')),
+            speedLimit: number('speedLimit'),
+            width: number('width'),
+            connector: value('connector') ? String(value('connector')) : null,
+            ...PathGeometry.parse(value('geometry'))
+        };
+
+        if (PathGeometry.hasGeometry(path)) {
+            path.metadata = { coordinateType: 'world' };
+        }
+
+        return path;
+    }
+
+    /**
+     * Map a survey type to a Fleet Graph Wizard node type
+     * @param {string} surveyType - Type value from the database
+     * @returns {string} Node type
+     */
+    mapNodeType(surveyType) {
+        const lower = surveyType.trim().toLowerCase();
+        if (!lower) return 'normal';
+        return SQLiteParser.TYPE_ALIASES[lower] || 'other';
+    }
+
+    /**
+     * Parse a number from a SQLite value (REAL, INTEGER or TEXT)
+     * @param {*} value - Column value
+     * @returns {number|null} Number, null for NULL or non-numeric values
+     */
+    parseNumber(value) {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Parse boolean value from a SQLite value (INTEGER 0/1 or TEXT)
+     * @param {*} value - Column value
+     * @returns {boolean} Boolean value
+     */
+    parseBoolean(value) {
+        if (value === null || value === undefined) return false;
+        const lower = String(value).toLowerCase();
+        return lower === 'true' || lower === '1' || lower === 'yes' || lower === 'y';
+    }
+
+    /**
+     * Quote an SQL identifier
+     * @param {string} name - Table or column name
+     * @returns {string} Quoted identifier
+     */
+    quoteIdentifier(name) {
+        return `"${String(name).replace(/"/g, '""')}"`;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SQLiteParser;
+}
@@ -37,6 +37,22 @@ function initializeParsers() {
         parsers.push(new SQLiteParser());
     }
 
+    if (typeof RMFParser !== 'undefined') {
+        parsers.push(new RMFParser());
+    }
+
+    if (typeof LIFParser !== 'undefined') {
+        parsers.push(new LIFParser());
+    }
+
+    if (typeof GeoJSONParser !== 'undefined') {
+        parsers.push(new GeoJSONParser());
+    }
+
+    if (typeof GraphMLParser !== 'undefined') {
+        parsers.push(new GraphMLParser());
+    }
+
     // Add your custom parsers here
     // Example:
     // if (typeof MyCustomParser !== 'undefined') {
@@ -0,0 +1,340 @@
+/**
+ * AutoRouter - Finds obstacle-free routes on the occupancy grid
+ *
+ * Responsibilities:
+ * - Distance transform of the map (distance of every cell to the nearest
+ *   occupied or unknown cell)
+ * - A* search through cells that keep the robot footprint clear of obstacles
+ * - Line-of-sight smoothing of the raw cell path into a short polyline
+ *
+ * All coordinates are canvas pixels; the footprint radius is given in pixels.
+ */
+class AutoRouter {
+    /**
+     * @param {OccupancyGrid} occupancyGrid - Map occupancy
+     */
+    constructor(occupancyGrid) {
+        this.grid = occupancyGrid;
+        this.distances = null;   // Lazily computed distance transform
+    }
+
+    /**
+     * Find a route between two points
+     * @param {Object} start - Start point {x, y}
+     * @param {Object} goal - Goal point {x, y}
+     * @param {number} radius - Robot footprint radius in pixels
+     * @returns {Object[]|null} Intermediate waypoints [{x, y}] (empty for a straight route), or null if unreachable
+     */
+    route(start, goal, radius) {
+        const { width, height } = this.grid;
+        const startCell = this.toCell(start);
+        const goalCell = this.toCell(goal);
+        if (startCell === null || goalCell === null) return null;
+
+        const distances = this.getDistances();
+        if (distances[startCell] === 0 || distances[goalCell] === 0) return null;
+
+        // A straight line is the best route when it is clear
+        if (this.isSegmentClear(start, goal, radius, start, goal)) {
+            return [];
+        }
+
+        const cellPath = this.search(startCell, goalCell, this.getClearCells(radius, start, goal));
+        if (!cellPath) return null;
+
+        const points = cellPath.map(cell => ({
+            x: (cell % width) + 0.5,
+            y: Math.floor(cell / width) + 0.5
+        }));
+        points[0] = { x: start.x, y: start.y };
+        points[points.length - 1] = { x: goal.x, y: goal.y };
+
+        return this.smooth(points, radius, start, goal).slice(1, -1);
+    }
+
+    /**
+     * A* over 8-connected cells
+     * @param {number} startCell - Start cell index
+     * @param {number} goalCell - Goal cell index
+     * @param {Uint8Array} clear - 1 for cells the robot may occupy
+     * @returns {number[]|null} Cell indices from start to goal
+     */
+    search(startCell, goalCell, clear) {
+        const { width, height } = this.grid;
+        const count = width * height;
+        const gScore = new Float32Array(count).fill(Infinity);
+        const cameFrom = new Int32Array(count).fill(-1);
+        const closed = new Uint8Array(count);
+        const open = new AutoRouterHeap();
+
+        const goalX = goalCell % width;
+        const goalY = Math.floor(goalCell / width);
+        const heuristic = (cell) => {
+            const dx = Math.abs((cell % width) - goalX);
+            const dy = Math.abs(Math.floor(cell / width) - goalY);
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy); // Octile distance
+        };
+
+        const stepX = [1, -1, 0, 0, 1, 1, -1, -1];
+        const stepY = [0, 0, 1, -1, 1, -1, 1, -1];
+        const stepCost = [1, 1, 1, 1, Math.SQRT2, Math.SQRT2, Math.SQRT2, Math.SQRT2];
+
+        gScore[startCell] = 0;
+        open.push(startCell, heuristic(startCell));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goalCell) {
+                const path = [current];
+                let cell = current;
+                while (cameFrom[cell] !== -1) {
+                    cell = cameFrom[cell];
+                    path.push(cell);
+                }
+                return path.reverse();
+            }
+
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const cx = current % width;
+            const cy = Math.floor(current / width);
+
+            for (let k = 0; k < 8; k++) {
+                const nx = cx + stepX[k];
+                const ny = cy + stepY[k];
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+                const neighbor = ny * width + nx;
+                if (closed[neighbor] || !clear[neighbor]) continue;
+
+                const tentative = gScore[current] + stepCost[k];
+                if (tentative < gScore[neighbor]) {
+                    gScore[neighbor] = tentative;
+                    cameFrom[neighbor] = current;
+                    open.push(neighbor, tentative + heuristic(neighbor));
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove waypoints that have a clear line of sight past them
+     * @param {Object[]} points - Route points including start and goal
+     * @returns {Object[]} Smoothed points including start and goal
+     */
+    smooth(points, radius, start, goal) {
+        const result = [points[0]];
+        let anchor = 0;
+
+        while (anchor < points.length - 1) {
+            let next = anchor + 1;
+            for (let i = points.length - 1; i > anchor + 1; i--) {
+                if (this.isSegmentClear(points[anchor], points[i], radius, start, goal)) {
+                    next = i;
+                    break;
+                }
+            }
+            result.push(points[next]);
+            anchor = next;
+        }
+
+        return result;
+    }
+
+    /**
+     * Check that every cell along a segment keeps the footprint clear
+     */
+    isSegmentClear(from, to, radius, start, goal) {
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        const steps = Math.max(1, Math.ceil(length / 0.5));
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const x = Math.floor(from.x + (to.x - from.x) * t);
+            const y = Math.floor(from.y + (to.y - from.y) * t);
+            if (!this.isCellClear(x, y, radius, start, goal)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * A cell is clear when the footprint centered on it touches no obstacle.
+     * Near the start and goal the footprint may overlap obstacles (but not
+     * stand on one), so routes can leave and reach nodes placed close to walls.
+     */
+    isCellClear(x, y, radius, start, goal) {
+        const { width, height } = this.grid;
+        if (x < 0 || y < 0 || x >= width || y >= height) return false;
+
+        const distance = this.getDistances()[y * width + x];
+        if (distance > radius) return true;
+        if (distance === 0) return false;
+
+        return Math.hypot(x + 0.5 - start.x, y + 0.5 - start.y) <= radius ||
+            Math.hypot(x + 0.5 - goal.x, y + 0.5 - goal.y) <= radius;
+    }
+
+    /**
+     * Mark every cell that passes isCellClear
+     * @returns {Uint8Array} 1 for clear cells, 0 otherwise
+     */
+    getClearCells(radius, start, goal) {
+        const { width, height } = this.grid;
+        const distances = this.getDistances();
+        const clear = new Uint8Array(width * height);
+
+        for (let i = 0; i < clear.length; i++) {
+            clear[i] = distances[i] > radius ? 1 : 0;
+        }
+
+        // Cells near the start and goal (see isCellClear)
+        [start, goal].forEach(point => {
+            const minX = Math.max(0, Math.floor(point.x - radius));
+            const maxX = Math.min(width - 1, Math.floor(point.x + radius));
+            const minY = Math.max(0, Math.floor(point.y - radius));
+            const maxY = Math.min(height - 1, Math.floor(point.y + radius));
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    if (this.isCellClear(x, y, radius, start, goal)) clear[y * width + x] = 1;
+                }
+            }
+        });
+
+        return clear;
+    }
+
+    /**
+     * Distance (pixels) from every cell to the nearest non-free cell
+     * Two-pass chamfer transform (1 / √2 weights), computed once per grid.
+     * @returns {Float32Array} Distances, 0 for occupied and unknown cells
+     */
+    getDistances() {
+        if (this.distances) return this.distances;
+
+        const { width, height } = this.grid;
+        const distances = new Float32Array(width * height);
+
+        for (let i = 0; i < distances.length; i++) {
+            distances[i] = this.grid.data[i] === OccupancyGrid.FREE ? Infinity : 0;
+        }
+
+        const diagonal = Math.SQRT2;
+
+        // Forward pass (top-left to bottom-right): left, up-left, up, up-right
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                let d = distances[index];
+                if (d === 0) continue;
+                if (x > 0) d = Math.min(d, distances[index - 1] + 1);
+                if (y > 0) {
+                    const up = index - width;
+                    d = Math.min(d, distances[up] + 1);
+                    if (x > 0) d = Math.min(d, distances[up - 1] + diagonal);
+                    if (x < width - 1) d = Math.min(d, distances[up + 1] + diagonal);
+                }
+                distances[index] = d;
+            }
+        }
+
+        // Backward pass (bottom-right to top-left): right, down-right, down, down-left
+        for (let y = height - 1; y >= 0; y--) {
+            for (let x = width - 1; x >= 0; x--) {
+                const index = y * width + x;
+                let d = distances[index];
+                if (d === 0) continue;
+                if (x < width - 1) d = Math.min(d, distances[index + 1] + 1);
+                if (y < height - 1) {
+                    const down = index + width;
+                    d = Math.min(d, distances[down] + 1);
+                    if (x < width - 1) d = Math.min(d, distances[down + 1] + diagonal);
+                    if (x > 0) d = Math.min(d, distances[down - 1] + diagonal);
+                }
+                distances[index] = d;
+            }
+        }
+
+        this.distances = distances;
+        return distances;
+    }
+
+    /**
+     * Convert a point to a cell index
+     * @returns {number|null} Cell index or null outside the grid
+     */
+    toCell(point) {
+        const x = Math.floor(point.x);
+        const y = Math.floor(point.y);
+        if (x < 0 || y < 0 || x >= this.grid.width || y >= this.grid.height) return null;
+        return y * this.grid.width + x;
+    }
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority (A* open set)
+ */
+class AutoRouterHeap {
+    constructor(capacity = 1024) {
+        this.cells = new Int32Array(capacity);
+        this.priorities = new Float64Array(capacity);
+        this.size = 0;
+    }
+
+    push(cell, priority) {
+        if (this.size === this.cells.length) {
+            this.grow();
+        }
+
+        let i = this.size++;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.cells[i] = this.cells[parent];
+            this.priorities[i] = this.priorities[parent];
+            i = parent;
+        }
+        this.cells[i] = cell;
+        this.priorities[i] = priority;
+    }
+
+    pop() {
+        const top = this.cells[0];
+        const size = --this.size;
+        if (size === 0) return top;
+
+        const cell = this.cells[size];
+        const priority = this.priorities[size];
+        let i = 0;
+
+        while (true) {
+            let child = 2 * i + 1;
+            if (child >= size) break;
+            if (child + 1 < size && this.priorities[child + 1] < this.priorities[child]) child++;
+            if (this.priorities[child] >= priority) break;
+            this.cells[i] = this.cells[child];
+            this.priorities[i] = this.priorities[child];
+            i = child;
+        }
+        this.cells[i] = cell;
+        this.priorities[i] = priority;
+
+        return top;
+    }
+
+    grow() {
+        const cells = new Int32Array(this.cells.length * 2);
+        const priorities = new Float64Array(this.priorities.length * 2);
+        cells.set(this.cells);
+        priorities.set(this.priorities);
+        this.cells = cells;
+        this.priorities = priorities;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoRouter;
+}
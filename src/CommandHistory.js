@@ -0,0 +1,412 @@
+/**
+ * CommandHistory - Undo/redo as a log of typed commands
+ *
+ * Every undo step stores only what an edit changed:
+ *
+ *   { type: 'add',    collection, id, item, index }    // item inserted at index
+ *   { type: 'delete', collection, id, item, index }    // item removed from index
+ *   { type: 'update', collection, id, index, before, after }  // touched fields only
+ *   { type: 'move',   collection, id, index, before, after }  // update of a node's x/y only
+ *   { type: 'set',    field, before, after }           // graph field, e.g. nodeCounter
+ *   { type: 'level',  action, ... }                    // level added, removed, renamed, shown or given a map
+ *   { type: 'compound', commands: [...] }               // several changes, one step
+ *
+ *   step = { label, command }
+ *
+ * `collection` is one of COLLECTIONS; items are found at their index, or by
+ * their `id` if the index no longer holds them. Level commands are applied by
+ * the graph itself (graph.applyLevelCommand), since levels carry their map.
+ *
+ * Edits build their commands with the factories below while they change the
+ * graph (add() after inserting, remove() before removing, capture() before
+ * and update() after changing fields) and record them with push().
+ *
+ * Responsibilities:
+ * - Command factories and applying commands in place to the live graph
+ * - Undo, redo and jumping to a step
+ * - Step list for the history panel, (de)serialization for sessions
+ */
+class CommandHistory {
+    static COLLECTIONS = ['nodes', 'paths', 'zones', 'robotClasses'];
+    static MOVE_FIELDS = ['x', 'y'];
+    static ITEM_NAMES = { nodes: 'node', paths: 'path', zones: 'zone', robotClasses: 'robot class' };
+
+    /**
+     * @param {number} maxSteps - Oldest steps are dropped beyond this
+     */
+    constructor(maxSteps = 500) {
+        this.maxSteps = maxSteps;
+        this.steps = [];
+        this.index = 0;         // Number of applied steps; steps[index - 1] is the last one
+        this.savedIndex = 0;    // index when the graph was last saved; -1 once that state is gone
+    }
+
+    /**
+     * Start a new, empty history
+     */
+    reset() {
+        this.steps = [];
+        this.index = 0;
+        this.savedIndex = 0;
+    }
+
+    /**
+     * Remember the current step as the saved state of the graph
+     */
+    markSaved() {
+        this.savedIndex = this.index;
+    }
+
+    /**
+     * @returns {boolean} True if undo/redo led back to the saved state
+     */
+    isSaved() {
+        return this.index === this.savedIndex;
+    }
+
+    /**
+     * Record an edit's commands as a new step
+     * Steps that were undone are dropped.
+     * @param {string|null} label - Step name (default: described from the commands)
+     * @param {Array<Object|null>} commands - Commands in the order they were applied; null entries are skipped
+     * @returns {Object|null} The step, null without commands
+     */
+    push(label, commands) {
+        const parts = commands.filter(Boolean);
+        if (parts.length === 0) return null;
+
+        const command = parts.length === 1 ? parts[0] : { type: 'compound', commands: parts };
+        const step = { label: label || CommandHistory.describe(command), command: command };
+        if (this.savedIndex > this.index) this.savedIndex = -1;
+        this.steps = this.steps.slice(0, this.index);
+        this.steps.push(step);
+        if (this.steps.length > this.maxSteps) {
+            this.steps.shift();
+            if (this.savedIndex >= 0) this.savedIndex--;
+        }
+        this.index = this.steps.length;
+        return step;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.steps.length;
+    }
+
+    /**
+     * Revert the last step
+     * @param {Object} graph - Live graph
+     * @returns {Object|null} The reverted step
+     */
+    undo(graph) {
+        if (!this.canUndo()) return null;
+
+        const step = this.steps[--this.index];
+        CommandHistory.apply(graph, step.command, false);
+        return step;
+    }
+
+    /**
+     * Apply the next undone step again
+     * @param {Object} graph - Live graph
+     * @returns {Object|null} The applied step
+     */
+    redo(graph) {
+        if (!this.canRedo()) return null;
+
+        const step = this.steps[this.index++];
+        CommandHistory.apply(graph, step.command, true);
+        return step;
+    }
+
+    /**
+     * Undo or redo until a number of steps is applied
+     * @param {Object} graph - Live graph
+     * @param {number} index - 0 = before the first step
+     * @returns {number} Number of undone (negative) or redone steps
+     */
+    jumpTo(graph, index) {
+        const target = Math.max(0, Math.min(index, this.steps.length));
+        const start = this.index;
+        while (this.index > target) this.undo(graph);
+        while (this.index < target) this.redo(graph);
+        return target - start;
+    }
+
+    /**
+     * Steps for the history panel, oldest first
+     * @returns {Object[]} { label, summary, applied }
+     */
+    getSteps() {
+        return this.steps.map((step, index) => ({
+            label: step.label,
+            summary: CommandHistory.summarize(step.command),
+            applied: index < this.index
+        }));
+    }
+
+    /**
+     * Levels and map images that level commands of any step refer to
+     * @returns {Object} { levelIds, imageIds } (Sets)
+     */
+    getLevelReferences() {
+        const references = { levelIds: new Set(), imageIds: new Set() };
+        const collect = command => {
+            if (command.type === 'compound') command.commands.forEach(collect);
+            if (command.type !== 'level') return;
+            if (command.id) references.levelIds.add(command.id);
+            [command.before?.imageId, command.after?.imageId].forEach(id => {
+                if (id) references.imageIds.add(id);
+            });
+        };
+        this.steps.forEach(step => collect(step.command));
+        return references;
+    }
+
+    /**
+     * @returns {Object} { steps, index, savedIndex } for sessions
+     */
+    toJSON() {
+        return { steps: this.steps, index: this.index, savedIndex: this.savedIndex };
+    }
+
+    /**
+     * Continue a saved history; the graph must be in the state the history was saved in
+     * Anything else (e.g. a missing history) starts a new one.
+     * @param {Object} saved - { steps, index, savedIndex } from toJSON()
+     */
+    load(saved) {
+        this.reset();
+        if (saved && Array.isArray(saved.steps)) {
+            this.steps = saved.steps.slice(-this.maxSteps);
+            this.index = Math.max(0, Math.min(saved.index ?? this.steps.length, this.steps.length));
+            // Histories saved without it cannot tell where the saved state was
+            const savedIndex = saved.savedIndex ?? -1;
+            this.savedIndex = savedIndex >= 0 && savedIndex <= this.steps.length ? savedIndex : -1;
+        }
+    }
+
+    // === COMMANDS ===
+
+    /**
+     * Command for an item that was just inserted
+     * @param {Object} graph - Live graph
+     * @param {string} collection - Collection name
+     * @param {Object} item - Inserted item
+     * @param {number} index - Its index, if known
+     * @returns {Object} Command
+     */
+    static add(graph, collection, item, index = graph[collection].indexOf(item)) {
+        return { type: 'add', collection: collection, id: item.id, item: CommandHistory.clone(item), index: index };
+    }
+
+    /**
+     * Command for an item that is about to be removed
+     * Commands for several items of a collection must go from the last index
+     * to the first, so that undo inserts them back at the right places.
+     * @param {Object} graph - Live graph
+     * @param {string} collection - Collection name
+     * @param {Object} item - Item, still in the collection
+     * @param {number} index - Its index, if known
+     * @returns {Object} Command
+     */
+    static remove(graph, collection, item, index = graph[collection].indexOf(item)) {
+        return { type: 'delete', collection: collection, id: item.id, item: CommandHistory.clone(item), index: index };
+    }
+
+    /**
+     * Copy the fields an edit is about to change
+     * @param {Object} item - Item
+     * @param {string[]} fields - Fields the edit may change
+     * @returns {Object} Field -> value (undefined = missing)
+     */
+    static capture(item, fields) {
+        const values = {};
+        fields.forEach(field => {
+            values[field] = CommandHistory.clone(item[field]);
+        });
+        return values;
+    }
+
+    /**
+     * Command for the fields of an item an edit changed
+     * @param {Object} graph - Live graph
+     * @param {string} collection - Collection name
+     * @param {Object} item - Changed item
+     * @param {Object} before - Values from capture() before the change
+     * @returns {Object|null} 'update' command ('move' if only a node's x/y changed), null without changes
+     */
+    static update(graph, collection, item, before) {
+        const change = { before: {}, after: {} };
+        Object.keys(before).forEach(field => {
+            if (CommandHistory.equal(before[field], item[field])) return;
+            change.before[field] = before[field];
+            change.after[field] = CommandHistory.clone(item[field]);
+        });
+
+        const fields = Object.keys(change.after);
+        if (fields.length === 0) return null;
+
+        const moveOnly = collection === 'nodes' && fields.every(field => CommandHistory.MOVE_FIELDS.includes(field));
+        return {
+            type: moveOnly ? 'move' : 'update',
+            collection: collection,
+            id: item.id,
+            index: graph[collection].indexOf(item),
+            ...change
+        };
+    }
+
+    /**
+     * Command for a graph field that was replaced (e.g. nodeCounter)
+     * @param {string} field - Field name
+     * @param {*} before - Old value
+     * @param {*} after - New value
+     * @returns {Object|null} Command, null if the value is unchanged
+     */
+    static set(field, before, after) {
+        if (CommandHistory.equal(before, after)) return null;
+        return { type: 'set', field: field, before: CommandHistory.clone(before), after: CommandHistory.clone(after) };
+    }
+
+    /**
+     * Apply a command to a graph, or revert it
+     * @param {Object} graph - Graph, changed in place
+     * @param {Object} command - Command
+     * @param {boolean} forward - True to apply, false to revert
+     */
+    static apply(graph, command, forward) {
+        const items = graph[command.collection];
+
+        switch (command.type) {
+            case 'compound': {
+                const commands = forward ? command.commands : [...command.commands].reverse();
+                commands.forEach(part => CommandHistory.apply(graph, part, forward));
+                break;
+            }
+            case 'add':
+            case 'delete':
+                if ((command.type === 'add') === forward) {
+                    items.splice(Math.max(0, Math.min(command.index, items.length)), 0, CommandHistory.clone(command.item));
+                } else {
+                    const index = CommandHistory.findIndex(items, command);
+                    if (index >= 0) items.splice(index, 1);
+                }
+                break;
+            case 'update':
+            case 'move': {
+                const item = items[CommandHistory.findIndex(items, command)];
+                if (!item) break;
+
+                // Sessions drop undefined values, so a field missing on one side was missing on the item
+                const values = forward ? command.after : command.before;
+                new Set([...Object.keys(command.before), ...Object.keys(command.after)]).forEach(field => {
+                    if (values[field] === undefined) {
+                        delete item[field];
+                    } else {
+                        item[field] = CommandHistory.clone(values[field]);
+                    }
+                });
+                break;
+            }
+            case 'set':
+                graph[command.field] = CommandHistory.clone(forward ? command.after : command.before);
+                break;
+            case 'level':
+                graph.applyLevelCommand(command, forward);
+                break;
+        }
+    }
+
+    // === DESCRIPTIONS ===
+
+    /**
+     * Default step name, e.g. "Add node", "Move 3 nodes", "Edit 2 items"
+     * @param {Object} command - Command
+     * @returns {string} Name
+     */
+    static describe(command) {
+        const parts = (command.type === 'compound' ? command.commands : [command]).filter(part => part.type !== 'set' && part.type !== 'level');
+        if (parts.length === 0) return 'Edit';
+
+        const verbs = { add: 'Add', delete: 'Delete', update: 'Edit', move: 'Move' };
+        const types = new Set(parts.map(part => part.type));
+        const collections = new Set(parts.map(part => part.collection));
+        const verb = types.size === 1 ? verbs[parts[0].type] : 'Edit';
+        const noun = collections.size === 1 ? CommandHistory.ITEM_NAMES[parts[0].collection] : 'item';
+
+        if (parts.length === 1) return `${verb} ${noun}`;
+        return `${verb} ${parts.length} ${noun === 'robot class' ? 'robot classes' : noun + 's'}`;
+    }
+
+    /**
+     * Count of changes in a command, e.g. "2 added, 1 changed"
+     * @param {Object} command - Command
+     * @returns {string} Summary
+     */
+    static summarize(command) {
+        const parts = command.type === 'compound' ? command.commands : [command];
+        const counts = { add: 0, delete: 0, update: 0, move: 0 };
+        parts.forEach(part => {
+            if (part.type in counts) counts[part.type]++;
+            // A replaced collection (e.g. the robot fleet) counts, counters do not
+            if (part.type === 'set' && CommandHistory.COLLECTIONS.includes(part.field)) counts.update++;
+            // Levels count like items, showing another level does not
+            if (part.type === 'level' && part.action !== 'show') {
+                counts[{ add: 'add', remove: 'delete', rename: 'update', map: 'update' }[part.action]]++;
+            }
+        });
+
+        return [
+            [counts.add, 'added'],
+            [counts.delete, 'deleted'],
+            [counts.move, 'moved'],
+            [counts.update, 'changed']
+        ].filter(([count]) => count > 0).map(([count, text]) => `${count} ${text}`).join(', ');
+    }
+
+    // === HELPERS ===
+
+    /**
+     * Position of a command's item: its recorded index if that still holds
+     * the item, otherwise the first item with its id
+     * @param {Object[]} items - Collection
+     * @param {Object} command - Command with id and index
+     * @returns {number} Index, -1 if missing
+     */
+    static findIndex(items, command) {
+        if (items[command.index]?.id === command.id) return command.index;
+        return items.findIndex(item => item.id === command.id);
+    }
+
+    static clone(value) {
+        return value === undefined || value === null || typeof value !== 'object'
+            ? value
+            : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Compare two field values by content
+     * @param {*} a - Value
+     * @param {*} b - Value
+     * @returns {boolean} True if equal
+     */
+    static equal(a, b) {
+        if (Object.is(a, b)) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+        const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+        return keysA.length === keysB.length &&
+            keysA.every(key => CommandHistory.equal(a[key], b[key]));
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandHistory;
+}
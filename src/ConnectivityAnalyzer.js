@@ -0,0 +1,210 @@
+/**
+ * ConnectivityAnalyzer - Strongly connected components of the graph
+ *
+ * Responsibilities:
+ * - Directed adjacency of the graph (bidirectional paths count both ways)
+ * - Strongly connected components (Tarjan)
+ * - Source and sink components of the condensation: groups robots can never
+ *   enter again, or never leave
+ * - Suggested paths that make the whole graph strongly connected
+ */
+class ConnectivityAnalyzer {
+    /**
+     * @param {Object[]} nodes - Graph nodes
+     * @param {Object[]} paths - Graph paths
+     */
+    constructor(nodes, paths) {
+        this.nodes = nodes;
+        this.edges = new Map(nodes.map(node => [node.id, []]));
+
+        paths.forEach(path => {
+            if (!this.edges.has(path.from) || !this.edges.has(path.to)) return;
+
+            this.edges.get(path.from).push(path.to);
+            if (path.bidirectional) {
+                this.edges.get(path.to).push(path.from);
+            }
+        });
+    }
+
+    /**
+     * Analyze the graph
+     * Components are sorted by size (largest first), their nodes in graph
+     * order. A component without incoming paths from other components is a
+     * source, one without outgoing paths a sink; an isolated component is both.
+     * @returns {Object} { components: string[][], componentOf: Map<string, number>, sources: number[], sinks: number[], suggestions: [{ from, to }] }
+     */
+    analyze() {
+        const order = new Map(this.nodes.map((node, i) => [node.id, i]));
+        const components = this.findComponents()
+            .map(ids => ids.sort((a, b) => order.get(a) - order.get(b)))
+            .sort((a, b) => b.length - a.length);
+        const componentOf = new Map();
+        components.forEach((ids, index) => ids.forEach(id => componentOf.set(id, index)));
+
+        // Condensation: edges between components
+        const successors = components.map(() => new Set());
+        const hasIncoming = components.map(() => false);
+        this.edges.forEach((targets, id) => {
+            const from = componentOf.get(id);
+            targets.forEach(target => {
+                const to = componentOf.get(target);
+                if (from !== to) {
+                    successors[from].add(to);
+                    hasIncoming[to] = true;
+                }
+            });
+        });
+
+        const sources = components.map((_, index) => index).filter(index => !hasIncoming[index]);
+        const sinks = components.map((_, index) => index).filter(index => successors[index].size === 0);
+
+        return {
+            components,
+            componentOf,
+            sources,
+            sinks,
+            suggestions: components.length > 1 ? this.suggestEdges(components, successors, sources, sinks) : []
+        };
+    }
+
+    /**
+     * Find strongly connected components (iterative Tarjan)
+     * @returns {string[][]} Node IDs per component
+     */
+    findComponents() {
+        const index = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let counter = 0;
+
+        this.nodes.forEach(root => {
+            if (index.has(root.id)) return;
+
+            // Explicit call stack of [nodeId, next edge position]
+            const work = [[root.id, 0]];
+            index.set(root.id, counter);
+            lowLink.set(root.id, counter++);
+            stack.push(root.id);
+            onStack.add(root.id);
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const [id, position] = frame;
+                const targets = this.edges.get(id);
+
+                if (position < targets.length) {
+                    frame[1]++;
+                    const target = targets[position];
+                    if (!index.has(target)) {
+                        index.set(target, counter);
+                        lowLink.set(target, counter++);
+                        stack.push(target);
+                        onStack.add(target);
+                        work.push([target, 0]);
+                    } else if (onStack.has(target)) {
+                        lowLink.set(id, Math.min(lowLink.get(id), index.get(target)));
+                    }
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1][0];
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(id)));
+                }
+
+                if (lowLink.get(id) === index.get(id)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== id);
+                    components.push(component);
+                }
+            }
+        });
+
+        return components;
+    }
+
+    /**
+     * Suggest paths that make the graph strongly connected
+     *
+     * Each source is paired with a sink it reaches (preferring sinks not yet
+     * paired), and the pairs are linked into one cycle: sink of pair i → source
+     * of pair i + 1. Every component lies between some source and sink, so it
+     * joins the cycle; the remaining sinks get a path back to the first source.
+     * Each suggestion connects the closest two nodes of its components.
+     *
+     * @returns {Object[]} Suggested paths { from, to } (node IDs)
+     */
+    suggestEdges(components, successors, sources, sinks) {
+        const sinkSet = new Set(sinks);
+        const paired = new Set();
+
+        const reachableSinks = (start) => {
+            const found = [];
+            const seen = new Set([start]);
+            const queue = [start];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                if (sinkSet.has(current)) found.push(current);
+                successors[current].forEach(next => {
+                    if (!seen.has(next)) {
+                        seen.add(next);
+                        queue.push(next);
+                    }
+                });
+            }
+            return found;
+        };
+
+        const pairs = sources.map(source => {
+            const reachable = reachableSinks(source);
+            const sink = reachable.find(candidate => !paired.has(candidate)) ?? reachable[0];
+            paired.add(sink);
+            return { source, sink };
+        });
+
+        const links = pairs.map((pair, i) => [pair.sink, pairs[(i + 1) % pairs.length].source]);
+        sinks.filter(sink => !paired.has(sink)).forEach(sink => links.push([sink, pairs[0].source]));
+
+        return links
+            .filter(([from, to]) => from !== to)
+            .map(([from, to]) => this.closestPair(components[from], components[to]));
+    }
+
+    /**
+     * Find the closest two nodes of two components
+     * @param {string[]} fromIds - Node IDs of the first component
+     * @param {string[]} toIds - Node IDs of the second component
+     * @returns {Object} { from, to } node IDs
+     */
+    closestPair(fromIds, toIds) {
+        const byId = new Map(this.nodes.map(node => [node.id, node]));
+        let best = null;
+
+        fromIds.forEach(fromId => {
+            const a = byId.get(fromId);
+            toIds.forEach(toId => {
+                const b = byId.get(toId);
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                if (!best || distance < best.distance) {
+                    best = { from: fromId, to: toId, distance };
+                }
+            });
+        });
+
+        return { from: best.from, to: best.to };
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConnectivityAnalyzer;
+}
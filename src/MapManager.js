@@ -33,7 +33,7 @@ class MapManager {
             const ext = file.name.split('.').pop().toLowerCase();
             if (ext === 'yaml' || ext === 'yml') {
                 yamlFile = file;
-            } else if (ext === 'pgm' || ext === 'png' || ext === 'jpg' || ext === 'jpeg') {
+            } else if (['pgm', 'png', 'jpg', 'jpeg', 'bmp', 'gif'].includes(ext)) {
                 imageFile = file;
             }
         }
@@ -52,7 +52,8 @@ class MapManager {
             // Check if YAML specifies an image file
             let expectedImageName = null;
             if (this.mapYaml.image) {
-                expectedImageName = this.mapYaml.image;
+                // The YAML may reference the image by a relative or absolute path
+                expectedImageName = String(this.mapYaml.image).split(/[\\/]/).pop();
                 console.log('YAML expects image:', expectedImageName);
 
                 // If no image was selected but YAML specifies one, prompt user
@@ -82,7 +83,7 @@ class MapManager {
                 this.saveToRecentFiles(yamlFile.name, this.mapYaml);
                 return { success: true, message: 'Map loaded successfully' };
             } else {
-                alert('Please select an image file (PNG or PGM)');
+                alert('Please select an image file (PGM, PNG, JPG, BMP or GIF)');
                 return { success: false, message: 'No image file selected' };
             }
 
@@ -0,0 +1,256 @@
+/**
+ * OccupancyGrid - Occupancy values of a map image, as computed by map_server
+ *
+ * Responsibilities:
+ * - Convert map image pixels to occupancy using the map YAML
+ *   (mode, negate, free_thresh, occupied_thresh)
+ * - Look up occupancy by canvas pixel
+ * - Find obstacles under a segment with a given width
+ * - Render occupancy with configurable free/occupied/unknown colors
+ *
+ * Values follow nav_msgs/OccupancyGrid: 0 = free, 100 = occupied,
+ * -1 = unknown, 1-99 = partially occupied ("scale" and "raw" modes).
+ */
+class OccupancyGrid {
+    static FREE = 0;
+    static OCCUPIED = 100;
+    static UNKNOWN = -1;
+
+    /**
+     * map_server defaults for YAML keys that may be missing
+     */
+    static DEFAULTS = {
+        mode: 'trinary',
+        negate: 0,
+        free_thresh: 0.25,
+        occupied_thresh: 0.65
+    };
+
+    /**
+     * @param {number} width - Grid width in pixels
+     * @param {number} height - Grid height in pixels
+     * @param {Int8Array} data - Row-major occupancy values (row 0 = top of the image)
+     * @param {string} mode - Interpretation mode the values were computed with
+     */
+    constructor(width, height, data, mode = OccupancyGrid.DEFAULTS.mode) {
+        this.width = width;
+        this.height = height;
+        this.data = data;
+        this.mode = mode;
+    }
+
+    /**
+     * Build an occupancy grid from image pixels
+     *
+     * Mirrors nav2_map_server: shade is the pixel brightness (0-1), occupancy
+     * probability is 1 - shade (or shade when negate is set).
+     * - trinary: occupied above occupied_thresh, free below free_thresh, otherwise unknown
+     * - scale:   like trinary, but values in between are scaled to 0-100 and
+     *            transparent pixels are unknown
+     * - raw:     shade * 255 is used as the value directly; values above 100 are unknown
+     *
+     * @param {ImageData} imageData - RGBA pixels of the map image
+     * @param {Object} mapYaml - Map metadata
+     * @returns {OccupancyGrid} Occupancy grid
+     */
+    static fromImageData(imageData, mapYaml) {
+        const params = { ...OccupancyGrid.DEFAULTS, ...OccupancyGrid.pickParams(mapYaml) };
+        const mode = String(params.mode).toLowerCase();
+        const negate = Boolean(Number(params.negate));
+        const freeThresh = Number(params.free_thresh);
+        const occupiedThresh = Number(params.occupied_thresh);
+
+        if (!['trinary', 'scale', 'raw'].includes(mode)) {
+            throw new Error(`Unsupported map mode "${params.mode}" (expected trinary, scale or raw)`);
+        }
+
+        const pixels = imageData.data;
+        const count = imageData.width * imageData.height;
+        const data = new Int8Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const r = pixels[i * 4];
+            const g = pixels[i * 4 + 1];
+            const b = pixels[i * 4 + 2];
+            const alpha = pixels[i * 4 + 3];
+            const shade = (r + g + b) / 3 / 255;
+
+            if (mode === 'raw') {
+                const value = Math.round(shade * 255);
+                data[i] = value <= OccupancyGrid.OCCUPIED ? value : OccupancyGrid.UNKNOWN;
+                continue;
+            }
+
+            const occ = negate ? shade : 1 - shade;
+
+            if (mode === 'scale' && alpha < 255) {
+                data[i] = OccupancyGrid.UNKNOWN;
+            } else if (occ > occupiedThresh) {
+                data[i] = OccupancyGrid.OCCUPIED;
+            } else if (occ < freeThresh) {
+                data[i] = OccupancyGrid.FREE;
+            } else if (mode === 'scale') {
+                data[i] = Math.round((occ - freeThresh) / (occupiedThresh - freeThresh) * 100);
+            } else {
+                data[i] = OccupancyGrid.UNKNOWN;
+            }
+        }
+
+        return new OccupancyGrid(imageData.width, imageData.height, data, mode);
+    }
+
+    /**
+     * Pick the occupancy-related keys from the map YAML
+     * @param {Object|null} mapYaml - Map metadata
+     * @returns {Object} Defined mode/negate/free_thresh/occupied_thresh values
+     */
+    static pickParams(mapYaml) {
+        const params = {};
+        if (!mapYaml) return params;
+
+        Object.keys(OccupancyGrid.DEFAULTS).forEach(key => {
+            if (mapYaml[key] !== undefined && mapYaml[key] !== null) {
+                params[key] = mapYaml[key];
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Get the occupancy value at a canvas pixel
+     * @param {number} x - Canvas X coordinate
+     * @param {number} y - Canvas Y coordinate
+     * @returns {number} Occupancy value (UNKNOWN outside the map)
+     */
+    getValue(x, y) {
+        const px = Math.floor(x);
+        const py = Math.floor(y);
+        if (px < 0 || py < 0 || px >= this.width || py >= this.height) {
+            return OccupancyGrid.UNKNOWN;
+        }
+        return this.data[py * this.width + px];
+    }
+
+    /**
+     * Classify a cell for traversal checks
+     * Partially occupied cells (1-99) are as uncertain as unknown cells.
+     * @param {number} x - Canvas X coordinate
+     * @param {number} y - Canvas Y coordinate
+     * @returns {string} 'free', 'occupied' or 'unknown'
+     */
+    classify(x, y) {
+        const value = this.getValue(x, y);
+        if (value === OccupancyGrid.FREE) return 'free';
+        if (value === OccupancyGrid.OCCUPIED) return 'occupied';
+        return 'unknown';
+    }
+
+    /**
+     * Find the parts of a segment whose footprint covers occupied or unknown cells
+     *
+     * The segment is sampled every half pixel along its length and across its
+     * width (halfWidth pixels to either side of the center line).
+     *
+     * @param {number} x1 - Start X (canvas pixels)
+     * @param {number} y1 - Start Y (canvas pixels)
+     * @param {number} x2 - End X (canvas pixels)
+     * @param {number} y2 - End Y (canvas pixels)
+     * @param {number} halfWidth - Half of the footprint width in pixels (0 = center line only)
+     * @returns {Object[]} Blocked spans { start, end, occupied, unknown }, start/end as 0-1 along the segment
+     */
+    findBlockedSpans(x1, y1, x2, y2, halfWidth = 0) {
+        const step = 0.5;
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = Math.hypot(dx, dy);
+        const steps = Math.max(1, Math.ceil(length / step));
+        const normalX = length > 0 ? -dy / length : 0;
+        const normalY = length > 0 ? dx / length : 0;
+        const lateralSteps = Math.ceil(halfWidth / step);
+
+        const spans = [];
+        let current = null;
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const cx = x1 + dx * t;
+            const cy = y1 + dy * t;
+            let occupied = false;
+            let unknown = false;
+
+            for (let k = -lateralSteps; k <= lateralSteps && !occupied; k++) {
+                const offset = lateralSteps > 0 ? (halfWidth * k) / lateralSteps : 0;
+                const state = this.classify(cx + normalX * offset, cy + normalY * offset);
+                if (state === 'occupied') occupied = true;
+                else if (state === 'unknown') unknown = true;
+            }
+
+            if (occupied || unknown) {
+                if (!current) {
+                    current = { start: t, end: t, occupied: false, unknown: false };
+                    spans.push(current);
+                }
+                current.end = t;
+                current.occupied = current.occupied || occupied;
+                current.unknown = current.unknown || unknown;
+            } else {
+                current = null;
+            }
+        }
+
+        return spans;
+    }
+
+    /**
+     * Fill an ImageData with the occupancy colors
+     * Partially occupied values are blended between the free and occupied colors.
+     * @param {ImageData} imageData - Target pixels (same size as the grid)
+     * @param {Object} colors - { free, occupied, unknown } as '#rrggbb'
+     * @returns {ImageData} The filled image data
+     */
+    renderTo(imageData, colors) {
+        const free = OccupancyGrid.parseHexColor(colors.free);
+        const occupied = OccupancyGrid.parseHexColor(colors.occupied);
+        const unknown = OccupancyGrid.parseHexColor(colors.unknown);
+        const pixels = imageData.data;
+
+        for (let i = 0; i < this.data.length; i++) {
+            const value = this.data[i];
+            let color;
+
+            if (value === OccupancyGrid.UNKNOWN) {
+                color = unknown;
+            } else if (value === OccupancyGrid.FREE) {
+                color = free;
+            } else if (value === OccupancyGrid.OCCUPIED) {
+                color = occupied;
+            } else {
+                const t = value / 100;
+                color = [0, 1, 2].map(c => Math.round(free[c] + (occupied[c] - free[c]) * t));
+            }
+
+            pixels[i * 4] = color[0];
+            pixels[i * 4 + 1] = color[1];
+            pixels[i * 4 + 2] = color[2];
+            pixels[i * 4 + 3] = 255;
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Parse a '#rrggbb' color
+     * @param {string} hex - Color string
+     * @returns {number[]} [r, g, b]
+     */
+    static parseHexColor(hex) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        if (!match) return [0, 0, 0];
+        return [parseInt(match[1], 16), parseInt(match[2], 16), parseInt(match[3], 16)];
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OccupancyGrid;
+}
@@ -0,0 +1,634 @@
+/**
+ * PathGeometry - Shape of a path between its two nodes
+ *
+ * A path runs from its start node through optional intermediate waypoints to
+ * its end node. Each span between consecutive points is a segment:
+ *
+ *   path.waypoints = [{ x, y }, ...]              // in order from -> to
+ *   path.segments  = [                            // optional, one per span
+ *       { type: 'line' },
+ *       { type: 'bezier', control1: { x, y }, control2: { x, y } },
+ *       { type: 'arc', through: { x, y } }        // circular arc through a point
+ *   ]
+ *
+ * Paths without segments are straight between their points. In the editor all
+ * points are canvas coordinates; exporters convert them to world coordinates
+ * with mapPoints().
+ *
+ * Responsibilities:
+ * - Segment construction and flattening into polylines (drawing, hit-testing,
+ *   distances, occupancy checks, formats that only support straight lines)
+ * - Waypoint and control-point editing (insert, move, remove, change segment type)
+ * - Coordinate conversion and (de)serialization of the geometry
+ */
+class PathGeometry {
+    static SEGMENT_TYPES = ['line', 'bezier', 'arc'];
+
+    /**
+     * Check whether a path has anything but a straight line
+     * @param {Object} path - Path
+     * @returns {boolean} True if the path has waypoints or curved segments
+     */
+    static hasGeometry(path) {
+        return (path.waypoints?.length > 0) ||
+            (path.segments || []).some(segment => segment && segment.type !== 'line');
+    }
+
+    /**
+     * Get the segments of a path
+     * @param {Object} path - Path
+     * @param {Object} fromNode - Start node {x, y}
+     * @param {Object} toNode - End node {x, y}
+     * @returns {Object[]} Segments { type, start, end, control1?, control2?, through? }
+     */
+    static getSegments(path, fromNode, toNode) {
+        const points = [fromNode, ...(path.waypoints || []), toNode];
+        const segments = [];
+
+        for (let i = 1; i < points.length; i++) {
+            const definition = path.segments?.[i - 1];
+            const segment = { type: 'line', start: points[i - 1], end: points[i] };
+
+            if (definition?.type === 'bezier' && definition.control1 && definition.control2) {
+                segment.type = 'bezier';
+                segment.control1 = definition.control1;
+                segment.control2 = definition.control2;
+            } else if (definition?.type === 'arc' && definition.through) {
+                segment.type = 'arc';
+                segment.through = definition.through;
+            }
+
+            segments.push(segment);
+        }
+
+        return segments;
+    }
+
+    /**
+     * Flatten a path into a polyline
+     * @param {Object} path - Path
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @param {number} step - Approximate length of the straight pieces curves are split into
+     * @returns {Object[]} Points from the start node to the end node (the nodes themselves are the first and last entries)
+     */
+    static flatten(path, fromNode, toNode, step = 5) {
+        const points = [fromNode];
+
+        PathGeometry.getSegments(path, fromNode, toNode).forEach(segment => {
+            if (segment.type !== 'line') {
+                const samples = Math.min(64, Math.max(8, Math.ceil(PathGeometry.estimateLength(segment) / step)));
+                for (let i = 1; i < samples; i++) {
+                    points.push(PathGeometry.pointAt(segment, i / samples));
+                }
+            }
+            points.push(segment.end);
+        });
+
+        return points;
+    }
+
+    /**
+     * Get the point at parameter t (0-1) of a segment
+     * @param {Object} segment - Segment from getSegments()
+     * @param {number} t - Parameter
+     * @returns {Object} Point {x, y}
+     */
+    static pointAt(segment, t) {
+        const { start, end } = segment;
+
+        if (segment.type === 'bezier') {
+            const u = 1 - t;
+            const a = u * u * u;
+            const b = 3 * u * u * t;
+            const c = 3 * u * t * t;
+            const d = t * t * t;
+            return {
+                x: a * start.x + b * segment.control1.x + c * segment.control2.x + d * end.x,
+                y: a * start.y + b * segment.control1.y + c * segment.control2.y + d * end.y
+            };
+        }
+
+        if (segment.type === 'arc') {
+            const arc = PathGeometry.getArc(start, segment.through, end);
+            if (arc) {
+                const angle = arc.startAngle + arc.sweep * t;
+                return {
+                    x: arc.center.x + arc.radius * Math.cos(angle),
+                    y: arc.center.y + arc.radius * Math.sin(angle)
+                };
+            }
+        }
+
+        return {
+            x: start.x + (end.x - start.x) * t,
+            y: start.y + (end.y - start.y) * t
+        };
+    }
+
+    /**
+     * Circle arc from start through a point to end
+     * @returns {Object|null} { center, radius, startAngle, sweep } or null if the points are collinear
+     */
+    static getArc(start, through, end) {
+        const ax = start.x, ay = start.y;
+        const bx = through.x, by = through.y;
+        const cx = end.x, cy = end.y;
+
+        const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+        if (Math.abs(d) < 1e-9) return null;
+
+        const a2 = ax * ax + ay * ay;
+        const b2 = bx * bx + by * by;
+        const c2 = cx * cx + cy * cy;
+        const center = {
+            x: (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d,
+            y: (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d
+        };
+
+        const angle = point => Math.atan2(point.y - center.y, point.x - center.x);
+        const normalize = value => ((value % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+        const startAngle = angle(start);
+        const toThrough = normalize(angle(through) - startAngle);
+        const toEnd = normalize(angle(end) - startAngle);
+
+        // Go the way round that passes the through point
+        const sweep = toThrough <= toEnd ? toEnd : toEnd - 2 * Math.PI;
+
+        return {
+            center: center,
+            radius: Math.hypot(ax - center.x, ay - center.y),
+            startAngle: startAngle,
+            sweep: sweep
+        };
+    }
+
+    /**
+     * Rough length of a segment (used to choose the flattening resolution)
+     */
+    static estimateLength(segment) {
+        if (segment.type === 'bezier') {
+            return Math.hypot(segment.control1.x - segment.start.x, segment.control1.y - segment.start.y) +
+                Math.hypot(segment.control2.x - segment.control1.x, segment.control2.y - segment.control1.y) +
+                Math.hypot(segment.end.x - segment.control2.x, segment.end.y - segment.control2.y);
+        }
+        if (segment.type === 'arc') {
+            const arc = PathGeometry.getArc(segment.start, segment.through, segment.end);
+            if (arc) return Math.abs(arc.sweep) * arc.radius;
+        }
+        return Math.hypot(segment.end.x - segment.start.x, segment.end.y - segment.start.y);
+    }
+
+    /**
+     * Total length of a polyline
+     * @param {Object[]} points - Polyline points
+     * @returns {number} Length
+     */
+    static polylineLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+
+    /**
+     * Point at a given distance along a polyline
+     * @param {Object[]} points - Polyline points
+     * @param {number} distance - Distance from the first point
+     * @returns {Object} { x, y, angle } with the direction of travel in radians
+     */
+    static pointAlong(points, distance) {
+        let travelled = 0;
+
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+
+            if (travelled + length >= distance || i === points.length - 1) {
+                const t = Math.min(1, Math.max(0, (distance - travelled) / length));
+                return {
+                    x: a.x + (b.x - a.x) * t,
+                    y: a.y + (b.y - a.y) * t,
+                    angle: Math.atan2(b.y - a.y, b.x - a.x)
+                };
+            }
+            travelled += length;
+        }
+
+        const last = points[points.length - 1];
+        return { x: last.x, y: last.y, angle: 0 };
+    }
+
+    /**
+     * Find the point of a path closest to a given point
+     * @param {Object} path - Path
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @param {Object} point - Query point {x, y}
+     * @returns {Object} { segmentIndex, t, distance } (t = 0-1 along the segment)
+     */
+    static nearestOnPath(path, fromNode, toNode, point) {
+        const best = { segmentIndex: 0, t: 0, distance: Infinity };
+
+        PathGeometry.getSegments(path, fromNode, toNode).forEach((segment, index) => {
+            const samples = segment.type === 'line' ? 1 : 32;
+            let previous = segment.start;
+
+            for (let i = 1; i <= samples; i++) {
+                const current = PathGeometry.pointAt(segment, i / samples);
+                const dx = current.x - previous.x;
+                const dy = current.y - previous.y;
+                const lengthSq = dx * dx + dy * dy;
+                const u = lengthSq > 0
+                    ? Math.min(1, Math.max(0, ((point.x - previous.x) * dx + (point.y - previous.y) * dy) / lengthSq))
+                    : 0;
+                const distance = Math.hypot(previous.x + dx * u - point.x, previous.y + dy * u - point.y);
+
+                if (distance < best.distance) {
+                    best.segmentIndex = index;
+                    best.t = (i - 1 + u) / samples;
+                    best.distance = distance;
+                }
+                previous = current;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Express a path as a chain of cubic Bezier curves
+     * Lines get control points at a third of their length, arcs are split into
+     * pieces of at most 90 degrees. Used by formats that describe paths as
+     * splines (VDA 5050 LIF trajectories, Graphviz edge positions).
+     * @param {Object} path - Path
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @returns {Object[]} Pieces { start, control1, control2, end }
+     */
+    static toCubicBeziers(path, fromNode, toNode) {
+        const pieces = [];
+        const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+        PathGeometry.getSegments(path, fromNode, toNode).forEach(segment => {
+            const { start, end } = segment;
+
+            if (segment.type === 'bezier') {
+                pieces.push({ start, control1: segment.control1, control2: segment.control2, end });
+                return;
+            }
+
+            const arc = segment.type === 'arc' ? PathGeometry.getArc(start, segment.through, end) : null;
+            if (!arc) {
+                pieces.push({ start, control1: lerp(start, end, 1 / 3), control2: lerp(start, end, 2 / 3), end });
+                return;
+            }
+
+            const count = Math.ceil(Math.abs(arc.sweep) / (Math.PI / 2) - 1e-9);
+            const step = arc.sweep / count;
+            const k = 4 / 3 * Math.tan(step / 4) * arc.radius;
+            const at = angle => ({
+                x: arc.center.x + arc.radius * Math.cos(angle),
+                y: arc.center.y + arc.radius * Math.sin(angle)
+            });
+
+            for (let i = 0; i < count; i++) {
+                const a0 = arc.startAngle + step * i;
+                const a1 = a0 + step;
+                const p0 = i === 0 ? start : at(a0);
+                const p1 = i === count - 1 ? end : at(a1);
+                pieces.push({
+                    start: p0,
+                    control1: { x: p0.x - k * Math.sin(a0), y: p0.y + k * Math.cos(a0) },
+                    control2: { x: p1.x + k * Math.sin(a1), y: p1.y - k * Math.cos(a1) },
+                    end: p1
+                });
+            }
+        });
+
+        return pieces;
+    }
+
+    // === EDITING ===
+
+    /**
+     * Get the editing handles of a path
+     * - waypoint: intermediate point (move / remove)
+     * - control1, control2: Bezier control points of a segment
+     * - through: point an arc segment passes through
+     * - insert: middle of a segment, dragging it inserts a waypoint
+     * @returns {Object[]} Handles { kind, index, x, y } (index = waypoint or segment index)
+     */
+    static getHandles(path, fromNode, toNode) {
+        const handles = [];
+
+        PathGeometry.getSegments(path, fromNode, toNode).forEach((segment, index) => {
+            const middle = PathGeometry.pointAt(segment, 0.5);
+            handles.push({ kind: 'insert', index: index, x: middle.x, y: middle.y });
+
+            if (segment.type === 'bezier') {
+                handles.push({ kind: 'control1', index: index, x: segment.control1.x, y: segment.control1.y, anchor: segment.start });
+                handles.push({ kind: 'control2', index: index, x: segment.control2.x, y: segment.control2.y, anchor: segment.end });
+            } else if (segment.type === 'arc') {
+                handles.push({ kind: 'through', index: index, x: segment.through.x, y: segment.through.y });
+            }
+        });
+
+        (path.waypoints || []).forEach((point, index) => {
+            handles.push({ kind: 'waypoint', index: index, x: point.x, y: point.y });
+        });
+
+        return handles;
+    }
+
+    /**
+     * Move a handle to a new position
+     * @param {Object} path - Path (modified)
+     * @param {Object} handle - Handle from getHandles() (kind 'insert' is not movable)
+     * @param {Object} point - New position {x, y}
+     */
+    static moveHandle(path, handle, point) {
+        const position = { x: point.x, y: point.y };
+
+        if (handle.kind === 'waypoint') {
+            path.waypoints[handle.index] = position;
+        } else if (handle.kind === 'control1' || handle.kind === 'control2' || handle.kind === 'through') {
+            path.segments[handle.index][handle.kind] = position;
+        }
+    }
+
+    /**
+     * Insert a waypoint on a segment, keeping the shape of curved segments
+     * @param {Object} path - Path (modified)
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @param {number} segmentIndex - Segment to split
+     * @param {number} t - Where to split the segment (0-1)
+     * @returns {number} Index of the new waypoint
+     */
+    static insertWaypoint(path, fromNode, toNode, segmentIndex, t = 0.5) {
+        const segment = PathGeometry.getSegments(path, fromNode, toNode)[segmentIndex];
+        const point = PathGeometry.pointAt(segment, t);
+        let parts = null;
+
+        if (segment.type === 'bezier') {
+            // de Casteljau split
+            const lerp = (a, b) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+            const p01 = lerp(segment.start, segment.control1);
+            const p12 = lerp(segment.control1, segment.control2);
+            const p23 = lerp(segment.control2, segment.end);
+            const p012 = lerp(p01, p12);
+            const p123 = lerp(p12, p23);
+            parts = [
+                { type: 'bezier', control1: p01, control2: p012 },
+                { type: 'bezier', control1: p123, control2: p23 }
+            ];
+        } else if (segment.type === 'arc') {
+            parts = [
+                { type: 'arc', through: PathGeometry.pointAt(segment, t / 2) },
+                { type: 'arc', through: PathGeometry.pointAt(segment, (1 + t) / 2) }
+            ];
+        }
+
+        if (parts || path.segments) {
+            PathGeometry.fillSegments(path);
+            path.segments.splice(segmentIndex, 1, ...(parts || [{ type: 'line' }, { type: 'line' }]));
+        }
+
+        path.waypoints = path.waypoints || [];
+        path.waypoints.splice(segmentIndex, 0, { x: point.x, y: point.y });
+
+        return segmentIndex;
+    }
+
+    /**
+     * Remove a waypoint; the two segments next to it become one straight segment
+     * @param {Object} path - Path (modified)
+     * @param {number} index - Waypoint index
+     */
+    static removeWaypoint(path, index) {
+        path.waypoints.splice(index, 1);
+        if (path.segments) {
+            path.segments.splice(index, 2, { type: 'line' });
+        }
+        PathGeometry.normalize(path);
+    }
+
+    /**
+     * Change the type of a segment
+     * New curves start bowed to the left of the direction of travel, so their
+     * handles can be grabbed right away.
+     * @param {Object} path - Path (modified)
+     * @param {Object} fromNode - Start node
+     * @param {Object} toNode - End node
+     * @param {number} segmentIndex - Segment index
+     * @param {string} type - 'line', 'bezier' or 'arc'
+     */
+    static setSegmentType(path, fromNode, toNode, segmentIndex, type) {
+        if (!PathGeometry.SEGMENT_TYPES.includes(type)) {
+            throw new Error(`Unknown segment type "${type}"`);
+        }
+
+        const { start, end } = PathGeometry.getSegments(path, fromNode, toNode)[segmentIndex];
+        const offset = { x: (end.y - start.y) * 0.25, y: -(end.x - start.x) * 0.25 };
+        const along = (t) => ({
+            x: start.x + (end.x - start.x) * t + offset.x,
+            y: start.y + (end.y - start.y) * t + offset.y
+        });
+
+        PathGeometry.fillSegments(path);
+        if (type === 'bezier') {
+            path.segments[segmentIndex] = { type: 'bezier', control1: along(1 / 3), control2: along(2 / 3) };
+        } else if (type === 'arc') {
+            path.segments[segmentIndex] = { type: 'arc', through: along(0.5) };
+        } else {
+            path.segments[segmentIndex] = { type: 'line' };
+        }
+        PathGeometry.normalize(path);
+    }
+
+    /**
+     * Make sure path.segments has one entry per span
+     */
+    static fillSegments(path) {
+        const count = (path.waypoints?.length || 0) + 1;
+        path.segments = path.segments || [];
+        while (path.segments.length < count) path.segments.push({ type: 'line' });
+        path.segments.length = count;
+    }
+
+    /**
+     * Drop empty geometry so straight paths keep their plain form
+     * @param {Object} path - Path (modified)
+     */
+    static normalize(path) {
+        if (path.waypoints && path.waypoints.length === 0) {
+            delete path.waypoints;
+        }
+        if (path.segments && !path.segments.some(segment => segment && segment.type !== 'line')) {
+            delete path.segments;
+        }
+    }
+
+    // === CONVERSION ===
+
+    /**
+     * Transform every point of a path's geometry
+     * @param {Object} path - Path
+     * @param {Function} transform - (x, y) => {x, y}
+     * @returns {Object} { waypoints?, segments? } with transformed copies (empty for straight paths)
+     */
+    static mapPoints(path, transform) {
+        const convert = point => {
+            const result = transform(point.x, point.y);
+            return { x: result.x, y: result.y };
+        };
+        const geometry = {};
+
+        if (path.waypoints?.length > 0) {
+            geometry.waypoints = path.waypoints.map(convert);
+        }
+        if (path.segments?.length > 0) {
+            geometry.segments = path.segments.map(segment => {
+                if (segment?.type === 'bezier') {
+                    return { type: 'bezier', control1: convert(segment.control1), control2: convert(segment.control2) };
+                }
+                if (segment?.type === 'arc') {
+                    return { type: 'arc', through: convert(segment.through) };
+                }
+                return { type: 'line' };
+            });
+        }
+
+        return geometry;
+    }
+
+    /**
+     * Geometry of a path traversed in the opposite direction
+     * @param {Object} path - Path
+     * @returns {Object} { waypoints?, segments? } running from path.to to path.from
+     */
+    static reverse(path) {
+        const geometry = PathGeometry.mapPoints(path, (x, y) => ({ x, y }));
+
+        if (geometry.waypoints) {
+            geometry.waypoints.reverse();
+        }
+        if (geometry.segments) {
+            geometry.segments.reverse();
+            geometry.segments.forEach(segment => {
+                if (segment.type === 'bezier') {
+                    [segment.control1, segment.control2] = [segment.control2, segment.control1];
+                }
+            });
+        }
+
+        return geometry;
+    }
+
+    /**
+     * Compare the geometry of two paths
+     * @param {Object} a - Path or geometry
+     * @param {Object} b - Path or geometry
+     * @param {number} tolerance - Maximum coordinate difference
+     * @returns {boolean} True if both have the same waypoints and segments
+     */
+    static isSameGeometry(a, b, tolerance = 1e-6) {
+        const flat = path => {
+            const values = [];
+            const geometry = PathGeometry.mapPoints(path, (x, y) => ({ x, y }));
+            (geometry.waypoints || []).forEach(point => values.push('w', point.x, point.y));
+            (geometry.segments || []).forEach(segment => {
+                values.push(segment.type);
+                ['control1', 'control2', 'through'].forEach(key => {
+                    if (segment[key]) values.push(segment[key].x, segment[key].y);
+                });
+            });
+            return values;
+        };
+
+        const valuesA = flat(a);
+        const valuesB = flat(b);
+        return valuesA.length === valuesB.length && valuesA.every((value, i) =>
+            typeof value === 'number'
+                ? Math.abs(value - valuesB[i]) <= tolerance
+                : value === valuesB[i]);
+    }
+
+    /**
+     * Read geometry from a file value (JSON text or an already parsed object)
+     *
+     * Accepts { waypoints, segments } as well as a bare waypoint array. Points
+     * may be written as {x, y} or [x, y].
+     *
+     * @param {string|Object|Array|null} value - Serialized geometry
+     * @returns {Object} { waypoints?, segments? } (empty for missing values)
+     */
+    static parse(value) {
+        if (value === null || value === undefined || value === '') return {};
+
+        let data = value;
+        if (typeof value === 'string') {
+            try {
+                data = JSON.parse(value);
+            } catch (error) {
+                throw new Error(`Invalid path geometry: ${error.message}`);
+            }
+        }
+        if (Array.isArray(data)) {
+            data = { waypoints: data };
+        }
+
+        const toPoint = point => {
+            const x = Array.isArray(point) ? point[0] : point?.x;
+            const y = Array.isArray(point) ? point[1] : point?.y;
+            if (typeof x !== 'number' || typeof y !== 'number') {
+                throw new Error(`Invalid path geometry point: ${JSON.stringify(point)}`);
+            }
+            return { x: x, y: y };
+        };
+
+        const geometry = {};
+        if (Array.isArray(data.waypoints) && data.waypoints.length > 0) {
+            geometry.waypoints = data.waypoints.map(toPoint);
+        }
+        if (Array.isArray(data.segments) && data.segments.length > 0) {
+            const expected = (geometry.waypoints?.length || 0) + 1;
+            if (data.segments.length !== expected) {
+                throw new Error(`Invalid path geometry: expected ${expected} segment(s), found ${data.segments.length}`);
+            }
+            geometry.segments = data.segments.map(segment => {
+                if (segment?.type === 'bezier') {
+                    return { type: 'bezier', control1: toPoint(segment.control1), control2: toPoint(segment.control2) };
+                }
+                if (segment?.type === 'arc') {
+                    return { type: 'arc', through: toPoint(segment.through) };
+                }
+                return { type: 'line' };
+            });
+            PathGeometry.normalize(geometry);
+        }
+
+        return geometry;
+    }
+
+    /**
+     * Convert a path's geometry to world coordinates for export
+     * @param {Object} path - Path (canvas coordinates)
+     * @param {Object} context - Export context with getWorldCoordinates (and getPathLevel)
+     * @returns {Object} { waypoints?, segments? } in meters
+     */
+    static toWorld(path, context) {
+        const level = context.getPathLevel?.(path);
+        return PathGeometry.mapPoints(path, (x, y) => context.getWorldCoordinates(x, y, level));
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PathGeometry;
+}
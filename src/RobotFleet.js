@@ -0,0 +1,191 @@
+/**
+ * RobotFleet - Robot classes and the parts of the graph they may use
+ *
+ * A robot class describes one kind of robot in the fleet:
+ *
+ *   robotClass = {
+ *       id, name,
+ *       width, length,              // footprint in meters
+ *       maxSpeed,                   // m/s, null = only the path speed limits apply
+ *       allowedNodeTypes: [...]     // node types it may enter, see NODE_TYPES
+ *   }
+ *
+ * Nodes and paths may restrict which classes use them with an allow list,
+ * `allowedClasses: [classId, ...]`; a missing or empty list allows every class.
+ *
+ * Responsibilities:
+ * - Allow-list, node-type and footprint checks for a class
+ * - Speed of a class on a path
+ * - (De)serialization of robot classes and allow lists
+ */
+class RobotFleet {
+    static NODE_TYPES = ['normal', 'charging', 'pickup', 'dropoff'];
+
+    /**
+     * Check an item's allow list
+     * @param {Object} item - Node or path
+     * @param {Object} robotClass - Robot class
+     * @returns {boolean} True if the list is empty or names the class
+     */
+    static isAllowed(item, robotClass) {
+        const allowed = item.allowedClasses;
+        return !Array.isArray(allowed) || allowed.length === 0 || allowed.includes(robotClass.id);
+    }
+
+    /**
+     * Check whether a class may enter a node
+     * Node types outside NODE_TYPES (e.g. imported 'target') count as 'normal'.
+     * @param {Object} robotClass - Robot class
+     * @param {Object} node - Node
+     * @returns {boolean} True if the node's type and allow list admit the class
+     */
+    static canEnterNode(robotClass, node) {
+        if (!RobotFleet.isAllowed(node, robotClass)) return false;
+
+        const types = robotClass.allowedNodeTypes;
+        if (!Array.isArray(types) || types.length === 0) return true;
+
+        const type = RobotFleet.NODE_TYPES.includes(node.type) ? node.type : 'normal';
+        return types.includes(type);
+    }
+
+    /**
+     * Check whether a class's footprint fits a path
+     * Paths without a width fit every class.
+     * @param {Object} robotClass - Robot class
+     * @param {Object} path - Path
+     * @returns {boolean} True if the path is at least as wide as the robot
+     */
+    static fitsPath(robotClass, path) {
+        return !(path.width > 0) || !(robotClass.width > 0) || path.width >= robotClass.width;
+    }
+
+    /**
+     * Check whether a class may drive a path
+     * @param {Object} robotClass - Robot class
+     * @param {Object} path - Path
+     * @param {Object} fromNode - Node the path starts at
+     * @param {Object} toNode - Node the path ends at
+     * @returns {boolean} True if the path and both its nodes admit the class
+     */
+    static canUsePath(robotClass, path, fromNode, toNode) {
+        return RobotFleet.isAllowed(path, robotClass) &&
+            RobotFleet.fitsPath(robotClass, path) &&
+            RobotFleet.canEnterNode(robotClass, fromNode) &&
+            RobotFleet.canEnterNode(robotClass, toNode);
+    }
+
+    /**
+     * Speed of a class on a path
+     * @param {Object} robotClass - Robot class
+     * @param {number} speed - Speed allowed on the path (m/s)
+     * @returns {number} The lower of speed and the class's maxSpeed
+     */
+    static getSpeed(robotClass, speed) {
+        return robotClass.maxSpeed > 0 ? Math.min(speed, robotClass.maxSpeed) : speed;
+    }
+
+    /**
+     * Short description of a class's footprint and speed
+     * @param {Object} robotClass - Robot class
+     * @returns {string} e.g. "(1.2 × 0.8 m, max 1.5 m/s)", empty without values
+     */
+    static describe(robotClass) {
+        const parts = [];
+        if (robotClass.length > 0 || robotClass.width > 0) {
+            parts.push(`${robotClass.length || '?'} × ${robotClass.width || '?'} m`);
+        }
+        if (robotClass.maxSpeed > 0) {
+            parts.push(`max ${robotClass.maxSpeed} m/s`);
+        }
+        return parts.length > 0 ? `(${parts.join(', ')})` : '';
+    }
+
+    // === CONVERSION ===
+
+    /**
+     * Parse a list of class IDs or node types
+     * @param {string|Array} value - Array, JSON array text or "a;b" / "a|b" text
+     * @returns {string[]} Non-empty entries
+     */
+    static parseList(value) {
+        if (value === undefined || value === null || value === '') return [];
+
+        let list = value;
+        if (typeof value === 'string') {
+            const text = value.trim();
+            if (text.startsWith('[')) {
+                try {
+                    list = JSON.parse(text);
+                } catch (error) {
+                    throw new Error(`Invalid list: ${error.message}`);
+                }
+            } else {
+                list = text.split(/[;|]/);
+            }
+        }
+        if (!Array.isArray(list)) {
+            throw new Error(`Invalid list: ${JSON.stringify(value)}`);
+        }
+
+        return list.map(entry => String(entry).trim()).filter(entry => entry);
+    }
+
+    /**
+     * Format a list for single-value columns (CSV)
+     * @param {string[]} list - Class IDs or node types
+     * @returns {string} "a;b", empty for no entries
+     */
+    static formatList(list) {
+        return Array.isArray(list) ? list.join(';') : '';
+    }
+
+    /**
+     * Build a robot class in the standard format from imported values
+     * @param {Object} data - { id, name, width, length, maxSpeed, allowedNodeTypes }
+     * @param {number} index - Class index (for missing IDs)
+     * @returns {Object} Robot class
+     */
+    static normalize(data, index) {
+        const id = data.id !== undefined && data.id !== null && data.id !== '' ? String(data.id) : `class_${index + 1}`;
+        const number = value => {
+            const parsed = parseFloat(value);
+            return parsed > 0 ? parsed : null;
+        };
+
+        const nodeTypes = RobotFleet.parseList(data.allowedNodeTypes);
+        const unknown = nodeTypes.filter(type => !RobotFleet.NODE_TYPES.includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown node type(s): ${unknown.join(', ')}`);
+        }
+
+        return {
+            id: id,
+            name: data.name ? String(data.name) : id,
+            width: number(data.width),
+            length: number(data.length),
+            maxSpeed: number(data.maxSpeed),
+            allowedNodeTypes: nodeTypes
+        };
+    }
+
+    /**
+     * Normalize a list of imported robot classes
+     * @param {Object[]} classes - Robot class entries
+     * @returns {Object[]} Robot classes
+     */
+    static normalizeAll(classes) {
+        return (classes || []).map((data, index) => {
+            try {
+                return RobotFleet.normalize(data, index);
+            } catch (error) {
+                throw new Error(`Robot class "${data.name || data.id || index + 1}": ${error.message}`);
+            }
+        });
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RobotFleet;
+}
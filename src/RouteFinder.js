@@ -0,0 +1,89 @@
+/**
+ * RouteFinder - Shortest routes between nodes of the graph
+ *
+ * Responsibilities:
+ * - Directed adjacency of the graph (bidirectional paths can be driven both ways)
+ * - Dijkstra search with a caller-supplied path cost (distance, travel time, ...)
+ *
+ * The finder works on node and path objects as stored by the app; it does not
+ * copy or modify them.
+ */
+class RouteFinder {
+    /**
+     * @param {Object[]} nodes - Graph nodes
+     * @param {Object[]} paths - Graph paths
+     */
+    constructor(nodes, paths) {
+        this.edges = new Map(nodes.map(node => [node.id, []]));
+
+        paths.forEach(path => {
+            if (!this.edges.has(path.from) || !this.edges.has(path.to)) return;
+
+            this.edges.get(path.from).push({ path, from: path.from, to: path.to, reversed: false });
+            if (path.bidirectional) {
+                this.edges.get(path.to).push({ path, from: path.to, to: path.from, reversed: true });
+            }
+        });
+    }
+
+    /**
+     * Find the cheapest route between two nodes
+     * @param {string} startId - Start node ID
+     * @param {string} goalId - Goal node ID
+     * @param {Function} cost - (path) => cost of driving the path (>= 0; Infinity to avoid it)
+     * @returns {Object|null} { steps: [{ path, from, to, reversed, cost }], cost } or null if unreachable
+     */
+    findRoute(startId, goalId, cost) {
+        if (!this.edges.has(startId) || !this.edges.has(goalId)) return null;
+        if (startId === goalId) return { steps: [], cost: 0 };
+
+        const costs = new Map([[startId, 0]]);
+        const cameBy = new Map();
+        const done = new Set();
+        const open = new Set([startId]);
+        const pathCosts = new Map();
+
+        while (open.size > 0) {
+            // Small graphs: a linear scan for the cheapest open node is fast enough
+            let current = null;
+            open.forEach(id => {
+                if (current === null || costs.get(id) < costs.get(current)) current = id;
+            });
+            open.delete(current);
+
+            if (current === goalId) break;
+            done.add(current);
+
+            this.edges.get(current).forEach(edge => {
+                if (done.has(edge.to)) return;
+
+                if (!pathCosts.has(edge.path)) {
+                    pathCosts.set(edge.path, cost(edge.path));
+                }
+                const edgeCost = pathCosts.get(edge.path);
+                if (!Number.isFinite(edgeCost)) return;
+
+                const tentative = costs.get(current) + edgeCost;
+                if (!costs.has(edge.to) || tentative < costs.get(edge.to)) {
+                    costs.set(edge.to, tentative);
+                    cameBy.set(edge.to, { ...edge, cost: edgeCost });
+                    open.add(edge.to);
+                }
+            });
+        }
+
+        if (!cameBy.has(goalId)) return null;
+
+        const steps = [];
+        for (let id = goalId; id !== startId; id = cameBy.get(id).from) {
+            steps.unshift(cameBy.get(id));
+        }
+
+        return { steps, cost: costs.get(goalId) };
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteFinder;
+}
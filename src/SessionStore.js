@@ -0,0 +1,229 @@
+/**
+ * SessionStore - Editor sessions in IndexedDB
+ *
+ * A session holds everything needed to continue working after a reload or
+ * a crash:
+ *
+ *   session = {
+ *       id,                          // AUTOSAVE_ID, or 'snapshot_<time>' for named snapshots
+ *       name, savedAt,               // Display name, ISO date
+ *       summary: { nodes, paths, levels, maps },
+ *       graph: { nodes, paths, zones, robotClasses, nodeCounter },
+ *       levels: [{ id, name, mapYaml, imageId }],
+ *       removedLevels: [{ id, name, mapYaml, imageId }], // For undoing their removal
+ *       mapImages: [imageId],        // Further map images undo steps refer to
+ *       currentLevel,
+ *       view: { offset, scale },
+ *       history,                     // Undo steps { steps, index, savedIndex } (see CommandHistory)
+ *       dirty,                       // Changes not saved yet
+ *       file: { handle, name, exporterId } // File that Save writes to
+ *   }
+ *
+ * Map images are kept once in their own object store ({ id, blob }) and
+ * shared by sessions, so auto-saving an edit does not write them again.
+ *
+ * The files of each recent map are kept so the Recent list can reopen them:
+ *
+ *   recentFiles = {
+ *       id,                          // YAML file name (the Recent list's key)
+ *       yaml, image,                 // { name, blob }
+ *       graph                        // { name, blob, parserId } last imported/exported graph, or null
+ *   }
+ *
+ * Responsibilities:
+ * - Opening (and creating) the database
+ * - Writing, reading, listing and deleting sessions
+ * - Storing map images and removing those no session refers to
+ * - Storing the files of recent maps
+ */
+class SessionStore {
+    static DB_NAME = 'fleetGraphWizard';
+    static DB_VERSION = 2;
+    static AUTOSAVE_ID = 'autosave';
+
+    /**
+     * @param {string} dbName - Database name
+     */
+    constructor(dbName = SessionStore.DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether the browser offers IndexedDB
+     * @returns {boolean} True if sessions can be stored
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Open the database, creating its object stores on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, SessionStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('sessions')) {
+                        db.createObjectStore('sessions', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('images')) {
+                        db.createObjectStore('images', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('recentFiles')) {
+                        db.createObjectStore('recentFiles', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later attempt after a failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Result of the request, once the transaction is complete
+     */
+    async run(storeName, mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // === SESSIONS ===
+
+    /**
+     * Write a session, replacing one with the same ID
+     * @param {Object} session - Session
+     */
+    async saveSession(session) {
+        await this.run('sessions', 'readwrite', store => store.put(session));
+    }
+
+    /**
+     * @param {string} id - Session ID
+     * @returns {Promise<Object|null>} Session
+     */
+    async getSession(id) {
+        return (await this.run('sessions', 'readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * List the stored sessions, newest first
+     * @returns {Promise<Object[]>} { id, name, savedAt, summary } per session
+     */
+    async listSessions() {
+        const sessions = await this.run('sessions', 'readonly', store => store.getAll());
+        return sessions
+            .map(({ id, name, savedAt, summary }) => ({ id, name, savedAt, summary }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Delete a session and the map images only it used
+     * @param {string} id - Session ID
+     */
+    async deleteSession(id) {
+        await this.run('sessions', 'readwrite', store => store.delete(id));
+        await this.pruneImages();
+    }
+
+    // === MAP IMAGES ===
+
+    /**
+     * @param {string} id - Image ID
+     * @param {Blob} blob - Image file content
+     */
+    async putImage(id, blob) {
+        await this.run('images', 'readwrite', store => store.put({ id: id, blob: blob }));
+    }
+
+    /**
+     * @param {string} id - Image ID
+     * @returns {Promise<Blob|null>} Image file content
+     */
+    async getImage(id) {
+        const record = await this.run('images', 'readonly', store => store.get(id));
+        return record ? record.blob : null;
+    }
+
+    /**
+     * Map images a session refers to
+     * @param {Object} session - Session
+     * @returns {string[]} Image IDs
+     */
+    static getImageIds(session) {
+        return [
+            ...[...(session.levels || []), ...(session.removedLevels || [])].map(level => level.imageId),
+            ...(session.mapImages || [])
+        ].filter(Boolean);
+    }
+
+    /**
+     * Delete the map images no session refers to
+     * @returns {Promise<number>} Number of deleted images
+     */
+    async pruneImages() {
+        const sessions = await this.run('sessions', 'readonly', store => store.getAll());
+        const used = new Set(sessions.flatMap(session => SessionStore.getImageIds(session)));
+
+        const ids = await this.run('images', 'readonly', store => store.getAllKeys());
+        const unused = ids.filter(id => !used.has(id));
+        for (const id of unused) {
+            await this.run('images', 'readwrite', store => store.delete(id));
+        }
+        return unused.length;
+    }
+
+    // === RECENT FILES ===
+
+    /**
+     * Write the files of a recent map, replacing those stored under the same ID
+     * @param {Object} record - { id, yaml, image, graph }
+     */
+    async putRecentFiles(record) {
+        await this.run('recentFiles', 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * @param {string} id - YAML file name
+     * @returns {Promise<Object|null>} { id, yaml, image, graph }
+     */
+    async getRecentFiles(id) {
+        return (await this.run('recentFiles', 'readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Delete the files of recent maps that are no longer listed
+     * @param {string[]} keepIds - YAML file names still in the Recent list
+     */
+    async pruneRecentFiles(keepIds) {
+        const keep = new Set(keepIds);
+        const ids = await this.run('recentFiles', 'readonly', store => store.getAllKeys());
+        for (const id of ids.filter(id => !keep.has(id))) {
+            await this.run('recentFiles', 'readwrite', store => store.delete(id));
+        }
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+}
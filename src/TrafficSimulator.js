@@ -0,0 +1,418 @@
+/**
+ * TrafficSimulator - Multi-robot traffic on the graph
+ *
+ * Responsibilities:
+ * - Spawning virtual robots at nodes
+ * - Pickup → dropoff tasks (random or scripted) routed by travel time
+ * - Node capacity (maxRobots) and no-waiting rules via node reservations
+ * - One-robot-at-a-time zones (exclusive groups of nodes)
+ * - Conflict, deadlock and throughput statistics
+ *
+ * A robot reserves the node it is driving to before it leaves; a node never
+ * holds more reservations than its maxRobots. Robots may not stop on a
+ * no-waiting node, so when the next node is one, the nodes after it are
+ * reserved as well (up to the first node the robot may wait on). A node of a
+ * one-robot zone can only be reserved while no other robot holds a node of
+ * that zone.
+ *
+ * The simulator only keeps the state; rendering is up to the caller.
+ */
+class TrafficSimulator {
+    static SERVICE_TIME = 5;  // Seconds spent at a pickup or dropoff node
+    static MAX_STEP = 0.1;    // Longest simulated time step in seconds
+
+    /**
+     * @param {Object[]} nodes - Graph nodes
+     * @param {Object[]} paths - Graph paths
+     * @param {Object} options - Simulation options
+     * @param {Function} options.travelTime - (path) => seconds to drive the path, or null if it cannot be driven
+     * @param {Object[]|null} options.tasks - Scripted tasks [{ pickup, dropoff }] (node IDs); null for random tasks
+     * @param {string[][]} options.exclusiveZones - Node IDs of each one-robot zone
+     * @param {Function} options.random - Random number generator (0-1)
+     */
+    constructor(nodes, paths, options) {
+        this.nodes = nodes;
+        this.nodesById = new Map(nodes.map(node => [node.id, node]));
+        this.finder = new RouteFinder(nodes, paths);
+        this.random = options.random || Math.random;
+        this.taskQueue = options.tasks ? [...options.tasks] : null;
+
+        // nodeId → node ID lists of the one-robot zones the node lies in
+        this.zonesByNode = new Map();
+        (options.exclusiveZones || []).forEach(group => {
+            group.forEach(nodeId => {
+                if (!this.zonesByNode.has(nodeId)) this.zonesByNode.set(nodeId, []);
+                this.zonesByNode.get(nodeId).push(group);
+            });
+        });
+
+        const travelTimes = new Map();
+        this.travelTime = (path) => {
+            if (!travelTimes.has(path)) travelTimes.set(path, options.travelTime(path));
+            return travelTimes.get(path);
+        };
+
+        this.robots = [];
+        this.time = 0;
+        this.deadlock = null;
+        this.stats = {
+            completed: 0,
+            taskTime: 0,        // Summed duration of completed tasks
+            waits: 0,           // Times a robot had to wait for a node
+            waitTime: 0,        // Summed waiting time of all robots
+            deadlocks: 0,
+            unreachable: new Set(), // 'pickup→dropoff' tasks without a route
+            nodes: new Map()    // nodeId → { waits, noWaitingStops }
+        };
+    }
+
+    /**
+     * Place robots on free nodes: parking spots and chargers first
+     * @param {number} count - Number of robots
+     * @returns {number} Number of robots placed (limited by node capacity)
+     */
+    spawn(count) {
+        const rank = node => {
+            if (node.isParkingSpot || node.parkingSpot) return 0;
+            if (node.type === 'charging') return 1;
+            return 2;
+        };
+        const candidates = this.nodes
+            .filter(node => !node.noWaiting)
+            .sort((a, b) => rank(a) - rank(b));
+
+        for (const node of candidates) {
+            while (this.robots.length < count && this.getOccupancy(node.id) < this.getCapacity(node) &&
+                this.getZoneConflicts(null, node.id).length === 0) {
+                this.robots.push({
+                    id: this.robots.length + 1,
+                    state: 'idle',      // idle, moving, waiting, servicing
+                    node: node.id,      // Node the robot is at (null while moving)
+                    reserved: new Set([node.id]),
+                    task: null,
+                    steps: [],          // Route steps (see RouteFinder)
+                    stepIndex: 0,
+                    progress: 0,        // 0-1 along the current step
+                    stepTime: 0,        // Seconds to drive the current step
+                    blockedBy: [],      // Nodes a waiting robot could not reserve
+                    serviceLeft: 0
+                });
+            }
+            if (this.robots.length >= count) break;
+        }
+
+        return this.robots.length;
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} dt - Simulated seconds
+     */
+    step(dt) {
+        while (dt > 0 && !this.deadlock) {
+            const delta = Math.min(dt, TrafficSimulator.MAX_STEP);
+            dt -= delta;
+            this.time += delta;
+
+            this.robots.forEach(robot => this.updateRobot(robot, delta));
+            this.detectDeadlock();
+        }
+    }
+
+    updateRobot(robot, dt) {
+        switch (robot.state) {
+            case 'idle':
+                this.assignTask(robot);
+                break;
+            case 'moving':
+                robot.progress += dt / robot.stepTime;
+                if (robot.progress >= 1) {
+                    this.arrive(robot);
+                }
+                break;
+            case 'waiting':
+                this.stats.waitTime += dt;
+                this.tryDepart(robot);
+                break;
+            case 'servicing':
+                robot.serviceLeft -= dt;
+                if (robot.serviceLeft <= 0) {
+                    this.finishService(robot);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Give an idle robot its next task and start driving to the pickup
+     */
+    assignTask(robot) {
+        const task = this.nextTask(robot);
+        if (!task) return;
+
+        robot.task = { ...task, stage: 'pickup', started: this.time };
+        this.driveTo(robot, task.pickup);
+    }
+
+    /**
+     * Next scripted task, or a random pickup → dropoff pair
+     * Random pickups are pickup nodes (dropoffs: dropoff nodes), or any node
+     * robots may wait on if the graph has none.
+     * @returns {Object|null} { pickup, dropoff } or null if there is none
+     */
+    nextTask(robot) {
+        if (this.taskQueue) {
+            return this.taskQueue.shift() || null;
+        }
+
+        const waitable = this.nodes.filter(node => !node.noWaiting);
+        const pick = (type, exclude) => {
+            const typed = waitable.filter(node => node.type === type && node !== exclude);
+            const candidates = typed.length > 0 ? typed : waitable.filter(node => node !== exclude);
+            return candidates[Math.floor(this.random() * candidates.length)];
+        };
+
+        const pickup = pick('pickup', null);
+        const dropoff = pick('dropoff', pickup);
+        if (!pickup || !dropoff) return null;
+
+        return { pickup: pickup.id, dropoff: dropoff.id };
+    }
+
+    /**
+     * Route a robot (standing at a node) to a goal node
+     */
+    driveTo(robot, goalId) {
+        const route = this.finder.findRoute(robot.node, goalId, path => this.travelTime(path) ?? Infinity);
+
+        if (!route) {
+            const { pickup, dropoff } = robot.task;
+            this.stats.unreachable.add(`${pickup}→${dropoff}`);
+            robot.task = null;
+            robot.state = 'idle';
+            return;
+        }
+
+        robot.steps = route.steps;
+        robot.stepIndex = 0;
+        this.advance(robot);
+    }
+
+    /**
+     * Continue along the route, or start servicing at its end
+     */
+    advance(robot) {
+        if (robot.stepIndex < robot.steps.length) {
+            this.tryDepart(robot);
+            return;
+        }
+
+        if (this.nodesById.get(robot.node).noWaiting) {
+            this.getNodeStats(robot.node).noWaitingStops++;
+        }
+        robot.state = 'servicing';
+        robot.serviceLeft = TrafficSimulator.SERVICE_TIME;
+    }
+
+    /**
+     * Reserve the next node(s) and leave, or wait until they are free
+     */
+    tryDepart(robot) {
+        const needed = [];
+        for (let i = robot.stepIndex; i < robot.steps.length; i++) {
+            const nodeId = robot.steps[i].to;
+            needed.push(nodeId);
+            if (!this.nodesById.get(nodeId).noWaiting) break;
+        }
+
+        const blocked = needed.filter(nodeId =>
+            !robot.reserved.has(nodeId) &&
+            this.getOccupancy(nodeId) >= this.getCapacity(this.nodesById.get(nodeId))
+        );
+        needed.forEach(nodeId => this.getZoneConflicts(robot, nodeId).forEach(conflict => {
+            if (!blocked.includes(conflict)) blocked.push(conflict);
+        }));
+
+        if (blocked.length > 0) {
+            if (robot.state !== 'waiting') {
+                robot.state = 'waiting';
+                this.stats.waits++;
+                this.getNodeStats(blocked[0]).waits++;
+                if (this.nodesById.get(robot.node).noWaiting) {
+                    this.getNodeStats(robot.node).noWaitingStops++;
+                }
+            }
+            robot.blockedBy = blocked;
+            return;
+        }
+
+        robot.reserved.delete(robot.node);
+        needed.forEach(nodeId => robot.reserved.add(nodeId));
+        robot.blockedBy = [];
+        robot.node = null;
+        robot.state = 'moving';
+        robot.progress = 0;
+        robot.stepTime = Math.max(this.travelTime(robot.steps[robot.stepIndex].path), 1e-3);
+    }
+
+    arrive(robot) {
+        robot.node = robot.steps[robot.stepIndex].to;
+        robot.stepIndex++;
+        robot.progress = 0;
+        this.advance(robot);
+    }
+
+    finishService(robot) {
+        if (robot.task.stage === 'pickup') {
+            robot.task.stage = 'dropoff';
+            this.driveTo(robot, robot.task.dropoff);
+            return;
+        }
+
+        this.stats.completed++;
+        this.stats.taskTime += this.time - robot.task.started;
+        robot.task = null;
+        robot.state = 'idle';
+
+        // Take the next task right away, so an idle robot means there is none
+        this.assignTask(robot);
+    }
+
+    /**
+     * Find robots that wait for each other forever
+     *
+     * Starting with all waiting robots, a robot is dropped once one of the
+     * nodes it waits for is held by a robot that can still move (driving,
+     * servicing, or waiting but not deadlocked). Once the scripted tasks are
+     * used up, idle robots never free their node. The robots that remain are
+     * deadlocked.
+     */
+    detectDeadlock() {
+        const stuck = new Set(this.robots.filter(robot => robot.state === 'waiting'));
+        if (stuck.size === 0) return;
+
+        const tasksLeft = !this.taskQueue || this.taskQueue.length > 0;
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+            stuck.forEach(robot => {
+                const canProceed = robot.blockedBy.some(nodeId => this.robots.some(holder =>
+                    holder !== robot &&
+                    holder.reserved.has(nodeId) &&
+                    (holder.state !== 'idle' || tasksLeft) &&
+                    !stuck.has(holder)
+                ));
+                if (canProceed) {
+                    stuck.delete(robot);
+                    changed = true;
+                }
+            });
+        }
+
+        if (stuck.size > 0) {
+            const robots = [...stuck];
+            this.deadlock = {
+                time: this.time,
+                robots: robots.map(robot => robot.id),
+                nodes: [...new Set(robots.flatMap(robot => robot.blockedBy))]
+            };
+            this.stats.deadlocks++;
+        }
+    }
+
+    /**
+     * Number of robots at or driving to a node
+     */
+    getOccupancy(nodeId) {
+        return this.robots.filter(robot => robot.reserved.has(nodeId)).length;
+    }
+
+    getCapacity(node) {
+        return Math.max(1, node.maxRobots || 1);
+    }
+
+    /**
+     * Nodes of a node's one-robot zones that are held by other robots
+     * @param {Object|null} robot - Robot asking (null: any robot counts)
+     * @param {string} nodeId - Node to reserve
+     * @returns {string[]} Node IDs
+     */
+    getZoneConflicts(robot, nodeId) {
+        return (this.zonesByNode.get(nodeId) || []).flatMap(group =>
+            group.filter(id => this.robots.some(other => other !== robot && other.reserved.has(id)))
+        );
+    }
+
+    getNodeStats(nodeId) {
+        if (!this.stats.nodes.has(nodeId)) {
+            this.stats.nodes.set(nodeId, { waits: 0, noWaitingStops: 0 });
+        }
+        return this.stats.nodes.get(nodeId);
+    }
+
+    /**
+     * Summary of the run so far
+     * @returns {Object} { time, robots, completed, throughput (tasks/hour), averageTaskTime, waits, waitTime, deadlock, unreachable, hotspots }
+     */
+    getReport() {
+        const { completed, taskTime, waits, waitTime, unreachable } = this.stats;
+
+        const hotspots = [...this.stats.nodes.entries()]
+            .map(([nodeId, counts]) => ({ nodeId, ...counts }))
+            .sort((a, b) => (b.waits + b.noWaitingStops) - (a.waits + a.noWaitingStops));
+
+        return {
+            time: this.time,
+            robots: this.robots.length,
+            completed: completed,
+            throughput: this.time > 0 ? completed / this.time * 3600 : 0,
+            averageTaskTime: completed > 0 ? taskTime / completed : null,
+            waits: waits,
+            waitTime: waitTime,
+            deadlock: this.deadlock,
+            unreachable: [...unreachable],
+            hotspots: hotspots
+        };
+    }
+
+    /**
+     * Parse scripted tasks, one "pickup -> dropoff" per line (node names or IDs)
+     * Empty lines and lines starting with # are ignored; "," works as separator too.
+     * @param {string} text - Task script
+     * @param {Object[]} nodes - Graph nodes
+     * @returns {Object[]} Tasks [{ pickup, dropoff }] (node IDs)
+     */
+    static parseTasks(text, nodes) {
+        const findNode = (value, lineNumber) => {
+            const node = nodes.find(n => n.id === value) || nodes.find(n => n.name === value);
+            if (!node) {
+                throw new Error(`Line ${lineNumber}: unknown node "${value}"`);
+            }
+            return node.id;
+        };
+
+        const tasks = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const parts = trimmed.split(/\s*(?:->|→|,)\s*/);
+            if (parts.length !== 2 || !parts[0] || !parts[1]) {
+                throw new Error(`Line ${index + 1}: expected "pickup -> dropoff"`);
+            }
+
+            tasks.push({
+                pickup: findNode(parts[0], index + 1),
+                dropoff: findNode(parts[1], index + 1)
+            });
+        });
+
+        return tasks;
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrafficSimulator;
+}
@@ -0,0 +1,231 @@
+/**
+ * ZoneGeometry - Polygon zones with traffic rules
+ *
+ * A zone is a named polygon on one level:
+ *
+ *   zone = {
+ *       id, name, level, notes,
+ *       type: 'speedLimit' | 'noEntry' | 'oneRobot' | 'charging',
+ *       speedLimit,                   // m/s, speedLimit zones only
+ *       points: [{ x, y }, ...]       // at least 3, not closed (first != last)
+ *   }
+ *
+ * In the editor the points are canvas coordinates of the zone's level;
+ * exporters convert them to world coordinates with toWorld().
+ *
+ * Responsibilities:
+ * - Point-in-polygon and polyline crossing tests (zone rules, hit-testing)
+ * - Label placement
+ * - Coordinate conversion and (de)serialization of zones
+ */
+class ZoneGeometry {
+    static TYPES = ['speedLimit', 'noEntry', 'oneRobot', 'charging'];
+
+    /**
+     * Type names used by other tools, lower case
+     */
+    static TYPE_ALIASES = {
+        speed: 'speedLimit',
+        speed_limit: 'speedLimit',
+        slow: 'speedLimit',
+        no_entry: 'noEntry',
+        keepout: 'noEntry',
+        keep_out: 'noEntry',
+        forbidden: 'noEntry',
+        one_robot: 'oneRobot',
+        mutex: 'oneRobot',
+        exclusive: 'oneRobot',
+        charging_area: 'charging'
+    };
+
+    /**
+     * Check whether a point lies inside a polygon (even-odd rule)
+     * @param {Object[]} points - Polygon points
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @returns {boolean} True if inside
+     */
+    static containsPoint(points, x, y) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Check whether two line segments intersect (touching counts)
+     * @returns {boolean} True if segment a1-a2 meets segment b1-b2
+     */
+    static segmentsIntersect(a1, a2, b1, b2) {
+        const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+        const onSegment = (o, p, q) =>
+            Math.min(o.x, p.x) <= q.x && q.x <= Math.max(o.x, p.x) &&
+            Math.min(o.y, p.y) <= q.y && q.y <= Math.max(o.y, p.y);
+
+        const d1 = cross(b1, b2, a1);
+        const d2 = cross(b1, b2, a2);
+        const d3 = cross(a1, a2, b1);
+        const d4 = cross(a1, a2, b2);
+
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+            return true;
+        }
+        return (d1 === 0 && onSegment(b1, b2, a1)) || (d2 === 0 && onSegment(b1, b2, a2)) ||
+            (d3 === 0 && onSegment(a1, a2, b1)) || (d4 === 0 && onSegment(a1, a2, b2));
+    }
+
+    /**
+     * Check whether a polyline enters a polygon
+     * @param {Object[]} points - Polygon points
+     * @param {Object[]} line - Polyline points (e.g. from PathGeometry.flatten)
+     * @returns {boolean} True if any point of the line is inside or it crosses the boundary
+     */
+    static crossesPolyline(points, line) {
+        if (points.length < 3 || line.length === 0) return false;
+        if (line.some(point => ZoneGeometry.containsPoint(points, point.x, point.y))) return true;
+
+        for (let i = 1; i < line.length; i++) {
+            for (let j = 0; j < points.length; j++) {
+                const next = points[(j + 1) % points.length];
+                if (ZoneGeometry.segmentsIntersect(line[i - 1], line[i], points[j], next)) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Centroid of a polygon (vertex average for degenerate polygons)
+     * @param {Object[]} points - Polygon points
+     * @returns {Object} {x, y}
+     */
+    static centroid(points) {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const f = points[j].x * points[i].y - points[i].x * points[j].y;
+            area += f;
+            cx += (points[j].x + points[i].x) * f;
+            cy += (points[j].y + points[i].y) * f;
+        }
+
+        if (Math.abs(area) < 1e-9) {
+            return {
+                x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+            };
+        }
+        return { x: cx / (3 * area), y: cy / (3 * area) };
+    }
+
+    // === CONVERSION ===
+
+    /**
+     * Transform every point of a zone
+     * @param {Object} zone - Zone
+     * @param {Function} transform - (x, y) => {x, y}
+     * @returns {Object[]} Transformed copies of the points
+     */
+    static mapPoints(zone, transform) {
+        return zone.points.map(point => {
+            const result = transform(point.x, point.y);
+            return { x: result.x, y: result.y };
+        });
+    }
+
+    /**
+     * Convert a zone's points to world coordinates for export
+     * @param {Object} zone - Zone (canvas coordinates)
+     * @param {Object} context - Export context with getWorldCoordinates
+     * @returns {Object[]} Points in meters
+     */
+    static toWorld(zone, context) {
+        return ZoneGeometry.mapPoints(zone, (x, y) => context.getWorldCoordinates(x, y, zone.level));
+    }
+
+    /**
+     * Parse zone points from JSON text or an array of [x, y] / {x, y}
+     * A closing point equal to the first one (GeoJSON rings) is dropped.
+     * @param {string|Array} value - Points
+     * @returns {Object[]} [{x, y}]
+     */
+    static parsePoints(value) {
+        let data = value;
+        if (typeof value === 'string') {
+            try {
+                data = JSON.parse(value);
+            } catch (error) {
+                throw new Error(`Invalid zone points: ${error.message}`);
+            }
+        }
+        if (!Array.isArray(data)) {
+            throw new Error('Invalid zone points: expected a list of points');
+        }
+
+        const points = data.map(point => {
+            const x = Array.isArray(point) ? point[0] : point?.x;
+            const y = Array.isArray(point) ? point[1] : point?.y;
+            if (typeof x !== 'number' || typeof y !== 'number') {
+                throw new Error(`Invalid zone point: ${JSON.stringify(point)}`);
+            }
+            return { x: x, y: y };
+        });
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (points.length > 1 && first.x === last.x && first.y === last.y) {
+            points.pop();
+        }
+        if (points.length < 3) {
+            throw new Error('Invalid zone points: a zone needs at least 3 points');
+        }
+
+        return points;
+    }
+
+    /**
+     * Map an imported zone type to one of TYPES
+     * Unknown types become 'noEntry', the most restrictive rule.
+     * @param {string} type - Type name
+     * @returns {string} Zone type
+     */
+    static parseType(type) {
+        if (ZoneGeometry.TYPES.includes(type)) return type;
+
+        const lower = String(type ?? '').trim().toLowerCase();
+        return ZoneGeometry.TYPES.find(known => known.toLowerCase() === lower) ||
+            ZoneGeometry.TYPE_ALIASES[lower] ||
+            'noEntry';
+    }
+
+    /**
+     * Build a zone in the standard format from imported values
+     * @param {Object} data - { id, name, type, level, speedLimit, notes, points }
+     * @param {number} index - Zone index (for missing IDs)
+     * @returns {Object} Zone
+     */
+    static normalize(data, index) {
+        const id = data.id !== undefined && data.id !== null && data.id !== '' ? String(data.id) : `zone_${index + 1}`;
+        const speed = parseFloat(data.speedLimit);
+
+        return {
+            id: id,
+            name: data.name ? String(data.name) : id,
+            type: ZoneGeometry.parseType(data.type),
+            level: data.level !== undefined && data.level !== null && data.level !== '' ? String(data.level) : null,
+            speedLimit: speed > 0 ? speed : null,
+            notes: data.notes || '',
+            points: ZoneGeometry.parsePoints(data.points)
+        };
+    }
+}
+
+// Export for use in browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZoneGeometry;
+}